@@ -216,7 +216,12 @@ function convertClient() {
             { pattern: /\bnew PlaybackQueue\b/g, replacement: 'new window.PlaybackQueue' },
             { pattern: /\bnew Overlays\b/g, replacement: 'new window.Overlays' },
             { pattern: /\bnew ServerAPI\b/g, replacement: 'new window.ServerAPI' },
-            { pattern: /\bnew RemoteControl\b/g, replacement: 'new window.RemoteControl' }
+            { pattern: /\bnew RemoteControl\b/g, replacement: 'new window.RemoteControl' },
+            { pattern: /\bnew RemoteCommands\b/g, replacement: 'new window.RemoteCommands' },
+            { pattern: /\bnew QueuePanel\b/g, replacement: 'new window.QueuePanel' },
+            { pattern: /\bnew NowPlayingReporter\b/g, replacement: 'new window.NowPlayingReporter' },
+            { pattern: /\bnew SyncPlayback\b/g, replacement: 'new window.SyncPlayback' },
+            { pattern: /\bVideoSource\./g, replacement: 'window.VideoSource.' }
         ];
         
         replacements.forEach(({ pattern, replacement }) => {
@@ -293,6 +298,24 @@ function fixCrossDependencies() {
             log('    Fixed videoPlayer.js dependencies');
         }
         
+        // Fix queuePanel.js formatter dependency
+        const queuePanelPath = path.join(BUILD_DIR, 'shared/ui/queuePanel.js');
+        if (fs.existsSync(queuePanelPath)) {
+            const content = fs.readFileSync(queuePanelPath, 'utf8');
+            fs.writeFileSync(queuePanelPath, content.replace(/\bformatDuration\b/g, 'window.formatDuration'));
+            log('    Fixed queuePanel.js dependencies');
+        }
+        
+        // Fix VideoSource references in the modules that pick video URLs
+        ['shared/player/videoPlayer.js', 'shared/player/crossfade.js', 'shared/queue/playbackQueue.js'].forEach(file => {
+            const filePath = path.join(BUILD_DIR, file);
+            if (fs.existsSync(filePath)) {
+                const content = fs.readFileSync(filePath, 'utf8');
+                fs.writeFileSync(filePath, content.replace(/\bVideoSource\./g, 'window.VideoSource.'));
+                log(`    Fixed ${path.basename(file)} VideoSource references`);
+            }
+        });
+        
         return { success: true };
         
     } catch (error) {
@@ -385,6 +408,11 @@ function main() {
             output: path.join(BUILD_DIR, 'shared/player/blur.js'),
             globalName: 'Blur'
         },
+        {
+            input: path.join(__dirname, '..', 'src/client/shared/player/videoSource.js'),
+            output: path.join(BUILD_DIR, 'shared/player/videoSource.js'),
+            globalName: 'VideoSource'
+        },
         {
             input: path.join(__dirname, '..', 'src/client/shared/player/crossfade.js'),
             output: path.join(BUILD_DIR, 'shared/player/crossfade.js'),
@@ -400,6 +428,26 @@ function main() {
             output: path.join(BUILD_DIR, 'shared/queue/playbackQueue.js'),
             globalName: 'PlaybackQueue'
         },
+        {
+            input: path.join(__dirname, '..', 'src/client/shared/player/nowPlayingReporter.js'),
+            output: path.join(BUILD_DIR, 'shared/player/nowPlayingReporter.js'),
+            globalName: 'NowPlayingReporter'
+        },
+        {
+            input: path.join(__dirname, '..', 'src/client/shared/player/syncPlayback.js'),
+            output: path.join(BUILD_DIR, 'shared/player/syncPlayback.js'),
+            globalName: 'SyncPlayback'
+        },
+        {
+            input: path.join(__dirname, '..', 'src/client/shared/ui/remoteCommands.js'),
+            output: path.join(BUILD_DIR, 'shared/ui/remoteCommands.js'),
+            globalName: 'RemoteCommands'
+        },
+        {
+            input: path.join(__dirname, '..', 'src/client/shared/ui/queuePanel.js'),
+            output: path.join(BUILD_DIR, 'shared/ui/queuePanel.js'),
+            globalName: 'QueuePanel'
+        },
         {
             input: path.join(__dirname, '..', 'src/client/web/serverAPI.js'),
             output: path.join(BUILD_DIR, 'web/serverAPI.js'),
@@ -469,9 +517,14 @@ function main() {
         'shared/ui/loadingScreen.js',
         'shared/ui/overlays.js',
         'shared/player/blur.js',
+        'shared/player/videoSource.js',
         'shared/player/crossfade.js',
         'shared/player/videoPlayer.js',
         'shared/queue/playbackQueue.js',
+        'shared/ui/remoteCommands.js',
+        'shared/ui/queuePanel.js',
+        'shared/player/nowPlayingReporter.js',
+        'shared/player/syncPlayback.js',
         'web/serverAPI.js',
         'storage.js',
         'remoteControl.js'
@@ -507,9 +560,14 @@ function main() {
     <script src="shared/ui/loadingScreen.js"></script>
     <script src="shared/ui/overlays.js"></script>
     <script src="shared/player/blur.js"></script>
+    <script src="shared/player/videoSource.js"></script>
     <script src="shared/player/crossfade.js"></script>
     <script src="shared/player/videoPlayer.js"></script>
     <script src="shared/queue/playbackQueue.js"></script>
+    <script src="shared/ui/remoteCommands.js"></script>
+    <script src="shared/ui/queuePanel.js"></script>
+    <script src="shared/player/nowPlayingReporter.js"></script>
+    <script src="shared/player/syncPlayback.js"></script>
     
     <!-- WebOS specific modules -->
     <script src="web/serverAPI.js"></script>
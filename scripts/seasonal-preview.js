@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+// Previews which seasonal directories fire at a given time or across a range.
+// Run from the VideoJuke directory so config.json and the cached index are found.
+
+const ConfigManager = require('../src/server/shared/config/configManager');
+const VideoIndex = require('../src/server/shared/video/videoIndex');
+const SeasonalPreview = require('../src/server/shared/video/seasonalPreview');
+const Logger = require('../src/server/shared/utils/logger');
+
+const USAGE = `Usage: npm run seasonal-preview -- [options]
+
+  --at <time>         Evaluate at one timestamp (default: now)
+  --from <time>       Start of a range to evaluate (with --to)
+  --to <time>         End of the range
+  --step <minutes>    Range evaluation interval (default: 60)
+  --simulate <picks>  Sample this many picks through the selection rolls
+  --seed <seed>       Seed for a reproducible simulation
+  --json              Print the raw result as JSON
+  --verbose           Show log output while loading
+
+Timestamps are anything Date accepts, e.g. 2024-12-24T23:30 (local time) or 2024-12-24T23:30:00Z.`;
+
+function parseArgs(argv) {
+    const params = {};
+    const flags = new Set();
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (['json', 'verbose', 'help'].includes(name)) {
+            flags.add(name);
+            continue;
+        }
+        
+        if (!['at', 'from', 'to', 'step', 'simulate', 'seed'].includes(name)) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+        
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        params[name] = value;
+    }
+    
+    return { params, flags };
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(2)}%`.padStart(8);
+}
+
+function printProbabilities(probabilities, indent = '  ') {
+    for (const [directory, p] of Object.entries(probabilities.directories)) {
+        console.log(`${indent}${percent(p)}  ${directory}`);
+    }
+    console.log(`${indent}${percent(probabilities.regular)}  (regular videos)`);
+    if (probabilities.none > 0) {
+        console.log(`${indent}${percent(probabilities.none)}  (nothing available)`);
+    }
+}
+
+function printSimulation(simulation) {
+    const seed = simulation.seed !== null ? `, seed ${simulation.seed}` : '';
+    console.log(`\nSimulation (${simulation.picks} picks${seed}):`);
+    
+    const rows = [
+        ...Object.entries(simulation.counts),
+        ['(regular videos)', simulation.regular],
+        ['(nothing available)', simulation.none]
+    ];
+    
+    for (const [label, count] of rows) {
+        if (count > 0 || label === '(regular videos)') {
+            console.log(`  ${String(count).padStart(7)}  ${percent(count / simulation.picks)}  ${label}`);
+        }
+    }
+}
+
+function printPoint(result) {
+    const { clock } = result;
+    console.log(`Seasonal preview at ${result.time} (${clock.timezone}: ${clock.year}-${clock.month}-${clock.dayOfMonth} ${String(clock.hour).padStart(2, '0')}:${String(clock.minute).padStart(2, '0')}, day of week ${clock.dayOfWeek})`);
+    console.log(`Seasonal mode: ${result.seasonalMode}\n`);
+    
+    if (result.rules.length === 0) {
+        console.log('No seasonal directories configured');
+        return;
+    }
+    
+    console.log('Rules:');
+    for (const rule of result.rules) {
+        const videos = rule.videoCount !== null ? `, ${rule.videoCount} videos` : '';
+        
+        if (!rule.active) {
+            const reason = rule.conditionsMatch ? 'outside its ramp' : 'conditions do not match';
+            console.log(`  ✗ ${rule.directory} - ${reason}${videos}`);
+            continue;
+        }
+        
+        const ramp = rule.rampFactor < 1 ? ` (${rule.baseLikelihood} x ramp ${rule.rampFactor.toFixed(3)})` : '';
+        console.log(`  ✓ ${rule.directory} - likelihood ${rule.likelihood}${ramp}${rule.exclusive ? ', exclusive' : ''}${videos}`);
+    }
+    
+    console.log('\nSelection probabilities:');
+    printProbabilities(result.probabilities);
+    
+    if (result.simulation) {
+        printSimulation(result.simulation);
+    }
+}
+
+function printRange(result) {
+    console.log(`Seasonal preview from ${result.from} to ${result.to} (every ${result.stepMinutes} min)`);
+    console.log(`Seasonal mode: ${result.seasonalMode}\n`);
+    
+    for (const segment of result.segments) {
+        console.log(`${segment.from} - ${segment.to}: ${segment.active.length > 0 ? segment.active.join(', ') : 'no seasonal rules active'}`);
+        printProbabilities(segment.probabilities, '    ');
+    }
+    
+    if (result.simulation) {
+        printSimulation(result.simulation);
+    }
+}
+
+async function main() {
+    const logger = new Logger('SEASONAL-PREVIEW');
+    
+    let args;
+    let options;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        options = SeasonalPreview.parseOptions(args.params);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    
+    if (args.flags.has('help')) {
+        console.log(USAGE);
+        return;
+    }
+    
+    // Loading logs would drown the preview, only errors are shown unless --verbose is set
+    const componentLogger = args.flags.has('verbose') ? logger : {
+        log: () => {},
+        warn: () => {},
+        error: (message, error) => logger.error(message, error)
+    };
+    
+    const configManager = new ConfigManager(componentLogger);
+    await configManager.load();
+    
+    // Video counts come from the cached index; without one every directory is assumed to have videos
+    const videoIndex = new VideoIndex(componentLogger, configManager);
+    await videoIndex.load();
+    
+    const preview = new SeasonalPreview(componentLogger, videoIndex);
+    const result = preview.run(options);
+    
+    if (args.flags.has('json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.segments) {
+        printRange(result);
+    } else {
+        printPoint(result);
+    }
+}
+
+main().catch((error) => {
+    console.error(`Seasonal preview failed: ${error.message}`);
+    process.exit(1);
+});
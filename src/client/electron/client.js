@@ -5,6 +5,12 @@ import PlaybackQueue from '../shared/queue/playbackQueue.js';
 import OverlayAnchorManager from '../shared/ui/overlayAnchorManager.js';
 import Overlays from '../shared/ui/overlays.js';
 import Controls from '../shared/ui/controls.js';
+import RemoteCommands from '../shared/ui/remoteCommands.js';
+import QueuePanel from '../shared/ui/queuePanel.js';
+import NowPlayingReporter from '../shared/player/nowPlayingReporter.js';
+import SyncPlayback from '../shared/player/syncPlayback.js';
+import VideoSource from '../shared/player/videoSource.js';
+import ServerAPI from '../web/serverAPI.js';
 
 class VideoPlayerClient {
     constructor() {
@@ -15,6 +21,11 @@ class VideoPlayerClient {
         this.playbackQueue = null;
         this.overlays = null;
         this.controls = null;
+        this.remoteCommands = null;
+        this.queuePanel = null;
+        this.nowPlayingReporter = null;
+        this.syncPlayback = null;
+        this.syncAPI = null;
         this.config = {};
         
         this.isPlaybackActive = false;
@@ -54,11 +65,30 @@ class VideoPlayerClient {
             this.videoPlayer = new VideoPlayer(this.logger, this.config);
             this.playbackQueue = new PlaybackQueue(this.logger, this.config);
             this.controls = new Controls(this.logger, this.config, this.videoPlayer, this.overlays);
+            this.remoteCommands = new RemoteCommands(this.logger, this.config, this.videoPlayer, this.overlays);
+            this.queuePanel = new QueuePanel(this.logger, this.config, this.playbackQueue);
+            this.nowPlayingReporter = new NowPlayingReporter(this.logger, this.config, this.videoPlayer);
+            
+            // With sync.server and sync.group set, this player joins a web server's sync group
+            // instead of playing its own queue
+            if (this.config.sync?.server && this.config.sync?.group) {
+                this.syncAPI = new ServerAPI(this.logger, this.config.sync.server, this.config.sync.group, {
+                    clientType: 'electron',
+                    remoteControl: false,
+                    token: this.config.sync.token || null,
+                    capabilities: VideoSource.detectCapabilities()
+                });
+                this.syncPlayback = new SyncPlayback(this.logger, this.config, this.videoPlayer, this.syncAPI);
+            }
             
             this.connectComponents();
             this.setupEventListeners();
             
-            await this.startInitializationMonitoring();
+            if (this.syncPlayback) {
+                await this.startSyncPlayback();
+            } else {
+                await this.startInitializationMonitoring();
+            }
             
         } catch (error) {
             this.logger.error('Failed to initialize electron client', error);
@@ -78,7 +108,7 @@ class VideoPlayerClient {
             }
         });
         this.videoPlayer.onVideoError((error) => this.handleVideoError(error));
-        this.videoPlayer.onNeedNextVideo(() => this.playbackQueue.getNext());
+        this.videoPlayer.onNeedNextVideo(() => this.syncPlayback ? this.syncPlayback.getNext() : this.playbackQueue.getNext());
         this.videoPlayer.onVideoStartedPlaying((videoData, isFirstVideo) => {
             if (isFirstVideo) {
                 this.loadingScreen.hide();
@@ -96,6 +126,23 @@ class VideoPlayerClient {
         this.controls.onPreviousVideo((previousVideo) => this.handleManualPrevious(previousVideo));
         this.controls.setQueueSizeGetter(() => this.playbackQueue?.getSize() || 0);
         this.controls.setPlaybackQueue(this.playbackQueue);
+        this.controls.setQueuePanel(this.queuePanel);
+        
+        // Remote control API commands
+        this.remoteCommands.onNextVideo(() => this.handleManualNext());
+        this.remoteCommands.onPreviousVideo(() => this.controls.previousVideo());
+        this.remoteCommands.setPlaybackQueue(this.playbackQueue);
+        this.remoteCommands.onEnqueue((video, position) => {
+            // Sync groups play the group's timeline, not the local queue
+            if (this.syncPlayback) {
+                throw new Error('Sync group players do not take enqueued videos');
+            }
+            return this.playbackQueue.enqueue(video, position);
+        });
+        this.remoteCommands.start();
+        
+        // Playback events for the server's now-playing state
+        this.nowPlayingReporter.start();
     }
     
     async loadConfiguration() {
@@ -204,6 +251,22 @@ async startInitializationMonitoring() {
         }
     }
 
+    async startSyncPlayback() {
+        try {
+            this.loadingScreen.updateText(`Joining sync group "${this.config.sync.group}" on ${this.config.sync.server}...`);
+            await this.syncPlayback.start(this.config.sync.group);
+            this.isPlaybackActive = true;
+        } catch (error) {
+            this.logger.error('Failed to join sync group', error);
+            this.loadingScreen.showError(`Failed to join sync group: ${error.message}`);
+            
+            setTimeout(() => {
+                this.logger.log('Retrying sync group...');
+                this.startSyncPlayback();
+            }, 5000);
+        }
+    }
+    
     async waitForServerVideos() {
         const maxWait = 30000; // 30 seconds max wait
         const startTime = Date.now();
@@ -241,6 +304,14 @@ async startInitializationMonitoring() {
             return;
         }
         
+        // Skipping moves the whole sync group on
+        if (this.syncPlayback) {
+            this.syncPlayback.skip().catch(error => {
+                this.logger.error('Failed to skip in sync group', error);
+            });
+            return;
+        }
+        
         try {
             // Get current video before skipping
             const currentVideo = this.videoPlayer.getCurrentVideo();
@@ -258,7 +329,7 @@ async startInitializationMonitoring() {
             
             // Notify backend
             if (window.electronAPI?.videoSkippedManual) {
-                window.electronAPI.videoSkippedManual();
+                window.electronAPI.videoSkippedManual(currentVideo);
             }
             
             // Get and play next video
@@ -283,6 +354,11 @@ async startInitializationMonitoring() {
         
         this.logger.log('=== PREVIOUS VIDEO REQUEST ===');
         
+        if (this.syncPlayback) {
+            this.overlays.showError('Previous video is not available in a sync group');
+            return;
+        }
+        
         try {
             // Get current video info for logging
             const currentVideo = this.videoPlayer.getCurrentVideo();
@@ -346,6 +422,12 @@ async startInitializationMonitoring() {
         
         this.logger.log(`Video ended: ${videoData?.filename || 'unknown'}, fromCrossfade: ${fromCrossfade}`);
         
+        // Sync groups follow the server's timeline, which also records the history
+        if (this.syncPlayback) {
+            this.syncPlayback.check();
+            return;
+        }
+        
         try {
             // Notify backend about video end (server will handle history)
             if (videoData && window.electronAPI) {
@@ -414,11 +496,22 @@ async startInitializationMonitoring() {
             this.loadingScreen.updateInitialization(initState);
         });
         
+        window.electronAPI.on('index-updated', (update) => {
+            this.logger.log(`Video index updated: +${update.added.length} / -${update.removed.length} (total: ${update.totalVideos})`);
+            if (update.removed.length > 0) {
+                this.playbackQueue?.removeVideos(update.removed.map(v => v.id));
+            }
+        });
+        
         // Cleanup on unload
         window.addEventListener('beforeunload', () => {
             this.isPlaybackActive = false;
+            this.nowPlayingReporter?.stop();
+            this.syncPlayback?.stop();
+            this.syncAPI?.cleanup();
             this.videoPlayer?.cleanup();
             this.playbackQueue?.cleanup();
+            this.queuePanel?.cleanup();
             this.controls?.cleanup();
         });
         
@@ -7,7 +7,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ensureVideoProcessed: (videoData) => ipcRenderer.invoke('ensure-video-processed', videoData),
     videoEnded: (videoData) => ipcRenderer.invoke('video-ended', videoData),
     videoError: (errorMsg) => ipcRenderer.invoke('video-error', errorMsg),
-    videoSkippedManual: () => ipcRenderer.invoke('video-skipped-manual'),
+    videoSkippedManual: (videoData) => ipcRenderer.invoke('video-skipped-manual', videoData),
     videoReturnedToPrevious: () => ipcRenderer.invoke('video-returned-to-previous'),
     
     // History methods
@@ -20,6 +20,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Queue and status methods
     getQueueStatus: () => ipcRenderer.invoke('get-queue-status'),
     getDetailedStats: () => ipcRenderer.invoke('get-detailed-stats'),
+    getUpcoming: (limit) => ipcRenderer.invoke('get-upcoming', limit),
+    editUpcoming: (action, edit) => ipcRenderer.invoke('edit-upcoming', action, edit),
+    
+    // Ratings
+    getRating: (videoData) => ipcRenderer.invoke('get-rating', videoData),
+    rateVideo: (videoData, rating) => ipcRenderer.invoke('rate-video', videoData, rating),
     
     // Initialization tracking
     getInitializationStatus: () => ipcRenderer.invoke('get-initialization-status'),
@@ -28,12 +34,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Window control
     quitApplication: () => ipcRenderer.invoke('quit-application'),
     
+    // Remote control
+    controlAck: (ack) => ipcRenderer.invoke('control-ack', ack),
+    
+    // Now playing
+    reportNowPlaying: (report) => ipcRenderer.invoke('now-playing', report),
+    
     // Event listeners
     on: (channel, callback) => {
         const validChannels = [
             'main-log',
             'initialization-update', 
-            'indexing-progress'
+            'indexing-progress',
+            'index-updated',
+            'control-command'
         ];
         
         if (validChannels.includes(channel)) {
@@ -46,7 +60,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
         const validChannels = [
             'main-log',
             'initialization-update',
-            'indexing-progress'
+            'indexing-progress',
+            'index-updated',
+            'control-command'
         ];
         
         if (validChannels.includes(channel)) {
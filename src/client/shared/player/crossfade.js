@@ -1,3 +1,5 @@
+import VideoSource from './videoSource.js';
+
 export default class Crossfade {
     constructor(logger, config) {
         this.logger = logger;
@@ -11,13 +13,22 @@ export default class Crossfade {
         this.BUFFER_TIME = config.timeouts?.crossfadeBufferTime || 500; // Buffer time for video loading
     }
     
-    schedule(currentVideo, getNextVideo, onComplete) {
-        if (!this.enabled || !currentVideo.duration) {
+    /**
+     * @param {Object|null} timing - { startAt, duration } for sync group members: start at a fixed
+     *                               time (local epoch ms), with a duration in seconds (0 cuts)
+     */
+    schedule(currentVideo, getNextVideo, onComplete, timing = null) {
+        if ((!this.enabled && !timing) || !currentVideo.duration) {
             return;
         }
         
         this.cancel();
         
+        if (timing) {
+            this.scheduleAt(currentVideo, getNextVideo, onComplete, timing);
+            return;
+        }
+        
         const videoDuration = currentVideo.duration;
         const crossfadeDuration = this.calculateCrossfadeDuration(videoDuration);
         
@@ -42,6 +53,21 @@ export default class Crossfade {
         }
     }
     
+    /**
+     * Schedules a crossfade that begins at a wall-clock time shared by all members of a sync group.
+     * The next video is loaded preloadLead ms early so slow loading does not delay the start.
+     */
+    scheduleAt(currentVideo, getNextVideo, onComplete, timing) {
+        const preloadLead = this.config.sync?.preloadLead || 4000;
+        const delay = Math.max(0, timing.startAt - preloadLead - Date.now());
+        
+        this.logger.log(`Scheduling synced crossfade: duration=${timing.duration}s, starts in ${timing.startAt - Date.now()}ms, loading in ${delay}ms`);
+        
+        this.scheduledTimer = setTimeout(() => {
+            this.start(currentVideo, getNextVideo, onComplete, timing.duration, timing.startAt);
+        }, delay);
+    }
+    
     reschedule(currentVideo) {
         if (!this.enabled || this.activeCrossfade) {
             return;
@@ -54,8 +80,8 @@ export default class Crossfade {
         }
     }
     
-    async start(currentVideo, getNextVideo, onComplete, duration) {
-        if (this.activeCrossfade || !this.enabled) {
+    async start(currentVideo, getNextVideo, onComplete, duration, startAt = null) {
+        if (this.activeCrossfade || (!this.enabled && startAt === null)) {
             return;
         }
         
@@ -79,7 +105,8 @@ export default class Crossfade {
                 nextVideo,
                 nextVideoData,
                 onComplete,
-                duration
+                duration,
+                startAt
             };
             
             await this.performCrossfade();
@@ -91,19 +118,10 @@ export default class Crossfade {
     }
     
     async performCrossfade() {
-        const { currentVideo, nextVideo, nextVideoData, onComplete, duration } = this.activeCrossfade;
-        
-        // Construct proper video URL
-        let videoUrl;
-        if (nextVideoData.serverUrl) {
-            // Web mode - use HTTP URL
-            videoUrl = nextVideoData.serverUrl.startsWith('http') ? 
-                nextVideoData.serverUrl : 
-                `${window.location.origin}${nextVideoData.serverUrl}`;
-        } else {
-            // Electron mode - use file URL
-            videoUrl = `file://${nextVideoData.processedPath}`;
-        }
+        const { currentVideo, nextVideo, nextVideoData, onComplete, duration, startAt } = this.activeCrossfade;
+        
+        // Same source choice as the player, so both elements can switch between HLS and MP4
+        const videoUrl = VideoSource.getUrl(nextVideoData, this.config);
         
         this.logger.log(`Starting crossfade from ${currentVideo.id} to ${nextVideo.id}, duration: ${duration}s`);
         
@@ -117,6 +135,22 @@ export default class Crossfade {
         
         await this.waitForVideoReady(nextVideo);
         
+        // Synced crossfades wait for their start time; a member that finished loading late
+        // starts the next video at the position the others are at
+        if (startAt !== null) {
+            const wait = startAt - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            } else {
+                nextVideo.currentTime = -wait / 1000;
+            }
+            
+            if (this.activeCrossfade?.nextVideo !== nextVideo) {
+                this.logger.log('Synced crossfade cancelled while waiting for its start time');
+                return;
+            }
+        }
+        
         try {
             await nextVideo.play();
             this.logger.log('Crossfade next video started successfully');
@@ -153,7 +187,7 @@ export default class Crossfade {
             }
             
             const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / durationMs, 1);
+            const progress = durationMs > 0 ? Math.min(elapsed / durationMs, 1) : 1; // 0 cuts (sync groups without crossfade)
             
             // Easing function
             const eased = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
@@ -0,0 +1,61 @@
+export default class NowPlayingReporter {
+    constructor(logger, config, videoPlayer) {
+        this.logger = logger;
+        this.config = config;
+        this.videoPlayer = videoPlayer;
+        
+        this.heartbeatTimer = null;
+        this.heartbeatInterval = config.network?.nowPlaying?.heartbeatInterval || 5000;
+    }
+    
+    /**
+     * Reports playback events to the server and sends a progress heartbeat while a video is loaded
+     */
+    start() {
+        this.videoPlayer.onPlaybackEvent((event) => this.report(event));
+        
+        this.heartbeatTimer = setInterval(() => {
+            if (this.videoPlayer.getCurrentVideo()) {
+                this.report('progress');
+            }
+        }, this.heartbeatInterval);
+        
+        this.logger.log(`Reporting now-playing state every ${this.heartbeatInterval}ms`);
+    }
+    
+    stop() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    
+    report(event) {
+        const state = this.videoPlayer.getState();
+        const video = state.currentVideo;
+        
+        if (!video) {
+            return;
+        }
+        
+        const report = {
+            event,
+            video: {
+                filename: video.filename,
+                originalPath: video.originalPath,
+                seasonalDirectory: video.seasonalDirectory,
+                duration: video.metadata?.duration
+            },
+            position: state.currentTime,
+            duration: state.duration,
+            playbackSpeed: state.playbackSpeed,
+            isPaused: !!state.isPaused,
+            isMuted: state.isMuted,
+            isLooping: state.isLooping
+        };
+        
+        Promise.resolve(window.electronAPI.reportNowPlaying(report)).catch(error => {
+            this.logger.error(`Failed to report now-playing event: ${event}`, error);
+        });
+    }
+}
@@ -0,0 +1,298 @@
+export default class SyncPlayback {
+    /**
+     * Plays a sync group's timeline. The server schedules every video in server time; this keeps an
+     * estimate of the offset between the local and the server clock, starts the scheduled video at
+     * the right position and lets the video player correct drift and time its crossfades.
+     * @param {Object} logger - Logger instance
+     * @param {Object} config - Configuration, uses the sync settings
+     * @param {VideoPlayer} videoPlayer - Player to drive
+     * @param {ServerAPI} api - Connection to the web server hosting the group
+     */
+    constructor(logger, config, videoPlayer, api) {
+        this.logger = logger;
+        this.config = config;
+        this.videoPlayer = videoPlayer;
+        this.api = api;
+        
+        const sync = config.sync || {};
+        this.clockSyncInterval = sync.clockSyncInterval || 10000;
+        this.clockSamples = sync.clockSamples || 5;
+        this.driftCheckInterval = sync.driftCheckInterval || 1000;
+        this.pollInterval = sync.pollInterval || 1000;
+        
+        this.group = null;
+        this.timeline = [];
+        this.offset = 0; // Server clock minus local clock, in ms
+        this.rtt = null;
+        this.lastDrift = null;
+        this.pingId = 0;
+        this.pendingPings = new Map(); // Map<ping id, { sentAt, resolve }>
+        this.isStarted = false;
+        this.isJumping = false;
+        
+        this.clockTimer = null;
+        this.stateTimer = null;
+        this.driftTimer = null;
+    }
+    
+    /**
+     * Joins the group and starts the video the group is playing
+     * @param {string} group - Sync group (session) name
+     * @throws {Error} When the group has nothing scheduled within the timeout
+     */
+    async start(group) {
+        this.group = group;
+        
+        if (!this.isStarted) {
+            this.isStarted = true;
+            this.api.on('sync-state', (state) => this.handleState(state));
+            this.api.on('sync-pong', (pong) => this.handlePong(pong));
+            this.api.on('sync-error', (error) => {
+                this.logger.error(`Sync group error: ${error.error}`);
+            });
+            this.videoPlayer.setSyncClock(this);
+            
+            this.clockTimer = setInterval(() => this.syncClock(), this.clockSyncInterval);
+            this.driftTimer = setInterval(() => this.check(), this.driftCheckInterval);
+            this.scheduleJoin();
+        }
+        
+        this.logger.log(`Joining sync group "${group}"`);
+        await this.syncClock();
+        await this.join();
+        await this.waitForTimeline();
+        
+        const item = this.getCurrentItem();
+        await this.jumpTo(item, true);
+    }
+    
+    stop() {
+        clearInterval(this.clockTimer);
+        clearInterval(this.driftTimer);
+        clearTimeout(this.stateTimer);
+        this.clockTimer = null;
+        this.driftTimer = null;
+        this.stateTimer = null;
+        
+        if (this.group) {
+            this.api.syncLeave(this.group).catch(() => {});
+        }
+    }
+    
+    /**
+     * Server time in ms
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+    
+    /**
+     * Takes several clock samples and keeps the one with the shortest round trip,
+     * which has the smallest error
+     */
+    async syncClock() {
+        const samples = [];
+        
+        for (let i = 0; i < this.clockSamples; i++) {
+            const sample = await this.ping();
+            if (sample) {
+                samples.push(sample);
+            }
+        }
+        
+        if (samples.length === 0) {
+            this.logger.error('Sync clock: no answer from server');
+            return;
+        }
+        
+        const best = samples.reduce((a, b) => (a.rtt <= b.rtt ? a : b));
+        this.offset = best.offset;
+        this.rtt = best.rtt;
+    }
+    
+    ping() {
+        const id = ++this.pingId;
+        
+        return new Promise((resolve) => {
+            this.pendingPings.set(id, { sentAt: Date.now(), resolve });
+            
+            setTimeout(() => {
+                if (this.pendingPings.delete(id)) {
+                    resolve(null);
+                }
+            }, 2000);
+            
+            Promise.resolve(this.api.syncPing(id)).catch(() => {
+                this.pendingPings.delete(id);
+                resolve(null);
+            });
+        });
+    }
+    
+    handlePong({ id, serverTime }) {
+        const pending = this.pendingPings.get(id);
+        if (!pending) {
+            return;
+        }
+        
+        this.pendingPings.delete(id);
+        
+        const receivedAt = Date.now();
+        const rtt = receivedAt - pending.sentAt;
+        pending.resolve({ rtt, offset: serverTime + rtt / 2 - receivedAt });
+    }
+    
+    /**
+     * Joins (or re-joins, as a heartbeat) the group. The state arrives as a sync-state message.
+     */
+    async join() {
+        const current = this.videoPlayer.getCurrentVideo();
+        
+        await this.api.syncJoin(this.group, {
+            index: current?.sync?.index ?? null,
+            drift: this.lastDrift !== null ? Math.round(this.lastDrift * 1000) / 1000 : null,
+            offset: Math.round(this.offset),
+            rtt: this.rtt
+        });
+    }
+    
+    scheduleJoin() {
+        // Over the WebSocket the server pushes changes, so joining is only a heartbeat
+        const delay = this.api.isWebSocketOpen() ? this.clockSyncInterval : this.pollInterval;
+        
+        this.stateTimer = setTimeout(async () => {
+            try {
+                await this.join();
+            } catch (error) {
+                this.logger.error('Failed to refresh sync group state', error);
+            }
+            
+            if (this.stateTimer) {
+                this.scheduleJoin();
+            }
+        }, delay);
+    }
+    
+    handleState(state) {
+        if (state?.group !== this.group) {
+            return;
+        }
+        
+        this.timeline = state.timeline.map(item => ({
+            ...item,
+            video: {
+                ...item.video,
+                serverUrl: this.api.resolveUrl(item.video.serverUrl),
+                hlsUrl: this.api.resolveUrl(item.video.hlsUrl),
+                sync: {
+                    index: item.index,
+                    startAt: item.startAt,
+                    transitionAt: item.transitionAt,
+                    transitionDuration: item.transitionDuration
+                }
+            }
+        }));
+    }
+    
+    waitForTimeline(timeout = 30000) {
+        const startedAt = Date.now();
+        
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (this.timeline.length > 0) {
+                    resolve();
+                } else if (Date.now() - startedAt > timeout) {
+                    reject(new Error(`Sync group "${this.group}" has no videos scheduled`));
+                } else {
+                    setTimeout(check, 250);
+                }
+            };
+            
+            check();
+        });
+    }
+    
+    /**
+     * The item the group is showing now (or the first one, before the group starts)
+     */
+    getCurrentItem(now = this.now()) {
+        return this.timeline.filter(item => item.startAt <= now).pop() || this.timeline[0] || null;
+    }
+    
+    /**
+     * Next video for the player's crossfade
+     */
+    getNext() {
+        const current = this.videoPlayer.getCurrentVideo();
+        const index = current?.sync ? current.sync.index + 1 : null;
+        const item = this.timeline.find(candidate => candidate.index === index) || null;
+        
+        if (!item) {
+            this.logger.error('Sync group has no next video scheduled');
+        }
+        
+        return item ? item.video : null;
+    }
+    
+    /**
+     * Keeps the player on the group's timeline: moves to the scheduled video when the player is on
+     * another one, otherwise picks up timing changes and corrects drift
+     */
+    async check() {
+        if (this.isJumping || this.timeline.length === 0) {
+            return;
+        }
+        
+        const state = this.videoPlayer.getState();
+        if (state.isTransitioning || state.crossfadeActive) {
+            return;
+        }
+        
+        const now = this.now();
+        const item = this.getCurrentItem(now);
+        const playing = state.currentVideo?.sync;
+        
+        if (!playing || playing.index !== item.index) {
+            // The scheduled crossfade is about to handle a new video
+            const seekThreshold = (this.config.sync?.seekThreshold ?? 1) * 1000;
+            if (playing && item.index === playing.index + 1 && now - item.startAt < seekThreshold) {
+                return;
+            }
+            
+            try {
+                await this.jumpTo(item);
+            } catch (error) {
+                this.logger.error('Failed to play the sync group\'s video', error);
+            }
+            return;
+        }
+        
+        // A skip moves the transition of the current video
+        if (playing.transitionAt !== item.transitionAt) {
+            playing.transitionAt = item.transitionAt;
+            playing.transitionDuration = item.transitionDuration;
+            this.videoPlayer.refreshSyncedTransition();
+        }
+        
+        this.lastDrift = this.videoPlayer.correctDrift((now - item.startAt) / 1000);
+    }
+    
+    async jumpTo(item, isFirstVideo = false) {
+        this.isJumping = true;
+        
+        try {
+            this.logger.log(`Sync group: playing #${item.index} ${item.video.filename}`);
+            await this.videoPlayer.play(item.video, isFirstVideo, true);
+            this.lastDrift = this.videoPlayer.correctDrift((this.now() - item.startAt) / 1000);
+        } finally {
+            this.isJumping = false;
+        }
+    }
+    
+    /**
+     * Asks the server to move the whole group to the next video
+     */
+    async skip() {
+        await this.api.syncSkip(this.group);
+    }
+}
@@ -1,5 +1,6 @@
 import Crossfade from './crossfade.js';
 import Blur from './blur.js';
+import VideoSource from './videoSource.js';
 
 export default class VideoPlayer {
     constructor(logger, config) {
@@ -24,11 +25,16 @@ export default class VideoPlayer {
         this._transitionLock = false;
         this._eventHandlers = new WeakMap();
         
+        // Sync group mode, see setSyncClock()
+        this.syncClock = null;
+        this._syncHoldTimer = null;
+        
         // Callbacks
         this.onVideoEndedCallback = null;
         this.onVideoErrorCallback = null;
         this.onNeedNextVideoCallback = null;
         this.onVideoStartedPlayingCallback = null;
+        this.onPlaybackEventCallback = null;
         
         this.initializeVideos();
     }
@@ -227,9 +233,13 @@ export default class VideoPlayer {
             
             // Set up event handling for the new video
             this._setupVideoEventHandlers(nextVideo);
+            this._notifyPlaybackEvent('start');
             
             // Schedule next crossfade if applicable - skip for manual transitions
-            if (this.config.crossfade.enabled && videoData.metadata?.duration && !isManualTransition) {
+            // (sync group videos always keep the transition the group scheduled)
+            if (this._isSynced()) {
+                this._scheduleCrossfade(nextVideo);
+            } else if (this.config.crossfade.enabled && videoData.metadata?.duration && !isManualTransition) {
                 this._scheduleCrossfade(nextVideo);
             }
             
@@ -304,25 +314,10 @@ export default class VideoPlayer {
             // Construct proper video URL with validation and encoding
             let videoUrl;
             try {
-                if (videoData.serverUrl) {
-                    // Web mode - ensure proper URL construction
-                    if (videoData.serverUrl.startsWith('http')) {
-                        videoUrl = videoData.serverUrl;
-                        this.logger.log(`Using absolute serverUrl: ${videoUrl}`);
-                    } else {
-                        // Ensure proper encoding for special characters in filename
-                        const urlPath = videoData.serverUrl.startsWith('/') ? 
-                            videoData.serverUrl : '/' + videoData.serverUrl;
-                        videoUrl = window.location.origin + urlPath;
-                        this.logger.log(`Constructed URL: ${window.location.origin} + ${urlPath} = ${videoUrl}`);
-                    }
-                } else {
-                    // Electron mode
-                    videoUrl = `file://${videoData.processedPath}`;
-                    this.logger.log(`Using file URL: ${videoUrl}`);
-                }
+                // HLS package when negotiated, else the MP4 over HTTP (web mode) or the local file (Electron mode)
+                videoUrl = VideoSource.getUrl(videoData, this.config);
                 
-                this.logger.log(`Final video URL: ${videoUrl}`);
+                this.logger.log(`Final video URL (${VideoSource.usesHls(videoData, this.config) ? 'HLS' : 'progressive'}): ${videoUrl}`);
                 
                 // Validate URL format
                 new URL(videoUrl);
@@ -562,6 +557,7 @@ export default class VideoPlayer {
             video.play().catch(err => {
                 this.logger.error('Failed to restart looped video', err);
             });
+            this._notifyPlaybackEvent('seek');
             return;
         }
         
@@ -571,6 +567,8 @@ export default class VideoPlayer {
             return;
         }
         
+        this._notifyPlaybackEvent('end');
+        
         // Auto-advance to next video
         if (this.onVideoEndedCallback && !this.crossfade.isActive()) {
             this.logger.log('Triggering video ended callback');
@@ -599,7 +597,7 @@ export default class VideoPlayer {
     
     _handleVideoSeeked(video) {
         // Reschedule crossfade after seeking
-        if (this.config.crossfade.enabled && video === this.getCurrentElement()) {
+        if (this._hasScheduledTransitions() && video === this.getCurrentElement()) {
             this._scheduleCrossfade(video);
         }
     }
@@ -621,6 +619,13 @@ export default class VideoPlayer {
             return;
         }
         
+        // Sync group videos cross over at the group's time, converted from the server clock
+        const sync = this._isSynced() ? this.currentVideo.sync : null;
+        const timing = sync ? {
+            startAt: Date.now() + (sync.transitionAt - this.syncClock.now()),
+            duration: sync.transitionDuration
+        } : null;
+        
         this.crossfade.schedule(
             video,
             async () => {
@@ -640,6 +645,7 @@ export default class VideoPlayer {
                 const newCurrentVideo = this.getCurrentElement();
                 this._setupVideoEventHandlers(newCurrentVideo);
                 this._scheduleCrossfade(newCurrentVideo);
+                this._notifyPlaybackEvent('start');
                 
                 // Add the video that just ended to history
                 if (endingVideo && !endingVideo._fromHistory && this.onVideoEndedCallback) {
@@ -647,7 +653,8 @@ export default class VideoPlayer {
                     // Call with special flag to just add to history
                     this.onVideoEndedCallback(endingVideo, true);
                 }
-            }
+            },
+            timing
         );
     }
     
@@ -688,23 +695,45 @@ export default class VideoPlayer {
         if (!currentVideo.src) return;
         
         if (currentVideo.paused) {
-            currentVideo.play().then(() => {
-                this.isPaused = false;
-                // Reschedule crossfade
-                if (this.config.crossfade.enabled) {
-                    this._scheduleCrossfade(currentVideo);
-                }
-            }).catch(err => {
+            this.resume().catch(err => {
                 this.logger.error('Failed to resume playback', err);
             });
         } else {
-            currentVideo.pause();
-            this.isPaused = true;
-            this.crossfade.cancel();
+            this.pause();
+        }
+    }
+    
+    pause() {
+        const currentVideo = this.getCurrentElement();
+        if (!currentVideo.src || currentVideo.paused) return;
+        
+        currentVideo.pause();
+        this.isPaused = true;
+        this.crossfade.cancel();
+        this._notifyPlaybackEvent('pause');
+    }
+    
+    async resume() {
+        const currentVideo = this.getCurrentElement();
+        if (!currentVideo.src || !currentVideo.paused) return;
+        
+        await currentVideo.play();
+        this.isPaused = false;
+        
+        // Reschedule crossfade
+        if (this._hasScheduledTransitions()) {
+            this._scheduleCrossfade(currentVideo);
         }
+        
+        this._notifyPlaybackEvent('resume');
     }
     
     setSpeed(speed) {
+        if (this._isSynced()) {
+            this.logger.log('Playback speed is fixed in a sync group');
+            return;
+        }
+        
         this.playbackSpeed = Math.max(this.config.playback.minSpeed, 
                                      Math.min(this.config.playback.maxSpeed, speed));
         
@@ -717,6 +746,9 @@ export default class VideoPlayer {
             if (this.config.crossfade.enabled && !this.isPaused) {
                 this._scheduleCrossfade(currentVideo);
             }
+            
+            // Position reports extrapolate with the speed
+            this._notifyPlaybackEvent('progress');
         }
     }
     
@@ -726,6 +758,15 @@ export default class VideoPlayer {
             const newTime = Math.max(0, Math.min(currentVideo.duration - 0.1, 
                                                   currentVideo.currentTime + seconds));
             currentVideo.currentTime = newTime;
+            this._notifyPlaybackEvent('seek');
+        }
+    }
+    
+    seek(position) {
+        const currentVideo = this.getCurrentElement();
+        if (currentVideo.src && currentVideo.duration) {
+            currentVideo.currentTime = Math.max(0, Math.min(currentVideo.duration - 0.1, position));
+            this._notifyPlaybackEvent('seek');
         }
     }
     
@@ -743,9 +784,11 @@ export default class VideoPlayer {
                 });
             }
             
-            if (this.config.crossfade.enabled) {
+            if (this._hasScheduledTransitions()) {
                 this._scheduleCrossfade(currentVideo);
             }
+            
+            this._notifyPlaybackEvent('seek');
         }
     }
     
@@ -754,7 +797,11 @@ export default class VideoPlayer {
     }
     
     toggleMute() {
-        this.isMuted = !this.isMuted;
+        this.setMuted(!this.isMuted);
+    }
+    
+    setMuted(muted) {
+        this.isMuted = muted;
         const currentVideo = this.getCurrentElement();
         if (currentVideo.src) {
             currentVideo.muted = this.isMuted;
@@ -765,7 +812,7 @@ export default class VideoPlayer {
         this.config.crossfade.enabled = !this.config.crossfade.enabled;
         this.crossfade.setEnabled(this.config.crossfade.enabled);
         
-        if (this.config.crossfade.enabled && !this.isPaused) {
+        if (this._hasScheduledTransitions() && !this.isPaused) {
             const currentVideo = this.getCurrentElement();
             if (currentVideo.src) {
                 this._scheduleCrossfade(currentVideo);
@@ -778,6 +825,101 @@ export default class VideoPlayer {
         this.blur.setEnabled(this.config.blur.enabled);
     }
     
+    // Sync groups
+    /**
+     * Puts the player in sync group mode. Videos carrying group timing (videoData.sync with server
+     * times startAt, transitionAt and transitionDuration) cross over at the scheduled time, and
+     * correctDrift() keeps the position on the group's timeline. Playback speed is fixed at 1.
+     * @param {Object|null} clock - Provides now() in server time, null to leave sync mode
+     */
+    setSyncClock(clock) {
+        this.syncClock = clock;
+    }
+    
+    /**
+     * Re-applies the current video's group timing after the group moved its transition (e.g. a skip)
+     */
+    refreshSyncedTransition() {
+        const currentVideo = this.getCurrentElement();
+        if (this._isSynced() && currentVideo.src && !this.crossfade.isActive()) {
+            this._scheduleCrossfade(currentVideo);
+        }
+    }
+    
+    /**
+     * Moves the current video towards where the group is. Small drift is absorbed by nudging
+     * playbackRate, drift beyond sync.seekThreshold by seeking. Before the scheduled start the
+     * video waits on its first frame.
+     * @param {number} expectedPosition - Group position in the current video, in seconds
+     * @returns {number|null} Drift in seconds (positive when ahead of the group), null when not corrected
+     */
+    correctDrift(expectedPosition) {
+        const video = this.getCurrentElement();
+        if (!video.src || !video.duration || this.isPaused || this.crossfade.isActive()) {
+            return null;
+        }
+        
+        if (expectedPosition < 0) {
+            this._holdUntilStart(video, -expectedPosition * 1000);
+            return null;
+        }
+        
+        if (expectedPosition >= video.duration) {
+            return null;
+        }
+        
+        const tolerance = this.config.sync?.driftTolerance ?? 0.04;
+        const seekThreshold = this.config.sync?.seekThreshold ?? 1;
+        const maxRateAdjustment = this.config.sync?.maxRateAdjustment ?? 0.05;
+        const drift = video.currentTime - expectedPosition;
+        
+        if (video.paused && !this._syncHoldTimer) {
+            video.play().catch(err => {
+                this.logger.error('Failed to resume synced video', err);
+            });
+        }
+        
+        if (Math.abs(drift) >= seekThreshold) {
+            this.logger.log(`Sync drift ${drift.toFixed(3)}s, seeking to ${expectedPosition.toFixed(2)}s`);
+            video.playbackRate = 1;
+            video.currentTime = expectedPosition;
+        } else if (Math.abs(drift) > tolerance) {
+            // Close the gap over about two seconds without an audible change of pace
+            const adjustment = Math.max(-maxRateAdjustment, Math.min(maxRateAdjustment, drift / 2));
+            video.playbackRate = 1 - adjustment;
+        } else {
+            video.playbackRate = 1;
+        }
+        
+        return drift;
+    }
+    
+    _holdUntilStart(video, delay) {
+        if (this._syncHoldTimer) {
+            return;
+        }
+        
+        video.pause();
+        video.currentTime = 0;
+        
+        this._syncHoldTimer = setTimeout(() => {
+            this._syncHoldTimer = null;
+            if (!this.isPaused && video === this.getCurrentElement()) {
+                video.play().catch(err => {
+                    this.logger.error('Failed to start synced video', err);
+                });
+            }
+        }, delay);
+    }
+    
+    _isSynced() {
+        return !!(this.syncClock && this.currentVideo?.sync);
+    }
+    
+    _hasScheduledTransitions() {
+        return this.config.crossfade.enabled || this._isSynced();
+    }
+    
     // Getters
     getCurrentVideo() {
         return this.currentVideo;
@@ -795,6 +937,8 @@ export default class VideoPlayer {
             isLooping: this.isLooping,
             isPaused: this.isPaused || (currentElement.src && currentElement.paused),
             isMuted: this.isMuted,
+            currentTime: currentElement.src ? currentElement.currentTime : 0,
+            duration: currentElement.src && Number.isFinite(currentElement.duration) ? currentElement.duration : null,
             isTransitioning: this._transitionLock,
             crossfadeActive: this.crossfade.isActive(),
             crossfadeEnabled: this.config.crossfade.enabled,
@@ -819,9 +963,23 @@ export default class VideoPlayer {
         this.onVideoStartedPlayingCallback = callback;
     }
     
+    /**
+     * Called with 'start', 'pause', 'resume', 'seek', 'progress' (speed change) or 'end'
+     */
+    onPlaybackEvent(callback) {
+        this.onPlaybackEventCallback = callback;
+    }
+    
+    _notifyPlaybackEvent(event) {
+        if (this.onPlaybackEventCallback && this.currentVideo) {
+            this.onPlaybackEventCallback(event);
+        }
+    }
+    
     // Cleanup
     cleanup() {
         this.crossfade.cancel();
+        clearTimeout(this._syncHoldTimer);
         
         [this.video1, this.video2].forEach(video => {
             this._cleanupVideo(video);
@@ -0,0 +1,112 @@
+export default class VideoSource {
+    /**
+     * Whether this browser plays HLS in a plain <video> element (Safari, webOS, recent Chromium)
+     */
+    static canPlayHls() {
+        if (VideoSource.hlsSupport === undefined) {
+            const probe = document.createElement('video');
+            VideoSource.hlsSupport = probe.canPlayType('application/vnd.apple.mpegurl') !== '' ||
+                probe.canPlayType('application/x-mpegURL') !== '';
+        }
+        
+        return VideoSource.hlsSupport;
+    }
+    
+    /**
+     * Whether to play a video's HLS package instead of its MP4
+     * @param {Object} videoData - Video from the server
+     * @param {Object} config - Client configuration, uses video.hls.playback ("auto" or "off")
+     */
+    static usesHls(videoData, config) {
+        return !!videoData.hlsUrl && config?.video?.hls?.playback !== 'off' && VideoSource.canPlayHls();
+    }
+    
+    /**
+     * URL to load a video from: the HLS master playlist when negotiated, the processed MP4
+     * over HTTP otherwise, or the local file in Electron mode
+     * @param {Object} videoData - Video with hlsUrl, serverUrl or processedPath
+     * @param {Object} config - Client configuration
+     * @returns {string} Absolute URL
+     */
+    static getUrl(videoData, config) {
+        if (VideoSource.usesHls(videoData, config)) {
+            return VideoSource.toAbsolute(videoData.hlsUrl);
+        }
+        
+        if (videoData.serverUrl) {
+            return VideoSource.toAbsolute(videoData.serverUrl);
+        }
+        
+        return `file://${videoData.processedPath}`;
+    }
+    
+    /**
+     * What this player decodes and outputs, reported to the server so it hands out videos in a
+     * form the player plays (see ServerAPI.reportCapabilities)
+     * @returns {Object} { mediaTypes: { type: supported }, hls, maxWidth, maxHeight, audioChannels }
+     */
+    static detectCapabilities() {
+        const types = [
+            'video/mp4; codecs="avc1.640028"', // H.264 High 4.0 (1080p)
+            'video/mp4; codecs="avc1.640033"', // H.264 High 5.1 (2160p)
+            'video/mp4; codecs="hvc1.1.6.L150.B0"', // HEVC Main
+            'video/mp4; codecs="vp09.00.40.08"', // VP9 profile 0
+            'video/mp4; codecs="av01.0.08M.08"', // AV1 Main
+            'audio/mp4; codecs="mp4a.40.2"',
+            'audio/mp4; codecs="ac-3"',
+            'audio/mp4; codecs="ec-3"',
+            'audio/mp4; codecs="opus"'
+        ];
+        const probe = document.createElement('video');
+        const mediaTypes = {};
+        
+        for (const type of types) {
+            let supported = probe.canPlayType(type) !== '';
+            try {
+                supported = supported || (!!window.MediaSource && MediaSource.isTypeSupported(type));
+            } catch (error) {
+                // Older engines throw for codec strings they do not know
+            }
+            mediaTypes[type] = supported;
+        }
+        
+        const pixelRatio = window.devicePixelRatio || 1;
+        
+        return {
+            mediaTypes,
+            hls: VideoSource.canPlayHls(),
+            maxWidth: Math.round((window.screen?.width || 1920) * pixelRatio),
+            maxHeight: Math.round((window.screen?.height || 1080) * pixelRatio),
+            audioChannels: VideoSource.detectAudioChannels()
+        };
+    }
+    
+    /**
+     * Channels the audio output takes, 2 when the browser does not tell
+     */
+    static detectAudioChannels() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return 2;
+        }
+        
+        try {
+            const context = new AudioContextClass();
+            const channels = context.destination.maxChannelCount || 2;
+            if (context.close) {
+                context.close();
+            }
+            return channels;
+        } catch (error) {
+            return 2;
+        }
+    }
+    
+    static toAbsolute(url) {
+        if (url.startsWith('http')) {
+            return url;
+        }
+        
+        return window.location.origin + (url.startsWith('/') ? url : '/' + url);
+    }
+}
@@ -1,3 +1,5 @@
+import VideoSource from '../player/videoSource.js';
+
 export default class PlaybackQueue {
     constructor(logger, config) {
         this.logger = logger;
@@ -190,17 +192,8 @@ export default class PlaybackQueue {
                 return;
             }
             
-            // Construct video URL properly
-            let videoUrl;
-            if (videoData.serverUrl) {
-                // Web mode - use HTTP URL
-                videoUrl = videoData.serverUrl.startsWith('http') ? 
-                    videoData.serverUrl : 
-                    `${window.location.origin}${videoData.serverUrl}`;
-            } else {
-                // Electron mode - use file URL
-                videoUrl = `file://${videoData.processedPath}`;
-            }
+            // Test the source the player will load
+            const videoUrl = VideoSource.getUrl(videoData, this.config);
             
             this.logger.log(`Testing video playability: ${videoUrl}`);
             this.testVideo.src = videoUrl;
@@ -280,12 +273,13 @@ export default class PlaybackQueue {
         const videoWithTiming = videoData.crossfadeTiming ? 
             videoData : this.addCrossfadeTiming(videoData);
         
-        this.queue.unshift(videoWithTiming);
+        // Pinned videos still play first
+        this.queue.splice(this.getPinnedCount(), 0, videoWithTiming);
         this.logger.log(`Added back to queue: ${videoWithTiming.filename} (total: ${this.queue.length})`);
         
-        // Remove oldest if significantly over capacity
+        // Remove oldest if significantly over capacity, never a pinned one
         const maxSize = this.minSize + Math.floor(this.minSize * 0.2);
-        if (this.queue.length > maxSize) {
+        if (this.queue.length > maxSize && !this.queue[this.queue.length - 1].pinned) {
             const removed = this.queue.pop();
             this.logger.log(`Queue over capacity, removed: ${removed.filename}`);
         }
@@ -293,6 +287,131 @@ export default class PlaybackQueue {
         return true;
     }
     
+    /**
+     * Inserts a video picked through the server's enqueue API. The video's URLs are fetched for
+     * this player first; the crossfade takes the next video from the front of the queue when it
+     * starts, so position 0 plays right after the current video (and any pinned videos).
+     * @param {Object} videoData - Processed video from the server
+     * @param {number} position - Number of queued videos to play before it
+     * @returns {Promise<Object>} { position, upcoming }
+     */
+    async enqueue(videoData, position = 0) {
+        const processed = await window.electronAPI.ensureVideoProcessed(videoData);
+        if (!processed || !processed.processedPath) {
+            throw new Error(`Video not available: ${videoData?.filename}`);
+        }
+        
+        // A pick that is already queued moves instead of playing twice
+        this.queue = this.queue.filter(v => v.originalPath !== processed.originalPath);
+        
+        const index = Math.min(Math.max(this.getPinnedCount(), position), this.queue.length);
+        const videoWithTiming = processed.crossfadeTiming ? processed : this.addCrossfadeTiming(processed);
+        
+        this.queue.splice(index, 0, videoWithTiming);
+        this.logger.log(`Enqueued: ${videoWithTiming.filename} at position ${index} (total: ${this.queue.length})`);
+        
+        return { position: index, upcoming: this.getUpcoming() };
+    }
+    
+    /**
+     * Removes, moves, pins or skips a queued video. Pinned videos stay at the front of the queue,
+     * ahead of the others; a skip counts as a manual skip. The video a running crossfade took is
+     * no longer in the queue, so edits never change what is fading in.
+     * @param {string} action - 'remove', 'move', 'pin' or 'skip'
+     * @param {Object} edit - { originalPath, position: new index for move, pinned: for pin
+     *                        (toggles without) }
+     * @returns {Promise<Object>} { upcoming }
+     */
+    async edit(action, { originalPath, position = 0, pinned } = {}) {
+        const index = this.queue.findIndex(v => v.originalPath === originalPath);
+        if (index === -1) {
+            throw new Error(`Not in the playback queue: ${originalPath}`);
+        }
+        
+        const video = this.queue[index];
+        
+        if (action === 'remove' || action === 'skip') {
+            this.queue.splice(index, 1);
+            this.logger.log(`${action === 'skip' ? 'Skipped' : 'Removed'} from queue: ${video.filename} (remaining: ${this.queue.length})`);
+            
+            if (action === 'skip') {
+                await window.electronAPI.videoSkippedManual(video);
+            }
+            
+            if (this.queue.length < this.minSize && !this.isLoading) {
+                const refillDelay = this.config.timeouts?.queueRefillDelay || 100;
+                setTimeout(() => this.fill(), refillDelay);
+            }
+        } else if (action === 'move') {
+            position = Number(position);
+            if (!Number.isInteger(position) || position < 0) {
+                throw new Error('position must be a whole number >= 0');
+            }
+            
+            // Pinned videos move among the pinned ones, the others after them
+            this.queue.splice(index, 1);
+            const pinnedCount = this.getPinnedCount();
+            const target = video.pinned ?
+                Math.min(position, pinnedCount) :
+                Math.min(Math.max(position, pinnedCount), this.queue.length);
+            this.queue.splice(target, 0, video);
+            this.logger.log(`Moved in queue: ${video.filename} to position ${target}`);
+        } else if (action === 'pin') {
+            video.pinned = pinned === undefined ? !video.pinned : !!pinned;
+            
+            // Goes to the end of the pinned videos, or stays first of the others when unpinned
+            this.queue.splice(index, 1);
+            this.queue.splice(this.getPinnedCount(), 0, video);
+            this.logger.log(`${video.pinned ? 'Pinned' : 'Unpinned'} in queue: ${video.filename}`);
+        } else {
+            throw new Error(`Unknown queue action: ${action}`);
+        }
+        
+        return { upcoming: this.getUpcoming() };
+    }
+    
+    getPinnedCount() {
+        return this.queue.filter(v => v.pinned).length;
+    }
+    
+    /**
+     * Queued videos in play order
+     */
+    getUpcoming() {
+        return this.queue.map(video => ({
+            key: `player:${video.originalPath}`,
+            status: 'ready',
+            filename: video.filename,
+            originalPath: video.originalPath,
+            duration: video.metadata?.duration || null,
+            enqueued: !!video.enqueuedAt,
+            pinned: !!video.pinned
+        }));
+    }
+    
+    /**
+     * Drops videos whose source files were removed from the index
+     * @param {string[]} libraryIds - Library ids from the 'index-updated' event
+     */
+    removeVideos(libraryIds) {
+        const removeSet = new Set(libraryIds);
+        const before = this.queue.length;
+        
+        this.queue = this.queue.filter(v => !removeSet.has(v.libraryId));
+        
+        const removedCount = before - this.queue.length;
+        if (removedCount > 0) {
+            this.logger.log(`Removed ${removedCount} deleted videos from playback queue (remaining: ${this.queue.length})`);
+            
+            if (this.queue.length < this.minSize && !this.isLoading) {
+                const refillDelay = this.config.timeouts?.queueRefillDelay || 100;
+                setTimeout(() => this.fill(), refillDelay);
+            }
+        }
+        
+        return removedCount;
+    }
+    
     startMonitoring() {
         const monitorInterval = this.config.timeouts?.queueMonitorInterval || 30000;
         
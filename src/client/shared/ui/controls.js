@@ -1,3 +1,11 @@
+// Shown when a rating is set
+const RATING_LABELS = {
+    favorite: '⭐ Favorite',
+    like: '👍 Like',
+    dislike: '👎 Dislike',
+    ban: '⛔ Banned'
+};
+
 export default class Controls {
     constructor(logger, config, videoPlayer, overlays) {
         this.logger = logger;
@@ -10,6 +18,7 @@ export default class Controls {
         this.onPreviousVideoCallback = null;
         this.getQueueSize = null;
         this.playbackQueue = null;
+        this.queuePanel = null;
         
         // Prevent double-triggering
         this._commandInProgress = false;
@@ -37,7 +46,7 @@ export default class Controls {
             
             // Trigger the callback with the previous video
             if (this.onPreviousVideoCallback) {
-                this.onPreviousVideoCallback(previousVideo);
+                await this.onPreviousVideoCallback(previousVideo);
             }
             
         } catch (error) {
@@ -100,6 +109,12 @@ export default class Controls {
     handleKeyDown(event) {
         const key = event.key.toLowerCase();
         
+        // The open upcoming panel takes the arrows and its edit keys
+        if (this.queuePanel?.isOpen() && this.queuePanel.handleKey(key, event.shiftKey)) {
+            event.preventDefault();
+            return;
+        }
+        
         // Handle all our keys
         const handlers = {
             'escape': () => this.quit(),
@@ -120,7 +135,12 @@ export default class Controls {
             'arrowright': () => this.skipForward(),
             'arrowleft': () => this.skipBackward(),
             'i': () => this.showInfo(),
-            't': () => this.showTitle()
+            't': () => this.showTitle(),
+            'u': () => this.toggleQueuePanel(),
+            '1': () => this.rate('favorite'),
+            '2': () => this.rate('like'),
+            '3': () => this.rate('dislike'),
+            '4': () => this.rate('ban')
         };
         
         if (handlers[key]) {
@@ -176,6 +196,36 @@ quit() {
         this.overlays.toggleControls();
     }
     
+    toggleQueuePanel() {
+        if (this.queuePanel) {
+            this.queuePanel.toggle();
+        }
+    }
+    
+    /**
+     * Rates the playing video; giving the rating it already has clears it. A banned video is
+     * skipped right away.
+     */
+    async rate(rating) {
+        const current = this.videoPlayer.getCurrentVideo();
+        if (!current || !window.electronAPI?.rateVideo) {
+            return;
+        }
+        
+        try {
+            const previous = await window.electronAPI.getRating(current);
+            const result = await window.electronAPI.rateVideo(current, previous.rating === rating ? null : rating);
+            this.overlays.showInfo(RATING_LABELS[result.rating] || 'Rating cleared', current.filename);
+            
+            if (result.rating === 'ban') {
+                this.nextVideo();
+            }
+        } catch (error) {
+            this.logger.error('Failed to rate video', error);
+            this.overlays.showError('Could not save the rating');
+        }
+    }
+    
     playPause() {
         this.videoPlayer.togglePlayPause();
         const state = this.videoPlayer.getState();
@@ -271,6 +321,10 @@ quit() {
         this.playbackQueue = playbackQueue;
     }
     
+    setQueuePanel(queuePanel) {
+        this.queuePanel = queuePanel;
+    }
+    
     cleanup() {
         if (this.keyHandler) {
             document.removeEventListener('keydown', this.keyHandler);
@@ -135,8 +135,10 @@ async updateDebug() {
             document.getElementById('debugEffects').textContent = 
                 `Crossfade: ${playerState.crossfadeEnabled ? 'on' : 'off'}, Blur: ${playerState.blurEnabled ? 'on' : 'off'}`;
             
+            const shuffleBag = stats.selection?.shuffleBag;
             document.getElementById('debugSession').textContent = 
-                `Played: ${stats.videosPlayedThisSession}, Errors: ${stats.videosSkippedErrors}, Skips: ${stats.videosSkippedManual}`;
+                `Played: ${stats.videosPlayedThisSession}, Errors: ${stats.videosSkippedErrors}, Skips: ${stats.videosSkippedManual}` +
+                (shuffleBag ? `, Shuffle bag: ${shuffleBag.played}/${shuffleBag.total} (cycle ${shuffleBag.cycle})` : '');
             
         } catch (error) {
             this.logger.error('Failed to update debug overlay', error);
@@ -0,0 +1,226 @@
+import { formatDuration } from '../utils/formatter.js';
+
+// Entries loaded from the server's preprocessed queue
+const SERVER_ENTRIES = 20;
+
+export default class QueuePanel {
+    /**
+     * Overlay listing what plays next: this player's playback queue, then the server's
+     * preprocessed queue with the preprocessing status of each video. The selected entry can be
+     * removed, moved, pinned (played before unpinned ones) or skipped.
+     */
+    constructor(logger, config, playbackQueue) {
+        this.logger = logger;
+        this.config = config;
+        this.playbackQueue = playbackQueue;
+        
+        this.panel = document.getElementById('queuePanel');
+        this.list = document.getElementById('queuePanelList');
+        this.status = document.getElementById('queuePanelStatus');
+        
+        this.visible = false;
+        this.entries = [];
+        this.selectedKey = null;
+        this.refreshInterval = null;
+    }
+    
+    isOpen() {
+        return this.visible;
+    }
+    
+    toggle() {
+        if (this.visible) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    open() {
+        if (!this.panel) return;
+        
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.setStatus('');
+        this.refresh();
+        
+        if (!this.refreshInterval) {
+            const interval = this.config.timeouts?.queuePanelRefreshInterval || 2000;
+            this.refreshInterval = setInterval(() => this.refresh(), interval);
+        }
+    }
+    
+    close() {
+        this.visible = false;
+        
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+    
+    /**
+     * Keyboard handling while the panel is open
+     * @returns {boolean} Whether the key was used by the panel
+     */
+    handleKey(key, shiftKey = false) {
+        const handlers = {
+            'arrowup': () => shiftKey ? this.moveSelected(-1) : this.select(-1),
+            'arrowdown': () => shiftKey ? this.moveSelected(1) : this.select(1),
+            'x': () => this.editSelected('remove'),
+            'delete': () => this.editSelected('remove'),
+            'p': () => this.editSelected('pin'),
+            's': () => this.editSelected('skip'),
+            'u': () => this.close(),
+            'escape': () => this.close()
+        };
+        
+        if (!handlers[key]) {
+            return false;
+        }
+        
+        handlers[key]();
+        return true;
+    }
+    
+    async refresh() {
+        if (!this.visible) return;
+        
+        const local = this.playbackQueue.getUpcoming().map(entry => ({ ...entry, source: 'player' }));
+        let server = [];
+        
+        try {
+            const upcoming = await window.electronAPI.getUpcoming(SERVER_ENTRIES);
+            server = (upcoming.server || []).map(entry => ({ ...entry, source: 'server' }));
+        } catch (error) {
+            this.logger.error('Failed to load the server queue', error);
+        }
+        
+        // A removed or played selection passes to the entry that took its place
+        const previousIndex = Math.max(0, this.entries.findIndex(entry => entry.key === this.selectedKey));
+        this.entries = [...local, ...server];
+        
+        if (!this.entries.some(entry => entry.key === this.selectedKey)) {
+            const index = Math.min(previousIndex, this.entries.length - 1);
+            this.selectedKey = index >= 0 ? this.entries[index].key : null;
+        }
+        
+        this.render();
+    }
+    
+    render() {
+        if (!this.list) return;
+        
+        this.list.innerHTML = '';
+        this.renderSection('On this screen', this.entries.filter(entry => entry.source === 'player'));
+        this.renderSection('Preparing on the server', this.entries.filter(entry => entry.source === 'server'));
+    }
+    
+    renderSection(title, entries) {
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        this.list.appendChild(heading);
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-entry empty';
+            empty.textContent = 'Nothing queued';
+            this.list.appendChild(empty);
+            return;
+        }
+        
+        entries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = `queue-entry ${entry.status}${entry.key === this.selectedKey ? ' selected' : ''}`;
+            
+            const name = document.createElement('span');
+            name.className = 'queue-entry-name';
+            name.textContent = `${index + 1}. ${entry.pinned ? '📌 ' : ''}${entry.filename}`;
+            
+            const detail = document.createElement('span');
+            detail.className = 'queue-entry-detail';
+            detail.textContent = this.describe(entry);
+            
+            row.appendChild(name);
+            row.appendChild(detail);
+            this.list.appendChild(row);
+            
+            if (entry.key === this.selectedKey) {
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+    
+    describe(entry) {
+        switch (entry.status) {
+            case 'processing':
+                return `${entry.percent || 0}%`;
+            case 'pending':
+                return 'waiting';
+            case 'failed':
+                return `failed: ${entry.error}`;
+            default:
+                return entry.duration ? formatDuration(entry.duration) : '';
+        }
+    }
+    
+    setStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+    
+    select(delta) {
+        if (this.entries.length === 0) return;
+        
+        const index = this.entries.findIndex(entry => entry.key === this.selectedKey);
+        const next = Math.min(Math.max(index + delta, 0), this.entries.length - 1);
+        this.selectedKey = this.entries[next].key;
+        this.render();
+    }
+    
+    getSelected() {
+        return this.entries.find(entry => entry.key === this.selectedKey) || null;
+    }
+    
+    async moveSelected(delta) {
+        const entry = this.getSelected();
+        if (!entry) return;
+        
+        // Positions count within the entry's own list
+        const position = this.entries.filter(other => other.source === entry.source).indexOf(entry) + delta;
+        if (position < 0) return;
+        
+        await this.editSelected('move', { position });
+    }
+    
+    /**
+     * Applies an edit to the selected entry; this player's own entries are edited locally,
+     * the others through the server
+     */
+    async editSelected(action, options = {}) {
+        const entry = this.getSelected();
+        if (!entry) return;
+        
+        try {
+            if (entry.source === 'player') {
+                await this.playbackQueue.edit(action, { originalPath: entry.originalPath, ...options });
+            } else {
+                await window.electronAPI.editUpcoming(action, { key: entry.key, ...options });
+            }
+            this.setStatus('');
+        } catch (error) {
+            this.logger.error(`Queue ${action} failed for ${entry.filename}`, error);
+            this.setStatus(error.message);
+        }
+        
+        await this.refresh();
+    }
+    
+    cleanup() {
+        this.close();
+    }
+}
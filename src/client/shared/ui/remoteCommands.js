@@ -0,0 +1,138 @@
+export default class RemoteCommands {
+    constructor(logger, config, videoPlayer, overlays) {
+        this.logger = logger;
+        this.config = config;
+        this.videoPlayer = videoPlayer;
+        this.overlays = overlays;
+        this.playbackQueue = null;
+        
+        // Callbacks
+        this.onNextVideoCallback = null;
+        this.onPreviousVideoCallback = null;
+        this.onEnqueueCallback = null;
+    }
+    
+    /**
+     * Starts listening for commands sent through the server's remote control API
+     */
+    start() {
+        window.electronAPI.on('control-command', (command) => this.handleCommand(command));
+        this.logger.log('Listening for remote control commands');
+    }
+    
+    async handleCommand(command) {
+        const { id, command: name, params = {} } = command || {};
+        this.logger.log(`Remote command: ${name} ${JSON.stringify(params)}`);
+        
+        const ack = { id, success: true, error: null, state: null, result: null };
+        
+        try {
+            ack.result = (await this.execute(name, params)) || null;
+        } catch (error) {
+            this.logger.error(`Remote command failed: ${name}`, error);
+            ack.success = false;
+            ack.error = error.message;
+        }
+        
+        ack.state = this.videoPlayer.getState();
+        
+        try {
+            await window.electronAPI.controlAck(ack);
+        } catch (error) {
+            this.logger.error('Failed to acknowledge remote command', error);
+        }
+    }
+    
+    async execute(name, params) {
+        const handlers = {
+            'next': async () => {
+                if (this.onNextVideoCallback) {
+                    await this.onNextVideoCallback();
+                }
+                this.overlays.showStatus('⏭️');
+            },
+            'previous': async () => {
+                if (this.onPreviousVideoCallback) {
+                    await this.onPreviousVideoCallback();
+                }
+                this.overlays.showStatus('⏮️');
+            },
+            'pause': () => {
+                this.videoPlayer.pause();
+                this.overlays.showStatus('⏸️');
+            },
+            'resume': async () => {
+                await this.videoPlayer.resume();
+                this.overlays.showStatus('▶️');
+            },
+            'seek': () => {
+                if (params.position !== undefined) {
+                    this.videoPlayer.seek(params.position);
+                } else {
+                    this.videoPlayer.skip(params.offset);
+                }
+            },
+            'setSpeed': () => {
+                this.videoPlayer.setSpeed(params.speed);
+                this.overlays.showStatus(`${this.videoPlayer.getState().playbackSpeed}x`);
+            },
+            'toggleLoop': () => {
+                this.videoPlayer.toggleLoop();
+                this.overlays.showStatus(this.videoPlayer.getState().isLooping ? '🔄' : '↗️');
+            },
+            'mute': () => {
+                const muted = params.muted !== undefined ? params.muted : !this.videoPlayer.getState().isMuted;
+                this.videoPlayer.setMuted(muted);
+                this.overlays.showStatus(muted ? '🔇' : '🔊');
+            },
+            // Sent by the server's enqueue API, not by /api/control; the ack carries the upcoming list
+            'enqueue': async () => {
+                if (!this.onEnqueueCallback || !params.video) {
+                    throw new Error('This player does not take enqueued videos');
+                }
+                
+                const result = await this.onEnqueueCallback(params.video, params.position || 0);
+                this.overlays.showInfo(result.position === 0 ? 'Up next' : `Queued at position ${result.position + 1}`, params.video.filename);
+                return result;
+            },
+            // Sent by the server's upcoming API to list and edit this player's queue
+            'queue-list': () => {
+                return { upcoming: this.getPlaybackQueue().getUpcoming() };
+            },
+            'queue-edit': () => {
+                const { action, originalPath, position, pinned } = params;
+                return this.getPlaybackQueue().edit(action, { originalPath, position, pinned });
+            }
+        };
+        
+        if (!handlers[name]) {
+            throw new Error(`Unsupported command: ${name}`);
+        }
+        
+        return handlers[name]();
+    }
+    
+    getPlaybackQueue() {
+        if (!this.playbackQueue) {
+            throw new Error('This player has no playback queue');
+        }
+        return this.playbackQueue;
+    }
+    
+    setPlaybackQueue(playbackQueue) {
+        this.playbackQueue = playbackQueue;
+    }
+    
+    // Callback setters
+    onNextVideo(callback) {
+        this.onNextVideoCallback = callback;
+    }
+    
+    onPreviousVideo(callback) {
+        this.onPreviousVideoCallback = callback;
+    }
+    
+    onEnqueue(callback) {
+        this.onEnqueueCallback = callback;
+    }
+}
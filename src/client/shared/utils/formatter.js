@@ -31,6 +31,10 @@ export function formatVideoDetails(metadata) {
     
     if (metadata.hasAudio) {
         parts.push(`Audio: ${metadata.audioChannels}ch`);
+        
+        if (metadata.loudness) {
+            parts.push(`${metadata.loudness.measuredI} LUFS`);
+        }
     } else {
         parts.push('No audio');
     }
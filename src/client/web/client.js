@@ -5,6 +5,11 @@ import PlaybackQueue from '../shared/queue/playbackQueue.js';
 import OverlayAnchorManager from '../shared/ui/overlayAnchorManager.js';
 import Overlays from '../shared/ui/overlays.js';
 import Controls from '../shared/ui/controls.js';
+import RemoteCommands from '../shared/ui/remoteCommands.js';
+import QueuePanel from '../shared/ui/queuePanel.js';
+import NowPlayingReporter from '../shared/player/nowPlayingReporter.js';
+import SyncPlayback from '../shared/player/syncPlayback.js';
+import VideoSource from '../shared/player/videoSource.js';
 import ServerAPI from './serverAPI.js';
 
 class VideoPlayerWebClient {
@@ -17,6 +22,10 @@ class VideoPlayerWebClient {
         this.playbackQueue = null;
         this.overlays = null;
         this.controls = null;
+        this.remoteCommands = null;
+        this.queuePanel = null;
+        this.nowPlayingReporter = null;
+        this.syncPlayback = null;
         this.config = {};
         
         this.isPlaybackActive = false;
@@ -88,8 +97,11 @@ class VideoPlayerWebClient {
     
     async initialize() {
         try {
-            // Initialize server API connection
-            this.serverAPI = new ServerAPI(this.logger);
+            // Initialize server API connection (?session=name picks the server session for this screen)
+            const sessionName = new URLSearchParams(window.location.search).get('session');
+            this.serverAPI = new ServerAPI(this.logger, null, sessionName, {
+                capabilities: VideoSource.detectCapabilities()
+            });
             
             // Wait for connection
             await this.waitForConnection();
@@ -107,6 +119,14 @@ class VideoPlayerWebClient {
             this.videoPlayer = new VideoPlayer(this.logger, this.config);
             this.playbackQueue = new PlaybackQueue(this.logger, this.config);
             this.controls = new Controls(this.logger, this.config, this.videoPlayer, this.overlays);
+            this.remoteCommands = new RemoteCommands(this.logger, this.config, this.videoPlayer, this.overlays);
+            this.queuePanel = new QueuePanel(this.logger, this.config, this.playbackQueue);
+            this.nowPlayingReporter = new NowPlayingReporter(this.logger, this.config, this.videoPlayer);
+            
+            // Sessions defined with "sync": true play in lockstep on all their screens
+            if (sessionName && this.config.sessions?.definitions?.[sessionName]?.sync) {
+                this.syncPlayback = new SyncPlayback(this.logger, this.config, this.videoPlayer, this.serverAPI);
+            }
             
             this.connectComponents();
             this.setupEventListeners();
@@ -165,15 +185,21 @@ class VideoPlayerWebClient {
             ensureVideoProcessed: (videoData) => this.serverAPI.ensureVideoProcessed(videoData),
             videoEnded: (videoData) => this.serverAPI.videoEnded(videoData),
             videoError: (errorMsg) => this.serverAPI.videoError(errorMsg),
-            videoSkippedManual: () => this.serverAPI.videoSkippedManual(),
+            videoSkippedManual: (videoData) => this.serverAPI.videoSkippedManual(videoData),
             videoReturnedToPrevious: () => this.serverAPI.videoReturnedToPrevious(),
             getPreviousVideo: () => this.serverAPI.getPreviousVideo(),
             addToHistory: (videoData) => this.serverAPI.addToHistory(videoData),
             getQueueStatus: () => this.serverAPI.getQueueStatus(),
             getDetailedStats: () => this.serverAPI.getDetailedStats(),
+            getUpcoming: (limit) => this.serverAPI.getUpcoming(limit),
+            editUpcoming: (action, edit) => this.serverAPI.editUpcoming(action, edit),
+            getRating: (videoData) => this.serverAPI.getRating(videoData),
+            rateVideo: (videoData, rating) => this.serverAPI.rateVideo(videoData, rating),
             getInitializationStatus: () => this.serverAPI.getInitializationStatus(),
             startInitialization: () => this.serverAPI.startInitialization(),
             quitApplication: () => this.serverAPI.quitApplication(),
+            controlAck: (ack) => this.serverAPI.sendControlAck(ack),
+            reportNowPlaying: (report) => this.serverAPI.reportNowPlaying(report),
             on: (channel, callback) => this.serverAPI.on(channel, callback),
             removeListener: (channel) => this.serverAPI.removeListener(channel)
         };
@@ -189,7 +215,7 @@ class VideoPlayerWebClient {
             }
         });
         this.videoPlayer.onVideoError((error) => this.handleVideoError(error));
-        this.videoPlayer.onNeedNextVideo(() => this.playbackQueue.getNext());
+        this.videoPlayer.onNeedNextVideo(() => this.syncPlayback ? this.syncPlayback.getNext() : this.playbackQueue.getNext());
         this.videoPlayer.onVideoStartedPlaying((videoData, isFirstVideo) => {
             this.logger.log(`=== VIDEO STARTED PLAYING CALLBACK ===`);
             this.logger.log(`Video: ${videoData?.filename || 'unknown'}`);
@@ -229,6 +255,23 @@ class VideoPlayerWebClient {
         this.controls.onPreviousVideo((previousVideo) => this.handleManualPrevious(previousVideo));
         this.controls.setQueueSizeGetter(() => this.playbackQueue?.getSize() || 0);
         this.controls.setPlaybackQueue(this.playbackQueue);
+        this.controls.setQueuePanel(this.queuePanel);
+        
+        // Remote control API commands
+        this.remoteCommands.onNextVideo(() => this.handleManualNext());
+        this.remoteCommands.onPreviousVideo(() => this.controls.previousVideo());
+        this.remoteCommands.setPlaybackQueue(this.playbackQueue);
+        this.remoteCommands.onEnqueue((video, position) => {
+            // Sync groups play the group's timeline, not the local queue
+            if (this.syncPlayback) {
+                throw new Error('Sync group players do not take enqueued videos');
+            }
+            return this.playbackQueue.enqueue(video, position);
+        });
+        this.remoteCommands.start();
+        
+        // Playback events for the server's now-playing state
+        this.nowPlayingReporter.start();
         
         // FALLBACK: Monitor video elements directly for playing events
         this.setupVideoElementMonitoring();
@@ -336,6 +379,13 @@ class VideoPlayerWebClient {
     
     async startVideoPlayback() {
         try {
+            if (this.syncPlayback) {
+                this.loadingScreen.updateText(`Joining sync group "${this.serverAPI.sessionName}"...`);
+                await this.syncPlayback.start(this.serverAPI.sessionName);
+                this.isPlaybackActive = true;
+                return;
+            }
+            
             this.logger.log('Building initial queue...');
             
             const status = await this.serverAPI.getQueueStatus();
@@ -439,6 +489,14 @@ class VideoPlayerWebClient {
             return;
         }
         
+        // Skipping moves the whole sync group on
+        if (this.syncPlayback) {
+            this.syncPlayback.skip().catch(err => {
+                this.logger.error('Failed to skip in sync group', err);
+            });
+            return;
+        }
+        
         try {
             const currentVideo = this.videoPlayer.getCurrentVideo();
             
@@ -455,7 +513,7 @@ class VideoPlayerWebClient {
             }
             
             // Don't wait for skip notification
-            this.serverAPI.videoSkippedManual().catch(err => {
+            this.serverAPI.videoSkippedManual(currentVideo).catch(err => {
                 this.logger.error('Failed to notify skip', err);
             });
             
@@ -505,6 +563,11 @@ class VideoPlayerWebClient {
         
         this.logger.log('=== PREVIOUS VIDEO REQUEST ===');
         
+        if (this.syncPlayback) {
+            this.overlays.showError('Previous video is not available in a sync group');
+            return;
+        }
+        
         try {
             const currentVideo = this.videoPlayer.getCurrentVideo();
             this.logger.log(`Current video: ${currentVideo?.filename || 'none'}`);
@@ -578,6 +641,12 @@ class VideoPlayerWebClient {
         
         this.logger.log(`Video ended: ${videoData?.filename || 'unknown'}, fromCrossfade: ${fromCrossfade}`);
         
+        // Sync groups follow the server's timeline, which also records the history
+        if (this.syncPlayback) {
+            this.syncPlayback.check();
+            return;
+        }
+        
         try {
             if (videoData) {
                 this.logger.log('Notifying server about video end');
@@ -665,12 +734,22 @@ class VideoPlayerWebClient {
             this.loadingScreen.updateInitialization(initState);
         });
         
+        this.serverAPI.on('index-updated', (update) => {
+            this.logger.log(`Video index updated: +${update.added.length} / -${update.removed.length} (total: ${update.totalVideos})`);
+            if (update.removed.length > 0) {
+                this.playbackQueue?.removeVideos(update.removed.map(v => v.id));
+            }
+        });
+        
         // Cleanup on unload
         window.addEventListener('beforeunload', () => {
             this.isPlaybackActive = false;
             this.overlayAnchorManager.cleanup();
+            this.nowPlayingReporter?.stop();
+            this.syncPlayback?.stop();
             this.videoPlayer?.cleanup();
             this.playbackQueue?.cleanup();
+            this.queuePanel?.cleanup();
             this.controls?.cleanup();
             this.serverAPI?.cleanup();
             
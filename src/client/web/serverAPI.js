@@ -1,7 +1,17 @@
 export default class ServerAPI {
-    constructor(logger, baseUrl = null) {
+    /**
+     * @param {Object} options - { clientType, remoteControl: false } for players that only use the server
+     *                           for a sync group (desktop players joining a web server's group), and
+     *                           token, an API token for servers with authentication (browsers on the
+     *                           server's own origin use the login cookie instead), and capabilities,
+     *                           what the player decodes (VideoSource.detectCapabilities()), so the
+     *                           server hands out videos in a form it plays
+     */
+    constructor(logger, baseUrl = null, sessionName = null, options = {}) {
         this.logger = logger;
-        this.baseUrl = baseUrl || window.location.origin;
+        this.baseUrl = ServerAPI.normalizeBaseUrl(baseUrl || window.location.origin);
+        this.sessionName = sessionName || null; // Server session (screen) this player draws its videos from
+        this.token = options.token || null;
         this.ws = null;
         this.eventListeners = new Map();
         this.connectionState = 'disconnected';
@@ -9,14 +19,36 @@ export default class ServerAPI {
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 2000;
         
-        this.logger.log(`ServerAPI initialized with base URL: ${this.baseUrl}`);
+        // Remote control: players identify themselves so commands can target them
+        this.clientType = options.clientType || (typeof window !== 'undefined' && window.webOS ? 'webos' : 'web');
+        this.clientId = this.getClientId();
+        this.remoteControl = options.remoteControl !== false;
+        this.controlPollTimer = null;
+        this.controlPollInterval = 1000;
+        
+        // Client profiles: the server keeps reported capabilities in memory, so they are sent
+        // again after reconnects and when videos come back without a profile
+        this.capabilities = options.capabilities || null;
+        this.profilesEnabled = false;
+        
+        this.logger.log(`ServerAPI initialized with base URL: ${this.baseUrl}${this.sessionName ? `, session: ${this.sessionName}` : ''}`);
         this.connectWebSocket();
+        this.reportCapabilities();
+    }
+    
+    /**
+     * Accepts http(s):// and ws(s):// server URLs; requests use http(s), the WebSocket the matching ws(s)
+     */
+    static normalizeBaseUrl(url) {
+        return url.trim()
+            .replace(/^ws(s?):\/\//i, 'http$1://')
+            .replace(/\/+$/, '');
     }
     
     // Connection management
     connectWebSocket() {
         try {
-            const wsUrl = this.baseUrl.replace('http', 'ws');
+            const wsUrl = this.baseUrl.replace(/^http/, 'ws') + (this.token ? `/?token=${encodeURIComponent(this.token)}` : '');
             this.logger.log(`=== WEBSOCKET CONNECTION ===`);
             this.logger.log(`WebSocket URL: ${wsUrl}`);
             this.logger.log(`Base URL: ${this.baseUrl}`);
@@ -26,6 +58,7 @@ export default class ServerAPI {
                 this.logger.log('WebOS detected - skipping WebSocket, using HTTP polling only');
                 this.connectionState = 'connected'; // Fake connected state for HTTP-only mode
                 this.updateConnectionStatus('connected');
+                this.startControlPolling();
                 return;
             }
             
@@ -40,6 +73,7 @@ export default class ServerAPI {
                     this.ws.close();
                     this.connectionState = 'connected'; // Use HTTP-only mode
                     this.updateConnectionStatus('connected');
+                    this.startControlPolling();
                 }
             }, 3000); // 3 second timeout
             
@@ -49,6 +83,16 @@ export default class ServerAPI {
                 this.connectionState = 'connected';
                 this.reconnectAttempts = 0;
                 this.updateConnectionStatus('connected');
+                
+                // Register for remote control commands pushed over the WebSocket
+                this.stopControlPolling();
+                if (this.remoteControl) {
+                    this.sendMessage('register', { clientId: this.clientId, clientType: this.clientType });
+                }
+                
+                if (this.profilesEnabled) {
+                    this.reportCapabilities();
+                }
             };
             
             this.ws.onmessage = (event) => {
@@ -65,6 +109,7 @@ export default class ServerAPI {
                 this.logger.log('WebSocket disconnected - continuing with HTTP-only mode');
                 this.connectionState = 'connected'; // Continue with HTTP-only
                 this.updateConnectionStatus('connected');
+                this.startControlPolling();
             };
             
             this.ws.onerror = (error) => {
@@ -72,13 +117,213 @@ export default class ServerAPI {
                 this.logger.log('WebSocket error - falling back to HTTP-only mode');
                 this.connectionState = 'connected'; // Continue with HTTP-only
                 this.updateConnectionStatus('connected');
+                this.startControlPolling();
             };
             
         } catch (error) {
             this.logger.log('WebSocket creation failed - using HTTP-only mode');
             this.connectionState = 'connected'; // Use HTTP-only mode
             this.updateConnectionStatus('connected');
+            this.startControlPolling();
+        }
+    }
+    
+    getClientId() {
+        // Kept for the browser session so a reload is still the same player
+        const storageKey = 'videojuke-client-id';
+        
+        try {
+            const existing = window.sessionStorage.getItem(storageKey);
+            if (existing) {
+                return existing;
+            }
+        } catch (error) {
+            // Storage unavailable, use a per-page id
+        }
+        
+        const clientId = `${this.clientType}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        
+        try {
+            window.sessionStorage.setItem(storageKey, clientId);
+        } catch (error) {
+            // Storage unavailable
+        }
+        
+        return clientId;
+    }
+    
+    isWebSocketOpen() {
+        return this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+    
+    sendMessage(type, data) {
+        if (!this.isWebSocketOpen()) {
+            return false;
         }
+        
+        this.ws.send(JSON.stringify({ type, data }));
+        return true;
+    }
+    
+    // Remote control over HTTP for players without a WebSocket
+    startControlPolling() {
+        if (this.controlPollTimer || !this.remoteControl) {
+            return;
+        }
+        
+        this.logger.log('Polling server for remote control commands');
+        
+        const poll = async () => {
+            // Nothing to do until the player listens for commands
+            if (this.eventListeners.has('control-command')) {
+                try {
+                    const url = `${this.baseUrl}/api/control/commands?clientId=${encodeURIComponent(this.clientId)}&type=${this.clientType}`;
+                    const response = await fetch(url, { headers: this.getAuthHeaders() });
+                    
+                    if (response.ok) {
+                        const { commands } = await response.json();
+                        commands.forEach(command => this.handleMessage({ type: 'control-command', data: command }));
+                    }
+                } catch (error) {
+                    // Server unreachable, keep polling quietly
+                }
+            }
+            
+            if (this.controlPollTimer) {
+                this.controlPollTimer = setTimeout(poll, this.controlPollInterval);
+            }
+        };
+        
+        this.controlPollTimer = setTimeout(poll, 0);
+    }
+    
+    stopControlPolling() {
+        if (this.controlPollTimer) {
+            clearTimeout(this.controlPollTimer);
+            this.controlPollTimer = null;
+        }
+    }
+    
+    async sendControlAck(ack) {
+        if (this.sendMessage('control-ack', ack)) {
+            return true;
+        }
+        
+        return this.post('/api/control/ack', { clientId: this.clientId, ...ack });
+    }
+    
+    async reportNowPlaying(report) {
+        if (this.sendMessage('now-playing', report)) {
+            return true;
+        }
+        
+        // Sent every few seconds, so skip the request logging of post()
+        const response = await fetch(`${this.baseUrl}/api/now-playing`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+            body: JSON.stringify({ clientId: this.clientId, clientType: this.clientType, ...report })
+        });
+        
+        return response.ok;
+    }
+    
+    // Sync groups: over the WebSocket when it is open, otherwise over HTTP with the
+    // answers delivered as the same messages
+    async syncJoin(group, report = null) {
+        const data = { group, clientId: this.clientId, clientType: this.clientType, report };
+        if (this.sendMessage('sync-join', data)) {
+            return true;
+        }
+        
+        // Polled every second, so skip the request logging of post()
+        const response = await fetch(`${this.baseUrl}/api/sync/${encodeURIComponent(group)}/join`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        
+        this.handleMessage(response.ok ?
+            { type: 'sync-state', data: result } :
+            { type: 'sync-error', data: { group, error: result.error } });
+        return response.ok;
+    }
+    
+    async syncPing(id) {
+        if (this.sendMessage('sync-ping', { id })) {
+            return true;
+        }
+        
+        const response = await fetch(`${this.baseUrl}/api/sync/time?id=${id}`, { headers: this.getAuthHeaders() });
+        const pong = await response.json();
+        this.handleMessage({ type: 'sync-pong', data: { id, serverTime: pong.serverTime } });
+        return true;
+    }
+    
+    async syncSkip(group) {
+        if (this.sendMessage('sync-skip', { group, clientId: this.clientId })) {
+            return true;
+        }
+        
+        const state = await this.post(`/api/sync/${encodeURIComponent(group)}/skip`, { clientId: this.clientId });
+        this.handleMessage({ type: 'sync-state', data: state });
+        return true;
+    }
+    
+    async syncLeave(group) {
+        if (this.sendMessage('sync-leave', { group, clientId: this.clientId })) {
+            return true;
+        }
+        
+        return this.post(`/api/sync/${encodeURIComponent(group)}/leave`, { clientId: this.clientId });
+    }
+    
+    /**
+     * Sends this player's capabilities to the server, which works out its delivery profile
+     * @returns {Promise<Object|null>} The profile, or null without capabilities or on failure
+     */
+    async reportCapabilities() {
+        if (!this.capabilities) {
+            return null;
+        }
+        
+        try {
+            const result = await this.post('/api/capabilities', {
+                clientId: this.clientId,
+                clientType: this.clientType,
+                capabilities: this.capabilities
+            });
+            
+            this.profilesEnabled = result.enabled !== false;
+            this.logger.log(`Delivery profile: ${result.profile.name}`);
+            return result.profile;
+        } catch (error) {
+            this.logger.error('Failed to report capabilities', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Re-reports capabilities when the server handed out a video without using a profile for
+     * this player (it restarted or forgot the player)
+     */
+    checkDelivery(video) {
+        if (video?.delivery && !video.delivery.profile && this.capabilities && this.profilesEnabled) {
+            this.reportCapabilities();
+        }
+        
+        return video;
+    }
+    
+    withClientId(endpoint) {
+        return `${endpoint}?clientId=${encodeURIComponent(this.clientId)}`;
+    }
+    
+    /**
+     * Absolute URL for a server path such as a video's serverUrl
+     */
+    resolveUrl(url) {
+        return url && !url.startsWith('http') ? `${this.baseUrl}${url}` : url;
     }
     
     scheduleReconnect() {
@@ -177,7 +422,7 @@ export default class ServerAPI {
     // HTTP API methods
     async request(endpoint, options = {}) {
         try {
-            const url = `${this.baseUrl}${endpoint}`;
+            const url = this.withSession(`${this.baseUrl}${endpoint}`);
             this.logger.log(`HTTP Request: ${options.method || 'GET'} ${url}`);
             
             // Add timeout for requests
@@ -187,6 +432,7 @@ export default class ServerAPI {
             const response = await fetch(url, {
                 headers: {
                     'Content-Type': 'application/json',
+                    ...this.getAuthHeaders(),
                     ...options.headers
                 },
                 signal: controller.signal,
@@ -197,6 +443,10 @@ export default class ServerAPI {
             
             this.logger.log(`HTTP Response: ${response.status} ${response.statusText}`);
             
+            if (response.status === 401) {
+                this.handleUnauthorized();
+            }
+            
             if (!response.ok) {
                 const errorText = await response.text().catch(() => 'Unknown error');
                 throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
@@ -220,6 +470,30 @@ export default class ServerAPI {
         }
     }
     
+    getAuthHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    }
+    
+    /**
+     * The login cookie expired or auth was switched on: browsers on the server's own page go to
+     * the login page, other players report the error
+     */
+    handleUnauthorized() {
+        if (!this.token && typeof window !== 'undefined' && !window.webOS && this.baseUrl === window.location.origin) {
+            const next = `${window.location.pathname}${window.location.search}`;
+            window.location.href = `/login?next=${encodeURIComponent(next)}`;
+        }
+    }
+    
+    withSession(url) {
+        if (!this.sessionName) {
+            return url;
+        }
+        
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}session=${encodeURIComponent(this.sessionName)}`;
+    }
+    
     async get(endpoint) {
         return this.request(endpoint, { method: 'GET' });
     }
@@ -245,11 +519,11 @@ export default class ServerAPI {
     }
     
     async getNextVideo() {
-        return this.get('/api/next-video');
+        return this.checkDelivery(await this.get(this.withClientId('/api/next-video')));
     }
     
     async ensureVideoProcessed(videoData) {
-        return this.post('/api/ensure-video-processed', videoData);
+        return this.checkDelivery(await this.post(this.withClientId('/api/ensure-video-processed'), videoData));
     }
     
     async videoEnded(videoData) {
@@ -260,8 +534,8 @@ export default class ServerAPI {
         return this.post('/api/video-error', { errorMessage: errorMsg });
     }
     
-    async videoSkippedManual() {
-        return this.post('/api/video-skipped-manual');
+    async videoSkippedManual(videoData = null) {
+        return this.post('/api/video-skipped-manual', videoData ? { originalPath: videoData.originalPath } : null);
     }
     
     async videoReturnedToPrevious() {
@@ -269,13 +543,29 @@ export default class ServerAPI {
     }
     
     async getPreviousVideo() {
-        return this.get('/api/previous-video');
+        return this.checkDelivery(await this.get(this.withClientId('/api/previous-video')));
     }
     
     async addToHistory(videoData) {
         return this.post('/api/add-to-history', videoData);
     }
     
+    async getUpcoming(limit = 20) {
+        return this.get(`/api/upcoming?players=false&limit=${limit}`);
+    }
+    
+    async editUpcoming(action, edit) {
+        return this.post(`/api/upcoming/${encodeURIComponent(action)}`, edit);
+    }
+    
+    async getRating(videoData) {
+        return this.get(`/api/ratings/video?path=${encodeURIComponent(videoData.originalPath)}`);
+    }
+    
+    async rateVideo(videoData, rating) {
+        return this.post('/api/ratings', { path: videoData.originalPath, rating });
+    }
+    
     async getQueueStatus() {
         return this.get('/api/queue-status');
     }
@@ -333,6 +623,8 @@ export default class ServerAPI {
     
     // Cleanup
     cleanup() {
+        this.stopControlPolling();
+        
         if (this.ws) {
             this.ws.close();
             this.ws = null;
@@ -6,6 +6,11 @@ import Overlays from '../shared/ui/overlays.js';
 import ServerAPI from '../web/serverAPI.js';
 import WebOSStorage from './storage.js';
 import RemoteControl from './remoteControl.js';
+import RemoteCommands from '../shared/ui/remoteCommands.js';
+import QueuePanel from '../shared/ui/queuePanel.js';
+import NowPlayingReporter from '../shared/player/nowPlayingReporter.js';
+import SyncPlayback from '../shared/player/syncPlayback.js';
+import VideoSource from '../shared/player/videoSource.js';
 
 class VideoJukeWebOS {
     constructor() {
@@ -17,6 +22,10 @@ class VideoJukeWebOS {
         this.playbackQueue = null;
         this.overlays = null;
         this.remoteControl = null;
+        this.remoteCommands = null;
+        this.queuePanel = null;
+        this.nowPlayingReporter = null;
+        this.syncPlayback = null;
         
         this.config = {};
         this.serverConfig = null;
@@ -28,6 +37,8 @@ class VideoJukeWebOS {
         this.loadingScreenEl = document.getElementById('loadingScreen');
         this.serverHostInput = document.getElementById('serverHost');
         this.serverPortInput = document.getElementById('serverPort');
+        this.serverSessionInput = document.getElementById('serverSession');
+        this.serverTokenInput = document.getElementById('serverToken');
         this.connectButton = document.getElementById('connectButton');
         
         this.initialize();
@@ -71,8 +82,10 @@ class VideoJukeWebOS {
         
         // Pre-fill inputs if we have saved values
         if (this.serverConfig) {
-            this.serverHostInput.value = this.serverConfig.host || '';
+            this.serverHostInput.value = this.serverConfig.secure ? `https://${this.serverConfig.host}` : this.serverConfig.host || '';
             this.serverPortInput.value = this.serverConfig.port || '';
+            this.serverSessionInput.value = this.serverConfig.session || '';
+            this.serverTokenInput.value = this.serverConfig.token || '';
         }
         
         this.setupConfigNavigation();
@@ -82,6 +95,8 @@ class VideoJukeWebOS {
         const focusableElements = [
             this.serverHostInput,
             this.serverPortInput,
+            this.serverSessionInput,
+            this.serverTokenInput,
             this.connectButton
         ];
         
@@ -115,7 +130,7 @@ class VideoJukeWebOS {
                 case 13: // Enter/OK
                     e.preventDefault();
                     this.logger.log(`Enter pressed on element ${currentFocus}`);
-                    if (currentFocus === 2) { // Connect button
+                    if (currentFocus === focusableElements.length - 1) { // Connect button
                         this.logger.log('Connect button activated via remote');
                         await this.handleConnect();
                     } else {
@@ -157,12 +172,24 @@ class VideoJukeWebOS {
     }
     
     async handleConnect() {
-        const host = this.serverHostInput.value.trim();
-        const port = parseInt(this.serverPortInput.value) || 3123;
+        let host = this.serverHostInput.value.trim();
+        let port = parseInt(this.serverPortInput.value) || 3123;
+        let secure = false;
+        
+        // The host field also takes a server URL: http(s)://host[:port] or ws(s)://host[:port]
+        const urlMatch = host.match(/^(https?|wss?):\/\/([^/:]+)(?::(\d+))?\/?$/i);
+        if (urlMatch) {
+            secure = /^(https|wss)$/i.test(urlMatch[1]);
+            host = urlMatch[2];
+            port = urlMatch[3] ? parseInt(urlMatch[3]) : port;
+        }
+        const session = this.serverSessionInput.value.trim();
+        const token = this.serverTokenInput.value.trim();
         
         this.logger.log(`=== CONNECTION ATTEMPT ===`);
         this.logger.log(`Host: ${host}`);
         this.logger.log(`Port: ${port}`);
+        this.logger.log(`Secure: ${secure}`);
         
         if (!host) {
             this.logger.error('No host provided');
@@ -173,7 +200,7 @@ class VideoJukeWebOS {
         // Validate host format
         if (!host.match(/^[a-zA-Z0-9.-]+$/)) {
             this.logger.error('Invalid host format');
-            this.showConfigError('Please enter a valid server host (IP address or hostname)');
+            this.showConfigError('Please enter a valid server host (IP address, hostname or https:// URL)');
             return;
         }
         
@@ -184,7 +211,14 @@ class VideoJukeWebOS {
             return;
         }
         
-        this.serverConfig = { host, port };
+        // Validate session name (same rules as the server)
+        if (session && !session.match(/^[a-zA-Z0-9_-]{1,32}$/)) {
+            this.logger.error('Invalid session name');
+            this.showConfigError('Session names may only contain letters, digits, - and _ (up to 32 characters)');
+            return;
+        }
+        
+        this.serverConfig = { host, port, secure, session, token };
         
         try {
             await this.storage.save(this.serverConfig);
@@ -217,7 +251,8 @@ class VideoJukeWebOS {
     
     async connectToServer() {
         try {
-            const serverUrl = `http://${this.serverConfig.host}:${this.serverConfig.port}`;
+            const protocol = this.serverConfig.secure ? 'https' : 'http';
+            const serverUrl = `${protocol}://${this.serverConfig.host}:${this.serverConfig.port}`;
             this.logger.log(`=== SERVER CONNECTION ===`);
             this.logger.log(`Server URL: ${serverUrl}`);
             
@@ -227,7 +262,10 @@ class VideoJukeWebOS {
             
             // Initialize server API
             this.logger.log('Initializing ServerAPI...');
-            this.serverAPI = new ServerAPI(this.logger, serverUrl);
+            this.serverAPI = new ServerAPI(this.logger, serverUrl, this.serverConfig.session, {
+                token: this.serverConfig.token || null,
+                capabilities: VideoSource.detectCapabilities()
+            });
             
             // Create electron-like API wrapper
             window.electronAPI = this.createElectronAPIWrapper();
@@ -266,8 +304,12 @@ class VideoJukeWebOS {
             
             // Provide more specific error messages
             let errorMessage = 'Failed to connect to server';
-            if (error.message.includes('timeout')) {
+            if (error.message.includes('HTTP 401') || error.message.includes('HTTP 403')) {
+                errorMessage = 'The server requires an API token with the control scope - please check the token';
+            } else if (error.message.includes('timeout')) {
                 errorMessage = 'Connection timeout - please check the server address and ensure the server is running';
+            } else if (this.serverConfig.secure && (error.message.includes('Failed to fetch') || error.message.includes('Network error'))) {
+                errorMessage = 'Cannot reach server over HTTPS - check the address, and that the TV trusts the server certificate (self-signed certificates are usually rejected)';
             } else if (error.message.includes('Failed to fetch')) {
                 errorMessage = 'Cannot reach server - please check the IP address and port number';
             } else if (error.message.includes('Connection refused')) {
@@ -356,15 +398,21 @@ class VideoJukeWebOS {
             ensureVideoProcessed: (videoData) => this.serverAPI.ensureVideoProcessed(videoData),
             videoEnded: (videoData) => this.serverAPI.videoEnded(videoData),
             videoError: (errorMsg) => this.serverAPI.videoError(errorMsg),
-            videoSkippedManual: () => this.serverAPI.videoSkippedManual(),
+            videoSkippedManual: (videoData) => this.serverAPI.videoSkippedManual(videoData),
             videoReturnedToPrevious: () => this.serverAPI.videoReturnedToPrevious(),
             getPreviousVideo: () => this.serverAPI.getPreviousVideo(),
             addToHistory: (videoData) => this.serverAPI.addToHistory(videoData),
             getQueueStatus: () => this.serverAPI.getQueueStatus(),
             getDetailedStats: () => this.serverAPI.getDetailedStats(),
+            getUpcoming: (limit) => this.serverAPI.getUpcoming(limit),
+            editUpcoming: (action, edit) => this.serverAPI.editUpcoming(action, edit),
+            getRating: (videoData) => this.serverAPI.getRating(videoData),
+            rateVideo: (videoData, rating) => this.serverAPI.rateVideo(videoData, rating),
             getInitializationStatus: () => this.serverAPI.getInitializationStatus(),
             startInitialization: () => this.serverAPI.startInitialization(),
             quitApplication: () => this.quit(),
+            controlAck: (ack) => this.serverAPI.sendControlAck(ack),
+            reportNowPlaying: (report) => this.serverAPI.reportNowPlaying(report),
             on: (channel, callback) => this.serverAPI.on(channel, callback),
             removeListener: (channel) => this.serverAPI.removeListener(channel)
         };
@@ -381,6 +429,15 @@ class VideoJukeWebOS {
         
         // Initialize remote control
         this.remoteControl = new RemoteControl(this.logger, this.config);
+        this.remoteCommands = new RemoteCommands(this.logger, this.config, this.videoPlayer, this.overlays);
+        this.queuePanel = new QueuePanel(this.logger, this.config, this.playbackQueue);
+        this.nowPlayingReporter = new NowPlayingReporter(this.logger, this.config, this.videoPlayer);
+        
+        // Sessions defined with "sync": true play in lockstep on all their screens
+        const session = this.serverConfig.session;
+        if (session && this.config.sessions?.definitions?.[session]?.sync) {
+            this.syncPlayback = new SyncPlayback(this.logger, this.config, this.videoPlayer, this.serverAPI);
+        }
         
         // Connect components
         this.connectComponents();
@@ -400,7 +457,7 @@ class VideoJukeWebOS {
         });
         
         this.videoPlayer.onNeedNextVideo(() => {
-            return this.playbackQueue.getNext();
+            return this.syncPlayback ? this.syncPlayback.getNext() : this.playbackQueue.getNext();
         });
         
         this.videoPlayer.onVideoStartedPlaying((videoData, isFirstVideo) => {
@@ -422,12 +479,29 @@ class VideoJukeWebOS {
         // Connect remote control to player and UI
         this.remoteControl.setVideoPlayer(this.videoPlayer);
         this.remoteControl.setOverlays(this.overlays);
+        this.remoteControl.setQueuePanel(this.queuePanel);
         
         // Remote control callbacks
         this.remoteControl.onNextVideo(() => this.handleManualNext());
         this.remoteControl.onPreviousVideo(() => this.handleManualPrevious());
         this.remoteControl.onShowSettings(() => this.showConfigScreen());
         this.remoteControl.onExit(() => this.quit());
+        
+        // Remote control API commands
+        this.remoteCommands.onNextVideo(() => this.handleManualNext());
+        this.remoteCommands.onPreviousVideo(() => this.handleManualPrevious());
+        this.remoteCommands.setPlaybackQueue(this.playbackQueue);
+        this.remoteCommands.onEnqueue((video, position) => {
+            // Sync groups play the group's timeline, not the local queue
+            if (this.syncPlayback) {
+                throw new Error('Sync group players do not take enqueued videos');
+            }
+            return this.playbackQueue.enqueue(video, position);
+        });
+        this.remoteCommands.start();
+        
+        // Playback events for the server's now-playing state
+        this.nowPlayingReporter.start();
     }
     
     async startInitializationMonitoring() {
@@ -468,6 +542,14 @@ class VideoJukeWebOS {
     
     async startVideoPlayback() {
         try {
+            if (this.syncPlayback) {
+                this.loadingScreen.updateText(`Joining sync group "${this.serverConfig.session}"...`);
+                await this.syncPlayback.start(this.serverConfig.session);
+                this.isPlaybackActive = true;
+                this.startRemoteControl();
+                return;
+            }
+            
             this.logger.log('Building initial queue...');
             
             const ready = await this.playbackQueue.buildInitialQueue(
@@ -480,15 +562,7 @@ class VideoJukeWebOS {
                 await this.startFirstVideo();
                 this.playbackQueue.startMonitoring();
                 this.isPlaybackActive = true;
-                
-                // Start remote control handling
-                this.remoteControl.start();
-                
-                // Remove config keydown handler
-                if (this.configKeydownHandler) {
-                    document.removeEventListener('keydown', this.configKeydownHandler);
-                    this.configKeydownHandler = null;
-                }
+                this.startRemoteControl();
             } else {
                 throw new Error('Failed to build initial queue');
             }
@@ -498,6 +572,17 @@ class VideoJukeWebOS {
         }
     }
     
+    startRemoteControl() {
+        // Start remote control handling
+        this.remoteControl.start();
+        
+        // Remove config keydown handler
+        if (this.configKeydownHandler) {
+            document.removeEventListener('keydown', this.configKeydownHandler);
+            this.configKeydownHandler = null;
+        }
+    }
+    
     async startFirstVideo() {
         const video = await this.playbackQueue.getNext();
         if (video) {
@@ -511,6 +596,14 @@ class VideoJukeWebOS {
     async handleManualNext() {
         if (!this.isPlaybackActive) return;
         
+        // Skipping moves the whole sync group on
+        if (this.syncPlayback) {
+            this.syncPlayback.skip().catch(error => {
+                this.logger.error('Failed to skip in sync group', error);
+            });
+            return;
+        }
+        
         try {
             const currentVideo = this.videoPlayer.getCurrentVideo();
             
@@ -523,7 +616,7 @@ class VideoJukeWebOS {
                 await this.serverAPI.addToHistory(currentVideo);
             }
             
-            await this.serverAPI.videoSkippedManual();
+            await this.serverAPI.videoSkippedManual(currentVideo);
             
             const video = await this.playbackQueue.getNext();
             if (video) {
@@ -540,6 +633,11 @@ class VideoJukeWebOS {
     async handleManualPrevious() {
         if (!this.isPlaybackActive) return;
         
+        if (this.syncPlayback) {
+            this.overlays.showError('Previous video is not available in a sync group');
+            return;
+        }
+        
         try {
             const previousVideo = await this.serverAPI.getPreviousVideo();
             
@@ -580,6 +678,12 @@ class VideoJukeWebOS {
     async handleVideoEnded(videoData, fromCrossfade = false) {
         if (!this.isPlaybackActive) return;
         
+        // Sync groups follow the server's timeline, which also records the history
+        if (this.syncPlayback) {
+            this.syncPlayback.check();
+            return;
+        }
+        
         try {
             if (videoData) {
                 await this.serverAPI.videoEnded(videoData);
@@ -630,6 +734,13 @@ class VideoJukeWebOS {
             this.loadingScreen.updateInitialization(initState);
         });
         
+        this.serverAPI.on('index-updated', (update) => {
+            this.logger.log(`Video index updated: +${update.added.length} / -${update.removed.length} (total: ${update.totalVideos})`);
+            if (update.removed.length > 0) {
+                this.playbackQueue?.removeVideos(update.removed.map(v => v.id));
+            }
+        });
+        
         // WebOS app lifecycle events
         if (window.webOS) {
             document.addEventListener('webOSRelaunch', (e) => {
@@ -686,10 +797,22 @@ class VideoJukeWebOS {
             this.remoteControl.stop();
         }
         
+        if (this.nowPlayingReporter) {
+            this.nowPlayingReporter.stop();
+        }
+        
+        if (this.syncPlayback) {
+            this.syncPlayback.stop();
+        }
+        
         if (this.videoPlayer) {
             this.videoPlayer.cleanup();
         }
         
+        if (this.queuePanel) {
+            this.queuePanel.cleanup();
+        }
+        
         if (this.playbackQueue) {
             this.playbackQueue.cleanup();
         }
@@ -1,9 +1,18 @@
+// Shown when a rating is set
+const RATING_LABELS = {
+    favorite: '⭐ Favorite',
+    like: '👍 Like',
+    dislike: '👎 Dislike',
+    ban: '⛔ Banned'
+};
+
 export default class RemoteControl {
     constructor(logger, config) {
         this.logger = logger;
         this.config = config;
         this.videoPlayer = null;
         this.overlays = null;
+        this.queuePanel = null;
         
         // Callbacks
         this.onNextVideoCallback = null;
@@ -56,6 +65,10 @@ export default class RemoteControl {
         this.overlays = overlays;
     }
     
+    setQueuePanel(queuePanel) {
+        this.queuePanel = queuePanel;
+    }
+    
     start() {
         if (this.isActive) return;
         
@@ -95,6 +108,11 @@ export default class RemoteControl {
             e.preventDefault();
         }
         
+        if (this.queuePanel?.isOpen()) {
+            this.handleQueuePanelKey(keyCode);
+            return;
+        }
+        
         switch (keyCode) {
             // Navigation
             case this.keyCodes.OK:
@@ -121,17 +139,17 @@ export default class RemoteControl {
                 this.handleSpeedDown();
                 break;
                 
-            // Color buttons
+            // Color buttons rate the playing video
             case this.keyCodes.RED:
-                this.handleToggleCrossfade();
+                this.handleRate('dislike');
                 break;
                 
             case this.keyCodes.GREEN:
-                this.handleToggleBlur();
+                this.handleRate('like');
                 break;
                 
             case this.keyCodes.YELLOW:
-                this.handleShowInfo();
+                this.handleRate('favorite');
                 break;
                 
             case this.keyCodes.BLUE:
@@ -162,7 +180,25 @@ export default class RemoteControl {
             case this.keyCodes.NUM_5:
                 this.handleSpeedPreset(2.0);
                 break;
+            
+            // Effects and info
+            case this.keyCodes.NUM_6:
+                this.handleToggleCrossfade();
+                break;
+            
+            case this.keyCodes.NUM_7:
+                this.handleToggleBlur();
+                break;
+            
+            case this.keyCodes.NUM_8:
+                this.handleShowInfo();
+                break;
                 
+            // Upcoming videos
+            case this.keyCodes.NUM_9:
+                this.handleToggleQueuePanel();
+                break;
+            
             // System
             case this.keyCodes.BACK:
                 this.handleBack();
@@ -179,6 +215,44 @@ export default class RemoteControl {
         }
     }
     
+    // While the upcoming panel is open the remote edits the queue
+    handleQueuePanelKey(keyCode) {
+        switch (keyCode) {
+            case this.keyCodes.UP:
+                this.queuePanel.select(-1);
+                break;
+            
+            case this.keyCodes.DOWN:
+                this.queuePanel.select(1);
+                break;
+            
+            case this.keyCodes.LEFT:
+                this.queuePanel.moveSelected(-1);
+                break;
+            
+            case this.keyCodes.RIGHT:
+                this.queuePanel.moveSelected(1);
+                break;
+            
+            case this.keyCodes.RED:
+                this.queuePanel.editSelected('remove');
+                break;
+            
+            case this.keyCodes.GREEN:
+                this.queuePanel.editSelected('pin');
+                break;
+            
+            case this.keyCodes.YELLOW:
+                this.queuePanel.editSelected('skip');
+                break;
+            
+            case this.keyCodes.BACK:
+            case this.keyCodes.NUM_9:
+                this.queuePanel.close();
+                break;
+        }
+    }
+    
     // Control handlers
     handlePlayPause() {
         if (!this.videoPlayer) return;
@@ -267,6 +341,40 @@ export default class RemoteControl {
         this.logger.log('Showing video info');
     }
     
+    /**
+     * Rates the playing video; pressing the button of the rating it already has clears it.
+     * RED turns a dislike into a ban, which also skips the video.
+     */
+    async handleRate(rating) {
+        const current = this.videoPlayer?.getCurrentVideo();
+        if (!current) return;
+        
+        try {
+            const previous = (await window.electronAPI.getRating(current)).rating;
+            let next = previous === rating ? null : rating;
+            if (rating === 'dislike') {
+                next = previous === 'dislike' ? 'ban' : previous === 'ban' ? null : 'dislike';
+            }
+            
+            const result = await window.electronAPI.rateVideo(current, next);
+            this.overlays.showInfo(RATING_LABELS[result.rating] || 'Rating cleared', current.filename);
+            this.logger.log(`Rated ${current.filename}: ${result.rating || 'cleared'}`);
+            
+            if (result.rating === 'ban') {
+                this.handleNext();
+            }
+        } catch (error) {
+            this.logger.error('Failed to rate video', error);
+            this.overlays.showError('Could not save the rating');
+        }
+    }
+    
+    handleToggleQueuePanel() {
+        if (this.queuePanel) {
+            this.queuePanel.toggle();
+        }
+    }
+    
     handleShowSettings() {
         this.logger.log('Settings requested');
         
@@ -0,0 +1,113 @@
+const express = require('express');
+const http = require('http');
+const cors = require('cors');
+const { createControlRouter } = require('../shared/control/controlRoutes');
+const { createNowPlayingRouter } = require('../shared/control/nowPlayingRoutes');
+const { createLibraryRouter } = require('../shared/library/libraryRoutes');
+const { createEnqueueRouter } = require('../shared/queue/enqueueRoutes');
+const { createUpcomingRouter } = require('../shared/queue/upcomingRoutes');
+const { createPlaylistRouter } = require('../shared/playlist/playlistRoutes');
+const { createRatingRouter } = require('../shared/ratings/ratingRoutes');
+const AuthManager = require('../shared/auth/authManager');
+
+class ControlServer {
+    /**
+     * Small HTTP server exposing the /api/control, /api/now-playing, /api/library, /api/enqueue,
+     * /api/upcoming, /api/playlists and /api/ratings routes in desktop mode, where there is no web server.
+     * Commands, enqueued videos and queue edits reach the renderer over IPC through the ControlHub.
+     * Every request needs an API token from `auth.tokens` (read scope for GET, control for the rest),
+     * whether or not auth is enabled, and browsers only get CORS access from `allowedOrigins`.
+     */
+    constructor(logger, configManager, controlHub, nowPlaying, library = null, enqueueHandler = null, upcomingQueue = null,
+                playlistManager = null, playlistScheduler = null, videoRatings = null, authManager = null) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.controlHub = controlHub;
+        this.nowPlaying = nowPlaying;
+        this.library = library;
+        this.enqueueHandler = enqueueHandler;
+        this.upcomingQueue = upcomingQueue;
+        this.playlistManager = playlistManager;
+        this.playlistScheduler = playlistScheduler;
+        this.videoRatings = videoRatings;
+        this.authManager = authManager;
+        this.server = null;
+    }
+    
+    start() {
+        const controlConfig = this.configManager.config.network?.control || {};
+        
+        if (controlConfig.enabled === false) {
+            this.logger.log('Remote control server disabled');
+            return;
+        }
+        
+        if (!this.authManager) {
+            this.logger.error('Remote control server needs the auth manager for its tokens, not starting');
+            return;
+        }
+        if (this.authManager.getAuthConfig().tokens.length === 0 && this.authManager.tokens.length === 0) {
+            this.logger.log('Remote control server: add a token to auth.tokens to use the API');
+        }
+        
+        const port = controlConfig.port || 3124;
+        const host = controlConfig.host || 'localhost';
+        
+        const app = express();
+        app.use(cors({ origin: controlConfig.allowedOrigins || [] }));
+        app.use((req, res, next) => this.authenticate(req, res, next));
+        app.use(express.json());
+        app.use(createControlRouter(this.controlHub, this.logger));
+        app.use(createNowPlayingRouter(this.nowPlaying, this.logger));
+        if (this.library) {
+            app.use(createLibraryRouter(this.library, this.logger));
+        }
+        if (this.enqueueHandler) {
+            app.use(createEnqueueRouter(this.enqueueHandler, this.logger));
+        }
+        if (this.upcomingQueue) {
+            app.use(createUpcomingRouter(this.upcomingQueue, this.logger));
+        }
+        if (this.playlistManager && this.playlistScheduler) {
+            app.use(createPlaylistRouter(this.playlistManager, this.playlistScheduler, this.logger));
+        }
+        if (this.videoRatings) {
+            app.use(createRatingRouter(this.videoRatings, this.library, this.logger));
+        }
+        
+        this.server = http.createServer(app);
+        
+        this.server.on('error', (error) => {
+            this.logger.error(`Remote control server failed on ${host}:${port}`, error);
+            this.server = null;
+        });
+        
+        this.server.listen(port, host, () => {
+            this.logger.log(`Remote control API listening on http://${host}:${port}/api/control`);
+        });
+    }
+    
+    authenticate(req, res, next) {
+        const identity = this.authManager.authenticate(req);
+        if (!identity) {
+            return res.status(401).json({ error: 'Authentication required: send a token from auth.tokens as Authorization: Bearer <token>' });
+        }
+        
+        const required = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'control';
+        if (!AuthManager.hasScope(identity.scope, required)) {
+            return res.status(403).json({ error: `This requires the ${required} scope (token has ${identity.scope})` });
+        }
+        
+        req.auth = identity;
+        next();
+    }
+    
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+module.exports = ControlServer;
@@ -1,7 +1,7 @@
 const { ipcMain, app } = require('electron');
 
 class IpcHandlers {
-    constructor(logger, configManager, videoIndex, preprocessedQueue, queuePersistence, reprocessHandler, historyManager, windowManager, stats, initializationState) {
+    constructor(logger, configManager, videoIndex, preprocessedQueue, queuePersistence, reprocessHandler, historyManager, windowManager, stats, initializationState, controlHub, nowPlaying, upcomingQueue, videoRatings = null) {
         this.logger = logger;
         this.configManager = configManager;
         this.videoIndex = videoIndex;
@@ -12,6 +12,10 @@ class IpcHandlers {
         this.windowManager = windowManager;
         this.stats = stats;
         this.initializationState = initializationState;
+        this.controlHub = controlHub;
+        this.nowPlaying = nowPlaying;
+        this.upcomingQueue = upcomingQueue;
+        this.videoRatings = videoRatings;
     }
     
     register() {
@@ -64,6 +68,8 @@ class IpcHandlers {
                 preprocessedVideos: this.stats.preprocessedVideos,
                 preprocessingErrors: this.stats.preprocessingErrors,
                 isPreprocessing: this.preprocessedQueue.isProcessing,
+                processedCache: this.preprocessedQueue.processedCache.getStats(),
+                selection: this.videoIndex.getSelectionStats(),
                 
                 // History information
                 playbackHistoryCount: historyInfo.playbackHistory.length,
@@ -94,8 +100,18 @@ class IpcHandlers {
             this.stats.videosSkippedErrors++;
         });
         
-        ipcMain.handle('video-skipped-manual', async () => {
+        ipcMain.handle('video-skipped-manual', async (event, videoData) => {
             this.stats.videosSkippedManual++;
+            this.videoRatings?.recordSkip(videoData?.originalPath);
+        });
+        
+        // Ratings of the playing video
+        ipcMain.handle('get-rating', async (event, videoData) => {
+            return this.videoRatings.getInfo(videoData.originalPath);
+        });
+        
+        ipcMain.handle('rate-video', async (event, videoData, rating) => {
+            return this.videoRatings.setRating(videoData?.originalPath, rating);
         });
         
         ipcMain.handle('video-returned-to-previous', async () => {
@@ -145,6 +161,31 @@ class IpcHandlers {
             }
         });
         
+        // Upcoming list of the preprocessed queue; the renderer lists and edits its own queue itself
+        ipcMain.handle('get-upcoming', async (event, limit) => {
+            return this.upcomingQueue.get({ limit, players: false });
+        });
+        
+        ipcMain.handle('edit-upcoming', async (event, action, edit) => {
+            return this.upcomingQueue.edit(action, edit);
+        });
+        
+        // Remote control acknowledgement from the renderer
+        ipcMain.handle('control-ack', async (event, ack) => {
+            return this.controlHub.handleAck('electron', ack);
+        });
+        
+        // Playback events from the renderer for the now-playing model
+        ipcMain.handle('now-playing', async (event, report) => {
+            try {
+                this.nowPlaying.handleEvent('electron', 'electron', report);
+                return true;
+            } catch (error) {
+                this.logger.log(`Rejected now-playing report: ${error.message}`);
+                return false;
+            }
+        });
+        
         this.logger.log('Full IPC handlers registered successfully');
     }
 }
@@ -7,8 +7,19 @@ const VideoIndex = require('../shared/video/videoIndex');
 const PreprocessedQueue = require('../shared/queue/preprocessedQueue');
 const QueuePersistence = require('../shared/queue/queuePersistence');
 const ReprocessHandler = require('../shared/queue/reprocessHandler');
+const EnqueueHandler = require('../shared/queue/enqueueHandler');
+const UpcomingQueue = require('../shared/queue/upcomingQueue');
 const HistoryManager = require('../shared/queue/historyManager');
+const DirectoryWatcher = require('../shared/video/directoryWatcher');
 const IpcHandlers = require('./ipcHandlers');
+const ControlServer = require('./controlServer');
+const VideoLibrary = require('../shared/library/videoLibrary');
+const PlaylistManager = require('../shared/playlist/playlistManager');
+const PlaylistScheduler = require('../shared/playlist/playlistScheduler');
+const VideoRatings = require('../shared/ratings/videoRatings');
+const ControlHub = require('../shared/control/controlHub');
+const AuthManager = require('../shared/auth/authManager');
+const NowPlaying = require('../shared/control/nowPlaying');
 const Logger = require('../shared/utils/logger');
 
 class VideoPlayerServer {
@@ -17,11 +28,22 @@ class VideoPlayerServer {
         this.windowManager = null;
         this.configManager = null;
         this.videoIndex = null;
+        this.library = null;
         this.preprocessedQueue = null;
         this.queuePersistence = null;
         this.reprocessHandler = null;
+        this.enqueueHandler = null;
+        this.upcomingQueue = null;
+        this.playlistManager = null;
+        this.playlistScheduler = null;
+        this.videoRatings = null;
         this.historyManager = null;
+        this.directoryWatcher = null;
         this.ipcHandlers = null;
+        this.controlHub = null;
+        this.controlServer = null;
+        this.authManager = null;
+        this.nowPlaying = null;
         
         this.initializationState = {
             stage: 'not_started',
@@ -58,8 +80,21 @@ class VideoPlayerServer {
             this.windowManager = new WindowManager(this.logger, this.configManager.config);
             this.windowManager.createWindow();
             
+            // The renderer is the only player; remote commands reach it over IPC
+            this.controlHub = new ControlHub(this.logger, this.configManager);
+            this.controlHub.registerClient('electron', 'electron', (command) => {
+                this.windowManager.sendToRenderer('control-command', command);
+            });
+            this.nowPlaying = new NowPlaying(this.logger, this.configManager);
+            this.nowPlaying.start();
+            
             // Initialize components
             this.videoIndex = new VideoIndex(this.logger, this.configManager);
+            this.videoRatings = new VideoRatings(this.logger, this.configManager);
+            await this.videoRatings.load();
+            this.videoIndex.setRatings(this.videoRatings);
+            this.library = new VideoLibrary(this.logger, this.configManager, this.videoIndex);
+            this.library.start();
             this.preprocessedQueue = new PreprocessedQueue(this.logger, this.configManager, this.videoIndex, this.stats);
             
             // Wait for preprocessor to be ready
@@ -68,12 +103,27 @@ class VideoPlayerServer {
             this.logger.log('Preprocessed queue ready');
             
             this.historyManager = new HistoryManager(this.logger, this.configManager);
+            this.videoIndex.setHistoryManager(this.historyManager);
             this.queuePersistence = new QueuePersistence(this.logger, this.configManager, this.preprocessedQueue, this.historyManager);
             this.reprocessHandler = new ReprocessHandler(this.logger, this.preprocessedQueue, this.videoIndex);
+            this.enqueueHandler = new EnqueueHandler(this.logger, this.library, this.reprocessHandler, this.controlHub);
+            this.upcomingQueue = new UpcomingQueue(this.logger, this.preprocessedQueue, this.controlHub, this.stats, this.videoRatings);
+            // Banned videos leave the queues right away
+            this.videoRatings.onBanned(originalPath => {
+                this.upcomingQueue.removeVideo(originalPath)
+                    .catch(error => this.logger.error('Failed to remove banned video from the queues', error));
+            });
+            this.playlistManager = new PlaylistManager(this.logger, this.configManager, this.videoIndex);
+            this.playlistScheduler = new PlaylistScheduler(this.logger, this.configManager, this.playlistManager, this.videoIndex);
+            this.playlistScheduler.onBlockStart(() => this.preprocessedQueue.prepareExtra());
+            this.videoIndex.setPlaylistScheduler(this.playlistScheduler);
+            this.directoryWatcher = new DirectoryWatcher(this.logger, this.configManager, this.videoIndex);
             
             // Load history
             this.updateInitializationState('loading_config', 15, 'Loading history...');
             await this.historyManager.load();
+            await this.playlistManager.load();
+            await this.playlistScheduler.load();
             
             // Clean up temp directory (with error handling)
             this.updateInitializationState('loading_config', 20, 'Cleaning temporary files...');
@@ -95,10 +145,21 @@ class VideoPlayerServer {
                 this.historyManager,
                 this.windowManager,
                 this.stats,
-                this.initializationState
+                this.initializationState,
+                this.controlHub,
+                this.nowPlaying,
+                this.upcomingQueue,
+                this.videoRatings
             );
             this.ipcHandlers.register();
             
+            // The remote control listener always requires an API token from auth.tokens
+            this.authManager = new AuthManager(this.logger, this.configManager);
+            await this.authManager.load();
+            this.controlServer = new ControlServer(this.logger, this.configManager, this.controlHub, this.nowPlaying, this.library, this.enqueueHandler, this.upcomingQueue,
+                this.playlistManager, this.playlistScheduler, this.videoRatings, this.authManager);
+            this.controlServer.start();
+            
             // Set up event handlers
             this.setupEventHandlers();
             
@@ -192,6 +253,9 @@ class VideoPlayerServer {
                 
                 this.logger.log(`Found ${this.stats.totalVideos} videos in index`);
                 
+                // Watch video directories for added/removed files
+                await this.startDirectoryWatcher();
+                
                 // Load saved queue state
                 this.updateInitializationState('filling_queue', 65, 'Loading queue state...');
                 const queueLoaded = await this.queuePersistence.load();
@@ -203,6 +267,7 @@ class VideoPlayerServer {
                 // Start background monitoring
                 this.startBackgroundUpdates();
                 this.preprocessedQueue.startMonitoring();
+                this.playlistScheduler.start();
                 
                 // Ensure minimum videos for startup
                 if (this.preprocessedQueue.size() < 1) {
@@ -270,10 +335,12 @@ class VideoPlayerServer {
         this.updateInitializationState('filling_queue', 70, 'Preprocessing videos...');
         
         try {
-            await this.preprocessedQueue.fill(targetSize, (progress) => {
+            await this.preprocessedQueue.fill(targetSize, (progress, workers = []) => {
                 const currentProgress = 70 + (progress * 0.25);
+                const workerSummary = workers.map(worker => `${worker.filename} ${worker.percent}%`).join(', ');
                 this.updateInitializationState('filling_queue', currentProgress, 
-                    `Preprocessing: ${this.preprocessedQueue.size()}/${targetSize}`);
+                    `Preprocessing: ${this.preprocessedQueue.size()}/${targetSize}${workerSummary ? ` (${workerSummary})` : ''}`,
+                    null, workers);
             });
             
             const actualSize = this.preprocessedQueue.size();
@@ -317,7 +384,44 @@ class VideoPlayerServer {
             this.logger.log('Directories changed, rebuilding index...');
             await this.queuePersistence.clear();
             await this.buildVideoIndex();
+            await this.startDirectoryWatcher();
+        }
+    }
+    
+    async startDirectoryWatcher() {
+        await this.directoryWatcher.start(async (changes) => {
+            await this.handleIndexChanges(changes);
+        });
+    }
+    
+    async handleIndexChanges(changes) {
+        const removedPaths = changes.removed.map(video => video.originalPath);
+        const updatedPaths = changes.updated.map(video => video.originalPath);
+        
+        // Processed copies of deleted or modified sources are stale
+        await this.preprocessedQueue.evict([...removedPaths, ...updatedPaths]);
+        
+        if (removedPaths.length > 0 && this.historyManager) {
+            this.historyManager.removeVideos(removedPaths);
         }
+        
+        this.stats.totalVideos = this.videoIndex.getCount();
+        this.stats.lastIndexUpdate = new Date().toISOString();
+        
+        // Players get library ids; server paths are not sent to them
+        const summarize = (video) => ({
+            id: VideoLibrary.getId(video.originalPath),
+            filename: video.filename,
+            seasonalDirectory: video.seasonalDirectory || null
+        });
+        
+        this.windowManager?.sendToRenderer('index-updated', {
+            added: changes.added.map(summarize),
+            updated: changes.updated.map(summarize),
+            removed: changes.removed.map(summarize),
+            totalVideos: this.stats.totalVideos,
+            timestamp: this.stats.lastIndexUpdate
+        });
     }
     
     startBackgroundUpdates() {
@@ -367,17 +471,20 @@ class VideoPlayerServer {
                 if (mainWindow && mainWindow.webContents && !mainWindow.webContents.isDestroyed()) {
                     await this.queuePersistence.save(mainWindow);
                 }
+                await this.playlistScheduler.save();
+                await this.videoRatings.save();
             } catch (error) {
                 this.logger.error('Periodic save failed', error);
             }
         }, saveInterval);
     }
     
-    updateInitializationState(stage, progress, message, error = null) {
+    updateInitializationState(stage, progress, message, error = null, workers = null) {
         this.initializationState.stage = stage;
         this.initializationState.progress = progress;
         this.initializationState.message = message;
         this.initializationState.error = error;
+        this.initializationState.workers = workers;
         
         this.windowManager?.sendToRenderer('initialization-update', this.initializationState);
     }
@@ -387,6 +494,13 @@ class VideoPlayerServer {
             event.preventDefault();
             
             try {
+                this.directoryWatcher?.stop();
+                this.library?.stop();
+                this.controlServer?.stop();
+                this.nowPlaying?.stop();
+                this.playlistScheduler?.stop();
+                await this.playlistScheduler?.save();
+                await this.videoRatings?.save();
                 await this.queuePersistence.save(this.windowManager.getWindow());
                 await this.preprocessedQueue.clear();
             } catch (error) {
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const path = require('path');
+const FileUtils = require('../utils/fileUtils');
+
+// Each scope includes the ones before it
+const SCOPES = ['read', 'control', 'admin'];
+
+const COOKIE_NAME = 'videojuke_session';
+const TOKEN_PREFIX = 'vj_';
+
+class AuthManager {
+    /**
+     * Optional authentication for the web server. The admin password signs in browsers (a signed
+     * session cookie with the admin scope); API tokens authenticate automation and players that
+     * cannot use cookies (webOS, desktop players in a sync group). Tokens come from the config or
+     * are created over the API, in which case only their hash is stored.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the auth settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.statePath = path.join(process.cwd(), 'cache', 'auth.json');
+        this.secret = null;
+        this.tokens = []; // Created tokens: [{ id, name, scope, hash, createdAt, lastUsed }]
+        this.failedLogins = new Map(); // Map<ip, [timestamps]>
+    }
+    
+    static getScopes() {
+        return [...SCOPES];
+    }
+    
+    /**
+     * Whether a granted scope covers a required one
+     */
+    static hasScope(granted, required) {
+        return SCOPES.indexOf(granted) >= SCOPES.indexOf(required) && SCOPES.includes(granted);
+    }
+    
+    getAuthConfig() {
+        const auth = this.configManager.config.auth || {};
+        
+        return {
+            enabled: auth.enabled === true,
+            adminPassword: auth.adminPassword || null,
+            sessionTtl: auth.sessionTtl || 604800000,
+            mediaUrlTtl: auth.mediaUrlTtl || 86400000,
+            tokens: Array.isArray(auth.tokens) ? auth.tokens : [],
+            maxFailedLogins: auth.maxFailedLogins || 10,
+            lockoutWindow: auth.lockoutWindow || 900000
+        };
+    }
+    
+    isEnabled() {
+        return this.getAuthConfig().enabled;
+    }
+    
+    /**
+     * Loads the signing secret and the created tokens, generating the secret on first start
+     */
+    async load() {
+        try {
+            const state = await FileUtils.readJSON(this.statePath);
+            this.secret = state?.secret || null;
+            this.tokens = Array.isArray(state?.tokens) ? state.tokens : [];
+        } catch (error) {
+            this.logger.error('Failed to load auth state from cache', error);
+        }
+        
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            await this.save();
+        }
+        
+        const { enabled, adminPassword, tokens } = this.getAuthConfig();
+        if (enabled) {
+            if (!adminPassword && tokens.length === 0 && this.tokens.length === 0) {
+                this.logger.error('Authentication is enabled but neither auth.adminPassword nor any token is configured - nobody can sign in');
+            }
+            for (const token of tokens) {
+                if (!token.token || !SCOPES.includes(token.scope)) {
+                    this.logger.error(`Ignoring configured token ${token.name || '(unnamed)'}: needs a token and a scope (${SCOPES.join(', ')})`);
+                }
+            }
+            this.logger.log(`Authentication enabled (${tokens.length + this.tokens.length} API tokens)`);
+        }
+    }
+    
+    async save() {
+        await FileUtils.ensureDirectory(path.dirname(this.statePath));
+        await FileUtils.writeJSON(this.statePath, {
+            secret: this.secret,
+            tokens: this.tokens
+        });
+    }
+    
+    /**
+     * Works out who made a request: a bearer token (Authorization header), the session cookie,
+     * or - for media and WebSocket requests, which cannot set headers - a token query parameter
+     * @param {http.IncomingMessage} req - Request or WebSocket upgrade request
+     * @param {Object} options - { allowQueryToken }
+     * @returns {Object|null} { scope, via, name } or null for anonymous requests
+     */
+    authenticate(req, options = {}) {
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        
+        if (bearer) {
+            return this.verifyToken(bearer);
+        }
+        
+        const cookie = this.parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (cookie && this.verifySessionCookie(cookie)) {
+            return { scope: 'admin', via: 'session', name: 'admin' };
+        }
+        
+        if (options.allowQueryToken) {
+            const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+            if (token) {
+                return this.verifyToken(token);
+            }
+        }
+        
+        return null;
+    }
+    
+    verifyToken(token) {
+        for (const configured of this.getAuthConfig().tokens) {
+            if (configured.token && SCOPES.includes(configured.scope) && this.safeEqual(configured.token, token)) {
+                return { scope: configured.scope, via: 'token', name: configured.name || 'config' };
+            }
+        }
+        
+        const hash = this.hash(token);
+        const created = this.tokens.find(candidate => this.safeEqual(candidate.hash, hash));
+        if (created) {
+            created.lastUsed = new Date().toISOString();
+            return { scope: created.scope, via: 'token', name: created.name };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Express middleware that lets a request through when auth is disabled or the caller has the
+     * scope returned by getRequiredScope(req). getRequiredScope returns null for public routes.
+     */
+    middleware(getRequiredScope) {
+        return (req, res, next) => {
+            if (!this.isEnabled()) {
+                return next();
+            }
+            
+            const required = getRequiredScope(req);
+            if (!required) {
+                return next();
+            }
+            
+            // Signed media URLs stand in for credentials on <video> requests
+            const isMedia = this.getMediaResource(req.path, req.query) !== null;
+            if (isMedia && this.verifyMediaSignature(req.path, req.query)) {
+                return next();
+            }
+            
+            const identity = this.authenticate(req, { allowQueryToken: isMedia });
+            if (!identity) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            
+            if (!AuthManager.hasScope(identity.scope, required)) {
+                return res.status(403).json({ error: `This requires the ${required} scope (token has ${identity.scope})` });
+            }
+            
+            req.auth = identity;
+            next();
+        };
+    }
+    
+    /**
+     * Checks the admin password, with a lockout after repeated failures from the same address
+     * @returns {Object} { success, status, error }
+     */
+    login(password, ip) {
+        const { adminPassword, maxFailedLogins, lockoutWindow } = this.getAuthConfig();
+        const now = Date.now();
+        const failures = (this.failedLogins.get(ip) || []).filter(at => now - at < lockoutWindow);
+        
+        if (failures.length >= maxFailedLogins) {
+            return { success: false, status: 429, error: 'Too many failed attempts, try again later' };
+        }
+        
+        if (!adminPassword || typeof password !== 'string' || !this.safeEqual(adminPassword, password)) {
+            failures.push(now);
+            this.failedLogins.set(ip, failures);
+            this.logger.log(`Failed login from ${ip} (${failures.length}/${maxFailedLogins})`);
+            return { success: false, status: 401, error: 'Wrong password' };
+        }
+        
+        this.failedLogins.delete(ip);
+        this.logger.log(`Admin signed in from ${ip}`);
+        return { success: true };
+    }
+    
+    /**
+     * Session cookie value: expiry and a signature bound to the current password, so changing
+     * the password signs every browser out
+     */
+    createSessionCookie() {
+        const { sessionTtl } = this.getAuthConfig();
+        const expires = Date.now() + sessionTtl;
+        
+        return {
+            name: COOKIE_NAME,
+            value: `${expires}.${this.sign(`session:${expires}:${this.getAuthConfig().adminPassword}`)}`,
+            maxAge: sessionTtl
+        };
+    }
+    
+    verifySessionCookie(value) {
+        const [expires, signature] = String(value).split('.');
+        if (!expires || !signature || Number(expires) < Date.now() || !this.getAuthConfig().adminPassword) {
+            return false;
+        }
+        
+        return this.safeEqual(signature, this.sign(`session:${expires}:${this.getAuthConfig().adminPassword}`));
+    }
+    
+    getCookieName() {
+        return COOKIE_NAME;
+    }
+    
+    /**
+     * What a media signature covers: the file of a /videos request, or a whole HLS package, so
+     * one signature works for its playlists and segments. Null for other paths.
+     */
+    getMediaResource(pathname, query) {
+        // Routes match case-insensitively, so /Videos is a media request too
+        if (pathname.toLowerCase() === '/videos') {
+            return query.filename ? String(query.filename) : null;
+        }
+        
+        const hls = pathname.match(/^\/hls\/([\w-]+)\//i);
+        return hls ? `hls/${hls[1]}` : null;
+    }
+    
+    /**
+     * Adds an expiring signature to a /videos or /hls URL when auth is enabled, so players can
+     * load videos without sending credentials
+     */
+    signMediaUrl(url) {
+        if (!this.isEnabled()) {
+            return url;
+        }
+        
+        const parsed = new URL(url, 'http://localhost');
+        const resource = this.getMediaResource(parsed.pathname, Object.fromEntries(parsed.searchParams));
+        const expires = Date.now() + this.getAuthConfig().mediaUrlTtl;
+        
+        return `${url}${parsed.search ? '&' : '?'}expires=${expires}&signature=${this.sign(`media:${resource}:${expires}`)}`;
+    }
+    
+    verifyMediaSignature(pathname, query) {
+        const resource = this.getMediaResource(pathname, query);
+        const { expires, signature } = query;
+        
+        if (!resource || !expires || !signature || Number(expires) < Date.now()) {
+            return false;
+        }
+        
+        return this.safeEqual(String(signature), this.sign(`media:${resource}:${expires}`));
+    }
+    
+    /**
+     * Creates an API token. The token is returned once; only its hash is kept.
+     * @throws {Error} With code 'INVALID_TOKEN_REQUEST' for a missing name or unknown scope
+     */
+    async createToken(name, scope) {
+        if (typeof name !== 'string' || !name.trim() || !SCOPES.includes(scope)) {
+            const error = new Error(`Token needs a name and a scope (${SCOPES.join(', ')})`);
+            error.code = 'INVALID_TOKEN_REQUEST';
+            throw error;
+        }
+        
+        const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: name.trim(),
+            scope,
+            hash: this.hash(token),
+            createdAt: new Date().toISOString(),
+            lastUsed: null
+        };
+        
+        this.tokens.push(entry);
+        await this.save();
+        this.logger.log(`Created ${scope} API token: ${entry.name}`);
+        
+        return { ...this.describeToken(entry), token };
+    }
+    
+    async revokeToken(id) {
+        const index = this.tokens.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+        
+        const [entry] = this.tokens.splice(index, 1);
+        await this.save();
+        this.logger.log(`Revoked API token: ${entry.name}`);
+        return true;
+    }
+    
+    /**
+     * Created and configured tokens, without their secrets
+     */
+    listTokens() {
+        return [
+            ...this.getAuthConfig().tokens.map(token => ({
+                id: null,
+                name: token.name || null,
+                scope: token.scope,
+                source: 'config'
+            })),
+            ...this.tokens.map(entry => this.describeToken(entry))
+        ];
+    }
+    
+    describeToken(entry) {
+        return {
+            id: entry.id,
+            name: entry.name,
+            scope: entry.scope,
+            source: 'api',
+            createdAt: entry.createdAt,
+            lastUsed: entry.lastUsed
+        };
+    }
+    
+    parseCookies(header) {
+        const cookies = {};
+        
+        for (const part of (header || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                try {
+                    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+                } catch {
+                    // Ignore malformed cookies
+                }
+            }
+        }
+        
+        return cookies;
+    }
+    
+    sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+    
+    hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+    
+    /**
+     * Constant-time comparison (of hashes, so different lengths do not leak either)
+     */
+    safeEqual(a, b) {
+        return crypto.timingSafeEqual(
+            crypto.createHash('sha256').update(String(a)).digest(),
+            crypto.createHash('sha256').update(String(b)).digest()
+        );
+    }
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,79 @@
+const express = require('express');
+const AuthManager = require('./authManager');
+
+/**
+ * Creates the /api/auth routes: sign in and out with the admin password, and token management
+ * @param {AuthManager} authManager - Checks passwords and keeps the API tokens
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createAuthRouter(authManager, logger) {
+    const router = express.Router();
+    
+    // Whether auth is on and who the caller is (used by the login page and the clients)
+    router.get('/api/auth/status', (req, res) => {
+        const identity = authManager.isEnabled() ? authManager.authenticate(req) : null;
+        
+        res.json({
+            enabled: authManager.isEnabled(),
+            authenticated: !authManager.isEnabled() || identity !== null,
+            scope: authManager.isEnabled() ? identity?.scope || null : 'admin',
+            via: identity?.via || null
+        });
+    });
+    
+    router.post('/api/auth/login', (req, res) => {
+        if (!authManager.isEnabled()) {
+            return res.json({ success: true });
+        }
+        
+        const result = authManager.login(req.body?.password, req.ip);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        const cookie = authManager.createSessionCookie();
+        res.cookie(cookie.name, cookie.value, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: cookie.maxAge
+        });
+        res.json({ success: true });
+    });
+    
+    router.post('/api/auth/logout', (req, res) => {
+        res.clearCookie(authManager.getCookieName());
+        res.json({ success: true });
+    });
+    
+    // API tokens (admin scope)
+    router.get('/api/auth/tokens', (req, res) => {
+        res.json({ tokens: authManager.listTokens(), scopes: AuthManager.getScopes() });
+    });
+    
+    router.post('/api/auth/tokens', async (req, res) => {
+        try {
+            res.status(201).json(await authManager.createToken(req.body?.name, req.body?.scope));
+        } catch (error) {
+            if (error.code === 'INVALID_TOKEN_REQUEST') {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            logger.error('Failed to create API token', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+    
+    router.delete('/api/auth/tokens/:id', async (req, res) => {
+        if (!(await authManager.revokeToken(req.params.id))) {
+            return res.status(404).json({ error: `Unknown token: ${req.params.id}` });
+        }
+        
+        res.json({ success: true });
+    });
+    
+    return router;
+}
+
+module.exports = { createAuthRouter };
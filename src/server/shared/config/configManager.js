@@ -229,9 +229,42 @@ class ConfigManager {
         }
     }
     
+    /**
+     * Returns the configured video directories in object form. Entries in `directories` may be
+     * plain path strings or { path, weight } objects; plain strings get weight 1.
+     * @returns {Array} [{ path, weight }]
+     */
+    getDirectories() {
+        return (this.config.directories || [])
+            .map(entry => {
+                if (typeof entry === 'string') {
+                    return { path: entry, weight: 1 };
+                }
+                
+                const weight = Number(entry?.weight ?? 1);
+                return {
+                    path: entry?.path,
+                    weight: Number.isFinite(weight) ? Math.max(0, weight) : 1
+                };
+            })
+            .filter(entry => typeof entry.path === 'string' && entry.path.length > 0);
+    }
+    
+    getDirectoryPaths() {
+        return this.getDirectories().map(entry => entry.path);
+    }
+    
+    /**
+     * True if any directory uses the object form, which switches selection to per-directory weighting
+     */
+    hasDirectoryWeights() {
+        return (this.config.directories || []).some(entry => entry && typeof entry === 'object');
+    }
+    
     calculateHash() {
         const relevantConfig = {
-            directories: this.config.directories,
+            // Paths only, so changing a weight doesn't force an index rebuild
+            directories: this.getDirectoryPaths(),
             seasonalDirectories: this.config.seasonalDirectories, // Add this line
             video: {
                 updateInterval: this.config.video?.updateInterval
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+
+// Commands a player accepts, with validation of their parameters
+const COMMANDS = {
+    next: () => ({}),
+    previous: () => ({}),
+    pause: () => ({}),
+    resume: () => ({}),
+    seek: (params) => {
+        const position = params.position !== undefined ? Number(params.position) : null;
+        const offset = params.offset !== undefined ? Number(params.offset) : null;
+        
+        if (position !== null && Number.isFinite(position) && position >= 0) {
+            return { position };
+        }
+        if (offset !== null && Number.isFinite(offset)) {
+            return { offset };
+        }
+        throw new Error('seek requires position (seconds from start, >= 0) or offset (seconds, may be negative)');
+    },
+    setSpeed: (params) => {
+        const speed = Number(params.speed);
+        if (!Number.isFinite(speed) || speed <= 0) {
+            throw new Error('setSpeed requires a positive speed');
+        }
+        return { speed };
+    },
+    toggleLoop: () => ({}),
+    mute: (params) => {
+        if (params.muted === undefined) {
+            return {}; // Toggle
+        }
+        if (typeof params.muted !== 'boolean') {
+            throw new Error('mute accepts an optional boolean muted');
+        }
+        return { muted: params.muted };
+    }
+};
+
+class ControlHub {
+    /**
+     * Routes remote control commands to connected players and collects their acknowledgements.
+     * Players either receive commands pushed through a send function (WebSocket, IPC) or
+     * fetch them by polling, in which case they are queued until the next poll.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides network.control settings
+     */
+    constructor(logger, configManager = null) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.clients = new Map(); // Map<clientId, { clientId, type, send, lastSeen, queued }>
+        this.pendingCommands = new Map(); // Map<commandId, { targets, acks, resolve, timer }>
+    }
+    
+    static getCommandNames() {
+        return Object.keys(COMMANDS);
+    }
+    
+    /**
+     * Validates command parameters
+     * @returns {Object} Normalized parameters
+     * @throws {Error} For unknown commands or invalid parameters
+     */
+    static validate(command, params = {}) {
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new Error(`Unknown command: ${command}. Available: ${Object.keys(COMMANDS).join(', ')}`);
+        }
+        return COMMANDS[command](params || {});
+    }
+    
+    getControlConfig() {
+        const control = this.configManager?.config?.network?.control || {};
+        
+        return {
+            ackTimeout: control.ackTimeout || 5000,
+            pollInterval: control.pollInterval || 1000,
+            clientTimeout: control.clientTimeout || 60000
+        };
+    }
+    
+    /**
+     * Registers a player. Without a send function the player is expected to poll.
+     * @param {string} clientId - Player id, stable across reconnects of the same page
+     * @param {string} type - 'web', 'webos' or 'electron'
+     * @param {Function|null} send - Pushes a command message to the player
+     */
+    registerClient(clientId, type, send = null) {
+        this.pruneClients();
+        const existing = this.clients.get(clientId);
+        
+        this.clients.set(clientId, {
+            clientId,
+            type: type || existing?.type || 'unknown',
+            send,
+            lastSeen: Date.now(),
+            queued: existing?.queued || []
+        });
+        
+        if (!existing || !!existing.send !== !!send) {
+            this.logger.log(`Control client registered: ${clientId} (${type}, ${send ? 'push' : 'polling'})`);
+        }
+        
+        // Commands queued while the player was polling go out through the new channel
+        if (send) {
+            this.flushQueued(clientId);
+        }
+    }
+    
+    /**
+     * Removes a player's push channel. It stays reachable if it falls back to polling.
+     */
+    unregisterClient(clientId, send = null) {
+        const client = this.clients.get(clientId);
+        
+        // A newer connection of the same player may have replaced this one already
+        if (!client || (send && client.send !== send)) {
+            return;
+        }
+        
+        this.clients.delete(clientId);
+        this.logger.log(`Control client disconnected: ${clientId}`);
+    }
+    
+    /**
+     * Forgets polling players that stopped polling `clientTimeout` ago, with their queued commands
+     */
+    pruneClients(now = Date.now()) {
+        const { clientTimeout } = this.getControlConfig();
+        
+        for (const [clientId, client] of this.clients) {
+            if (!client.send && now - client.lastSeen > clientTimeout) {
+                this.clients.delete(clientId);
+                this.logger.log(`Control client timed out: ${clientId}`);
+            }
+        }
+    }
+    
+    isClientActive(client) {
+        if (client.send) {
+            return true;
+        }
+        
+        // Polling players count as connected while they keep polling
+        return Date.now() - client.lastSeen < this.getControlConfig().pollInterval * 5;
+    }
+    
+    getClients() {
+        this.pruneClients();
+        
+        return [...this.clients.values()]
+            .filter(client => this.isClientActive(client))
+            .map(client => ({
+                clientId: client.clientId,
+                type: client.type,
+                transport: client.send ? 'push' : 'polling',
+                lastSeen: new Date(client.lastSeen).toISOString()
+            }));
+    }
+    
+    /**
+     * Sends a command to one player or all connected players and waits for their acknowledgements
+     * @param {string} command - Command name
+     * @param {Object} params - Validated parameters (see validate())
+     * @param {string|null} clientId - Target player, or null for all
+     * @returns {Promise<Object>} { commandId, command, params, acks: [{ clientId, type, success, error, state, result }], timedOut: [clientId] }
+     * @throws {Error} With code 'NO_CLIENTS' when no player is connected (or the target is unknown)
+     */
+    dispatch(command, params = {}, clientId = null) {
+        const targets = [...this.clients.values()].filter(client =>
+            this.isClientActive(client) && (!clientId || client.clientId === clientId));
+        
+        if (targets.length === 0) {
+            const error = new Error(clientId ? `Player not connected: ${clientId}` : 'No players connected');
+            error.code = 'NO_CLIENTS';
+            return Promise.reject(error);
+        }
+        
+        const commandId = crypto.randomUUID();
+        const message = { id: commandId, command, params, issuedAt: new Date().toISOString() };
+        
+        this.logger.log(`Remote control: ${command} ${JSON.stringify(params)} -> ${targets.map(client => client.clientId).join(', ')}`);
+        
+        return new Promise((resolve) => {
+            const pending = {
+                command,
+                params,
+                targets: new Map(targets.map(client => [client.clientId, client.type])),
+                acks: [],
+                resolve,
+                timer: null
+            };
+            
+            pending.timer = setTimeout(() => this.settle(commandId), this.getControlConfig().ackTimeout);
+            this.pendingCommands.set(commandId, pending);
+            
+            for (const client of targets) {
+                this.deliver(client, message);
+            }
+        });
+    }
+    
+    deliver(client, message) {
+        if (client.send) {
+            try {
+                client.send(message);
+                return;
+            } catch (error) {
+                this.logger.error(`Failed to push command to ${client.clientId}, queueing for polling`, error);
+                client.send = null;
+            }
+        }
+        
+        client.queued.push(message);
+    }
+    
+    flushQueued(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client || client.queued.length === 0) {
+            return;
+        }
+        
+        const queued = client.queued.filter(message => this.pendingCommands.has(message.id));
+        client.queued = [];
+        
+        for (const message of queued) {
+            this.deliver(client, message);
+        }
+    }
+    
+    /**
+     * Returns and clears the commands queued for a polling player
+     */
+    takeQueued(clientId, type) {
+        const client = this.clients.get(clientId);
+        
+        if (!client) {
+            this.registerClient(clientId, type);
+            return [];
+        }
+        
+        client.lastSeen = Date.now();
+        
+        // Commands whose acknowledgement window already closed are dropped
+        const queued = client.queued.filter(message => this.pendingCommands.has(message.id));
+        client.queued = [];
+        return queued;
+    }
+    
+    /**
+     * Records a player's acknowledgement
+     * @param {string} clientId - Acknowledging player
+     * @param {Object} ack - { id, success, error, state, result }
+     */
+    handleAck(clientId, ack) {
+        const pending = ack && this.pendingCommands.get(ack.id);
+        
+        if (!pending || !pending.targets.has(clientId)) {
+            return false;
+        }
+        
+        if (pending.acks.some(existing => existing.clientId === clientId)) {
+            return false;
+        }
+        
+        pending.acks.push({
+            clientId,
+            type: pending.targets.get(clientId),
+            success: ack.success !== false,
+            error: ack.error || null,
+            state: ack.state || null,
+            result: ack.result || null
+        });
+        
+        if (pending.acks.length === pending.targets.size) {
+            this.settle(ack.id);
+        }
+        
+        return true;
+    }
+    
+    settle(commandId) {
+        const pending = this.pendingCommands.get(commandId);
+        if (!pending) {
+            return;
+        }
+        
+        clearTimeout(pending.timer);
+        this.pendingCommands.delete(commandId);
+        
+        const acknowledged = new Set(pending.acks.map(ack => ack.clientId));
+        const timedOut = [...pending.targets.keys()].filter(clientId => !acknowledged.has(clientId));
+        
+        if (timedOut.length > 0) {
+            this.logger.log(`Remote control: ${pending.command} not acknowledged by ${timedOut.join(', ')}`);
+        }
+        
+        pending.resolve({
+            commandId,
+            command: pending.command,
+            params: pending.params,
+            acks: pending.acks,
+            timedOut
+        });
+    }
+}
+
+module.exports = ControlHub;
@@ -0,0 +1,76 @@
+const express = require('express');
+const ControlHub = require('./controlHub');
+
+/**
+ * Creates the /api/control routes shared by the web server and the Electron control server
+ * @param {ControlHub} controlHub - Hub that delivers commands to players
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createControlRouter(controlHub, logger) {
+    const router = express.Router();
+    
+    // Connected players
+    router.get('/api/control/clients', (req, res) => {
+        res.json({
+            clients: controlHub.getClients(),
+            commands: ControlHub.getCommandNames()
+        });
+    });
+    
+    // Polling fallback for players without a push channel (webOS, WebSocket unavailable)
+    router.get('/api/control/commands', (req, res) => {
+        const { clientId, type } = req.query;
+        if (!clientId) {
+            return res.status(400).json({ error: 'Missing clientId parameter' });
+        }
+        
+        res.json({ commands: controlHub.takeQueued(clientId, type) });
+    });
+    
+    router.post('/api/control/ack', (req, res) => {
+        const { clientId, ...ack } = req.body || {};
+        if (!clientId || !ack.id) {
+            return res.status(400).json({ error: 'Missing clientId or id' });
+        }
+        
+        res.json({ accepted: controlHub.handleAck(clientId, ack) });
+    });
+    
+    // Transport commands: POST /api/control/<command> with parameters in the JSON body.
+    // An optional clientId (body or query) targets a single player instead of all of them.
+    router.post('/api/control/:command', async (req, res) => {
+        const { command } = req.params;
+        const { clientId: bodyClientId, ...params } = req.body || {};
+        const clientId = bodyClientId || req.query.clientId || null;
+        
+        let validatedParams;
+        try {
+            validatedParams = ControlHub.validate(command, params);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        try {
+            const result = await controlHub.dispatch(command, validatedParams, clientId);
+            
+            // Nobody answered in time
+            if (result.acks.length === 0) {
+                return res.status(504).json({ error: 'No player acknowledged the command', ...result });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            if (error.code === 'NO_CLIENTS') {
+                return res.status(404).json({ error: error.message });
+            }
+            
+            logger.error(`Remote control command failed: ${command}`, error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createControlRouter };
@@ -0,0 +1,234 @@
+const path = require('path');
+
+// Events a player reports while playing
+const EVENTS = ['start', 'progress', 'pause', 'resume', 'seek', 'end'];
+
+class NowPlaying {
+    /**
+     * Server-side model of what each player is showing, built from the events players report.
+     * Positions are extrapolated between heartbeats, and players that stop reporting are dropped.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides network.nowPlaying settings
+     */
+    constructor(logger, configManager = null) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.players = new Map(); // Map<clientId, player state>
+        this.listeners = new Set();
+        this.expiryTimer = null;
+    }
+    
+    static getEventNames() {
+        return [...EVENTS];
+    }
+    
+    getNowPlayingConfig() {
+        const nowPlaying = this.configManager?.config?.network?.nowPlaying || {};
+        const heartbeatInterval = nowPlaying.heartbeatInterval || 5000;
+        
+        return {
+            heartbeatInterval,
+            staleAfter: nowPlaying.staleAfter || heartbeatInterval * 3
+        };
+    }
+    
+    start() {
+        if (this.expiryTimer) {
+            return;
+        }
+        
+        this.expiryTimer = setInterval(() => this.expireStale(), this.getNowPlayingConfig().heartbeatInterval);
+    }
+    
+    stop() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+    
+    /**
+     * Subscribes to changes
+     * @param {Function} listener - Called with (snapshot, { event, clientId })
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * Applies an event reported by a player
+     * @param {string} clientId - Reporting player
+     * @param {string} type - 'web', 'webos' or 'electron'
+     * @param {Object} report - { event, video, position, duration, playbackSpeed, isPaused, isMuted, isLooping }
+     * @returns {Object} The player's updated state
+     * @throws {Error} For unknown events or a start without a video
+     */
+    handleEvent(clientId, type, report = {}) {
+        const { event } = report;
+        
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown now-playing event: ${event}. Available: ${EVENTS.join(', ')}`);
+        }
+        
+        const existing = this.players.get(clientId);
+        const video = report.video ? this.normalizeVideo(report.video) : existing?.video;
+        
+        if (!video) {
+            throw new Error(`${event} reported without a video`);
+        }
+        
+        const now = Date.now();
+        const isNewVideo = event === 'start' || !existing || existing.video.filename !== video.filename;
+        const duration = this.toNumber(report.duration) ?? video.duration ?? existing?.duration ?? null;
+        let position = this.toNumber(report.position) ?? (isNewVideo ? 0 : this.getPosition(existing, now));
+        
+        if (event === 'end' && duration !== null) {
+            position = duration;
+        }
+        
+        let status = report.isPaused ? 'paused' : 'playing';
+        if (event === 'pause') {
+            status = 'paused';
+        } else if (event === 'resume') {
+            status = 'playing';
+        } else if (event === 'end') {
+            status = 'ended';
+        }
+        
+        const player = {
+            clientId,
+            type: type || existing?.type || 'unknown',
+            status,
+            video,
+            position,
+            duration,
+            playbackSpeed: this.toNumber(report.playbackSpeed) ?? existing?.playbackSpeed ?? 1,
+            isMuted: report.isMuted ?? existing?.isMuted ?? false,
+            isLooping: report.isLooping ?? existing?.isLooping ?? false,
+            startedAt: isNewVideo ? now : existing.startedAt,
+            updatedAt: now,
+            lastEvent: event
+        };
+        
+        this.players.set(clientId, player);
+        
+        if (event !== 'progress') {
+            this.logger.log(`Now playing (${clientId}): ${event} ${video.filename} at ${position.toFixed(1)}s`);
+        }
+        
+        this.notify(event, clientId);
+        return this.serialize(player, now);
+    }
+    
+    /**
+     * Forgets a player, e.g. when its window closes
+     */
+    removePlayer(clientId) {
+        if (this.players.delete(clientId)) {
+            this.notify('removed', clientId);
+        }
+    }
+    
+    expireStale() {
+        const { staleAfter } = this.getNowPlayingConfig();
+        const now = Date.now();
+        
+        for (const [clientId, player] of this.players) {
+            if (now - player.updatedAt > staleAfter) {
+                this.logger.log(`Now playing: ${clientId} stopped reporting, removing`);
+                this.players.delete(clientId);
+                this.notify('removed', clientId);
+            }
+        }
+    }
+    
+    /**
+     * @param {string|null} clientId - Restrict to one player
+     * @returns {Object} { current, players } where current is the most recently updated playing player
+     *                   (or paused one, or null), and players lists every reporting player
+     */
+    getSnapshot(clientId = null) {
+        const now = Date.now();
+        const players = [...this.players.values()]
+            .filter(player => !clientId || player.clientId === clientId)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        
+        const current = players.find(player => player.status === 'playing')
+            || players.find(player => player.status === 'paused')
+            || null;
+        
+        return {
+            current: current ? this.serialize(current, now) : null,
+            players: players.map(player => this.serialize(player, now))
+        };
+    }
+    
+    getPosition(player, now = Date.now()) {
+        if (player.status !== 'playing') {
+            return player.position;
+        }
+        
+        const elapsed = (now - player.updatedAt) / 1000 * player.playbackSpeed;
+        const position = player.position + elapsed;
+        return player.duration !== null ? Math.min(player.duration, position) : position;
+    }
+    
+    serialize(player, now = Date.now()) {
+        const position = this.getPosition(player, now);
+        
+        return {
+            clientId: player.clientId,
+            type: player.type,
+            status: player.status,
+            video: player.video,
+            position: Math.round(position * 10) / 10,
+            duration: player.duration,
+            progress: player.duration ? Math.round(position / player.duration * 1000) / 1000 : null,
+            playbackSpeed: player.playbackSpeed,
+            isMuted: player.isMuted,
+            isLooping: player.isLooping,
+            startedAt: new Date(player.startedAt).toISOString(),
+            updatedAt: new Date(player.updatedAt).toISOString(),
+            lastEvent: player.lastEvent
+        };
+    }
+    
+    normalizeVideo(video) {
+        const filename = video.filename || (video.originalPath ? path.basename(video.originalPath) : null);
+        if (!filename) {
+            throw new Error('Video is missing a filename');
+        }
+        
+        return {
+            filename,
+            title: video.title || path.parse(filename).name,
+            originalPath: video.originalPath || null,
+            seasonalDirectory: video.seasonalDirectory || null,
+            duration: this.toNumber(video.metadata?.duration ?? video.duration)
+        };
+    }
+    
+    toNumber(value) {
+        const number = Number(value);
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+    }
+    
+    notify(event, clientId) {
+        if (this.listeners.size === 0) {
+            return;
+        }
+        
+        const snapshot = this.getSnapshot();
+        for (const listener of this.listeners) {
+            try {
+                listener(snapshot, { event, clientId });
+            } catch (error) {
+                this.logger.error('Now playing listener failed', error);
+            }
+        }
+    }
+}
+
+module.exports = NowPlaying;
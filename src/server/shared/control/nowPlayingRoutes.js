@@ -0,0 +1,35 @@
+const express = require('express');
+
+/**
+ * Creates the /api/now-playing routes shared by the web server and the Electron control server
+ * @param {NowPlaying} nowPlaying - Now-playing model
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createNowPlayingRouter(nowPlaying, logger) {
+    const router = express.Router();
+    
+    // Current title and position, optionally for one player (?clientId=)
+    router.get('/api/now-playing', (req, res) => {
+        res.json(nowPlaying.getSnapshot(req.query.clientId || null));
+    });
+    
+    // Event reports from players without a WebSocket
+    router.post('/api/now-playing', (req, res) => {
+        const { clientId, clientType, ...report } = req.body || {};
+        if (!clientId) {
+            return res.status(400).json({ error: 'Missing clientId' });
+        }
+        
+        try {
+            res.json(nowPlaying.handleEvent(clientId, clientType, report));
+        } catch (error) {
+            logger.log(`Rejected now-playing report from ${clientId}: ${error.message}`);
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createNowPlayingRouter };
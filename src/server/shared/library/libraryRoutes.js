@@ -0,0 +1,40 @@
+const express = require('express');
+
+/**
+ * Creates the /api/library routes shared by the web server and the Electron control server
+ * @param {VideoLibrary} library - Library view of the video index
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createLibraryRouter(library, logger) {
+    const router = express.Router();
+    
+    // Paged list and search, see VideoLibrary.query() for the parameters
+    router.get('/api/library', (req, res) => {
+        try {
+            res.json(library.query(req.query));
+        } catch (error) {
+            if (error.code !== 'INVALID_QUERY') {
+                logger.error('Library query failed', error);
+            }
+            res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+        }
+    });
+    
+    router.get('/api/library/directories', (req, res) => {
+        res.json({ directories: library.getDirectories() });
+    });
+    
+    router.get('/api/library/:id', (req, res) => {
+        const item = library.get(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: `No video with id ${req.params.id}` });
+        }
+        
+        res.json(item);
+    });
+    
+    return router;
+}
+
+module.exports = { createLibraryRouter };
@@ -0,0 +1,349 @@
+const path = require('path');
+const crypto = require('crypto');
+const VideoMetadata = require('../video/videoMetadata');
+
+const SORT_FIELDS = {
+    filename: item => item.filename.toLowerCase(),
+    directory: item => item.directory.toLowerCase(),
+    addedAt: item => item.addedAt,
+    size: item => item.size,
+    duration: item => item.media?.duration,
+    height: item => item.media?.height
+};
+
+// Numeric filters: [query parameter, media field, minimum or maximum]
+const RANGE_FILTERS = [
+    ['minDuration', 'duration', 'min'],
+    ['maxDuration', 'duration', 'max'],
+    ['minWidth', 'width', 'min'],
+    ['maxWidth', 'width', 'max'],
+    ['minHeight', 'height', 'min'],
+    ['maxHeight', 'height', 'max']
+];
+
+// Probed media info is written to the index at most this often; unsaved probes are simply redone
+const PROBE_SAVE_DELAY = 300000;
+
+class VideoLibrary {
+    /**
+     * Read-only view of the video index for browsing and search. Regular and seasonal entries of
+     * the same file are merged into one item whose id is derived from the file's path, so it stays
+     * the same across restarts and rescans. Duration, resolution and audio layout come from the
+     * media info kept on index entries; files that were never preprocessed are probed in the
+     * background when `video.library.probeMedia` is on. Items are built once per index version.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the video.library settings
+     * @param {VideoIndex} videoIndex - Source of the entries
+     */
+    constructor(logger, configManager, videoIndex) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.videoIndex = videoIndex;
+        this.probeTimer = null;
+        this.probeFailed = new Set(); // Paths ffprobe could not read, not retried until restart
+        this.cache = null; // { indexVersion, items, byId, byPath, unprobed, probeCursor }
+    }
+    
+    /**
+     * Gets library settings from config with defaults
+     * @returns {Object} Library configuration
+     */
+    getLibraryConfig() {
+        const library = this.configManager.config.video?.library || {};
+        
+        return {
+            probeMedia: library.probeMedia === true,
+            probeDelay: library.probeDelay ?? 250,
+            pageSize: library.pageSize || 50,
+            maxPageSize: library.maxPageSize || 500
+        };
+    }
+    
+    /**
+     * Stable id of a video file
+     * @param {string} originalPath - Source path
+     * @returns {string} 16 hex characters
+     */
+    static getId(originalPath) {
+        return crypto.createHash('sha1').update(path.resolve(originalPath)).digest('hex').slice(0, 16);
+    }
+    
+    /**
+     * All indexed files, regular and seasonal entries merged
+     * @returns {Object[]} Items with their index entries in a non-enumerable entries field
+     */
+    getItems() {
+        return this.getCache().items;
+    }
+    
+    /**
+     * Items and their lookups, rebuilt when the index changed since they were built
+     */
+    getCache() {
+        if (this.cache?.indexVersion === this.videoIndex.indexVersion) {
+            return this.cache;
+        }
+        
+        const items = this.buildItems();
+        this.cache = {
+            indexVersion: this.videoIndex.indexVersion,
+            items,
+            byId: new Map(items.map(item => [item.id, item])),
+            byPath: new Map(items.map(item => [path.resolve(item.originalPath), item])),
+            // Files to probe, in index order; probeNext() walks them with the cursor
+            unprobed: items.filter(item => !item.media),
+            probeCursor: 0
+        };
+        
+        return this.cache;
+    }
+    
+    buildItems() {
+        const items = new Map();
+        
+        const add = (entry, seasonalDirectory) => {
+            const resolvedPath = path.resolve(entry.originalPath);
+            let item = items.get(resolvedPath);
+            
+            if (!item) {
+                item = {
+                    id: VideoLibrary.getId(entry.originalPath),
+                    filename: entry.filename,
+                    directory: entry.directory,
+                    originalPath: entry.originalPath,
+                    size: entry.size,
+                    addedAt: entry.addedAt,
+                    regular: false,
+                    seasonalDirectories: []
+                };
+                Object.defineProperty(item, 'entries', { value: [], enumerable: false });
+                // Read from the entries, so media info stored after the item was built shows up
+                Object.defineProperty(item, 'media', {
+                    get: () => item.entries.find(candidate => candidate.media)?.media || null,
+                    enumerable: true
+                });
+                items.set(resolvedPath, item);
+            }
+            
+            if (seasonalDirectory) {
+                item.seasonalDirectories.push(seasonalDirectory);
+            } else {
+                item.regular = true;
+            }
+            
+            item.entries.push(entry);
+        };
+        
+        for (const entry of this.videoIndex.videos) {
+            add(entry, null);
+        }
+        
+        for (const [directory, entries] of this.videoIndex.seasonalVideos) {
+            for (const entry of entries) {
+                add(entry, directory);
+            }
+        }
+        
+        return [...items.values()];
+    }
+    
+    /**
+     * @param {string} id - Library id
+     * @returns {Object|null} The item
+     */
+    get(id) {
+        return this.getCache().byId.get(id) || null;
+    }
+    
+    /**
+     * @param {string} originalPath - Source path
+     * @returns {Object|null} The item of an indexed file
+     */
+    getByPath(originalPath) {
+        return this.getCache().byPath.get(path.resolve(originalPath)) || null;
+    }
+    
+    /**
+     * Filters, sorts and pages the library
+     * @param {Object} query - Request query: q, filename, directory, source, seasonalDirectory,
+     *                         min/maxDuration (seconds), min/maxWidth, min/maxHeight, audio, channels,
+     *                         probed, sort, order, offset, limit
+     * @returns {Object} { total, offset, limit, items }
+     * @throws {Error} With code 'INVALID_QUERY' for unknown sort fields and malformed numbers
+     */
+    query(query = {}) {
+        const { pageSize, maxPageSize } = this.getLibraryConfig();
+        const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+        const number = (name) => {
+            if (query[name] === undefined || query[name] === '') {
+                return null;
+            }
+            
+            const value = Number(query[name]);
+            if (!Number.isFinite(value)) {
+                throw VideoLibrary.invalid(`${name} must be a number`);
+            }
+            return value;
+        };
+        
+        const sort = query.sort || 'filename';
+        if (!SORT_FIELDS[sort]) {
+            throw VideoLibrary.invalid(`Unknown sort field: ${sort} (use ${Object.keys(SORT_FIELDS).join(', ')})`);
+        }
+        
+        const terms = (text(query.q) || '').split(/\s+/).filter(Boolean);
+        const filename = text(query.filename);
+        const directory = text(query.directory);
+        const audio = text(query.audio);
+        const channels = number('channels');
+        const ranges = RANGE_FILTERS.map(([name, field, bound]) => [field, bound, number(name)]).filter(([, , value]) => value !== null);
+        const offset = Math.max(0, Math.floor(number('offset') || 0));
+        const limit = Math.min(maxPageSize, Math.max(1, Math.floor(number('limit') || pageSize)));
+        
+        const matches = this.getItems().filter(item => {
+            const name = item.filename.toLowerCase();
+            const dir = item.directory.toLowerCase();
+            
+            if (!terms.every(term => name.includes(term) || dir.includes(term))) {
+                return false;
+            }
+            if ((filename && !name.includes(filename)) || (directory && !dir.includes(directory))) {
+                return false;
+            }
+            if ((query.source === 'regular' && !item.regular) || (query.source === 'seasonal' && item.seasonalDirectories.length === 0)) {
+                return false;
+            }
+            if (query.seasonalDirectory && !item.seasonalDirectories.includes(query.seasonalDirectory)) {
+                return false;
+            }
+            if (query.probed !== undefined && (item.media !== null) !== (query.probed === 'true')) {
+                return false;
+            }
+            
+            // Media filters leave out files that were not probed yet
+            if (audio && ![item.media?.channelLayout, item.media?.audioProfile].some(value => value?.toLowerCase() === audio)) {
+                return false;
+            }
+            if (channels !== null && item.media?.audioChannels !== channels) {
+                return false;
+            }
+            
+            return ranges.every(([field, bound, value]) => {
+                const actual = item.media?.[field];
+                return typeof actual === 'number' && (bound === 'min' ? actual >= value : actual <= value);
+            });
+        });
+        
+        const key = SORT_FIELDS[sort];
+        const direction = query.order === 'desc' ? -1 : 1;
+        matches.sort((a, b) => {
+            const valueA = key(a);
+            const valueB = key(b);
+            
+            // Unknown values (unprobed files) go last in both directions
+            if (valueA == null || valueB == null) {
+                return (valueA == null) - (valueB == null);
+            }
+            return (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) * direction || a.originalPath.localeCompare(b.originalPath);
+        });
+        
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            items: matches.slice(offset, offset + limit)
+        };
+    }
+    
+    /**
+     * Configured directories with their file counts
+     */
+    getDirectories() {
+        const regular = this.configManager.getDirectoryPaths().map(directory => ({
+            directory,
+            source: 'regular',
+            count: this.videoIndex.videos.filter(video => this.videoIndex.isPathWithin(video.originalPath, directory)).length
+        }));
+        
+        const seasonal = [...this.videoIndex.seasonalVideos].map(([directory, videos]) => ({
+            directory,
+            source: 'seasonal',
+            count: videos.length
+        }));
+        
+        return [...regular, ...seasonal];
+    }
+    
+    static invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_QUERY';
+        return error;
+    }
+    
+    /**
+     * Starts probing files without media info, one every probeDelay ms, when probeMedia is on
+     */
+    start() {
+        if (this.getLibraryConfig().probeMedia && !this.probeTimer) {
+            this.scheduleProbe(5000);
+        }
+    }
+    
+    stop() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+    }
+    
+    scheduleProbe(delay) {
+        this.probeTimer = setTimeout(() => this.probeNext(), delay);
+        this.probeTimer.unref?.();
+    }
+    
+    async probeNext() {
+        const { probeDelay } = this.getLibraryConfig();
+        const item = this.videoIndex.isBuilding ? null : this.nextUnprobed();
+        
+        // Nothing to do: look again later for files added since
+        if (!item) {
+            this.scheduleProbe(60000);
+            return;
+        }
+        
+        try {
+            // Per-file audio logging would flood the log during a library-wide probe
+            const quietLogger = { log: () => {}, error: (message, error) => this.logger.error(message, error) };
+            const metadata = await VideoMetadata.extract(item.originalPath, quietLogger);
+            
+            if (metadata) {
+                this.videoIndex.setMediaInfo(item.originalPath, VideoMetadata.summarize(metadata), item.entries, PROBE_SAVE_DELAY);
+            } else {
+                this.probeFailed.add(item.originalPath);
+            }
+        } catch (error) {
+            this.logger.error(`Library probe failed: ${item.originalPath}`, error);
+            this.probeFailed.add(item.originalPath);
+        }
+        
+        if (this.probeTimer) {
+            this.scheduleProbe(probeDelay);
+        }
+    }
+    
+    /**
+     * Next file without media info; files preprocessed or probed since the list was made are passed over
+     */
+    nextUnprobed() {
+        const cache = this.getCache();
+        
+        while (cache.probeCursor < cache.unprobed.length) {
+            const item = cache.unprobed[cache.probeCursor++];
+            if (!item.media && !this.probeFailed.has(item.originalPath)) {
+                return item;
+            }
+        }
+        
+        return null;
+    }
+}
+
+module.exports = VideoLibrary;
@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const FileUtils = require('../utils/fileUtils');
+
+const PLAYLIST_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9 _.-]{0,63}$/;
+const MODES = ['ordered', 'shuffle'];
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+class PlaylistManager {
+    /**
+     * Named lists of video files, played in order or shuffled. Each playlist is a JSON file in
+     * the playlists directory (`playlists.directory`, cache/playlists by default) so playlists
+     * can also be edited by hand; M3U/M3U8 files can be imported. Only indexed videos can be
+     * added, so a playlist never reaches files outside the configured directories.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the playlists settings
+     * @param {VideoIndex} videoIndex - The videos a playlist may hold
+     */
+    constructor(logger, configManager, videoIndex) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.videoIndex = videoIndex;
+        this.directory = configManager.config.playlists?.directory ?
+            path.resolve(configManager.config.playlists.directory) :
+            path.join(process.cwd(), 'cache', 'playlists');
+        this.playlists = new Map(); // Map<name, playlist>
+    }
+    
+    static isValidName(name) {
+        return typeof name === 'string' && PLAYLIST_NAME_PATTERN.test(name);
+    }
+    
+    async load() {
+        try {
+            await FileUtils.ensureDirectory(this.directory);
+            const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+            
+            for (const file of files) {
+                const data = await FileUtils.readJSON(path.join(this.directory, file));
+                const name = path.basename(file, '.json');
+                
+                if (!data || !Array.isArray(data.items) || !PlaylistManager.isValidName(name)) {
+                    this.logger.error(`Ignoring invalid playlist file: ${file}`);
+                    continue;
+                }
+                
+                this.playlists.set(name, {
+                    name,
+                    mode: MODES.includes(data.mode) ? data.mode : 'ordered',
+                    items: data.items.filter(item => typeof item === 'string'),
+                    createdAt: data.createdAt || null,
+                    updatedAt: data.updatedAt || null
+                });
+            }
+            
+            this.logger.log(`Playlists loaded: ${this.playlists.size} from ${this.directory}`);
+        } catch (error) {
+            this.logger.error('Failed to load playlists', error);
+        }
+    }
+    
+    /**
+     * @returns {Array} Playlist summaries: [{ name, mode, count, createdAt, updatedAt }]
+     */
+    list() {
+        return [...this.playlists.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(({ items, ...playlist }) => ({ ...playlist, count: items.length }));
+    }
+    
+    get(name) {
+        return this.playlists.get(name) || null;
+    }
+    
+    /**
+     * Creates or replaces a playlist
+     * @param {string} name - Playlist name (letters, digits, space, _ . -)
+     * @param {Object} playlist - { items: paths of indexed videos, relative ones resolved against
+     *                            the working directory, mode: 'ordered' (default) or 'shuffle' }
+     * @returns {Promise<Object>} The stored playlist
+     * @throws {Error} With code 'INVALID_PLAYLIST'
+     */
+    async save(name, { items, mode = 'ordered' } = {}) {
+        if (!PlaylistManager.isValidName(name)) {
+            throw PlaylistManager.error('INVALID_PLAYLIST', `Invalid playlist name: ${name}`);
+        }
+        if (!Array.isArray(items) || items.some(item => typeof item !== 'string' || !item.trim())) {
+            throw PlaylistManager.error('INVALID_PLAYLIST', 'items must be a list of video paths');
+        }
+        if (!MODES.includes(mode)) {
+            throw PlaylistManager.error('INVALID_PLAYLIST', `mode must be one of: ${MODES.join(', ')}`);
+        }
+        
+        const resolved = items.map(item => path.resolve(item.trim()));
+        const indexed = this.videoIndex.getIndexedPaths();
+        const unknown = resolved.filter(item => !indexed.has(item));
+        if (unknown.length > 0) {
+            const listed = unknown.slice(0, 3).join(', ') + (unknown.length > 3 ? ` and ${unknown.length - 3} more` : '');
+            throw PlaylistManager.error('INVALID_PLAYLIST', `Not in the video index: ${listed}`);
+        }
+        
+        const now = new Date().toISOString();
+        const playlist = {
+            name,
+            mode,
+            items: resolved,
+            createdAt: this.playlists.get(name)?.createdAt || now,
+            updatedAt: now
+        };
+        
+        await FileUtils.ensureDirectory(this.directory);
+        if (!(await FileUtils.writeJSON(this.getPath(name), playlist))) {
+            throw new Error(`Could not write playlist ${name}`);
+        }
+        
+        this.playlists.set(name, playlist);
+        this.logger.log(`Playlist saved: ${name} (${playlist.items.length} videos, ${mode})`);
+        return playlist;
+    }
+    
+    /**
+     * @throws {Error} With code 'NOT_FOUND'
+     */
+    async remove(name) {
+        if (!this.playlists.has(name)) {
+            throw PlaylistManager.error('NOT_FOUND', `No playlist named ${name}`);
+        }
+        
+        await FileUtils.deleteFile(this.getPath(name));
+        this.playlists.delete(name);
+        this.logger.log(`Playlist deleted: ${name}`);
+    }
+    
+    /**
+     * Creates or replaces a playlist from an M3U/M3U8 file in the video directories or from its
+     * content
+     * @param {Object} request - { name, file: path of the playlist file, or content: its text
+     *                           with baseDirectory for relative entries, mode }
+     * @returns {Promise<Object>} { playlist, skipped: entries that are not indexed videos }
+     * @throws {Error} With code 'INVALID_PLAYLIST' or 'NOT_FOUND'
+     */
+    async importM3U({ name, file, content, baseDirectory, mode = 'ordered' } = {}) {
+        if (file) {
+            if (!/\.m3u8?$/i.test(file)) {
+                throw PlaylistManager.error('INVALID_PLAYLIST', 'Only .m3u and .m3u8 files can be imported');
+            }
+            if (!this.videoIndex.isInVideoDirectories(file)) {
+                throw PlaylistManager.error('INVALID_PLAYLIST', 'Playlist files can only be imported from the video directories');
+            }
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                throw PlaylistManager.error('NOT_FOUND', `Cannot read playlist file ${file}: ${error.message}`);
+            }
+            baseDirectory = path.dirname(path.resolve(file));
+        }
+        
+        if (typeof content !== 'string') {
+            throw PlaylistManager.error('INVALID_PLAYLIST', 'Import needs the file or content of an M3U playlist');
+        }
+        
+        name = name || (file ? path.basename(file, path.extname(file)) : null);
+        const parsed = PlaylistManager.parseM3U(content, baseDirectory || process.cwd());
+        const indexed = this.videoIndex.getIndexedPaths();
+        const entries = parsed.items.map(item => path.resolve(item));
+        const items = entries.filter(item => indexed.has(item));
+        const skipped = [...parsed.skipped, ...entries.filter(item => !indexed.has(item))];
+        
+        if (items.length === 0) {
+            throw PlaylistManager.error('INVALID_PLAYLIST', 'The playlist has no indexed video files');
+        }
+        
+        const playlist = await this.save(name, { items, mode });
+        if (skipped.length > 0) {
+            this.logger.log(`Playlist import ${name}: skipped ${skipped.length} entries that are not indexed videos`);
+        }
+        
+        return { playlist, skipped };
+    }
+    
+    /**
+     * Reads the entries of an M3U/M3U8 playlist. Comment and directive lines (#EXTM3U, #EXTINF...)
+     * are ignored, file:// URLs and relative paths are turned into absolute paths and other URLs
+     * are skipped.
+     * @param {string} content - Playlist text
+     * @param {string} baseDirectory - Directory relative entries are resolved against
+     * @returns {Object} { items, skipped }
+     */
+    static parseM3U(content, baseDirectory) {
+        const items = [];
+        const skipped = [];
+        
+        for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+            
+            if (line.toLowerCase().startsWith('file://')) {
+                try {
+                    items.push(fileURLToPath(line));
+                } catch (error) {
+                    skipped.push(line);
+                }
+            } else if (URL_PATTERN.test(line)) {
+                skipped.push(line);
+            } else {
+                items.push(path.resolve(baseDirectory, line));
+            }
+        }
+        
+        return { items, skipped };
+    }
+    
+    getPath(name) {
+        return path.join(this.directory, `${name}.json`);
+    }
+    
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = PlaylistManager;
@@ -0,0 +1,91 @@
+const express = require('express');
+
+// HTTP status for each error code of the playlist API
+const ERROR_STATUS = {
+    INVALID_PLAYLIST: 400,
+    NOT_FOUND: 404
+};
+
+/**
+ * Creates the /api/playlists routes shared by the web server and the Electron control server
+ * @param {PlaylistManager} playlistManager - Stored playlists
+ * @param {PlaylistScheduler} playlistScheduler - Runs playlists as blocks
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createPlaylistRouter(playlistManager, playlistScheduler, logger) {
+    const router = express.Router();
+    
+    const fail = (res, error, message) => {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            logger.error(message, error);
+        }
+        res.status(status || 500).json({ error: error.message });
+    };
+    
+    // Playlists with the running, pending and configured blocks
+    router.get('/api/playlists', (req, res) => {
+        res.json({
+            playlists: playlistManager.list(),
+            schedule: playlistScheduler.getStatus()
+        });
+    });
+    
+    // { name, file: .m3u/.m3u8 path on the server, or content with baseDirectory, mode }
+    router.post('/api/playlists/import', async (req, res) => {
+        try {
+            const { playlist, skipped } = await playlistManager.importM3U(req.body || {});
+            res.json({ playlist, skipped });
+        } catch (error) {
+            fail(res, error, 'Playlist import failed');
+        }
+    });
+    
+    // Ends the running block; the next pending one starts or random selection resumes
+    router.post('/api/playlists/stop', (req, res) => {
+        const stopped = playlistScheduler.stopBlock();
+        res.json({ stopped, schedule: playlistScheduler.getStatus() });
+    });
+    
+    router.get('/api/playlists/:name', (req, res) => {
+        const playlist = playlistManager.get(req.params.name);
+        if (!playlist) {
+            return res.status(404).json({ error: `No playlist named ${req.params.name}` });
+        }
+        
+        res.json(playlist);
+    });
+    
+    // { items: [video paths], mode: ordered | shuffle }
+    router.put('/api/playlists/:name', async (req, res) => {
+        try {
+            res.json(await playlistManager.save(req.params.name, req.body || {}));
+        } catch (error) {
+            fail(res, error, 'Saving playlist failed');
+        }
+    });
+    
+    router.delete('/api/playlists/:name', async (req, res) => {
+        try {
+            await playlistManager.remove(req.params.name);
+            res.json({ deleted: req.params.name });
+        } catch (error) {
+            fail(res, error, 'Deleting playlist failed');
+        }
+    });
+    
+    // Plays the playlist now, replacing the running block; { mode } overrides its mode
+    router.post('/api/playlists/:name/play', (req, res) => {
+        try {
+            playlistScheduler.play(req.params.name, { mode: req.body?.mode || null });
+            res.json({ schedule: playlistScheduler.getStatus() });
+        } catch (error) {
+            fail(res, error, 'Playing playlist failed');
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createPlaylistRouter };
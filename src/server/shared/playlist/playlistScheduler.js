@@ -0,0 +1,344 @@
+const path = require('path');
+const FileUtils = require('../utils/fileUtils');
+
+const MINUTE_MS = 60000;
+// How far back the start of a matching condition window is searched
+const MAX_LOOKBACK_MINUTES = 1440;
+
+class PlaylistScheduler {
+    /**
+     * Runs playlists as programmed blocks. A block from `playlists.blocks` starts when its
+     * conditions (the `seasonalDirectories` condition language) begin to match, or on request;
+     * while it runs, VideoIndex.getRandomVideo() hands out the playlist's videos one after the
+     * other, and when the last one was handed out random selection resumes. Blocks that start
+     * while another one runs wait for it to finish.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the playlists settings
+     * @param {PlaylistManager} playlistManager - Stored playlists
+     * @param {VideoIndex} videoIndex - Index entries for the videos, the clock and the random source
+     */
+    constructor(logger, configManager, playlistManager, videoIndex) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.playlistManager = playlistManager;
+        this.videoIndex = videoIndex;
+        this.statePath = path.join(process.cwd(), 'cache', 'playlist-schedule.json');
+        this.active = null; // { block, playlist, items, position, startedAt }
+        this.pending = [];
+        this.lastStarted = {}; // Block name -> ISO time it last started
+        this.matching = new Map(); // Block name -> whether its conditions matched at the last check
+        this.lastCheck = null;
+        this.checkTimer = null;
+        this.saveTimer = null;
+        this.onBlockStartCallback = null;
+    }
+    
+    getPlaylistsConfig() {
+        const playlists = this.configManager.config.playlists || {};
+        
+        return {
+            checkInterval: playlists.checkInterval || 30000,
+            blocks: (playlists.blocks || [])
+                .filter(block => block && block.playlist && block.conditions)
+                .map(block => ({
+                    name: block.name || block.playlist,
+                    playlist: block.playlist,
+                    conditions: block.conditions,
+                    mode: block.mode || null
+                }))
+        };
+    }
+    
+    async load() {
+        try {
+            const state = await FileUtils.readJSON(this.statePath);
+            if (state) {
+                this.active = state.active || null;
+                this.pending = state.pending || [];
+                this.lastStarted = state.lastStarted || {};
+            }
+            
+            if (this.active) {
+                this.logger.log(`Resuming playlist block "${this.active.block}": ${this.active.position}/${this.active.items.length} videos handed out`);
+            }
+        } catch (error) {
+            this.logger.error('Failed to load playlist schedule state', error);
+        }
+    }
+    
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        await FileUtils.ensureDirectory(path.dirname(this.statePath));
+        await FileUtils.writeJSON(this.statePath, {
+            savedAt: new Date().toISOString(),
+            active: this.active,
+            pending: this.pending,
+            lastStarted: this.lastStarted
+        });
+    }
+    
+    scheduleSave(delay = 2000) {
+        if (this.saveTimer) {
+            return;
+        }
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => this.logger.error('Failed to save playlist schedule state', error));
+        }, delay);
+        this.saveTimer.unref?.();
+    }
+    
+    /**
+     * Checks the block conditions periodically, so blocks start on time even when no video is
+     * being selected
+     */
+    start() {
+        if (this.checkTimer) {
+            return;
+        }
+        
+        this.checkTimer = setInterval(() => this.check(), this.getPlaylistsConfig().checkInterval);
+        this.checkTimer.unref?.();
+        this.check();
+    }
+    
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+    
+    onBlockStart(callback) {
+        this.onBlockStartCallback = callback;
+    }
+    
+    /**
+     * Starts the blocks whose conditions began to match since they last started. After a restart
+     * a block still starts if its window opened while the server was down.
+     * @param {Date} now - Point in time to check
+     */
+    check(now = this.videoIndex.timeEvaluator.now()) {
+        const evaluator = this.videoIndex.timeEvaluator;
+        const { blocks, checkInterval } = this.getPlaylistsConfig();
+        
+        // After a pause (sleep, clock change) the conditions may have stopped matching in between
+        if (this.lastCheck && Math.abs(now - this.lastCheck) > 2 * checkInterval) {
+            this.matching.clear();
+        }
+        this.lastCheck = now;
+        
+        for (const block of blocks) {
+            const matches = evaluator.evaluate(block.conditions, now);
+            const wasMatching = this.matching.get(block.name);
+            this.matching.set(block.name, matches);
+            
+            if (!matches || wasMatching) {
+                continue;
+            }
+            
+            const lastStarted = this.lastStarted[block.name] ? new Date(this.lastStarted[block.name]) : null;
+            if (lastStarted && lastStarted >= this.getWindowStart(block.conditions, now)) {
+                continue;
+            }
+            
+            this.lastStarted[block.name] = now.toISOString();
+            this.startBlock(block, now);
+        }
+    }
+    
+    /**
+     * Start of the condition window `now` lies in, to the minute and at most a day back
+     */
+    getWindowStart(conditions, now) {
+        const evaluator = this.videoIndex.timeEvaluator;
+        let start = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+        
+        for (let i = 0; i < MAX_LOOKBACK_MINUTES; i++) {
+            const previous = new Date(start.getTime() - MINUTE_MS);
+            if (!evaluator.evaluate(conditions, previous)) {
+                break;
+            }
+            start = previous;
+        }
+        
+        return start;
+    }
+    
+    /**
+     * Runs a block now, or after the running one when there is one
+     * @param {Object} block - { name, playlist, mode }
+     * @returns {Object|null} The started or queued block, null when its playlist is unusable
+     */
+    startBlock(block, now = this.videoIndex.timeEvaluator.now()) {
+        const playlist = this.playlistManager.get(block.playlist);
+        if (!playlist || playlist.items.length === 0) {
+            this.logger.error(`Playlist block "${block.name}" not started: playlist ${block.playlist} is missing or empty`);
+            return null;
+        }
+        
+        if (this.active && this.active.block === block.name) {
+            this.logger.log(`Playlist block "${block.name}" is already running`);
+            return this.active;
+        }
+        
+        const items = (block.mode || playlist.mode) === 'shuffle' ? this.shuffle([...playlist.items]) : [...playlist.items];
+        const entry = { block: block.name, playlist: playlist.name, items, position: 0, startedAt: now.toISOString() };
+        
+        if (this.active) {
+            this.pending = this.pending.filter(pending => pending.block !== block.name);
+            this.pending.push(entry);
+            this.logger.log(`Playlist block "${block.name}" queued after "${this.active.block}"`);
+        } else {
+            this.activate(entry);
+        }
+        
+        this.scheduleSave();
+        return entry;
+    }
+    
+    activate(entry) {
+        this.active = entry;
+        this.logger.log(`Playlist block "${entry.block}" started: ${entry.playlist} (${entry.items.length} videos)`);
+        
+        if (this.onBlockStartCallback) {
+            this.onBlockStartCallback(entry);
+        }
+    }
+    
+    /**
+     * Plays a playlist right away, replacing the running block
+     * @param {string} name - Playlist name
+     * @param {Object} options - { mode: overrides the playlist's mode }
+     * @returns {Object} The started block
+     * @throws {Error} With code 'NOT_FOUND' or 'INVALID_PLAYLIST'
+     */
+    play(name, { mode = null } = {}) {
+        const playlist = this.playlistManager.get(name);
+        if (!playlist) {
+            throw PlaylistScheduler.error('NOT_FOUND', `No playlist named ${name}`);
+        }
+        if (playlist.items.length === 0) {
+            throw PlaylistScheduler.error('INVALID_PLAYLIST', `Playlist ${name} is empty`);
+        }
+        if (mode && !['ordered', 'shuffle'].includes(mode)) {
+            throw PlaylistScheduler.error('INVALID_PLAYLIST', 'mode must be ordered or shuffle');
+        }
+        
+        if (this.active) {
+            this.logger.log(`Playlist block "${this.active.block}" replaced by ${name}`);
+            this.active = null;
+        }
+        
+        return this.startBlock({ name, playlist: name, mode });
+    }
+    
+    /**
+     * Ends the running block; the next pending block starts, or random selection resumes
+     * @returns {boolean} Whether a block was running
+     */
+    stopBlock() {
+        if (!this.active) {
+            return false;
+        }
+        
+        this.logger.log(`Playlist block "${this.active.block}" stopped`);
+        this.finishBlock();
+        return true;
+    }
+    
+    finishBlock() {
+        this.active = null;
+        this.scheduleSave();
+        
+        if (this.pending.length > 0) {
+            this.activate(this.pending.shift());
+        } else {
+            this.logger.log('Playlist blocks finished, random selection resumes');
+        }
+    }
+    
+    /**
+     * Next video of the running block. Videos that are excluded (already queued) or missing are
+     * skipped; the block finishes once every video was handed out.
+     * @param {Set<string>} excludeSet - Paths that must not be selected
+     * @param {Date} now - Point in time of the selection
+     * @returns {Object|null} Index entry with `playlist` and `programmed: { block }`, or null
+     */
+    getNextVideo(excludeSet, now = this.videoIndex.timeEvaluator.now()) {
+        this.check(now);
+        
+        while (this.active) {
+            const block = this.active;
+            if (block.position >= block.items.length) {
+                this.logger.log(`Playlist block "${block.block}" finished`);
+                this.finishBlock();
+                continue;
+            }
+            
+            const originalPath = block.items[block.position++];
+            this.scheduleSave();
+            
+            const entry = this.videoIndex.getEntryForPath(originalPath);
+            if (!entry) {
+                this.logger.log(`Playlist ${block.playlist}: skipping missing video ${originalPath}`);
+                continue;
+            }
+            if (excludeSet.has(entry.originalPath)) {
+                this.logger.log(`Playlist ${block.playlist}: skipping ${entry.filename}, it is already queued or excluded`);
+                continue;
+            }
+            
+            return {
+                ...entry,
+                playlist: block.playlist,
+                programmed: { block: block.block }
+            };
+        }
+        
+        return null;
+    }
+    
+    shuffle(items) {
+        const random = this.videoIndex.getRandom();
+        
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        
+        return items;
+    }
+    
+    /**
+     * @returns {Object} { active, pending, blocks: [{ name, playlist, conditions, mode, matching, lastStarted }] }
+     */
+    getStatus() {
+        const describe = (entry) => entry && {
+            block: entry.block,
+            playlist: entry.playlist,
+            position: entry.position,
+            total: entry.items.length,
+            startedAt: entry.startedAt
+        };
+        
+        return {
+            active: describe(this.active) || null,
+            pending: this.pending.map(describe),
+            blocks: this.getPlaylistsConfig().blocks.map(block => ({
+                ...block,
+                matching: !!this.matching.get(block.name),
+                lastStarted: this.lastStarted[block.name] || null
+            }))
+        };
+    }
+    
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = PlaylistScheduler;
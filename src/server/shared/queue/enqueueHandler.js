@@ -0,0 +1,118 @@
+// How many candidates an ambiguous path search reports
+const MAX_CANDIDATES = 10;
+
+class EnqueueHandler {
+    /**
+     * Puts videos picked by a user into the players' playback queues, ahead of the random
+     * selection. The video is looked up in the library, preprocessed right away through the
+     * ReprocessHandler (the processed cache makes repeated picks cheap) and sent to the players
+     * as an 'enqueue' command, which they acknowledge with their updated upcoming list.
+     * @param {Object} logger - Logger instance
+     * @param {VideoLibrary} library - Finds the video by id or path
+     * @param {ReprocessHandler} reprocessHandler - Preprocesses the video
+     * @param {ControlHub} controlHub - Delivers the video to the players
+     */
+    constructor(logger, library, reprocessHandler, controlHub) {
+        this.logger = logger;
+        this.library = library;
+        this.reprocessHandler = reprocessHandler;
+        this.controlHub = controlHub;
+    }
+    
+    /**
+     * Finds a library item by id, or by a path search: an exact source path, or words that all
+     * appear in exactly one video's path
+     * @param {Object} request - { id } or { path }
+     * @returns {Object} Library item
+     * @throws {Error} With code 'INVALID_ENQUEUE', 'NOT_FOUND' or 'AMBIGUOUS' (with candidates)
+     */
+    find({ id, path: search } = {}) {
+        if (id) {
+            const item = this.library.get(String(id));
+            if (!item) {
+                throw EnqueueHandler.error('NOT_FOUND', `No video with id ${id}`);
+            }
+            return item;
+        }
+        
+        if (typeof search !== 'string' || !search.trim()) {
+            throw EnqueueHandler.error('INVALID_ENQUEUE', 'Enqueue needs the id or path of a video');
+        }
+        
+        const exact = this.library.getByPath(search);
+        if (exact) {
+            return exact;
+        }
+        
+        const items = this.library.getItems();
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = items.filter(item => terms.every(term => item.originalPath.toLowerCase().includes(term)));
+        
+        if (matches.length === 0) {
+            throw EnqueueHandler.error('NOT_FOUND', `No video matches ${search}`);
+        }
+        if (matches.length > 1) {
+            const error = EnqueueHandler.error('AMBIGUOUS', `${matches.length} videos match ${search}, pick one by id`);
+            error.candidates = matches
+                .sort((a, b) => a.originalPath.localeCompare(b.originalPath))
+                .slice(0, MAX_CANDIDATES)
+                .map(item => ({ id: item.id, filename: item.filename, originalPath: item.originalPath }));
+            throw error;
+        }
+        
+        return matches[0];
+    }
+    
+    /**
+     * Preprocesses a video and inserts it into the playback queues
+     * @param {Object} request - { id or path, position: upcoming videos to play first (0, the
+     *                           default, plays it next), clientId: one player instead of all }
+     * @returns {Promise<Object>} { video, position, acks, timedOut }, each ack's result holding
+     *                            the player's position for the video and its upcoming list
+     * @throws {Error} With code 'INVALID_ENQUEUE', 'NOT_FOUND', 'AMBIGUOUS', 'PROCESSING_FAILED'
+     *                 or 'NO_CLIENTS'
+     */
+    async enqueue({ id, path: search, position = 0, clientId = null } = {}) {
+        position = Number(position);
+        if (!Number.isInteger(position) || position < 0) {
+            throw EnqueueHandler.error('INVALID_ENQUEUE', 'position must be a whole number >= 0');
+        }
+        
+        const item = this.find({ id, path: search });
+        
+        // Checked before preprocessing, which can take a while for videos that are not cached
+        if (!this.controlHub.getClients().some(client => !clientId || client.clientId === clientId)) {
+            throw EnqueueHandler.error('NO_CLIENTS', clientId ? `Player not connected: ${clientId}` : 'No players connected');
+        }
+        
+        // The regular entry when there is one, so a pick never counts toward a seasonal block
+        const entry = item.entries.find(candidate => !candidate.seasonalDirectory) || item.entries[0];
+        
+        this.logger.log(`Enqueue requested: ${item.filename} at position ${position}${clientId ? ` for ${clientId}` : ''}`);
+        
+        const processed = await this.reprocessHandler.ensureVideoProcessed({ ...entry });
+        if (!processed) {
+            throw EnqueueHandler.error('PROCESSING_FAILED', `Could not preprocess ${item.filename}`);
+        }
+        
+        const video = { ...processed, libraryId: item.id, enqueuedAt: new Date().toISOString() };
+        
+        // Not one of the public /api/control commands, players only get it from here
+        const result = await this.controlHub.dispatch('enqueue', { video, position }, clientId);
+        
+        return {
+            video: { id: item.id, filename: item.filename, originalPath: item.originalPath },
+            position,
+            acks: result.acks,
+            timedOut: result.timedOut
+        };
+    }
+    
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = EnqueueHandler;
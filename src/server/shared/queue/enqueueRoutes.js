@@ -0,0 +1,51 @@
+const express = require('express');
+
+// HTTP status for each EnqueueHandler error code
+const ERROR_STATUS = {
+    INVALID_ENQUEUE: 400,
+    NOT_FOUND: 404,
+    NO_CLIENTS: 404,
+    AMBIGUOUS: 409,
+    PROCESSING_FAILED: 422
+};
+
+/**
+ * Creates the /api/enqueue route shared by the web server and the Electron control server
+ * @param {EnqueueHandler} enqueueHandler - Preprocesses picked videos and sends them to the players
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createEnqueueRouter(enqueueHandler, logger) {
+    const router = express.Router();
+    
+    // Body: { id } or { path }, optional position (0 = play next) and clientId
+    router.post('/api/enqueue', async (req, res) => {
+        const { id, path, position, clientId } = req.body || {};
+        
+        try {
+            const result = await enqueueHandler.enqueue({
+                id,
+                path,
+                position: position ?? 0,
+                clientId: clientId || req.query.clientId || null
+            });
+            
+            // Nobody answered in time
+            if (result.acks.length === 0) {
+                return res.status(504).json({ error: 'No player acknowledged the video', ...result });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            const status = ERROR_STATUS[error.code];
+            if (!status) {
+                logger.error('Enqueue failed', error);
+            }
+            res.status(status || 500).json({ error: error.message, candidates: error.candidates });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createEnqueueRouter };
@@ -2,11 +2,16 @@ const path = require('path');
 const FileUtils = require('../utils/fileUtils');
 
 class HistoryManager {
-    constructor(logger, configManager) {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides history sizes
+     * @param {string|null} historyPath - Persisted history file, defaults to cache/persisted-history.json
+     */
+    constructor(logger, configManager, historyPath = null) {
         this.logger = logger;
         this.configManager = configManager;
-        this.cacheDir = path.join(process.cwd(), 'cache');
-        this.historyPath = path.join(this.cacheDir, 'persisted-history.json');
+        this.cacheDir = historyPath ? path.dirname(historyPath) : path.join(process.cwd(), 'cache');
+        this.historyPath = historyPath || path.join(this.cacheDir, 'persisted-history.json');
         
         // In-memory playback history (recent videos)
         this.playbackHistory = [];
@@ -149,6 +154,26 @@ class HistoryManager {
         return null;
     }
     
+    removeVideos(originalPaths) {
+        const removeSet = new Set(originalPaths);
+        const playbackBefore = this.playbackHistory.length;
+        const persistedBefore = this.persistedHistory.length;
+        
+        this.playbackHistory = this.playbackHistory.filter(v => !removeSet.has(v.originalPath));
+        this.persistedHistory = this.persistedHistory.filter(v => !removeSet.has(v.originalPath));
+        
+        const removedCount = (playbackBefore - this.playbackHistory.length) + (persistedBefore - this.persistedHistory.length);
+        
+        if (removedCount > 0) {
+            this.logger.log(`Removed deleted videos from history: playback=${this.playbackHistory.length}, persisted=${this.persistedHistory.length}`);
+            
+            // Save persisted history async
+            setImmediate(() => this.save());
+        }
+        
+        return removedCount;
+    }
+    
     getPlaybackHistoryVideos() {
         // Return videos in playback history for temp file cleanup protection
         return this.playbackHistory.map(v => ({
@@ -1,6 +1,22 @@
+const os = require('os');
 const path = require('path');
 const FileUtils = require('../utils/fileUtils');
 const VideoPreprocessor = require('../video/videoPreprocessor');
+const ProcessedCache = require('../video/processedCache');
+const HlsPackager = require('../video/hlsPackager');
+const ProfileVariants = require('../video/profileVariants');
+
+// Preprocessing failures kept for the upcoming list
+const MAX_FAILURES = 20;
+
+// Changes editUpcoming() makes to an entry
+const EDIT_ACTIONS = ['remove', 'move', 'pin', 'skip'];
+
+function upcomingError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
 class PreprocessedQueue {
     constructor(logger, configManager, videoIndex, stats) {
@@ -12,6 +28,22 @@ class PreprocessedQueue {
         this.isProcessing = false;
         this.tempDir = path.join(process.cwd(), 'temp');
         this.preprocessor = null;
+        this.processedCache = new ProcessedCache(logger, configManager);
+        this.hlsPackager = new HlsPackager(logger, configManager);
+        this.profileVariants = new ProfileVariants(logger, configManager);
+        this.processedCache.onRemove(async (entry) => {
+            const id = this.hlsPackager.getId(entry.filename);
+            await this.hlsPackager.remove(id);
+            await this.profileVariants.remove(id);
+        });
+        this.activeJobs = new Map(); // Map<originalPath, job> for the current fill
+        this.failures = []; // Recent preprocessing failures, newest first
+        this.nextJobId = 1;
+        this.nextFailureId = 1;
+        this.lastProgressReport = 0;
+        this.nextQueueId = 1;
+        this.getConsumers = () => []; // Active client sessions, see setConsumerProvider()
+        this.getVariantSpecs = () => []; // Variants client profiles need, see setVariantProvider()
         
         this.initTempDir();
     }
@@ -24,7 +56,8 @@ class PreprocessedQueue {
         try {
             this.logger.log('Initializing preprocessed queue...');
             await FileUtils.ensureDirectory(this.tempDir);
-            this.preprocessor = new VideoPreprocessor(this.logger, this.tempDir, this.configManager);
+            await this.processedCache.load();
+            this.preprocessor = new VideoPreprocessor(this.logger, this.tempDir, this.configManager, this.processedCache, this.videoIndex, this.hlsPackager, this.profileVariants);
             this.isInitialized = true;
             this.logger.log('VideoPreprocessor initialized successfully');
         } catch (error) {
@@ -56,7 +89,7 @@ class PreprocessedQueue {
             await this.ensureReady();
             
             const target = targetSize || this.configManager.config.video.preprocessedQueueSize;
-            const needed = target - this.queue.length;
+            const { needed, consumer } = this.getFillPlan(target);
             
             this.logger.log(`Filling preprocessed queue: current=${this.queue.length}, target=${target}, needed=${needed}`);
             
@@ -65,13 +98,22 @@ class PreprocessedQueue {
                 return;
             }
             
-            // Get videos to process
+            // Get videos to process. When the session that is shortest on videos filters by directory,
+            // videos outside its directories are excluded so the fill actually serves it.
             const processedPaths = new Set(this.queue.map(v => v.originalPath));
+            if (consumer?.directories) {
+                this.logger.log(`Filling for session "${consumer.name}" (directories: ${consumer.directories.join(', ')})`);
+                for (const video of this.videoIndex.getAllVideos()) {
+                    if (!consumer.accepts(video)) {
+                        processedPaths.add(video.originalPath);
+                    }
+                }
+            }
             const videosToProcess = [];
             
             for (let i = 0; i < needed; i++) {
                 try {
-                    const video = this.videoIndex.getRandomVideo([...processedPaths]);
+                    const video = this.videoIndex.getRandomVideo(processedPaths);
                     if (!video) {
                         this.logger.log(`No more unique videos available after ${i} selections`);
                         break;
@@ -92,39 +134,10 @@ class PreprocessedQueue {
             
             this.logger.log(`Selected ${videosToProcess.length} videos for processing`);
             
-            // Process videos
-            let processedCount = 0;
-            for (const videoData of videosToProcess) {
-                try {
-                    this.logger.log(`Processing video: ${videoData.filename}`);
-                    
-                    if (!(await FileUtils.exists(videoData.originalPath))) {
-                        this.logger.log(`Skipping missing file: ${videoData.originalPath}`);
-                        continue;
-                    }
-                    
-                    const processedVideo = await this.preprocessor.preprocess(videoData);
-                    this.queue.push(processedVideo);
-                    processedCount++;
-                    this.stats.preprocessedVideos++;
-                    
-                    this.logger.log(`Preprocessed: ${processedVideo.filename} (${this.queue.length}/${target})`);
-                    
-                    if (progressCallback) {
-                        progressCallback(this.queue.length / target);
-                    }
-                    
-                } catch (error) {
-                    this.logger.error(`Failed to preprocess: ${videoData.filename}`, error);
-                    this.stats.preprocessingErrors++;
-                    
-                    // Add more detailed error information
-                    if (error.message && error.message.includes('window')) {
-                        this.logger.error('Window reference detected in preprocessing - this should not happen in main process');
-                        this.logger.error('Error stack:', error.stack);
-                    }
-                }
-            }
+            const concurrency = Math.min(this.getConcurrency(), videosToProcess.length);
+            this.logger.log(`Processing with ${concurrency} parallel workers`);
+            
+            const processedCount = await this.runWorkerPool(videosToProcess, concurrency, target, progressCallback);
             
             this.logger.log(`Preprocessing complete: ${processedCount} videos added`);
             
@@ -148,14 +161,505 @@ class PreprocessedQueue {
         }
     }
     
+    /**
+     * Number of parallel preprocessing jobs from the performance preset. 'auto' divides the
+     * CPU cores between jobs according to the per-job ffmpeg thread count.
+     * @returns {number} Worker count (at least 1)
+     */
+    getConcurrency() {
+        const performanceConfig = this.preprocessor.getPerformanceConfig();
+        const concurrency = performanceConfig.concurrency;
+        
+        if (concurrency === 'auto') {
+            return Math.max(1, Math.floor(os.cpus().length / (performanceConfig.maxThreads || 1)));
+        }
+        
+        return Math.max(1, parseInt(concurrency) || 1);
+    }
+    
+    /**
+     * Processes videos with a bounded pool of workers. Finished videos are inserted into the queue
+     * in selection order, so a short video never overtakes a longer one picked before it.
+     * @returns {Promise<number>} Number of videos added to the queue
+     */
+    async runWorkerPool(videosToProcess, concurrency, target, progressCallback) {
+        const jobs = videosToProcess.map(videoData => ({
+            id: this.nextJobId++,
+            videoData,
+            workerId: null,
+            percent: 0,
+            status: 'pending', // pending -> processing -> done
+            result: null,
+            cancelled: false,
+            controller: new AbortController()
+        }));
+        
+        for (const job of jobs) {
+            this.activeJobs.set(job.videoData.originalPath, job);
+        }
+        
+        let nextJob = 0;
+        let nextInsert = 0;
+        let processedCount = 0;
+        
+        const reportProgress = (force = false) => {
+            // ffmpeg reports progress several times per second per worker
+            const now = Date.now();
+            if (!progressCallback || (!force && now - this.lastProgressReport < 500)) {
+                return;
+            }
+            
+            this.lastProgressReport = now;
+            progressCallback(Math.min(1, this.queue.length / target), this.getWorkerStates());
+        };
+        
+        const insertFinished = async () => {
+            while (nextInsert < jobs.length && jobs[nextInsert].status === 'done') {
+                const job = jobs[nextInsert++];
+                this.activeJobs.delete(job.videoData.originalPath);
+                
+                if (!job.result) {
+                    continue;
+                }
+                
+                // Cancelled after it finished, e.g. the source was deleted while an earlier job was still running
+                if (job.cancelled) {
+                    await this.cleanupVideo(job.result);
+                    continue;
+                }
+                
+                this.queue.push(this.assignQueueId(job.result));
+                processedCount++;
+                this.stats.preprocessedVideos++;
+                
+                this.logger.log(`Preprocessed: ${job.result.filename} (${this.queue.length}/${target})`);
+            }
+        };
+        
+        const runWorker = async (workerId) => {
+            while (nextJob < jobs.length) {
+                const job = jobs[nextJob++];
+                
+                if (!job.cancelled) {
+                    job.workerId = workerId;
+                    job.status = 'processing';
+                    job.result = await this.processJob(job, () => reportProgress());
+                }
+                
+                job.status = 'done';
+                await insertFinished();
+                reportProgress(true);
+            }
+        };
+        
+        try {
+            const workers = [];
+            for (let i = 1; i <= concurrency; i++) {
+                workers.push(runWorker(i));
+            }
+            
+            await Promise.all(workers);
+        } finally {
+            for (const job of jobs) {
+                this.activeJobs.delete(job.videoData.originalPath);
+            }
+        }
+        
+        return processedCount;
+    }
+    
+    async processJob(job, onProgress) {
+        const { videoData, workerId } = job;
+        
+        try {
+            this.logger.log(`[worker ${workerId}] Processing video: ${videoData.filename}`);
+            
+            if (!(await FileUtils.exists(videoData.originalPath))) {
+                this.logger.log(`Skipping missing file: ${videoData.originalPath}`);
+                this.recordFailure(videoData, 'Source file missing');
+                return null;
+            }
+            
+            const processedVideo = await this.preprocessor.preprocess(videoData, {
+                signal: job.controller.signal,
+                onProgress: (percent) => {
+                    job.percent = percent;
+                    onProgress();
+                },
+                getVariantSpecs: this.getVariantSpecs
+            });
+            
+            job.percent = 100;
+            return processedVideo;
+            
+        } catch (error) {
+            if (error.cancelled || job.cancelled) {
+                this.logger.log(`[worker ${workerId}] Cancelled: ${videoData.filename}`);
+                return null;
+            }
+            
+            this.logger.error(`Failed to preprocess: ${videoData.filename}`, error);
+            this.stats.preprocessingErrors++;
+            this.recordFailure(videoData, error.message);
+            
+            // Add more detailed error information
+            if (error.message && error.message.includes('window')) {
+                this.logger.error('Window reference detected in preprocessing - this should not happen in main process');
+                this.logger.error('Error stack:', error.stack);
+            }
+            
+            return null;
+        }
+    }
+    
+    /**
+     * Cancels a pending or running preprocessing job. Running ffmpeg processes are killed.
+     * @param {string} originalPath - Source path of the job
+     * @returns {boolean} True if a job was cancelled
+     */
+    cancelJob(originalPath) {
+        const job = this.activeJobs.get(originalPath);
+        if (!job || job.cancelled) {
+            return false;
+        }
+        
+        job.cancelled = true;
+        job.controller.abort();
+        this.logger.log(`Cancelled preprocessing job: ${job.videoData.filename}`);
+        return true;
+    }
+    
+    recordFailure(videoData, message) {
+        this.failures.unshift({
+            id: this.nextFailureId++,
+            filename: videoData.filename,
+            originalPath: videoData.originalPath,
+            error: message || 'Unknown error',
+            failedAt: new Date().toISOString()
+        });
+        this.failures.length = Math.min(this.failures.length, MAX_FAILURES);
+    }
+    
+    cancelAllJobs() {
+        for (const originalPath of [...this.activeJobs.keys()]) {
+            this.cancelJob(originalPath);
+        }
+    }
+    
+    /**
+     * Current state of each busy worker, for progress reporting
+     * @returns {Array} [{ workerId, filename, percent }]
+     */
+    getWorkerStates() {
+        return [...this.activeJobs.values()]
+            .filter(job => job.status === 'processing')
+            .sort((a, b) => a.workerId - b.workerId)
+            .map(job => ({
+                workerId: job.workerId,
+                filename: job.videoData.filename,
+                percent: Math.round(job.percent)
+            }));
+    }
+    
     async clear() {
+        this.cancelAllJobs();
+        
         for (const video of this.queue) {
-            await FileUtils.deleteFile(video.processedPath);
+            await this.cleanupVideo(video);
         }
         this.queue = [];
     }
 
-    getNext() {
+    /**
+     * Lets client sessions share the queue. Each active session is dispensed every queued video
+     * it accepts once, and a video leaves the queue when no active session is still waiting for it.
+     * @param {Function} provider - Returns the active sessions ({ name, directories, dispensed, order, accepts(video) })
+     */
+    setConsumerProvider(provider) {
+        this.getConsumers = provider || (() => []);
+    }
+    
+    /**
+     * Lets client profiles request transcoded variants, which are made along with each video
+     * @param {Function} provider - (output, hasHls) => [{ key, height, audioChannels }]
+     */
+    setVariantProvider(provider) {
+        this.getVariantSpecs = provider || (() => []);
+    }
+    
+    /**
+     * Transcodes a variant of an already processed video in the background, for a player
+     * whose profile was first seen after the video was processed
+     * @param {Object} videoData - Processed video
+     * @param {Object} spec - { key, height, audioChannels }
+     */
+    requestVariant(videoData, spec) {
+        if (!this.preprocessor || !videoData?.processedPath) {
+            return;
+        }
+        
+        this.preprocessor.createVariant(videoData, spec).catch(error => {
+            this.logger.error(`Variant request failed: ${videoData.filename}`, error);
+        });
+    }
+    
+    assignQueueId(video) {
+        video.queueId = this.nextQueueId++;
+        return video;
+    }
+    
+    /**
+     * Videos in the queue a session has not been given yet
+     */
+    getAvailableFor(consumer) {
+        return this.queue.filter(video => consumer.accepts(video) && !consumer.dispensed.has(video.queueId));
+    }
+    
+    /**
+     * Videos in the order they are dispensed: pinned ones first in the order they were pinned,
+     * then videos of playlist blocks in queue (playlist) order, then the others in the session's
+     * own random order (queue order without a session)
+     */
+    getPlayOrder(videos, consumer = null) {
+        const ranked = videos.filter(video => !video.pinned && !video.programmed);
+        if (consumer) {
+            ranked.sort((a, b) => this.getRank(consumer, a) - this.getRank(consumer, b));
+        }
+        return [
+            ...videos.filter(video => video.pinned),
+            ...videos.filter(video => !video.pinned && video.programmed),
+            ...ranked
+        ];
+    }
+    
+    /**
+     * Place of a video in a session's play order, drawn at random the first time the session sees it
+     */
+    getRank(consumer, video) {
+        if (!consumer.order.has(video.queueId)) {
+            consumer.order.set(video.queueId, Math.random());
+        }
+        return consumer.order.get(video.queueId);
+    }
+    
+    /**
+     * What comes next: queued videos in play order, then the videos being preprocessed, then
+     * recent failures
+     * @param {Object|null} consumer - Session to list for; without one the whole queue
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} [{ key, status: 'ready' | 'pending' | 'processing' | 'failed', filename, originalPath, ... }]
+     */
+    getUpcoming(consumer = null, limit = 20) {
+        const ready = this.getPlayOrder(consumer ? this.getAvailableFor(consumer) : this.queue, consumer).map(video => ({
+            key: `queue:${video.queueId}`,
+            status: 'ready',
+            filename: video.filename,
+            originalPath: video.originalPath,
+            duration: video.metadata?.duration || null,
+            pinned: !!video.pinned,
+            playlist: video.playlist || null
+        }));
+        
+        // Finished jobs wait for the jobs picked before them before they join the queue
+        const jobs = [...this.activeJobs.values()]
+            .filter(job => !job.cancelled && !(job.status === 'done' && !job.result))
+            .sort((a, b) => a.id - b.id)
+            .map(job => ({
+                key: `job:${job.id}`,
+                status: job.status === 'pending' ? 'pending' : 'processing',
+                filename: job.videoData.filename,
+                originalPath: job.videoData.originalPath,
+                percent: Math.round(job.percent)
+            }));
+        
+        const failed = this.failures.map(failure => ({
+            key: `failed:${failure.id}`,
+            status: 'failed',
+            filename: failure.filename,
+            originalPath: failure.originalPath,
+            error: failure.error,
+            failedAt: failure.failedAt
+        }));
+        
+        return [...ready, ...jobs, ...failed].slice(0, limit);
+    }
+    
+    /**
+     * Changes an entry of the upcoming list. Queued videos can be removed, moved, pinned (pinned
+     * videos play before the others) or skipped, which passes them over for the session only.
+     * Removing a job cancels it, removing a failure dismisses it.
+     * @param {string} action - 'remove', 'move', 'pin' or 'skip'
+     * @param {string} key - Entry key from getUpcoming()
+     * @param {Object} options - { position: new index in the session's list for move, pinned: for
+     *                           pin (toggles without), consumer: session the list was shown for }
+     * @returns {Promise<Object|null>} The edited video, null for jobs and failures
+     * @throws {Error} With code 'INVALID_EDIT' or 'UNKNOWN_ENTRY'
+     */
+    async editUpcoming(action, key, { position = 0, pinned, consumer = null } = {}) {
+        if (!EDIT_ACTIONS.includes(action)) {
+            throw upcomingError('INVALID_EDIT', `Unknown action: ${action}. Available: ${EDIT_ACTIONS.join(', ')}`);
+        }
+        
+        const [type, rawId] = String(key || '').split(':');
+        const id = Number(rawId);
+        
+        if (type === 'job' || type === 'failed') {
+            if (action !== 'remove') {
+                throw upcomingError('INVALID_EDIT', `${action} only applies to queued videos; remove cancels a job or dismisses a failure`);
+            }
+            
+            if (type === 'job') {
+                const job = [...this.activeJobs.values()].find(candidate => candidate.id === id);
+                if (!job || !this.cancelJob(job.videoData.originalPath)) {
+                    throw upcomingError('UNKNOWN_ENTRY', `No upcoming entry ${key}`);
+                }
+            } else {
+                const failureCount = this.failures.length;
+                this.failures = this.failures.filter(failure => failure.id !== id);
+                if (this.failures.length === failureCount) {
+                    throw upcomingError('UNKNOWN_ENTRY', `No upcoming entry ${key}`);
+                }
+            }
+            return null;
+        }
+        
+        const video = type === 'queue' ? this.queue.find(queued => queued.queueId === id) : null;
+        if (!video) {
+            throw upcomingError('UNKNOWN_ENTRY', `No upcoming entry ${key}`);
+        }
+        
+        if (action === 'move') {
+            position = Number(position);
+            if (!Number.isInteger(position) || position < 0) {
+                throw upcomingError('INVALID_EDIT', 'position must be a whole number >= 0');
+            }
+            
+            // Placed before the video that is at the position now, in the list the session sees
+            const others = this.getPlayOrder(consumer ? this.getAvailableFor(consumer) : this.queue, consumer).filter(queued => queued !== video);
+            
+            if (consumer && !video.pinned && !video.programmed) {
+                // Only this session's order changes: the video gets a rank between its new neighbours
+                const ranked = others.filter(queued => !queued.pinned && !queued.programmed);
+                const index = Math.max(0, position - (others.length - ranked.length));
+                const before = ranked[index - 1];
+                const after = ranked[index];
+                const low = before ? this.getRank(consumer, before) : (after ? this.getRank(consumer, after) - 1 : 0);
+                const high = after ? this.getRank(consumer, after) : low + 1;
+                consumer.order.set(video.queueId, (low + high) / 2);
+            } else {
+                const target = others[position];
+                this.queue = this.queue.filter(queued => queued !== video);
+                this.queue.splice(target ? this.queue.indexOf(target) : this.queue.length, 0, video);
+            }
+            this.logger.log(`Moved in preprocessed queue: ${video.filename} to position ${Math.min(position, others.length)}`);
+        } else if (action === 'pin') {
+            video.pinned = pinned === undefined ? !video.pinned : !!pinned;
+            
+            // Newly pinned videos play after the ones pinned before them, unpinned ones first of the others
+            this.queue = this.queue.filter(queued => queued !== video);
+            const index = video.pinned ?
+                this.queue.map(queued => !!queued.pinned).lastIndexOf(true) + 1 :
+                this.queue.findIndex(queued => !queued.pinned);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, video);
+            this.logger.log(`${video.pinned ? 'Pinned' : 'Unpinned'} in preprocessed queue: ${video.filename}`);
+        } else if (action === 'skip' && consumer) {
+            consumer.dispensed.add(video.queueId);
+            this.retireDispensed();
+            this.logger.log(`Skipped for session "${consumer.name}": ${video.filename}`);
+        } else {
+            this.queue = this.queue.filter(queued => queued !== video);
+            await this.cleanupVideo(video);
+            this.logger.log(`Removed from preprocessed queue: ${video.filename} (remaining: ${this.queue.length})`);
+        }
+        
+        if (this.needsRefill() && !this.isProcessing) {
+            setImmediate(() => this.fill());
+        }
+        
+        return video;
+    }
+    
+    /**
+     * How many videos a fill should add. Without sessions this is the distance to the target size.
+     * With sessions it is the largest shortfall of any active session, capped at target videos per session.
+     * @returns {Object} { needed, consumer } where consumer is the session with the largest shortfall
+     */
+    getFillPlan(target = this.configManager.config.video.preprocessedQueueSize) {
+        const consumers = this.getConsumers();
+        
+        if (consumers.length === 0) {
+            return { needed: target - this.queue.length, consumer: null };
+        }
+        
+        let needed = 0;
+        let neediest = null;
+        
+        for (const consumer of consumers) {
+            const shortfall = target - this.getAvailableFor(consumer).length;
+            if (shortfall > needed) {
+                needed = shortfall;
+                neediest = consumer;
+            }
+        }
+        
+        return {
+            needed: Math.min(needed, target * consumers.length - this.queue.length),
+            consumer: neediest
+        };
+    }
+    
+    needsRefill() {
+        return this.getFillPlan().needed > 0;
+    }
+    
+    /**
+     * Starts preparing one video beyond the target size, so a playlist block that just started
+     * does not wait for the queue to drain before its first video is ready
+     */
+    prepareExtra() {
+        if (!this.isProcessing) {
+            setImmediate(() => this.fill(this.configManager.config.video.preprocessedQueueSize + 1));
+        }
+    }
+    
+    /**
+     * Drops videos no active session is waiting for any more
+     */
+    retireDispensed() {
+        const consumers = this.getConsumers();
+        if (consumers.length === 0) {
+            return 0;
+        }
+        
+        const before = this.queue.length;
+        
+        this.queue = this.queue.filter(video =>
+            consumers.some(consumer => consumer.accepts(video) && !consumer.dispensed.has(video.queueId)));
+        
+        // Forget ids that left the queue so the per-session sets stay small
+        const queuedIds = new Set(this.queue.map(video => video.queueId));
+        for (const consumer of consumers) {
+            for (const queueId of consumer.dispensed) {
+                if (!queuedIds.has(queueId)) {
+                    consumer.dispensed.delete(queueId);
+                }
+            }
+            for (const queueId of consumer.order.keys()) {
+                if (!queuedIds.has(queueId)) {
+                    consumer.order.delete(queueId);
+                }
+            }
+        }
+        
+        return before - this.queue.length;
+    }
+    
+    /**
+     * Dispenses the next video
+     * @param {Object|null} consumer - Session asking for the video; without one the video is taken out of the queue
+     * @returns {Object|null} Processed video
+     */
+    getNext(consumer = null) {
         if (this.queue.length === 0) {
             this.logger.log('Preprocessed queue empty');
             return null;
@@ -166,9 +670,20 @@ class PreprocessedQueue {
         let attempts = 0;
         const maxAttempts = Math.min(this.queue.length, 10);
         
+        // While an exclusive seasonal block is active, its videos play ahead of regular ones queued earlier
+        const exclusiveDirectories = this.videoIndex.getActiveExclusiveDirectories();
+        
         while (attempts < maxAttempts && !video) {
-            const randomIndex = Math.floor(Math.random() * this.queue.length);
-            const candidate = this.queue.splice(randomIndex, 1)[0];
+            const candidates = consumer ? this.getAvailableFor(consumer) : this.queue;
+            if (candidates.length === 0) {
+                break;
+            }
+            
+            const exclusiveCandidates = candidates.filter(candidate => exclusiveDirectories.has(candidate.seasonalDirectory));
+            const pool = exclusiveCandidates.length > 0 ? exclusiveCandidates : candidates;
+            
+            // Pinned videos first, then the session's random order, which the upcoming list shows
+            const candidate = this.getPlayOrder(pool, consumer)[0];
             
             // Validate file exists
             if (candidate.processedPath && FileUtils.exists(candidate.processedPath)) {
@@ -176,22 +691,32 @@ class PreprocessedQueue {
             } else {
                 this.logger.error(`Processed file missing for: ${candidate.filename}, removing from queue`);
                 this.stats.preprocessingErrors++;
+                this.queue = this.queue.filter(queued => queued !== candidate);
             }
             
             attempts++;
         }
         
         if (!video) {
-            this.logger.error('No valid videos found in preprocessed queue');
+            this.logger.error(consumer ?
+                `No valid videos left in preprocessed queue for session "${consumer.name}"` :
+                'No valid videos found in preprocessed queue');
             // Trigger immediate refill
             setImmediate(() => this.fill());
             return null;
         }
         
-        this.logger.log(`Dequeued: ${video.filename} (remaining: ${this.queue.length})`);
+        if (consumer) {
+            consumer.dispensed.add(video.queueId);
+            this.retireDispensed();
+            this.logger.log(`Dequeued for session "${consumer.name}": ${video.filename} (remaining for session: ${this.getAvailableFor(consumer).length}, queued: ${this.queue.length})`);
+        } else {
+            this.queue = this.queue.filter(queued => queued !== video);
+            this.logger.log(`Dequeued: ${video.filename} (remaining: ${this.queue.length})`);
+        }
         
         // Trigger refill immediately if below target
-        if (this.queue.length < this.configManager.config.video.preprocessedQueueSize && !this.isProcessing) {
+        if (this.needsRefill() && !this.isProcessing) {
             this.logger.log('Preprocessed queue below target, triggering immediate refill');
             setImmediate(() => this.fill());
         }
@@ -200,11 +725,63 @@ class PreprocessedQueue {
     }
     
     async cleanupVideo(videoData) {
-        if (videoData?.processedPath) {
+        // Cached outputs are kept for reuse, the cache evicts them on its own
+        if (videoData?.processedPath && !this.processedCache.owns(videoData.processedPath)) {
             await FileUtils.deleteFile(videoData.processedPath);
+            
+            const id = this.hlsPackager.getId(videoData.processedPath);
+            await this.hlsPackager.remove(id);
+            await this.profileVariants.remove(id);
         }
     }
+    
+    /**
+     * Removes HLS packages and variants whose processed file no longer exists in temp/ or the
+     * processed cache
+     */
+    async removeOrphanedOutputs() {
+        const isLive = async (id) => (
+            await FileUtils.exists(path.join(this.tempDir, `${id}.mp4`)) ||
+            await FileUtils.exists(this.processedCache.getOutputPath(`${id}.mp4`))
+        );
+        
+        await this.hlsPackager.removeOrphans(isLive);
+        await this.profileVariants.removeOrphans(isLive);
+    }
 
+    /**
+     * Removes queued videos whose source files were deleted or changed on disk
+     * @param {string[]} originalPaths - Source paths to evict
+     * @returns {Promise<number>} Number of evicted videos
+     */
+    async evict(originalPaths) {
+        const evictSet = new Set(originalPaths);
+        
+        for (const originalPath of evictSet) {
+            this.cancelJob(originalPath);
+        }
+        const evicted = this.queue.filter(video => evictSet.has(video.originalPath));
+        
+        if (evicted.length === 0) {
+            return 0;
+        }
+        
+        this.queue = this.queue.filter(video => !evictSet.has(video.originalPath));
+        
+        for (const video of evicted) {
+            this.logger.log(`Evicting from preprocessed queue: ${video.filename}`);
+            await this.cleanupVideo(video);
+        }
+        
+        this.logger.log(`Evicted ${evicted.length} videos from preprocessed queue (remaining: ${this.queue.length})`);
+        
+        if (this.needsRefill() && !this.isProcessing) {
+            setImmediate(() => this.fill());
+        }
+        
+        return evicted.length;
+    }
+    
     async validateQueue() {
         const validVideos = [];
         let invalidCount = 0;
@@ -223,7 +800,7 @@ class PreprocessedQueue {
             this.queue = validVideos;
             
             // Trigger refill if needed
-            if (this.queue.length < this.configManager.config.video.preprocessedQueueSize) {
+            if (this.needsRefill()) {
                 setImmediate(() => this.fill());
             }
         }
@@ -238,10 +815,13 @@ class PreprocessedQueue {
             // First validate the queue
             await this.validateQueue();
             
+            // Sessions that went idle no longer hold back videos only they had not seen
+            this.retireDispensed();
+            
             const minSize = this.configManager.config.video.preprocessedQueueSize;
             const currentSize = this.queue.length;
             
-            if (currentSize < minSize && !this.isProcessing && this.videoIndex.getCount() > 0) {
+            if (this.needsRefill() && !this.isProcessing && this.videoIndex.getCount() > 0) {
                 this.logger.log(`Preprocessed queue below minimum: ${currentSize}/${minSize}, refilling...`);
                 await this.fill();
             } else if (currentSize === 0 && !this.isProcessing) {
@@ -268,7 +848,7 @@ class PreprocessedQueue {
     }
     
     setQueue(queue) {
-        this.queue = queue || [];
+        this.queue = (queue || []).map(video => this.assignQueueId(video));
     }
 }
 
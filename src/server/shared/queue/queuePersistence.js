@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const FileUtils = require('../utils/fileUtils');
+const VideoLibrary = require('../library/videoLibrary');
 
 class QueuePersistence {
     constructor(logger, configManager, preprocessedQueue, historyManager) {
@@ -11,6 +12,14 @@ class QueuePersistence {
         this.cacheDir = path.join(process.cwd(), 'cache');
         this.queueStatePath = path.join(this.cacheDir, 'queue-state.json');
         this.tempDir = path.join(process.cwd(), 'temp');
+        this.sessionManager = null;
+    }
+    
+    /**
+     * Lets temp cleanup keep the files in the playback history of named sessions (web server)
+     */
+    setSessionManager(sessionManager) {
+        this.sessionManager = sessionManager;
     }
     
     async save(mainWindow = null) {
@@ -49,6 +58,7 @@ class QueuePersistence {
                 configHash: this.configManager.calculateHash(),
                 combinedQueue: combinedQueue,
                 playbackHistory: playbackHistory,
+                shuffleBag: this.preprocessedQueue.videoIndex.getShuffleBagState(),
                 stats: {
                     totalVideos: this.preprocessedQueue.videoIndex.getCount(),
                     preprocessedVideos: this.preprocessedQueue.stats.preprocessedVideos
@@ -83,6 +93,11 @@ class QueuePersistence {
                 return false;
             }
             
+            // The shuffle bag is merged with the current index on its next draw, so it survives config changes
+            if (queueState.shuffleBag) {
+                this.preprocessedQueue.videoIndex.restoreShuffleBagState(queueState.shuffleBag);
+            }
+            
             // Check config hash
             if (queueState.configHash !== this.configManager.calculateHash()) {
                 this.logger.log('Configuration changed, discarding saved queue from cache');
@@ -102,9 +117,11 @@ class QueuePersistence {
                         if (!video.crossfadeTiming && video.metadata?.duration) {
                             video.crossfadeTiming = this.calculateCrossfadeTiming(video.metadata.duration);
                         }
+                        // Queues saved before videos carried their library id
+                        video.libraryId = video.libraryId || VideoLibrary.getId(video.originalPath);
                         validVideos.push(video);
-                    } else if (processedExists && !originalExists) {
-                        // Clean up orphaned processed file
+                    } else if (processedExists && !originalExists && !this.preprocessedQueue.processedCache.owns(video.processedPath)) {
+                        // Clean up orphaned processed file (cached outputs are evicted by the cache itself)
                         await this.safeDeleteFile(video.processedPath);
                     }
                 }
@@ -235,6 +252,15 @@ class QueuePersistence {
                 }
             }
             
+            // Add playback history videos of named sessions
+            if (this.sessionManager) {
+                for (const video of this.sessionManager.getPlaybackHistoryVideos()) {
+                    if (video.processedPath) {
+                        preservedFiles.add(path.basename(video.processedPath));
+                    }
+                }
+            }
+            
             // Clean up files
             let cleanedCount = 0;
             let preservedCount = 0;
@@ -262,6 +288,8 @@ class QueuePersistence {
             
             this.logger.log(`Temp cleanup: cleaned ${cleanedCount} files, preserved ${preservedCount} files`);
             
+            await this.preprocessedQueue.removeOrphanedOutputs();
+            
         } catch (error) {
             this.logger.error('Failed to cleanup temp directory', error);
         }
@@ -0,0 +1,109 @@
+// Prefix of the keys of entries in a player's own playback queue
+const PLAYER_PREFIX = 'player:';
+
+class UpcomingQueue {
+    /**
+     * The upcoming videos of the server and the players. Server entries are the preprocessed
+     * queue with its preprocessing status; player entries are each player's playback queue,
+     * which players list and edit through the 'queue-list' and 'queue-edit' ControlHub commands.
+     * Players apply their edits themselves, so an edit never touches the video a running
+     * crossfade has already taken from the queue.
+     * @param {Object} logger - Logger instance
+     * @param {PreprocessedQueue} preprocessedQueue - Server side of the list
+     * @param {ControlHub} controlHub - Reaches the players
+     * @param {Object} stats - Server statistics, skips count as manual skips
+     * @param {VideoRatings|null} videoRatings - Counts the skips per video
+     */
+    constructor(logger, preprocessedQueue, controlHub, stats, videoRatings = null) {
+        this.logger = logger;
+        this.preprocessedQueue = preprocessedQueue;
+        this.controlHub = controlHub;
+        this.stats = stats;
+        this.videoRatings = videoRatings;
+    }
+    
+    /**
+     * @param {Object} options - { consumer: session for the server list, clientId: one player
+     *                           instead of all, limit: entries per list, players: false for the
+     *                           server list only }
+     * @returns {Promise<Object>} { server: [entry], players: [{ clientId, type, upcoming: [entry] }] }
+     */
+    async get({ consumer = null, clientId = null, limit = 20, players = true } = {}) {
+        return {
+            server: this.preprocessedQueue.getUpcoming(consumer, limit),
+            players: players ? await this.getPlayers(clientId, limit) : []
+        };
+    }
+    
+    async getPlayers(clientId, limit) {
+        let result;
+        try {
+            result = await this.controlHub.dispatch('queue-list', {}, clientId);
+        } catch (error) {
+            // Listing all players when none is connected is not an error
+            if (error.code === 'NO_CLIENTS' && !clientId) {
+                return [];
+            }
+            throw error;
+        }
+        
+        return result.acks
+            .filter(ack => ack.success && Array.isArray(ack.result?.upcoming))
+            .map(ack => ({ clientId: ack.clientId, type: ack.type, upcoming: ack.result.upcoming.slice(0, limit) }));
+    }
+    
+    /**
+     * Removes, moves, pins or skips an entry
+     * @param {string} action - 'remove', 'move', 'pin' or 'skip'
+     * @param {Object} edit - { key, position, pinned, clientId: for player entries, the player
+     *                        (all players holding the video without one), consumer }
+     * @returns {Promise<Object>} { server } for server entries, { acks, timedOut } for player entries
+     * @throws {Error} With code 'INVALID_EDIT', 'UNKNOWN_ENTRY' or 'NO_CLIENTS'
+     */
+    async edit(action, { key, position, pinned, clientId = null, consumer = null } = {}) {
+        if (typeof key === 'string' && key.startsWith(PLAYER_PREFIX)) {
+            const result = await this.controlHub.dispatch('queue-edit', {
+                action,
+                originalPath: key.slice(PLAYER_PREFIX.length),
+                position,
+                pinned
+            }, clientId);
+            
+            return { acks: result.acks, timedOut: result.timedOut };
+        }
+        
+        const video = await this.preprocessedQueue.editUpcoming(action, key, { position, pinned, consumer });
+        
+        if (action === 'skip') {
+            this.videoRatings?.recordSkip(video?.originalPath);
+            this.stats.videosSkippedManual++;
+            if (consumer?.stats) {
+                consumer.stats.videosSkippedManual++;
+            }
+        }
+        
+        return { server: this.preprocessedQueue.getUpcoming(consumer) };
+    }
+    
+    /**
+     * Drops every queued copy of a video: from the preprocessed queue and from each player's
+     * playback queue (a video that is playing keeps playing)
+     * @param {string} originalPath - Source path of the video
+     * @returns {Promise<Object>} { evicted: preprocessed copies, removed: players that held it }
+     */
+    async removeVideo(originalPath) {
+        const evicted = await this.preprocessedQueue.evict([originalPath]);
+        
+        try {
+            const result = await this.controlHub.dispatch('queue-edit', { action: 'remove', originalPath });
+            return { evicted, removed: result.acks.filter(ack => ack.success).length };
+        } catch (error) {
+            if (error.code === 'NO_CLIENTS') {
+                return { evicted, removed: 0 };
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = UpcomingQueue;
@@ -0,0 +1,75 @@
+const express = require('express');
+
+// HTTP status for each error code of the upcoming list
+const ERROR_STATUS = {
+    INVALID_EDIT: 400,
+    INVALID_SESSION: 400,
+    UNKNOWN_ENTRY: 404,
+    NO_CLIENTS: 404
+};
+
+/**
+ * Creates the /api/upcoming routes shared by the web server and the Electron control server
+ * @param {UpcomingQueue} upcomingQueue - Upcoming list of the server and the players
+ * @param {Object} logger - Logger instance
+ * @param {Function} getConsumer - async (req) => session the server list is for, or null
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createUpcomingRouter(upcomingQueue, logger, getConsumer = async () => null) {
+    const router = express.Router();
+    
+    const fail = (res, error, message) => {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            logger.error(message, error);
+        }
+        res.status(status || 500).json({ error: error.message });
+    };
+    
+    // ?limit=<entries per list>, ?clientId=<one player>, ?players=false for the server list only
+    router.get('/api/upcoming', async (req, res) => {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        
+        try {
+            res.json(await upcomingQueue.get({
+                consumer: await getConsumer(req),
+                clientId: req.query.clientId || null,
+                limit,
+                players: req.query.players !== 'false'
+            }));
+        } catch (error) {
+            fail(res, error, 'Failed to list upcoming videos');
+        }
+    });
+    
+    // POST /api/upcoming/<remove|move|pin|skip> with { key, position, pinned, clientId }
+    router.post('/api/upcoming/:action', async (req, res) => {
+        const { key, position, pinned, clientId } = req.body || {};
+        if (!key) {
+            return res.status(400).json({ error: 'Missing key' });
+        }
+        
+        try {
+            const result = await upcomingQueue.edit(req.params.action, {
+                key,
+                position,
+                pinned,
+                clientId: clientId || req.query.clientId || null,
+                consumer: await getConsumer(req)
+            });
+            
+            // Nobody answered in time
+            if (result.acks && result.acks.length === 0) {
+                return res.status(504).json({ error: 'No player acknowledged the change', ...result });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            fail(res, error, `Upcoming ${req.params.action} failed`);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createUpcomingRouter };
@@ -0,0 +1,78 @@
+const express = require('express');
+const path = require('path');
+
+// HTTP status for each error code of the ratings API
+const ERROR_STATUS = {
+    INVALID_RATING: 400,
+    NOT_FOUND: 404
+};
+
+/**
+ * Creates the /api/ratings routes shared by the web server and the Electron control server
+ * @param {VideoRatings} videoRatings - Ratings and skip counts
+ * @param {VideoLibrary|null} library - Resolves library ids
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createRatingRouter(videoRatings, library, logger) {
+    const router = express.Router();
+    
+    const fail = (res, error, message) => {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            logger.error(message, error);
+        }
+        res.status(status || 500).json({ error: error.message });
+    };
+    
+    // A video is given by its library id or its original path
+    const findPath = ({ id, path: videoPath } = {}) => {
+        if (id) {
+            const item = library?.get(id);
+            if (!item) {
+                const error = new Error(`No video with id ${id}`);
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+            return item.originalPath;
+        }
+        if (typeof videoPath !== 'string' || !videoPath) {
+            const error = new Error('Give the video as id or path');
+            error.code = 'INVALID_RATING';
+            throw error;
+        }
+        return path.resolve(videoPath);
+    };
+    
+    // Rated and frequently skipped videos; ?rating= lists one rating only
+    router.get('/api/ratings', (req, res) => {
+        try {
+            res.json({ videos: videoRatings.list({ rating: req.query.rating || null }) });
+        } catch (error) {
+            fail(res, error, 'Listing ratings failed');
+        }
+    });
+    
+    // ?id= or ?path=
+    router.get('/api/ratings/video', (req, res) => {
+        try {
+            res.json(videoRatings.getInfo(findPath(req.query)));
+        } catch (error) {
+            fail(res, error, 'Reading rating failed');
+        }
+    });
+    
+    // { id or path, rating: favorite | like | dislike | ban, or null to clear it }
+    router.post('/api/ratings', (req, res) => {
+        try {
+            const { rating = null } = req.body || {};
+            res.json(videoRatings.setRating(findPath(req.body), rating));
+        } catch (error) {
+            fail(res, error, 'Rating failed');
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createRatingRouter };
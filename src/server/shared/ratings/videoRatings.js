@@ -0,0 +1,240 @@
+const path = require('path');
+const FileUtils = require('../utils/fileUtils');
+
+const RATINGS = ['favorite', 'like', 'dislike', 'ban'];
+const DAY_MS = 86400000;
+// Entries without a rating are dropped once their skips have decayed below this
+const MIN_SKIP_SCORE = 0.05;
+
+class VideoRatings {
+    /**
+     * Per-video ratings and skip counts that steer random selection. A rating is favorite, like,
+     * dislike or ban; banned videos are never selected, and the others scale how likely a video
+     * is picked. Manual skips lower that likelihood gradually and are forgotten over time (they
+     * halve every `ratings.skipHalfLife` days). Stored in cache/ratings.json, keyed by original path.
+     * Copies of a video that are already queued when it is banned are dropped through onBanned().
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the ratings settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.statePath = path.join(process.cwd(), 'cache', 'ratings.json');
+        this.videos = new Map(); // Map<originalPath, { rating, ratedAt, skips, skippedAt }>
+        this.banned = new Set();
+        this.saveTimer = null;
+        this.onBannedCallback = null;
+    }
+    
+    static isValidRating(rating) {
+        return RATINGS.includes(rating);
+    }
+    
+    getRatingsConfig() {
+        const ratings = this.configManager.config.ratings || {};
+        
+        return {
+            weights: {
+                favorite: ratings.weights?.favorite ?? 4,
+                like: ratings.weights?.like ?? 2,
+                dislike: ratings.weights?.dislike ?? 0.5
+            },
+            skipPenalty: ratings.skipPenalty ?? 0.25,
+            minSkipFactor: ratings.minSkipFactor ?? 0.2,
+            skipHalfLife: ratings.skipHalfLife ?? 30
+        };
+    }
+    
+    async load() {
+        try {
+            const state = await FileUtils.readJSON(this.statePath);
+            
+            for (const [originalPath, entry] of Object.entries(state?.videos || {})) {
+                this.videos.set(originalPath, {
+                    rating: VideoRatings.isValidRating(entry.rating) ? entry.rating : null,
+                    ratedAt: entry.ratedAt || null,
+                    skips: Number(entry.skips) || 0,
+                    skippedAt: entry.skippedAt || null
+                });
+            }
+            this.updateBanned();
+            
+            this.logger.log(`Ratings loaded: ${this.videos.size} videos, ${this.banned.size} banned`);
+        } catch (error) {
+            this.logger.error('Failed to load ratings', error);
+        }
+    }
+    
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        const now = Date.now();
+        const videos = {};
+        
+        for (const [originalPath, entry] of this.videos) {
+            if (!entry.rating && this.getSkipScore(entry, now) < MIN_SKIP_SCORE) {
+                this.videos.delete(originalPath);
+                continue;
+            }
+            videos[originalPath] = entry;
+        }
+        
+        await FileUtils.ensureDirectory(path.dirname(this.statePath));
+        await FileUtils.writeJSON(this.statePath, { savedAt: new Date(now).toISOString(), videos });
+    }
+    
+    scheduleSave(delay = 2000) {
+        if (this.saveTimer) {
+            return;
+        }
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => this.logger.error('Failed to save ratings', error));
+        }, delay);
+        this.saveTimer.unref?.();
+    }
+    
+    getEntry(originalPath) {
+        if (!this.videos.has(originalPath)) {
+            this.videos.set(originalPath, { rating: null, ratedAt: null, skips: 0, skippedAt: null });
+        }
+        return this.videos.get(originalPath);
+    }
+    
+    updateBanned() {
+        this.banned = new Set([...this.videos].filter(([, entry]) => entry.rating === 'ban').map(([originalPath]) => originalPath));
+    }
+    
+    /**
+     * Rates a video, or clears its rating with null
+     * @param {string} originalPath - Original path of the video
+     * @param {string|null} rating - favorite, like, dislike, ban or null
+     * @returns {Object} The video's rating info, see getInfo()
+     * @throws {Error} With code 'INVALID_RATING'
+     */
+    setRating(originalPath, rating) {
+        if (typeof originalPath !== 'string' || !originalPath) {
+            throw VideoRatings.error('INVALID_RATING', 'A video path is required');
+        }
+        if (rating !== null && !VideoRatings.isValidRating(rating)) {
+            throw VideoRatings.error('INVALID_RATING', `rating must be one of: ${RATINGS.join(', ')} (or null to clear it)`);
+        }
+        
+        const entry = this.getEntry(originalPath);
+        const wasBanned = entry.rating === 'ban';
+        entry.rating = rating;
+        entry.ratedAt = rating ? new Date().toISOString() : null;
+        this.updateBanned();
+        this.scheduleSave();
+        
+        this.logger.log(`Rating of ${path.basename(originalPath)}: ${rating || 'cleared'}`);
+        
+        if (rating === 'ban' && !wasBanned && this.onBannedCallback) {
+            this.onBannedCallback(originalPath);
+        }
+        
+        return this.getInfo(originalPath);
+    }
+    
+    getRating(originalPath) {
+        return this.videos.get(originalPath)?.rating || null;
+    }
+    
+    /**
+     * Counts a manual skip of a video
+     */
+    recordSkip(originalPath, now = Date.now()) {
+        if (typeof originalPath !== 'string' || !originalPath) {
+            return;
+        }
+        
+        const entry = this.getEntry(originalPath);
+        entry.skips = this.getSkipScore(entry, now) + 1;
+        entry.skippedAt = new Date(now).toISOString();
+        this.scheduleSave();
+    }
+    
+    /**
+     * Skip count with older skips decayed
+     */
+    getSkipScore(entry, now = Date.now()) {
+        if (!entry || !entry.skips || !entry.skippedAt) {
+            return 0;
+        }
+        
+        const age = Math.max(0, now - new Date(entry.skippedAt).getTime());
+        return entry.skips * Math.pow(0.5, age / (this.getRatingsConfig().skipHalfLife * DAY_MS));
+    }
+    
+    /**
+     * Relative likelihood of a video being selected: 1 for an unrated video that was never
+     * skipped, 0 for a banned one
+     */
+    getWeight(originalPath, now = Date.now()) {
+        const entry = this.videos.get(originalPath);
+        if (!entry) {
+            return 1;
+        }
+        if (entry.rating === 'ban') {
+            return 0;
+        }
+        
+        const { weights, skipPenalty, minSkipFactor } = this.getRatingsConfig();
+        const ratingWeight = entry.rating ? weights[entry.rating] : 1;
+        const skipFactor = Math.max(minSkipFactor, 1 / (1 + skipPenalty * this.getSkipScore(entry, now)));
+        
+        return ratingWeight * skipFactor;
+    }
+    
+    getBannedPaths() {
+        return this.banned;
+    }
+    
+    /**
+     * @returns {Object} { originalPath, filename, rating, ratedAt, skips, weight }
+     */
+    getInfo(originalPath, now = Date.now()) {
+        const entry = this.videos.get(originalPath);
+        
+        return {
+            originalPath,
+            filename: path.basename(originalPath),
+            rating: entry?.rating || null,
+            ratedAt: entry?.ratedAt || null,
+            skips: Math.round(this.getSkipScore(entry, now) * 100) / 100,
+            weight: Math.round(this.getWeight(originalPath, now) * 1000) / 1000
+        };
+    }
+    
+    /**
+     * Rated and skipped videos, most recently rated first
+     * @param {Object} filter - { rating: only videos with this rating }
+     * @returns {Array} getInfo() of each video
+     * @throws {Error} With code 'INVALID_RATING'
+     */
+    list({ rating = null } = {}) {
+        if (rating && !VideoRatings.isValidRating(rating)) {
+            throw VideoRatings.error('INVALID_RATING', `rating must be one of: ${RATINGS.join(', ')}`);
+        }
+        
+        const now = Date.now();
+        return [...this.videos]
+            .filter(([, entry]) => rating ? entry.rating === rating : entry.rating || this.getSkipScore(entry, now) >= MIN_SKIP_SCORE)
+            .sort(([, a], [, b]) => (b.ratedAt || '').localeCompare(a.ratedAt || '') || (b.skippedAt || '').localeCompare(a.skippedAt || ''))
+            .map(([originalPath]) => this.getInfo(originalPath, now));
+    }
+    
+    onBanned(callback) {
+        this.onBannedCallback = callback;
+    }
+    
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = VideoRatings;
@@ -0,0 +1,524 @@
+const path = require('path');
+const SeededRandom = require('../utils/seededRandom');
+const VideoMetadata = require('../video/videoMetadata');
+
+const DAY_MS = 86400000;
+const SLOT_TYPES = ['video', 'playlist', 'directory', 'filler'];
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+// Upper bound on the videos of one airing, for long filler stretches of short clips
+const MAX_ITEMS_PER_AIRING = 20000;
+// Shortest end of a video worth airing before a slot ends, in ms
+const MIN_ITEM_MS = 1000;
+// Future airings are recomputed after this long, so new videos and probed durations are picked up
+const AIRING_CACHE_MS = 60000;
+// Prepared videos are forgotten after this long, so evicted processed files are made again
+const PREPARED_TTL_MS = 3600000;
+
+class ScheduleGuide {
+    /**
+     * The channel's programming grid. A weekly list of slots (`schedule.slots`) is laid out on the
+     * wall clock; each slot occurrence is an airing, and gaps between airings are filler. The videos
+     * of an airing follow from a random source seeded with the airing, so the grid answers the same
+     * way for every request: what is on at any point in time, and how far into the video that is.
+     * Videos are timed with the durations probed into the index, and indexed videos without one are
+     * probed here; files outside the index never air. Sessions with `"schedule": true` play the grid through their sync group.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the schedule settings
+     * @param {VideoIndex} videoIndex - Videos, their durations and the clock
+     * @param {PlaylistManager} playlistManager - Playlists for playlist slots
+     * @param {ReprocessHandler} reprocessHandler - Preprocesses the videos before they air
+     */
+    constructor(logger, configManager, videoIndex, playlistManager, reprocessHandler) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.videoIndex = videoIndex;
+        this.playlistManager = playlistManager;
+        this.reprocessHandler = reprocessHandler;
+        this.evaluator = videoIndex.timeEvaluator;
+        
+        this.airingCache = new Map(); // Map<airing id, { items, cachedAt }>
+        this.probing = new Set();
+        this.probeFailed = new Set();
+        this.probeChain = Promise.resolve();
+        this.prepared = new Map(); // Map<path, { status: 'processing' | 'ready' | 'failed', video, preparedAt }>
+        this.prepareChain = Promise.resolve();
+        this.lastPrepareAhead = 0;
+        this.reportedSlots = new Set(); // Invalid slots already logged
+        this.reportedTimezone = null; // Invalid timezone already logged
+    }
+    
+    getScheduleConfig() {
+        const schedule = this.configManager.config.schedule || {};
+        
+        return {
+            timezone: this.parseTimezone(schedule.timezone),
+            channel: {
+                id: schedule.channel?.id || 'videojuke',
+                name: schedule.channel?.name || 'VideoJuke'
+            },
+            prepareAhead: schedule.prepareAhead || 900000,
+            guideDays: schedule.guideDays || 7,
+            filler: {
+                title: schedule.filler?.title || 'Filler',
+                directories: schedule.filler?.directories || []
+            },
+            slots: (schedule.slots || []).map((slot, index) => this.parseSlot(slot, index)).filter(Boolean)
+        };
+    }
+    
+    /**
+     * Validates the configured IANA timezone
+     * @returns {string|null} The timezone, or null (server local time) when none or an unknown one is set
+     */
+    parseTimezone(timezone) {
+        if (!timezone) {
+            return null;
+        }
+        
+        try {
+            this.evaluator.getDateParts(new Date(), timezone);
+            return timezone;
+        } catch (error) {
+            if (this.reportedTimezone !== timezone) {
+                this.reportedTimezone = timezone;
+                this.logger.error(`Unknown schedule timezone ${timezone}, using server time`, error);
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * Validates a configured slot
+     * @returns {Object|null} { index, title, type, days, start, end (minutes after midnight), video, playlist, directory, mode }
+     */
+    parseSlot(slot, index) {
+        const start = ScheduleGuide.parseTime(slot?.start);
+        const end = ScheduleGuide.parseTime(slot?.end);
+        const type = slot?.type || 'filler';
+        const problem = start === null || start >= 1440 ? 'start must be HH:MM' :
+            end === null ? 'end must be HH:MM (24:00 for midnight)' :
+            !SLOT_TYPES.includes(type) ? `type must be one of: ${SLOT_TYPES.join(', ')}` :
+            type !== 'filler' && !slot[type] ? `a ${type} slot needs "${type}"` :
+            null;
+        
+        if (problem) {
+            if (!this.reportedSlots.has(index)) {
+                this.reportedSlots.add(index);
+                this.logger.error(`Ignoring schedule slot ${index + 1}: ${problem}`);
+            }
+            return null;
+        }
+        
+        const target = slot[type];
+        const defaultTitle = type === 'video' || type === 'directory' ? path.basename(target) :
+            type === 'playlist' ? target : null;
+        
+        return {
+            index,
+            title: slot.title || defaultTitle,
+            type,
+            days: Array.isArray(slot.days) && slot.days.length > 0 ? slot.days : ALL_DAYS,
+            start,
+            end,
+            video: type === 'video' ? path.resolve(target) : null,
+            playlist: type === 'playlist' ? target : null,
+            directory: type === 'directory' ? path.resolve(target) : null,
+            mode: slot.mode || null
+        };
+    }
+    
+    /**
+     * 'HH:MM' to minutes after midnight, '24:00' allowed
+     */
+    static parseTime(value) {
+        const match = typeof value === 'string' ? value.match(TIME_PATTERN) : null;
+        if (!match || Number(match[2]) > 59) {
+            return null;
+        }
+        
+        const minutes = Number(match[1]) * 60 + Number(match[2]);
+        return minutes <= 1440 ? minutes : null;
+    }
+    
+    /**
+     * Point in time of a wall-clock time in the schedule's timezone (server local time without one).
+     * Fields may overflow, e.g. day 32 or hour 24.
+     */
+    toInstant(year, month, day, minutes, timezone) {
+        if (!timezone) {
+            return new Date(year, month - 1, day, 0, minutes).getTime();
+        }
+        
+        // Start from the time read as UTC and correct by the zone's offset, twice for DST changes
+        const wanted = Date.UTC(year, month - 1, day, 0, minutes);
+        let instant = wanted;
+        for (let i = 0; i < 2; i++) {
+            const parts = this.evaluator.getDateParts(new Date(instant), timezone);
+            instant += wanted - Date.UTC(parts.year, parts.month - 1, parts.dayOfMonth, parts.hour, parts.minute);
+        }
+        
+        return instant;
+    }
+    
+    /**
+     * Calendar days (in the schedule's timezone) from the one containing `from` up to `to`
+     * @returns {Array} [{ year, month, day, dayOfWeek, start }]
+     */
+    getDays(from, to, timezone) {
+        const first = this.evaluator.getDateParts(new Date(from), timezone);
+        const days = [];
+        
+        for (let offset = 0; ; offset++) {
+            const date = new Date(Date.UTC(first.year, first.month - 1, first.dayOfMonth + offset));
+            const day = {
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                dayOfWeek: date.getUTCDay()
+            };
+            day.start = this.toInstant(day.year, day.month, day.day, 0, timezone);
+            
+            if (day.start >= to) {
+                return days;
+            }
+            days.push(day);
+        }
+    }
+    
+    /**
+     * The airings overlapping a time range, in order and without gaps. A slot occurrence that starts
+     * while another one runs ends that one; the gaps between occurrences are filler airings.
+     * @param {number} from - Start of the range (ms)
+     * @param {number} to - End of the range (ms)
+     * @returns {Array} [{ id, slot, type, title, start, end }]
+     */
+    getAirings(from, to) {
+        const { slots, timezone, filler } = this.getScheduleConfig();
+        const fillerAiring = (start, end) => ({ id: `filler@${start}`, slot: null, type: 'filler', title: filler.title, start, end });
+        
+        // Without slots the channel is filler, in daily airings
+        if (slots.length === 0) {
+            const days = this.getDays(from, to + 1, timezone);
+            return days.map((day, index) => fillerAiring(day.start,
+                index + 1 < days.length ? days[index + 1].start : this.toInstant(day.year, day.month, day.day + 1, 0, timezone)));
+        }
+        
+        // Every slot recurs within a week, so looking eight days out finds the airings around the range
+        const occurrences = [];
+        for (const day of this.getDays(from - 8 * DAY_MS, to + 8 * DAY_MS, timezone)) {
+            for (const slot of slots.filter(candidate => candidate.days.includes(day.dayOfWeek))) {
+                const endMinutes = slot.end > slot.start ? slot.end : slot.end + 1440;
+                occurrences.push({
+                    id: `${slot.index}@${this.toInstant(day.year, day.month, day.day, slot.start, timezone)}`,
+                    slot,
+                    type: slot.type,
+                    title: slot.title,
+                    start: this.toInstant(day.year, day.month, day.day, slot.start, timezone),
+                    end: this.toInstant(day.year, day.month, day.day, endMinutes, timezone)
+                });
+            }
+        }
+        
+        // Of two slots starting together, the one listed later wins
+        occurrences.sort((a, b) => a.start - b.start || a.slot.index - b.slot.index);
+        
+        const airings = [];
+        occurrences.forEach((occurrence, index) => {
+            const next = occurrences[index + 1];
+            occurrence.end = next ? Math.min(occurrence.end, next.start) : occurrence.end;
+            if (occurrence.end <= occurrence.start) {
+                return;
+            }
+            
+            const previous = airings[airings.length - 1];
+            if (previous && previous.end < occurrence.start) {
+                airings.push(fillerAiring(previous.end, occurrence.start));
+            }
+            airings.push(occurrence);
+        });
+        
+        return airings.filter(airing => airing.end > from && airing.start < to);
+    }
+    
+    /**
+     * The videos of an airing with their air times. Airings that have started keep their videos
+     * until they end, so what is on air never changes under the viewers.
+     * @returns {Array} [{ originalPath, filename, start, end, duration, filler }]
+     */
+    getItems(airing, now = this.evaluator.now().getTime()) {
+        const cached = this.airingCache.get(airing.id);
+        if (cached && (airing.start <= cached.cachedAt || now - cached.cachedAt < AIRING_CACHE_MS)) {
+            return cached.items;
+        }
+        
+        const items = this.buildItems(airing);
+        this.airingCache.set(airing.id, { items, cachedAt: now, end: airing.end });
+        
+        for (const [id, entry] of this.airingCache) {
+            if (entry.end < now - DAY_MS) {
+                this.airingCache.delete(id);
+            }
+        }
+        
+        return items;
+    }
+    
+    buildItems(airing) {
+        const random = new SeededRandom(airing.id);
+        const slot = airing.slot;
+        const items = [];
+        let time = airing.start;
+        
+        // Adds videos from a list (looped when `loop`) until the airing is full
+        const fill = (paths, loop, filler = false) => {
+            const playable = paths.map(originalPath => ({ originalPath, duration: this.getDuration(originalPath) }))
+                .filter(candidate => candidate.duration);
+            
+            for (let i = 0; playable.length > 0 && items.length < MAX_ITEMS_PER_AIRING; i++) {
+                if (i >= playable.length && !loop) {
+                    return;
+                }
+                if (airing.end - time < MIN_ITEM_MS) {
+                    return;
+                }
+                
+                const { originalPath, duration } = playable[i % playable.length];
+                const end = Math.min(time + Math.round(duration * 1000), airing.end);
+                items.push({ originalPath, filename: path.basename(originalPath), start: time, end, duration, filler });
+                time = end;
+            }
+        };
+        
+        const fillerPaths = () => this.shuffle(this.getFillerPaths(), random);
+        
+        if (!slot || slot.type === 'filler') {
+            fill(fillerPaths(), true, slot === null);
+        } else if (slot.type === 'video') {
+            // A fixed video airs once; the rest of the slot is filler
+            fill([slot.video], false);
+        } else if (slot.type === 'playlist') {
+            const playlist = this.playlistManager.get(slot.playlist);
+            const paths = playlist ? [...playlist.items] : [];
+            if (!playlist) {
+                this.logger.error(`Schedule slot "${airing.title}": no playlist named ${slot.playlist}`);
+            }
+            fill((slot.mode || playlist?.mode) === 'shuffle' ? this.shuffle(paths, random) : paths, true);
+        } else {
+            fill(this.shuffle(this.getPathsUnder([slot.directory]), random), true);
+        }
+        
+        // Whatever the slot cannot fill (missing or unprobed videos) is filler
+        if (slot && slot.type !== 'filler') {
+            fill(fillerPaths(), true, true);
+        }
+        
+        return items;
+    }
+    
+    getFillerPaths() {
+        const { directories } = this.getScheduleConfig().filler;
+        return directories.length > 0 ?
+            this.getPathsUnder(directories.map(directory => path.resolve(directory))) :
+            this.videoIndex.videos.map(video => video.originalPath).sort();
+    }
+    
+    getPathsUnder(directories) {
+        const paths = new Set();
+        
+        for (const video of this.videoIndex.getAllVideos()) {
+            if (directories.some(directory => this.videoIndex.isPathWithin(path.resolve(video.originalPath), directory))) {
+                paths.add(video.originalPath);
+            }
+        }
+        
+        return [...paths].sort();
+    }
+    
+    shuffle(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Duration in seconds from the index. Indexed videos without one are probed in the background
+     * and left out until then; files outside the index are always left out.
+     */
+    getDuration(originalPath) {
+        const duration = this.videoIndex.getMediaInfo(originalPath)?.duration;
+        if (duration) {
+            return duration;
+        }
+        if (this.videoIndex.findEntries(originalPath).length === 0) {
+            return null;
+        }
+        
+        this.probe(originalPath);
+        return null;
+    }
+    
+    probe(originalPath) {
+        if (this.probing.has(originalPath) || this.probeFailed.has(originalPath)) {
+            return;
+        }
+        
+        this.probing.add(originalPath);
+        this.probeChain = this.probeChain.then(async () => {
+            const quietLogger = { log: () => {}, error: (message, error) => this.logger.error(message, error) };
+            const metadata = await VideoMetadata.extract(originalPath, quietLogger);
+            const media = metadata ? VideoMetadata.summarize(metadata) : null;
+            
+            if (!media?.duration) {
+                this.probeFailed.add(originalPath);
+                this.logger.error(`Schedule: cannot read the duration of ${originalPath}, leaving it out`);
+            } else {
+                this.videoIndex.setMediaInfo(originalPath, media);
+            }
+        }).catch(error => {
+            this.probeFailed.add(originalPath);
+            this.logger.error(`Schedule: probing ${originalPath} failed`, error);
+        }).finally(() => {
+            this.probing.delete(originalPath);
+        });
+    }
+    
+    /**
+     * The video on air at a point in time, or the next one to start after it (within a day)
+     * @param {number} time - Point in time (ms)
+     * @returns {Object|null} Item with `airing: { id, type, title, start, end }`
+     */
+    getItemAt(time) {
+        for (const airing of this.getAirings(time, time + DAY_MS)) {
+            const item = this.getItems(airing).find(candidate => candidate.end > time);
+            if (item) {
+                return { ...item, airing: this.describeAiring(airing) };
+            }
+        }
+        
+        return null;
+    }
+    
+    describeAiring(airing) {
+        return { id: airing.id, type: airing.type, title: airing.title, start: airing.start, end: airing.end };
+    }
+    
+    /**
+     * What is on at a point in time, and where a player joining then starts the video
+     * @param {number} time - Point in time (ms)
+     * @returns {Object} { at, airing, item: { ..., offset: seconds into the video } | null, next }
+     */
+    getNow(time) {
+        const airing = this.getAirings(time, time + 1)[0] || null;
+        const current = airing ? this.getItems(airing).find(item => item.start <= time && item.end > time) : null;
+        const next = this.getItemAt(current ? current.end : time);
+        
+        return {
+            at: new Date(time).toISOString(),
+            airing: airing && this.formatAiring(airing),
+            item: current ? { ...this.formatItem(current), offset: Math.round(time - current.start) / 1000 } : null,
+            next: next && { ...this.formatItem(next), airing: next.airing.title }
+        };
+    }
+    
+    /**
+     * The grid for a time range
+     * @param {number} from - Start (ms)
+     * @param {number} to - End (ms)
+     * @param {boolean} withItems - Include the videos of each airing
+     * @returns {Object} { channel, timezone, from, to, airings }
+     */
+    getGuide(from, to, withItems = false) {
+        const { channel, timezone } = this.getScheduleConfig();
+        
+        return {
+            channel,
+            timezone,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            airings: this.getAirings(from, to).map(airing => ({
+                ...this.formatAiring(airing),
+                ...(withItems ? { items: this.getItems(airing).map(item => this.formatItem(item)) } : {})
+            }))
+        };
+    }
+    
+    formatAiring(airing) {
+        return {
+            id: airing.id,
+            type: airing.type,
+            title: airing.title,
+            start: new Date(airing.start).toISOString(),
+            end: new Date(airing.end).toISOString()
+        };
+    }
+    
+    formatItem(item) {
+        return {
+            filename: item.filename,
+            originalPath: item.originalPath,
+            start: new Date(item.start).toISOString(),
+            end: new Date(item.end).toISOString(),
+            duration: item.duration,
+            filler: item.filler
+        };
+    }
+    
+    /**
+     * Preprocesses a video for airing, one video at a time
+     * @param {Object} item - Guide item
+     * @returns {Object} { status: 'processing' | 'ready' | 'failed', video: processed video when ready }
+     */
+    prepare(item) {
+        const existing = this.prepared.get(item.originalPath);
+        if (existing) {
+            return existing;
+        }
+        
+        const prepared = { status: 'processing', video: null, preparedAt: Date.now() };
+        this.prepared.set(item.originalPath, prepared);
+        
+        this.prepareChain = this.prepareChain.then(async () => {
+            const entry = this.videoIndex.getEntryForPath(item.originalPath);
+            const video = entry ? await this.reprocessHandler.ensureVideoProcessed(entry) : null;
+            
+            prepared.status = video ? 'ready' : 'failed';
+            prepared.video = video;
+            prepared.preparedAt = Date.now();
+            if (!video) {
+                this.logger.error(`Schedule: could not prepare ${item.filename}, it will be skipped`);
+            }
+        }).catch(error => {
+            prepared.status = 'failed';
+            this.logger.error(`Schedule: preparing ${item.filename} failed`, error);
+        });
+        
+        return prepared;
+    }
+    
+    /**
+     * Starts preprocessing the videos airing within `prepareAhead` ms, at most every 30 seconds
+     */
+    prepareUpcoming(now) {
+        if (now - this.lastPrepareAhead < 30000) {
+            return;
+        }
+        this.lastPrepareAhead = now;
+        
+        for (const [originalPath, prepared] of this.prepared) {
+            if (prepared.status !== 'processing' && Date.now() - prepared.preparedAt > PREPARED_TTL_MS) {
+                this.prepared.delete(originalPath);
+            }
+        }
+        
+        const { prepareAhead } = this.getScheduleConfig();
+        for (let item = this.getItemAt(now); item && item.start < now + prepareAhead; item = this.getItemAt(item.end)) {
+            this.prepare(item);
+        }
+    }
+}
+
+module.exports = ScheduleGuide;
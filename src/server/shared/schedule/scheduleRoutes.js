@@ -0,0 +1,96 @@
+const express = require('express');
+const { formatXMLTV } = require('./xmltv');
+
+const DAY_MS = 86400000;
+// Longest range one guide request may cover
+const MAX_RANGE_DAYS = 14;
+
+/**
+ * Reads a point in time given as an ISO date or milliseconds since the epoch
+ * @returns {number|null} Milliseconds, null when the value is missing
+ * @throws {Error} With code 'INVALID_QUERY'
+ */
+function parseTime(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw invalidQuery(`${name} must be an ISO date or milliseconds since the epoch`);
+    }
+    return time;
+}
+
+function invalidQuery(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+/**
+ * Creates the /api/schedule routes of the web server
+ * @param {ScheduleGuide} scheduleGuide - Programming grid and its videos
+ * @param {Object} logger - Logger instance
+ * @returns {express.Router} Router to mount at the application root
+ */
+function createScheduleRouter(scheduleGuide, logger) {
+    const router = express.Router();
+    
+    const fail = (res, error, message) => {
+        if (error.code !== 'INVALID_QUERY') {
+            logger.error(message, error);
+        }
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+    };
+    
+    // Programme guide; ?from and ?to (default: the next 24 hours), ?items=true lists the videos
+    router.get('/api/schedule', (req, res) => {
+        try {
+            const from = parseTime(req.query.from, 'from') ?? Date.now();
+            const to = parseTime(req.query.to, 'to') ?? from + DAY_MS;
+            
+            if (to <= from) {
+                throw invalidQuery('to must be after from');
+            }
+            if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+                throw invalidQuery(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+            }
+            
+            res.json(scheduleGuide.getGuide(from, to, req.query.items === 'true'));
+        } catch (error) {
+            fail(res, error, 'Schedule guide failed');
+        }
+    });
+    
+    // What is on air (?at= another point in time) and what follows
+    router.get('/api/schedule/now', (req, res) => {
+        try {
+            res.json(scheduleGuide.getNow(parseTime(req.query.at, 'at') ?? Date.now()));
+        } catch (error) {
+            fail(res, error, 'Schedule lookup failed');
+        }
+    });
+    
+    // XMLTV export of the next ?days (schedule.guideDays by default); ?items=true lists every video
+    router.get('/api/schedule/xmltv', (req, res) => {
+        try {
+            const days = req.query.days !== undefined ? Number(req.query.days) : scheduleGuide.getScheduleConfig().guideDays;
+            if (!Number.isFinite(days) || days <= 0 || days > MAX_RANGE_DAYS) {
+                throw invalidQuery(`days must be a number between 0 and ${MAX_RANGE_DAYS}`);
+            }
+            
+            const from = Date.now();
+            const withItems = req.query.items === 'true';
+            const guide = scheduleGuide.getGuide(from, from + days * DAY_MS, withItems);
+            
+            res.type('application/xml').send(formatXMLTV(guide, withItems));
+        } catch (error) {
+            fail(res, error, 'XMLTV export failed');
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createScheduleRouter };
@@ -0,0 +1,50 @@
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, character => XML_ESCAPES[character]);
+}
+
+/**
+ * XMLTV time: YYYYMMDDHHmmss +0000
+ */
+function formatTime(isoTime) {
+    return `${isoTime.slice(0, 19).replace(/[-T:]/g, '')} +0000`;
+}
+
+/**
+ * Renders a schedule guide as an XMLTV document for IPTV players and EPG tools
+ * @param {Object} guide - ScheduleGuide.getGuide() result
+ * @param {boolean} withItems - One programme per video instead of one per airing (the guide must include the items)
+ * @returns {string} XML document
+ */
+function formatXMLTV(guide, withItems = false) {
+    const channelId = escapeXML(guide.channel.id);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+        '<tv generator-info-name="VideoJuke">',
+        `  <channel id="${channelId}">`,
+        `    <display-name>${escapeXML(guide.channel.name)}</display-name>`,
+        '  </channel>'
+    ];
+    
+    for (const airing of guide.airings) {
+        const programmes = withItems && airing.items ?
+            airing.items.map(item => ({ ...item, title: airing.title, subTitle: item.filename })) :
+            [airing];
+        
+        for (const programme of programmes) {
+            lines.push(`  <programme start="${formatTime(programme.start)}" stop="${formatTime(programme.end)}" channel="${channelId}">`);
+            lines.push(`    <title>${escapeXML(programme.title)}</title>`);
+            if (programme.subTitle) {
+                lines.push(`    <sub-title>${escapeXML(programme.subTitle)}</sub-title>`);
+            }
+            lines.push('  </programme>');
+        }
+    }
+    
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { formatXMLTV, escapeXML };
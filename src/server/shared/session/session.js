@@ -0,0 +1,73 @@
+const path = require('path');
+
+class Session {
+    /**
+     * A named group of players (usually one screen) with its own position in the shared
+     * preprocessed queue, playback history and statistics.
+     * @param {string} name - Session name
+     * @param {HistoryManager} historyManager - History of this session
+     * @param {Object} definition - Configured options: { directories: [path] } limits the session to videos below these directories,
+     *                              { sync: true } makes the session a sync group,
+     *                              { schedule: true } makes it a sync group that plays the broadcast schedule
+     */
+    constructor(name, historyManager, definition = {}) {
+        this.name = name;
+        this.historyManager = historyManager;
+        this.directories = Array.isArray(definition.directories) && definition.directories.length > 0 ?
+            definition.directories.map(directory => path.resolve(directory)) : null;
+        this.schedule = definition.schedule === true;
+        this.sync = definition.sync === true || this.schedule;
+        this.syncGroup = null; // Created by the web server when the first player joins
+        this.dispensed = new Set(); // Queue ids of the preprocessed videos this session was given
+        this.order = new Map(); // Queue id -> rank of the video in this session's play order
+        this.createdAt = Date.now();
+        this.lastSeen = null;
+        this.ready = Promise.resolve();
+        
+        this.stats = {
+            videosPlayed: 0,
+            videosSkippedErrors: 0,
+            videosSkippedManual: 0,
+            videosReturnedToPrevious: 0
+        };
+    }
+    
+    touch() {
+        this.lastSeen = Date.now();
+    }
+    
+    /**
+     * Sessions count as active until they have not made a request for idleTimeout milliseconds
+     */
+    isActive(idleTimeout) {
+        return this.lastSeen !== null && Date.now() - this.lastSeen < idleTimeout;
+    }
+    
+    accepts(video) {
+        if (!this.directories) {
+            return true;
+        }
+        
+        const filePath = path.resolve(video.originalPath);
+        return this.directories.some(directory => {
+            const relative = path.relative(directory, filePath);
+            return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+    }
+    
+    getInfo(idleTimeout) {
+        return {
+            name: this.name,
+            active: this.isActive(idleTimeout),
+            directories: this.directories,
+            sync: this.syncGroup ? this.syncGroup.getInfo() : this.sync,
+            schedule: this.schedule,
+            lastSeen: this.lastSeen ? new Date(this.lastSeen).toISOString() : null,
+            stats: { ...this.stats },
+            playbackHistory: this.historyManager.playbackHistory.length,
+            persistedHistory: this.historyManager.persistedHistory.length
+        };
+    }
+}
+
+module.exports = Session;
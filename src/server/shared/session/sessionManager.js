@@ -0,0 +1,196 @@
+const path = require('path');
+const FileUtils = require('../utils/fileUtils');
+const HistoryManager = require('../queue/historyManager');
+const Session = require('./session');
+
+const DEFAULT_SESSION = 'default';
+const SESSION_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+class SessionManager {
+    /**
+     * Keeps the named client sessions of the web server. All sessions share the preprocessed queue
+     * (and with it the worker pool and processed cache); each has its own history and statistics.
+     * The default session uses the server's main history, so single-screen setups are unchanged.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the sessions settings
+     * @param {HistoryManager} defaultHistoryManager - History of the default session
+     */
+    constructor(logger, configManager, defaultHistoryManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.cacheDir = path.join(process.cwd(), 'cache', 'sessions');
+        this.statePath = path.join(this.cacheDir, 'sessions-state.json');
+        this.sessions = new Map();
+        this.savedState = {};
+        
+        this.sessions.set(DEFAULT_SESSION, new Session(DEFAULT_SESSION, defaultHistoryManager, this.getDefinition(DEFAULT_SESSION)));
+    }
+    
+    static isValidName(name) {
+        return typeof name === 'string' && SESSION_NAME_PATTERN.test(name);
+    }
+    
+    getSessionsConfig() {
+        const sessions = this.configManager.config.sessions || {};
+        
+        return {
+            idleTimeout: sessions.idleTimeout || 600000,
+            allowDynamic: sessions.allowDynamic === true,
+            maxDynamic: sessions.maxDynamic ?? 20,
+            definitions: sessions.definitions || {}
+        };
+    }
+    
+    getDefinition(name) {
+        return this.getSessionsConfig().definitions[name] || {};
+    }
+    
+    /**
+     * Restores saved playback histories and creates the configured sessions
+     */
+    async load() {
+        try {
+            await FileUtils.ensureDirectory(this.cacheDir);
+            
+            if (await FileUtils.exists(this.statePath)) {
+                const data = await FileUtils.readJSON(this.statePath);
+                this.savedState = data?.sessions || {};
+            }
+        } catch (error) {
+            this.logger.error('Failed to load session state from cache', error);
+            this.savedState = {};
+        }
+        
+        for (const name of Object.keys(this.getSessionsConfig().definitions)) {
+            if (!SessionManager.isValidName(name)) {
+                this.logger.error(`Ignoring session with invalid name: ${name}`);
+                continue;
+            }
+            await this.getSession(name, false);
+        }
+        
+        this.logger.log(`Sessions ready: ${[...this.sessions.keys()].join(', ')}`);
+    }
+    
+    /**
+     * Looks up a session, creating it on first use
+     * @param {string|null} name - Session name, the default session when empty
+     * @param {boolean} touch - Whether this counts as activity of the session
+     * @returns {Promise<Session>} Session with its history loaded
+     * @throws {Error} With code 'INVALID_SESSION' for bad or (with allowDynamic off) unconfigured names,
+     *                 and for new unconfigured names once maxDynamic of them exist
+     */
+    async getSession(name = null, touch = true) {
+        const sessionName = name || DEFAULT_SESSION;
+        let session = this.sessions.get(sessionName);
+        
+        if (!session) {
+            const { allowDynamic, maxDynamic, definitions } = this.getSessionsConfig();
+            
+            if (!SessionManager.isValidName(sessionName) || (!allowDynamic && !definitions[sessionName])) {
+                const error = new Error(SessionManager.isValidName(sessionName) ?
+                    `Unknown session: ${sessionName}` :
+                    `Invalid session name: ${sessionName} (letters, digits, - and _, up to 32 characters)`);
+                error.code = 'INVALID_SESSION';
+                throw error;
+            }
+            
+            // Every session keeps its own history file, so clients cannot create them without limit
+            const dynamicCount = [...this.sessions.keys()].filter(existing => existing !== DEFAULT_SESSION && !definitions[existing]).length;
+            if (!definitions[sessionName] && dynamicCount >= maxDynamic) {
+                const error = new Error(`Too many sessions: ${sessionName} would exceed sessions.maxDynamic (${maxDynamic})`);
+                error.code = 'INVALID_SESSION';
+                throw error;
+            }
+            
+            const historyManager = new HistoryManager(this.logger, this.configManager, path.join(this.cacheDir, `${sessionName}-history.json`));
+            session = new Session(sessionName, historyManager, this.getDefinition(sessionName));
+            session.ready = this.restoreSession(session);
+            this.sessions.set(sessionName, session);
+            
+            this.logger.log(`Created session: ${sessionName}${session.directories ? ` (directories: ${session.directories.join(', ')})` : ''}`);
+        }
+        
+        await session.ready;
+        
+        if (touch) {
+            session.touch();
+        }
+        
+        return session;
+    }
+    
+    async restoreSession(session) {
+        await session.historyManager.load();
+        
+        const saved = this.savedState[session.name];
+        if (saved?.playbackHistory) {
+            session.historyManager.setPlaybackHistoryFromPersistence(saved.playbackHistory);
+        }
+    }
+    
+    /**
+     * Sessions that made a request within the idle timeout
+     */
+    getActiveSessions() {
+        const { idleTimeout } = this.getSessionsConfig();
+        return [...this.sessions.values()].filter(session => session.isActive(idleTimeout));
+    }
+    
+    getSessionsInfo() {
+        const { idleTimeout } = this.getSessionsConfig();
+        return [...this.sessions.values()].map(session => session.getInfo(idleTimeout));
+    }
+    
+    /**
+     * Removes deleted videos from every session's history
+     */
+    removeVideos(originalPaths) {
+        let removedCount = 0;
+        for (const session of this.sessions.values()) {
+            removedCount += session.historyManager.removeVideos(originalPaths);
+        }
+        return removedCount;
+    }
+    
+    /**
+     * Saves the histories of the named sessions. The default session is saved with the queue state.
+     */
+    async save() {
+        const state = {};
+        
+        for (const session of this.sessions.values()) {
+            if (session.name === DEFAULT_SESSION) {
+                continue;
+            }
+            
+            await session.historyManager.save();
+            state[session.name] = {
+                playbackHistory: session.historyManager.getPlaybackHistoryForPersistence()
+            };
+        }
+        
+        try {
+            await FileUtils.ensureDirectory(this.cacheDir);
+            await FileUtils.writeJSON(this.statePath, {
+                savedAt: new Date().toISOString(),
+                sessions: state
+            });
+        } catch (error) {
+            this.logger.error('Failed to save session state to cache', error);
+        }
+    }
+    
+    /**
+     * Playback history of every named session, so their processed files survive temp cleanup
+     */
+    getPlaybackHistoryVideos() {
+        return [...this.sessions.values()]
+            .filter(session => session.name !== DEFAULT_SESSION)
+            .flatMap(session => session.historyManager.getPlaybackHistoryVideos());
+    }
+}
+
+SessionManager.DEFAULT_SESSION = DEFAULT_SESSION;
+
+module.exports = SessionManager;
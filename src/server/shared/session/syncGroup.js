@@ -0,0 +1,400 @@
+class SyncGroup {
+    /**
+     * Plays a session in lockstep on several players (a video wall). The group takes one video at a
+     * time from the session's share of the preprocessed queue and publishes a timeline in server time:
+     * when each video starts and when the transition to the next one begins. Members follow the
+     * timeline against the server clock, so they start videos and crossfades at the same moment.
+     * @param {Session} session - Session the group plays
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the sync and crossfade settings
+     * @param {PreprocessedQueue} preprocessedQueue - Source of the videos
+     * @param {Function} setMediaUrls - (video, clientId) => adds the URLs a player loads a processed video from
+     * @param {ScheduleGuide|null} scheduleGuide - For scheduled sessions: the videos and their air times
+     *                                            come from the programming grid instead of the queue
+     */
+    constructor(session, logger, configManager, preprocessedQueue, setMediaUrls, scheduleGuide = null) {
+        this.session = session;
+        this.name = session.name;
+        this.logger = logger;
+        this.configManager = configManager;
+        this.preprocessedQueue = preprocessedQueue;
+        this.setMediaUrls = setMediaUrls;
+        this.scheduleGuide = scheduleGuide;
+        this.onVideoSkippedCallback = null;
+        
+        this.members = new Map(); // Map<clientId, { clientId, type, send, joinedAt, lastSeen, report }>
+        this.timeline = []; // Scheduled videos, oldest first
+        this.nextIndex = 1;
+        this.lastSkipAt = 0;
+        this.tickTimer = null;
+        this.extending = null;
+    }
+    
+    getSyncConfig() {
+        const sync = this.configManager.config.sync || {};
+        
+        return {
+            startDelay: sync.startDelay || 4000,
+            skipDelay: sync.skipDelay || 3000,
+            memberTimeout: sync.memberTimeout || 30000
+        };
+    }
+    
+    /**
+     * Adds a player or refreshes its membership (players re-join periodically as a heartbeat)
+     * @param {string} clientId - Player id
+     * @param {string} type - 'web', 'webos' or 'electron'
+     * @param {Function|null} send - Pushes (type, data) messages to the player; null for players that poll
+     * @param {Object|null} report - { index, drift, offset, rtt } from the player's last check
+     * @returns {Promise<Object>} Current state, see getState()
+     */
+    async join(clientId, type, send = null, report = null) {
+        let member = this.members.get(clientId);
+        
+        if (!member) {
+            member = { clientId, type, send: null, joinedAt: Date.now(), report: null };
+            this.members.set(clientId, member);
+            this.logger.log(`Sync group "${this.name}": ${clientId} joined (${this.members.size} members)`);
+        }
+        
+        member.type = type || member.type;
+        member.send = send || member.send;
+        member.lastSeen = Date.now();
+        member.report = report || member.report;
+        this.session.touch();
+        
+        this.start();
+        await this.extend();
+        
+        return this.getState(clientId);
+    }
+    
+    leave(clientId) {
+        if (this.members.delete(clientId)) {
+            this.logger.log(`Sync group "${this.name}": ${clientId} left (${this.members.size} members)`);
+        }
+        
+        if (this.members.size === 0) {
+            this.stop();
+        }
+    }
+    
+    start() {
+        if (this.tickTimer) {
+            return;
+        }
+        
+        this.tickTimer = setInterval(() => this.tick(), 1000);
+        this.logger.log(`Sync group "${this.name}" started`);
+    }
+    
+    /**
+     * Stops the group once no member is left. Videos that were scheduled but not shown are dropped.
+     */
+    stop() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+            this.logger.log(`Sync group "${this.name}" stopped`);
+        }
+        
+        this.timeline = [];
+    }
+    
+    async tick() {
+        try {
+            await this.doTick();
+        } catch (error) {
+            // Runs from a timer, so nothing else would catch it
+            this.logger.error(`Sync group "${this.name}" tick failed`, error);
+        }
+    }
+    
+    async doTick() {
+        const { memberTimeout } = this.getSyncConfig();
+        const now = Date.now();
+        
+        for (const [clientId, member] of this.members) {
+            if (now - member.lastSeen > memberTimeout) {
+                this.logger.log(`Sync group "${this.name}": ${clientId} stopped responding`);
+                this.members.delete(clientId);
+            }
+        }
+        
+        if (this.members.size === 0) {
+            this.stop();
+            return;
+        }
+        
+        // Keep the session active for the preprocessed queue while members are connected
+        this.session.touch();
+        
+        if (await this.extend()) {
+            this.broadcast();
+        }
+    }
+    
+    /**
+     * Retires finished videos and schedules new ones so the timeline always holds the current
+     * video and the one after it
+     * @returns {Promise<boolean>} Whether the timeline changed (false when extending failed)
+     */
+    extend() {
+        if (!this.extending) {
+            this.extending = this.doExtend().catch(error => {
+                this.logger.error(`Sync group "${this.name}" failed to extend the timeline`, error);
+                return false;
+            }).finally(() => {
+                this.extending = null;
+            });
+        }
+        
+        return this.extending;
+    }
+    
+    async doExtend() {
+        const now = Date.now();
+        let changed = false;
+        
+        while (this.timeline.length > 0 && this.timeline[0].endAt <= now) {
+            this.retire(this.timeline.shift());
+            changed = true;
+        }
+        
+        if (this.scheduleGuide) {
+            this.scheduleGuide.prepareUpcoming(now);
+        }
+        
+        while (this.timeline.filter(item => item.transitionAt > now).length < 2) {
+            if (!(this.scheduleGuide ? this.appendScheduled(now) : this.append(now))) {
+                break;
+            }
+            changed = true;
+        }
+        
+        return changed;
+    }
+    
+    append(now) {
+        if (this.preprocessedQueue.getAvailableFor(this.session).length === 0) {
+            if (!this.preprocessedQueue.isProcessing) {
+                setImmediate(() => this.preprocessedQueue.fill());
+            }
+            return false;
+        }
+        
+        const video = this.preprocessedQueue.getNext(this.session);
+        if (!video) {
+            return false;
+        }
+        
+        if (!video.metadata?.duration) {
+            this.logger.error(`Sync group "${this.name}": ${video.filename} has no duration, skipping`);
+            return true;
+        }
+        
+        // Players request the file over HTTP, like videos from /api/next-video
+        this.setMediaUrls(video);
+        
+        // Continue where the previous video hands over, or start fresh after a gap
+        const previous = this.timeline[this.timeline.length - 1];
+        const startAt = previous && previous.transitionAt > now ? previous.transitionAt : now + this.getSyncConfig().startDelay;
+        
+        const item = this.scheduleItem({ index: this.nextIndex++, video }, startAt);
+        this.timeline.push(item);
+        
+        this.logger.log(`Sync group "${this.name}": #${item.index} ${video.filename} at ${new Date(item.startAt).toISOString()}`);
+        return true;
+    }
+    
+    /**
+     * Adds the next video of the programming grid at its air time. A video that is on air already
+     * is joined at its current position; one that is still being preprocessed is added once it is
+     * ready, and one that cannot be preprocessed leaves its air time empty.
+     */
+    appendScheduled(now) {
+        const previous = this.timeline[this.timeline.length - 1];
+        let from = previous?.scheduledEnd ?? now;
+        
+        // Bounded, so a run of videos that failed to preprocess cannot stall the tick
+        for (let attempts = 0; attempts < 50; attempts++) {
+            const scheduled = this.scheduleGuide.getItemAt(from);
+            if (!scheduled) {
+                return false;
+            }
+            
+            const { status, video } = this.scheduleGuide.prepare(scheduled);
+            if (status === 'processing') {
+                return false;
+            }
+            if (status === 'failed' || scheduled.end <= now) {
+                from = scheduled.end;
+                continue;
+            }
+            
+            this.setMediaUrls(video);
+            
+            // Like queued videos, a video that follows directly starts with the transition into it
+            const startAt = previous && previous.scheduledEnd === scheduled.start ? previous.transitionAt : scheduled.start;
+            const item = this.scheduleItem({ index: this.nextIndex++, video }, startAt, scheduled.end);
+            item.scheduledEnd = scheduled.end;
+            this.timeline.push(item);
+            
+            this.logger.log(`Sync group "${this.name}": #${item.index} ${video.filename} (${scheduled.airing.title}) at ${new Date(item.startAt).toISOString()}`);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Sets an item's start, transition and end times. With crossfades the transition mirrors the
+     * client's crossfade timing; without them players cut to the next video just before the end.
+     * @param {Object} item - Timeline item
+     * @param {number} startAt - Start in server time
+     * @param {number|null} endAt - Air time end that cuts the video short, for scheduled videos
+     */
+    scheduleItem(item, startAt, endAt = null) {
+        const airTime = endAt ? (endAt - startAt) / 1000 : Infinity;
+        const duration = Math.min(item.video.metadata?.duration || airTime, airTime);
+        const crossfade = this.configManager.config.crossfade || {};
+        let transitionDuration = 0;
+        let safetyBuffer = 0.2;
+        
+        if (crossfade.enabled) {
+            const configDuration = (crossfade.duration || 500) / 1000;
+            const minDuration = 0.2;
+            
+            transitionDuration = duration < configDuration * 2 ?
+                Math.max(duration / 2, minDuration) :
+                Math.min(configDuration, duration * 0.8, Math.max(configDuration, minDuration));
+            safetyBuffer = Math.max(0.2, transitionDuration * 0.1);
+        }
+        
+        item.startAt = startAt;
+        item.transitionAt = startAt + Math.round(Math.max(0, duration - transitionDuration - safetyBuffer) * 1000);
+        item.transitionDuration = transitionDuration;
+        item.endAt = startAt + Math.round(duration * 1000);
+        
+        return item;
+    }
+    
+    retire(item) {
+        this.session.historyManager.addToHistory(item.video);
+        this.session.stats.videosPlayed++;
+    }
+    
+    /**
+     * Moves the transition of the current video to a few seconds from now, for every member.
+     * Requests that arrive while a skip is pending (e.g. from several members at once) are ignored.
+     * @param {string|null} clientId - Requesting member, whose URLs the returned state carries
+     * @returns {Promise<Object>} Updated state
+     */
+    async skip(clientId = null) {
+        const { skipDelay } = this.getSyncConfig();
+        const now = Date.now();
+        
+        // The programming grid decides what airs
+        if (this.scheduleGuide) {
+            this.logger.log(`Sync group "${this.name}" follows the schedule, skip ignored`);
+            return this.getState(clientId);
+        }
+        
+        if (now - this.lastSkipAt < skipDelay) {
+            return this.getState(clientId);
+        }
+        
+        const current = this.timeline.filter(item => item.startAt <= now && item.transitionAt > now).pop();
+        if (!current) {
+            return this.getState(clientId);
+        }
+        
+        this.lastSkipAt = now;
+        this.session.stats.videosSkippedManual++;
+        if (this.onVideoSkippedCallback) {
+            this.onVideoSkippedCallback(current.video);
+        }
+        
+        current.transitionAt = now + skipDelay;
+        current.endAt = current.transitionAt + Math.round(current.transitionDuration * 1000) + 500;
+        
+        // Everything after the current video moves up
+        let startAt = current.transitionAt;
+        for (const item of this.timeline.filter(item => item.index > current.index)) {
+            this.scheduleItem(item, startAt);
+            startAt = item.transitionAt;
+        }
+        
+        this.logger.log(`Sync group "${this.name}": skipping #${current.index} ${current.video.filename}`);
+        
+        await this.extend();
+        this.broadcast();
+        
+        return this.getState(clientId);
+    }
+    
+    /**
+     * Members share the timeline but may load different files of a video (MP4, HLS or a variant
+     * for their profile), so the URLs are set per member
+     * @param {string|null} clientId - Member the state is for
+     * @returns {Object} { group, serverTime, members, timeline: [{ index, startAt, transitionAt, transitionDuration, endAt, video }] }
+     */
+    getState(clientId = null) {
+        return {
+            group: this.name,
+            serverTime: Date.now(),
+            members: this.members.size,
+            timeline: this.timeline.map(item => ({
+                index: item.index,
+                startAt: item.startAt,
+                transitionAt: item.transitionAt,
+                transitionDuration: item.transitionDuration,
+                endAt: item.endAt,
+                video: clientId ? this.setMediaUrls({ ...item.video }, clientId) : item.video
+            }))
+        };
+    }
+    
+    getInfo() {
+        const now = Date.now();
+        const current = this.timeline.filter(item => item.startAt <= now).pop() || null;
+        
+        return {
+            running: this.tickTimer !== null,
+            current: current ? {
+                index: current.index,
+                filename: current.video.filename,
+                position: Math.round((now - current.startAt) / 100) / 10
+            } : null,
+            scheduled: this.timeline.length,
+            members: [...this.members.values()].map(member => ({
+                clientId: member.clientId,
+                type: member.type,
+                transport: member.send ? 'push' : 'polling',
+                lastSeen: new Date(member.lastSeen).toISOString(),
+                ...member.report
+            }))
+        };
+    }
+    
+    broadcast() {
+        for (const member of this.members.values()) {
+            if (!member.send) {
+                continue;
+            }
+            
+            try {
+                member.send('sync-state', this.getState(member.clientId));
+            } catch (error) {
+                // The player polls again or re-joins when its connection is back
+                member.send = null;
+            }
+        }
+    }
+    
+    onVideoSkipped(callback) {
+        this.onVideoSkippedCallback = callback;
+    }
+}
+
+module.exports = SyncGroup;
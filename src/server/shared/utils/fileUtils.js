@@ -12,6 +12,14 @@ class FileUtils {
         }
     }
     
+    static async getStats(filePath) {
+        try {
+            return await fs.stat(filePath);
+        } catch {
+            return null;
+        }
+    }
+    
     static async ensureDirectory(dirPath) {
         try {
             await fs.mkdir(dirPath, { recursive: true });
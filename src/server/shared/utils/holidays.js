@@ -0,0 +1,88 @@
+class Holidays {
+    /**
+     * Names accepted by the seasonal `holiday` condition
+     */
+    static getNames() {
+        return Object.keys(this.definitions);
+    }
+    
+    /**
+     * Computes the date of a named holiday in a given year
+     * @param {string} name - Holiday name (see getNames())
+     * @param {number} year - Full year
+     * @returns {Object|null} { month, day } with month 1-12, or null for unknown names
+     */
+    static getDate(name, year) {
+        const definition = this.definitions[name];
+        return definition ? definition(year) : null;
+    }
+    
+    /**
+     * Western (Gregorian) Easter Sunday - anonymous Gregorian algorithm
+     */
+    static easter(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        
+        return { month, day };
+    }
+    
+    /**
+     * Shifts a { month, day } date by a number of days within the same year's calendar
+     */
+    static offset(year, date, days) {
+        const shifted = new Date(Date.UTC(year, date.month - 1, date.day + days));
+        return { month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+    }
+    
+    /**
+     * Nth weekday of a month, e.g. the 4th Thursday of November. Negative n counts from the end.
+     * @param {number} weekday - 0=Sunday ... 6=Saturday
+     */
+    static nthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+            const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+            return { month, day };
+        }
+        
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const lastWeekday = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+        const day = lastDay - ((lastWeekday - weekday + 7) % 7) + (n + 1) * 7;
+        return { month, day };
+    }
+}
+
+Holidays.definitions = {
+    newYearsDay: () => ({ month: 1, day: 1 }),
+    valentinesDay: () => ({ month: 2, day: 14 }),
+    stPatricksDay: () => ({ month: 3, day: 17 }),
+    goodFriday: (year) => Holidays.offset(year, Holidays.easter(year), -2),
+    easter: (year) => Holidays.easter(year),
+    easterMonday: (year) => Holidays.offset(year, Holidays.easter(year), 1),
+    mothersDay: (year) => Holidays.nthWeekday(year, 5, 0, 2), // US: 2nd Sunday of May
+    memorialDay: (year) => Holidays.nthWeekday(year, 5, 1, -1), // US: last Monday of May
+    fathersDay: (year) => Holidays.nthWeekday(year, 6, 0, 3), // US: 3rd Sunday of June
+    independenceDay: () => ({ month: 7, day: 4 }),
+    laborDay: (year) => Holidays.nthWeekday(year, 9, 1, 1), // US: 1st Monday of September
+    thanksgivingCanada: (year) => Holidays.nthWeekday(year, 10, 1, 2), // 2nd Monday of October
+    halloween: () => ({ month: 10, day: 31 }),
+    thanksgiving: (year) => Holidays.nthWeekday(year, 11, 4, 4), // US: 4th Thursday of November
+    christmasEve: () => ({ month: 12, day: 24 }),
+    christmas: () => ({ month: 12, day: 25 }),
+    newYearsEve: () => ({ month: 12, day: 31 })
+};
+
+module.exports = Holidays;
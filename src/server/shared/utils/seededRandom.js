@@ -0,0 +1,50 @@
+class SeededRandom {
+    /**
+     * Creates a random source. With a seed the sequence is deterministic (mulberry32),
+     * without one it falls back to Math.random.
+     * @param {number|string|null} seed - Optional seed
+     */
+    constructor(seed = null) {
+        this.seed = seed;
+        this.state = seed === null || seed === undefined ? null : SeededRandom.hashSeed(seed);
+    }
+    
+    /**
+     * Converts a numeric or string seed into a 32-bit integer state
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Returns a float in [0, 1)
+     */
+    next() {
+        if (this.state === null) {
+            return Math.random();
+        }
+        
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Returns an integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const FileUtils = require('./fileUtils');
+
+const DAY_MS = 86400000;
+
+// Object identifiers used in the certificate
+const OID = {
+    sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    keyUsage: '2.5.29.15',
+    extKeyUsage: '2.5.29.37',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+/**
+ * Minimal DER encoder for the parts of X.509 a self-signed server certificate needs
+ */
+const der = {
+    encode(tag, content) {
+        const length = content.length;
+        let header;
+        
+        if (length < 0x80) {
+            header = Buffer.from([tag, length]);
+        } else {
+            const bytes = [];
+            for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+                bytes.unshift(remaining & 0xff);
+            }
+            header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+        }
+        
+        return Buffer.concat([header, content]);
+    },
+    sequence: (...items) => der.encode(0x30, Buffer.concat(items)),
+    set: (...items) => der.encode(0x31, Buffer.concat(items)),
+    integer(buffer) {
+        // Positive integers need a leading zero when the high bit is set
+        return der.encode(0x02, buffer[0] & 0x80 ? Buffer.concat([Buffer.from([0]), buffer]) : buffer);
+    },
+    null: () => Buffer.from([0x05, 0x00]),
+    boolean: (value) => der.encode(0x01, Buffer.from([value ? 0xff : 0x00])),
+    bitString: (buffer) => der.encode(0x03, Buffer.concat([Buffer.from([0]), buffer])),
+    octetString: (buffer) => der.encode(0x04, buffer),
+    utf8String: (text) => der.encode(0x0c, Buffer.from(text, 'utf8')),
+    oid(id) {
+        const parts = id.split('.').map(Number);
+        const bytes = [parts[0] * 40 + parts[1]];
+        
+        for (const part of parts.slice(2)) {
+            const encoded = [part & 0x7f];
+            for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+                encoded.unshift((value & 0x7f) | 0x80);
+            }
+            bytes.push(...encoded);
+        }
+        
+        return der.encode(0x06, Buffer.from(bytes));
+    },
+    time(date) {
+        // UTCTime up to 2049, GeneralizedTime after
+        const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+        return date.getUTCFullYear() < 2050 ?
+            der.encode(0x17, Buffer.from(iso.slice(2), 'ascii')) :
+            der.encode(0x18, Buffer.from(iso, 'ascii'));
+    },
+    explicit: (number, content) => der.encode(0xa0 + number, content)
+};
+
+class SelfSignedCertificate {
+    /**
+     * Creates an RSA key and a self-signed certificate for the given host names and IP addresses
+     * @param {Object} options - { commonName, hostnames: [name or IP], days }
+     * @returns {Object} { cert, key } in PEM format
+     */
+    static generate({ commonName = 'VideoJuke', hostnames = ['localhost'], days = 825 } = {}) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        
+        const name = der.sequence(
+            der.set(der.sequence(der.oid(OID.organizationName), der.utf8String('VideoJuke'))),
+            der.set(der.sequence(der.oid(OID.commonName), der.utf8String(commonName)))
+        );
+        
+        const altNames = hostnames.map(host => (net.isIP(host) ?
+            der.encode(0x87, SelfSignedCertificate.ipToBuffer(host)) :
+            der.encode(0x82, Buffer.from(host, 'ascii'))));
+        
+        const extensions = der.sequence(
+            der.sequence(der.oid(OID.basicConstraints), der.boolean(true), der.octetString(der.sequence())),
+            // digitalSignature and keyEncipherment
+            der.sequence(der.oid(OID.keyUsage), der.boolean(true), der.octetString(der.encode(0x03, Buffer.from([0x05, 0xa0])))),
+            der.sequence(der.oid(OID.extKeyUsage), der.octetString(der.sequence(der.oid(OID.serverAuth)))),
+            der.sequence(der.oid(OID.subjectAltName), der.octetString(der.sequence(...altNames)))
+        );
+        
+        const signatureAlgorithm = der.sequence(der.oid(OID.sha256WithRSAEncryption), der.null());
+        const notBefore = new Date(Date.now() - DAY_MS);
+        const notAfter = new Date(Date.now() + days * DAY_MS);
+        const serial = crypto.randomBytes(16);
+        serial[0] &= 0x7f;
+        
+        const tbsCertificate = der.sequence(
+            der.explicit(0, der.integer(Buffer.from([2]))), // v3
+            der.integer(serial),
+            signatureAlgorithm,
+            name,
+            der.sequence(der.time(notBefore), der.time(notAfter)),
+            name,
+            publicKey.export({ type: 'spki', format: 'der' }),
+            der.explicit(3, extensions)
+        );
+        
+        const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+        const certificate = der.sequence(tbsCertificate, signatureAlgorithm, der.bitString(signature));
+        
+        return {
+            cert: SelfSignedCertificate.toPem(certificate, 'CERTIFICATE'),
+            key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        };
+    }
+    
+    /**
+     * Loads the self-signed certificate saved in a directory, creating a new one when there is
+     * none, it expires within 30 days or it does not cover all host names
+     * @param {string} directory - Where cert.pem and key.pem are kept
+     * @param {string[]} hostnames - Names and addresses the certificate must be valid for
+     * @param {Object} logger - Logger instance
+     * @returns {Promise<Object>} { cert, key } in PEM format
+     */
+    static async loadOrCreate(directory, hostnames, logger) {
+        const certPath = path.join(directory, 'cert.pem');
+        const keyPath = path.join(directory, 'key.pem');
+        
+        if (await FileUtils.exists(certPath) && await FileUtils.exists(keyPath)) {
+            try {
+                const cert = await fs.readFile(certPath, 'utf8');
+                const key = await fs.readFile(keyPath, 'utf8');
+                const x509 = new crypto.X509Certificate(cert);
+                const expiresSoon = new Date(x509.validTo).getTime() - Date.now() < 30 * DAY_MS;
+                const covered = hostnames.every(host => (net.isIP(host) ? x509.checkIP(host) : x509.checkHost(host)));
+                
+                if (!expiresSoon && covered) {
+                    return { cert, key };
+                }
+                
+                logger.log(`Self-signed certificate ${expiresSoon ? 'expires soon' : 'does not cover all host names'}, creating a new one`);
+            } catch (error) {
+                logger.error('Failed to read the saved self-signed certificate, creating a new one', error);
+            }
+        }
+        
+        logger.log(`Generating self-signed certificate for ${hostnames.join(', ')}`);
+        const credentials = SelfSignedCertificate.generate({ hostnames });
+        
+        await FileUtils.ensureDirectory(directory);
+        await fs.writeFile(certPath, credentials.cert, 'utf8');
+        await fs.writeFile(keyPath, credentials.key, { encoding: 'utf8', mode: 0o600 });
+        logger.log(`Self-signed certificate saved to ${certPath}`);
+        
+        return credentials;
+    }
+    
+    /**
+     * Host names and addresses of this machine, for the certificate's subject alternative names
+     */
+    static getLocalHostnames(extra = []) {
+        const hostnames = new Set(['localhost', '127.0.0.1', '::1', os.hostname(), ...extra]);
+        
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            for (const address of addresses || []) {
+                if (!address.internal && !address.address.startsWith('fe80')) {
+                    hostnames.add(address.address);
+                }
+            }
+        }
+        
+        return [...hostnames].filter(host => host && host !== '0.0.0.0' && host !== '::');
+    }
+    
+    static ipToBuffer(ip) {
+        if (net.isIPv4(ip)) {
+            return Buffer.from(ip.split('.').map(Number));
+        }
+        
+        // Expand :: in IPv6 addresses
+        const [head, tail = ''] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+        const groups = ip.includes('::') ?
+            [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups] :
+            headGroups;
+        
+        return Buffer.from(groups.flatMap(group => {
+            const value = parseInt(group, 16);
+            return [value >> 8, value & 0xff];
+        }));
+    }
+    
+    static toPem(buffer, label) {
+        const lines = buffer.toString('base64').match(/.{1,64}/g).join('\n');
+        return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+    }
+}
+
+module.exports = SelfSignedCertificate;
@@ -0,0 +1,94 @@
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth
+
+// Sun altitude (degrees) for each rise/set pair
+const SUN_ANGLES = [
+    { angle: -0.833, rise: 'sunrise', set: 'sunset' },
+    { angle: -6, rise: 'dawn', set: 'dusk' } // Civil twilight
+];
+
+class SunCalculator {
+    /**
+     * Event names accepted by the seasonal `sun` condition
+     */
+    static getEventNames() {
+        return ['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk'];
+    }
+    
+    /**
+     * Computes sun event times for a calendar day at a location (NOAA-style approximation,
+     * accurate to about a minute away from the poles)
+     * @param {number} year - Full year of the local day
+     * @param {number} month - Month 1-12 of the local day
+     * @param {number} day - Day of month of the local day
+     * @param {number} latitude - Degrees, north positive
+     * @param {number} longitude - Degrees, east positive
+     * @returns {Object} { dawn, sunrise, solarNoon, sunset, dusk } as Dates; null where the sun
+     *                   doesn't cross that altitude (polar day or night)
+     */
+    static getTimes(year, month, day, latitude, longitude) {
+        // Local solar noon of the requested day, so the right solar cycle is used in any timezone
+        const date = new Date(Date.UTC(year, month - 1, day, 12) - (longitude / 15) * 3600000);
+        
+        const lw = RAD * -longitude;
+        const phi = RAD * latitude;
+        const days = this.toJulian(date) - J2000;
+        const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+        const approxNoon = this.approxTransit(0, lw, cycle);
+        
+        const meanAnomaly = RAD * (357.5291 + 0.98560028 * approxNoon);
+        const eclipticLongitude = this.eclipticLongitude(meanAnomaly);
+        const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+        
+        const jNoon = this.solarTransit(approxNoon, meanAnomaly, eclipticLongitude);
+        const times = { solarNoon: this.fromJulian(jNoon) };
+        
+        for (const { angle, rise, set } of SUN_ANGLES) {
+            const cosHourAngle = (Math.sin(angle * RAD) - Math.sin(phi) * Math.sin(declination)) /
+                (Math.cos(phi) * Math.cos(declination));
+            
+            if (cosHourAngle < -1 || cosHourAngle > 1) {
+                times[rise] = null;
+                times[set] = null;
+                continue;
+            }
+            
+            const hourAngle = Math.acos(cosHourAngle);
+            const jSet = this.solarTransit(this.approxTransit(hourAngle, lw, cycle), meanAnomaly, eclipticLongitude);
+            const jRise = jNoon - (jSet - jNoon);
+            
+            times[rise] = this.fromJulian(jRise);
+            times[set] = this.fromJulian(jSet);
+        }
+        
+        return times;
+    }
+    
+    static toJulian(date) {
+        return date.valueOf() / DAY_MS - 0.5 + J1970;
+    }
+    
+    static fromJulian(julian) {
+        return new Date((julian + 0.5 - J1970) * DAY_MS);
+    }
+    
+    static approxTransit(hourAngle, lw, cycle) {
+        return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+    }
+    
+    static solarTransit(approx, meanAnomaly, eclipticLongitude) {
+        return J2000 + approx + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    }
+    
+    static eclipticLongitude(meanAnomaly) {
+        const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+        const perihelion = RAD * 102.9372;
+        return meanAnomaly + center + perihelion + Math.PI;
+    }
+}
+
+module.exports = SunCalculator;
@@ -1,74 +1,199 @@
+const Holidays = require('./holidays');
+const SunCalculator = require('./sunCalculator');
+
+const DAY_MS = 86400000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
 class TimeConditionEvaluator {
-    constructor(logger) {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the default `location`
+     * @param {Function} clock - Returns the current Date; replace it to evaluate at other times
+     */
+    constructor(logger, configManager = null, clock = () => new Date()) {
         this.logger = logger;
+        this.configManager = configManager;
+        this.clock = clock;
+        this.formatters = new Map(); // Map<timezone, Intl.DateTimeFormat>
+        this.reported = new Set(); // Configuration problems already logged
+    }
+    
+    now() {
+        return this.clock();
     }
     
     /**
-     * Evaluates if current time matches the given conditions
+     * Logs a configuration problem the first time it is met; rules are evaluated on every pick
+     */
+    reportOnce(message) {
+        if (!this.reported.has(message)) {
+            this.reported.add(message);
+            this.logger.error(message);
+        }
+    }
+    
+    /**
+     * Evaluates if the given time matches the given conditions
      * @param {Object} conditions - Time conditions object
-     * @returns {boolean} - True if current time matches all conditions
+     * @param {Date} now - Time to evaluate at (defaults to the current time)
+     * @returns {boolean} - True if the time matches all conditions
      */
-    evaluate(conditions) {
+    evaluate(conditions, now = this.now()) {
         if (!conditions || typeof conditions !== 'object') {
             return false;
         }
         
-        const now = new Date();
-        
         try {
-            // Check each condition type
-            if (conditions.dayOfWeek !== undefined) {
-                if (!this.checkDayOfWeek(now, conditions.dayOfWeek)) return false;
-            }
-            
-            if (conditions.hourRange !== undefined) {
-                if (!this.checkHourRange(now, conditions.hourRange)) return false;
-            }
-            
-            if (conditions.hour !== undefined) {
-                if (!this.checkHour(now, conditions.hour)) return false;
-            }
-            
-            if (conditions.minute !== undefined) {
-                if (!this.checkMinute(now, conditions.minute)) return false;
-            }
-            
-            if (conditions.minuteParity !== undefined) {
-                if (!this.checkMinuteParity(now, conditions.minuteParity)) return false;
-            }
-            
-            if (conditions.dayOfMonth !== undefined) {
-                if (!this.checkDayOfMonth(now, conditions.dayOfMonth)) return false;
-            }
-            
-            if (conditions.month !== undefined) {
-                if (!this.checkMonth(now, conditions.month)) return false;
-            }
-            
-            if (conditions.year !== undefined) {
-                if (!this.checkYear(now, conditions.year)) return false;
-            }
-            
-            if (conditions.dateRange !== undefined) {
-                if (!this.checkDateRange(now, conditions.dateRange)) return false;
-            }
-            
-            return true;
-            
+            return this.evaluateGroup(conditions, now, {
+                timezone: null,
+                location: this.configManager?.config?.location || null
+            });
         } catch (error) {
             this.logger.error('Error evaluating time conditions', error);
             return false;
         }
     }
     
+    /**
+     * Evaluates one conditions object. All keys must match; `all`, `any` and `not` nest further
+     * condition objects, which inherit `timezone` and `location` unless they set their own.
+     * @param {Object} conditions - Time conditions object
+     * @param {Date} now - Time to evaluate at
+     * @param {Object} inherited - { timezone, location } from the enclosing group
+     * @returns {boolean} - True if all conditions match
+     */
+    evaluateGroup(conditions, now, inherited) {
+        if (!conditions || typeof conditions !== 'object') {
+            return false;
+        }
+        
+        const context = {
+            timezone: conditions.timezone || inherited.timezone,
+            location: conditions.location || inherited.location
+        };
+        
+        // Calendar fields in the rule's timezone (server local time if none)
+        const date = this.getDateParts(now, context.timezone);
+        
+        // Check each condition type
+        if (conditions.dayOfWeek !== undefined) {
+            if (!this.checkDayOfWeek(date, conditions.dayOfWeek)) return false;
+        }
+        
+        if (conditions.hourRange !== undefined) {
+            if (!this.checkHourRange(date, conditions.hourRange)) return false;
+        }
+        
+        if (conditions.hour !== undefined) {
+            if (!this.checkHour(date, conditions.hour)) return false;
+        }
+        
+        if (conditions.minute !== undefined) {
+            if (!this.checkMinute(date, conditions.minute)) return false;
+        }
+        
+        if (conditions.minuteParity !== undefined) {
+            if (!this.checkMinuteParity(date, conditions.minuteParity)) return false;
+        }
+        
+        if (conditions.dayOfMonth !== undefined) {
+            if (!this.checkDayOfMonth(date, conditions.dayOfMonth)) return false;
+        }
+        
+        if (conditions.month !== undefined) {
+            if (!this.checkMonth(date, conditions.month)) return false;
+        }
+        
+        if (conditions.year !== undefined) {
+            if (!this.checkYear(date, conditions.year)) return false;
+        }
+        
+        if (conditions.dateRange !== undefined) {
+            if (!this.checkDateRange(now, date, conditions.dateRange)) return false;
+        }
+        
+        if (conditions.holiday !== undefined) {
+            if (!this.checkHoliday(date, conditions.holiday)) return false;
+        }
+        
+        if (conditions.sun !== undefined) {
+            if (!this.checkSun(now, date, conditions.sun, context.location)) return false;
+        }
+        
+        if (conditions.all !== undefined) {
+            if (!Array.isArray(conditions.all)) return false;
+            if (!conditions.all.every(group => this.evaluateGroup(group, now, context))) return false;
+        }
+        
+        if (conditions.any !== undefined) {
+            if (!Array.isArray(conditions.any)) return false;
+            if (!conditions.any.some(group => this.evaluateGroup(group, now, context))) return false;
+        }
+        
+        if (conditions.not !== undefined) {
+            // A list under `not` means none of them may match
+            const negated = Array.isArray(conditions.not) ? conditions.not : [conditions.not];
+            if (negated.some(group => this.evaluateGroup(group, now, context))) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Breaks a point in time into calendar fields, optionally in an IANA timezone
+     * @param {Date} now - Point in time
+     * @param {string|null} timezone - IANA timezone name (e.g. 'America/New_York')
+     * @returns {Object} { year, month (1-12), dayOfMonth, dayOfWeek (0=Sun), hour, minute }
+     */
+    getDateParts(now, timezone = null) {
+        if (!timezone) {
+            return {
+                year: now.getFullYear(),
+                month: now.getMonth() + 1,
+                dayOfMonth: now.getDate(),
+                dayOfWeek: now.getDay(),
+                hour: now.getHours(),
+                minute: now.getMinutes()
+            };
+        }
+        
+        if (!this.formatters.has(timezone)) {
+            // Throws a RangeError for unknown timezones, which fails the rule in evaluate()
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                weekday: 'short',
+                hour: 'numeric',
+                minute: 'numeric'
+            }));
+        }
+        
+        const parts = {};
+        for (const part of this.formatters.get(timezone).formatToParts(now)) {
+            parts[part.type] = part.value;
+        }
+        
+        return {
+            year: parseInt(parts.year),
+            month: parseInt(parts.month),
+            dayOfMonth: parseInt(parts.day),
+            dayOfWeek: WEEKDAYS[parts.weekday],
+            hour: parseInt(parts.hour) % 24,
+            minute: parseInt(parts.minute)
+        };
+    }
+    
     checkDayOfWeek(date, allowedDays) {
-        const dayOfWeek = date.getDay(); // 0=Sunday, 1=Monday, etc.
+        const dayOfWeek = date.dayOfWeek; // 0=Sunday, 1=Monday, etc.
         return Array.isArray(allowedDays) ? allowedDays.includes(dayOfWeek) : allowedDays === dayOfWeek;
     }
     
     checkHourRange(date, range) {
         if (!Array.isArray(range) || range.length !== 2) return false;
-        const hour = date.getHours();
+        const hour = date.hour;
         const [start, end] = range;
         
         if (start <= end) {
@@ -80,57 +205,155 @@ class TimeConditionEvaluator {
     }
     
     checkHour(date, allowedHours) {
-        const hour = date.getHours();
+        const hour = date.hour;
         return Array.isArray(allowedHours) ? allowedHours.includes(hour) : allowedHours === hour;
     }
     
     checkMinute(date, allowedMinutes) {
-        const minute = date.getMinutes();
+        const minute = date.minute;
         return Array.isArray(allowedMinutes) ? allowedMinutes.includes(minute) : allowedMinutes === minute;
     }
     
     checkMinuteParity(date, parity) {
-        const minute = date.getMinutes();
+        const minute = date.minute;
         if (parity === 'even') return minute % 2 === 0;
         if (parity === 'odd') return minute % 2 === 1;
         return false;
     }
     
     checkDayOfMonth(date, allowedDays) {
-        const day = date.getDate();
+        const day = date.dayOfMonth;
         return Array.isArray(allowedDays) ? allowedDays.includes(day) : allowedDays === day;
     }
     
     checkMonth(date, allowedMonths) {
-        const month = date.getMonth() + 1; // 1-12 instead of 0-11
+        const month = date.month; // 1-12
         return Array.isArray(allowedMonths) ? allowedMonths.includes(month) : allowedMonths === month;
     }
     
     checkYear(date, allowedYears) {
-        const year = date.getFullYear();
+        const year = date.year;
         return Array.isArray(allowedYears) ? allowedYears.includes(year) : allowedYears === year;
     }
     
-    checkDateRange(date, range) {
+    checkDateRange(now, date, range) {
         if (!Array.isArray(range) || range.length !== 2) return false;
+        
+        // "MM-DD" pairs repeat every year and may wrap the year end (e.g. ["12-15", "01-05"])
+        const annualPattern = /^\d{1,2}-\d{1,2}$/;
+        if (range.every(value => typeof value === 'string' && annualPattern.test(value))) {
+            const [start, end] = range.map(value => {
+                const [month, day] = value.split('-').map(Number);
+                return month * 100 + day;
+            });
+            const current = date.month * 100 + date.dayOfMonth;
+            
+            if (start <= end) {
+                return current >= start && current <= end;
+            } else {
+                return current >= start || current <= end;
+            }
+        }
+        
         const [startDate, endDate] = range.map(d => new Date(d));
-        return date >= startDate && date <= endDate;
+        return now >= startDate && now <= endDate;
+    }
+    
+    /**
+     * Matches named holidays, optionally with a window of days around them
+     * @param {Object} date - Date parts from getDateParts()
+     * @param {string|Object|Array} holiday - 'easter', { name: 'christmas', daysBefore: 7, daysAfter: 1 } or a list of those
+     */
+    checkHoliday(date, holiday) {
+        const entries = Array.isArray(holiday) ? holiday : [holiday];
+        const today = Date.UTC(date.year, date.month - 1, date.dayOfMonth) / DAY_MS;
+        
+        return entries.some(entry => {
+            const { name, daysBefore = 0, daysAfter = 0 } = typeof entry === 'string' ? { name: entry } : (entry || {});
+            
+            if (!Holidays.getDate(name, date.year)) {
+                this.reportOnce(`Unknown holiday: ${name} (known: ${Holidays.getNames().join(', ')})`);
+                return false;
+            }
+            
+            // Windows around a holiday can reach into the neighbouring years
+            for (const year of [date.year - 1, date.year, date.year + 1]) {
+                const holidayDate = Holidays.getDate(name, year);
+                const holidayDay = Date.UTC(year, holidayDate.month - 1, holidayDate.day) / DAY_MS;
+                
+                if (today >= holidayDay - daysBefore && today <= holidayDay + daysAfter) {
+                    return true;
+                }
+            }
+            
+            return false;
+        });
+    }
+    
+    /**
+     * Matches a window relative to sun events at the configured location, e.g.
+     * { after: 'sunset', before: 'sunrise' } for night or { after: 'sunrise', afterOffsetMinutes: 60 }.
+     * Windows where `after` comes later than `before` wrap over midnight.
+     * @param {Date} now - Point in time
+     * @param {Object} date - Date parts from getDateParts()
+     * @param {Object} sun - { after, before, afterOffsetMinutes, beforeOffsetMinutes }
+     * @param {Object} location - { latitude, longitude }
+     */
+    checkSun(now, date, sun, location) {
+        if (!sun || typeof sun !== 'object' || (!sun.after && !sun.before)) return false;
+        
+        const latitude = parseFloat(location?.latitude);
+        const longitude = parseFloat(location?.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            this.reportOnce('Sun conditions need location.latitude and location.longitude in config');
+            return false;
+        }
+        
+        const times = SunCalculator.getTimes(date.year, date.month, date.dayOfMonth, latitude, longitude);
+        const resolveEvent = (event, offsetMinutes = 0) => {
+            if (!SunCalculator.getEventNames().includes(event)) {
+                this.reportOnce(`Unknown sun event: ${event} (known: ${SunCalculator.getEventNames().join(', ')})`);
+                return null;
+            }
+            // null during polar day or night
+            return times[event] ? times[event].getTime() + offsetMinutes * 60000 : null;
+        };
+        
+        const start = sun.after ? resolveEvent(sun.after, sun.afterOffsetMinutes) : null;
+        const end = sun.before ? resolveEvent(sun.before, sun.beforeOffsetMinutes) : null;
+        
+        if ((sun.after && start === null) || (sun.before && end === null)) {
+            return false;
+        }
+        
+        const current = now.getTime();
+        
+        if (start !== null && end !== null) {
+            if (start <= end) {
+                return current >= start && current < end;
+            } else {
+                return current >= start || current < end;
+            }
+        }
+        
+        return start !== null ? current >= start : current < end;
     }
     
     /**
-     * Get debug info about what conditions would match for current time
+     * Get debug info about what conditions would match for the given time
      */
-    getDebugInfo() {
-        const now = new Date();
+    getDebugInfo(now = this.now(), timezone = null) {
+        const date = this.getDateParts(now, timezone);
         return {
             currentTime: now.toISOString(),
-            dayOfWeek: now.getDay(),
-            hour: now.getHours(),
-            minute: now.getMinutes(),
-            dayOfMonth: now.getDate(),
-            month: now.getMonth() + 1,
-            year: now.getFullYear(),
-            minuteParity: now.getMinutes() % 2 === 0 ? 'even' : 'odd'
+            timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            dayOfWeek: date.dayOfWeek,
+            hour: date.hour,
+            minute: date.minute,
+            dayOfMonth: date.dayOfMonth,
+            month: date.month,
+            year: date.year,
+            minuteParity: date.minute % 2 === 0 ? 'even' : 'odd'
         };
     }
 }
@@ -0,0 +1,303 @@
+// Video codec families (named as ffprobe names them) and their RFC 6381 codec string prefixes
+const VIDEO_CODECS = [
+    { codec: 'h264', prefixes: ['avc1', 'avc3'] },
+    { codec: 'hevc', prefixes: ['hvc1', 'hev1'] },
+    { codec: 'vp9', prefixes: ['vp09', 'vp9'] },
+    { codec: 'av1', prefixes: ['av01'] }
+];
+
+class ClientProfiles {
+    /**
+     * Keeps the capabilities players report when they connect and turns them into delivery
+     * profiles: which video codecs up to which height a player decodes, how many audio channels
+     * it outputs and whether it plays HLS. For every video handed out, the player gets the
+     * processed MP4 when it can play it, otherwise the HLS package or a transcoded variant
+     * made for its profile.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the video.profiles settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.clients = new Map(); // Map<clientId, { clientId, clientType, session, capabilities, profile, reportedAt, lastSeen }>
+    }
+    
+    /**
+     * Gets profile settings from config with defaults
+     * @returns {Object} Profile configuration
+     */
+    getProfilesConfig() {
+        const profiles = this.configManager.config.video?.profiles || {};
+        
+        return {
+            enabled: profiles.enabled !== false,
+            heights: Array.isArray(profiles.heights) && profiles.heights.length > 0 ?
+                [...profiles.heights].sort((a, b) => b - a) : [2160, 1440, 1080, 720, 480],
+            clientTimeout: profiles.clientTimeout || 3600000,
+            overrides: profiles.overrides || {}
+        };
+    }
+    
+    /**
+     * Stores a player's capabilities and works out its profile
+     * @param {string} clientId - Player id
+     * @param {Object} report - { clientType, session, capabilities: { mediaTypes: { type: supported }, hls, maxWidth, maxHeight, audioChannels } }
+     * @returns {Object} The player's profile
+     * @throws {Error} With code 'INVALID_CAPABILITIES' for a report without capabilities
+     */
+    report(clientId, { clientType = null, session = null, capabilities } = {}) {
+        if (!clientId || !capabilities || typeof capabilities !== 'object' || typeof capabilities.mediaTypes !== 'object') {
+            const error = new Error('Capabilities need a clientId and a mediaTypes map');
+            error.code = 'INVALID_CAPABILITIES';
+            throw error;
+        }
+        
+        const profile = this.deriveProfile(capabilities, clientType, session);
+        const now = Date.now();
+        const previous = this.clients.get(clientId);
+        
+        this.clients.set(clientId, {
+            clientId,
+            clientType,
+            session,
+            capabilities,
+            profile,
+            reportedAt: now,
+            lastSeen: now
+        });
+        
+        if (!previous || previous.profile.name !== profile.name) {
+            this.logger.log(`Client ${clientId} (${clientType || 'unknown'}) uses profile ${profile.name}`);
+        }
+        
+        return profile;
+    }
+    
+    /**
+     * Profile from reported capabilities. Heights are rounded down to the configured steps so
+     * players with similar screens share transcoded variants. Overrides for the client type or
+     * session replace detected values, for players that report more than they can play.
+     */
+    deriveProfile(capabilities, clientType = null, session = null) {
+        const { heights, overrides } = this.getProfilesConfig();
+        const videoCodecs = {};
+        
+        for (const [type, supported] of Object.entries(capabilities.mediaTypes)) {
+            const parsed = supported ? ClientProfiles.parseMediaType(type) : null;
+            if (parsed) {
+                videoCodecs[parsed.codec] = Math.max(videoCodecs[parsed.codec] || 0, parsed.maxHeight);
+            }
+        }
+        
+        const screenHeight = Math.min(capabilities.maxHeight || 1080, capabilities.maxWidth ? capabilities.maxWidth * 9 / 16 : Infinity);
+        const profile = {
+            videoCodecs,
+            maxHeight: heights.find(height => height <= screenHeight) || heights[heights.length - 1],
+            audioChannels: capabilities.audioChannels >= 6 ? 6 : 2,
+            hls: capabilities.hls === true
+        };
+        
+        for (const override of [overrides[clientType], overrides[session]]) {
+            if (override && typeof override === 'object') {
+                if (Array.isArray(override.videoCodecs)) {
+                    profile.videoCodecs = Object.fromEntries(override.videoCodecs
+                        .filter(codec => profile.videoCodecs[codec])
+                        .map(codec => [codec, profile.videoCodecs[codec]]));
+                }
+                for (const key of ['maxHeight', 'audioChannels', 'hls']) {
+                    if (override[key] !== undefined) {
+                        profile[key] = override[key];
+                    }
+                }
+            }
+        }
+        
+        const codecNames = Object.keys(profile.videoCodecs).sort();
+        profile.name = `${codecNames.join('+') || 'none'}-${profile.maxHeight}p-${profile.audioChannels}ch${profile.hls ? '-hls' : ''}`;
+        
+        return profile;
+    }
+    
+    /**
+     * Codec family and decodable height of a probed media type such as
+     * 'video/mp4; codecs="avc1.640028"'. H.264 levels below 5.1 stop at 1080p.
+     * @returns {Object|null} { codec, maxHeight } for video types
+     */
+    static parseMediaType(type) {
+        const codecs = String(type).match(/codecs="?([^"]+)"?/);
+        if (!codecs) {
+            return null;
+        }
+        
+        const codecString = codecs[1].split(',')[0].trim();
+        const family = VIDEO_CODECS.find(candidate => candidate.prefixes.some(prefix => codecString.startsWith(prefix)));
+        if (!family) {
+            return null;
+        }
+        
+        let maxHeight = 2160;
+        if (family.codec === 'h264') {
+            const level = parseInt(codecString.split('.')[1]?.slice(4, 6), 16);
+            maxHeight = level >= 51 ? 2160 : 1080;
+        }
+        
+        return { codec: family.codec, maxHeight };
+    }
+    
+    getProfile(clientId) {
+        const client = clientId ? this.clients.get(clientId) : null;
+        if (!client) {
+            return null;
+        }
+        
+        client.lastSeen = Date.now();
+        return client.profile;
+    }
+    
+    /**
+     * Distinct profiles of the players seen within clientTimeout
+     */
+    getActiveProfiles() {
+        const { clientTimeout } = this.getProfilesConfig();
+        const now = Date.now();
+        const profiles = new Map();
+        
+        for (const [clientId, client] of this.clients) {
+            if (now - client.lastSeen > clientTimeout) {
+                this.clients.delete(clientId);
+            } else {
+                profiles.set(client.profile.name, client.profile);
+            }
+        }
+        
+        return [...profiles.values()];
+    }
+    
+    /**
+     * The transcoded variant a profile needs for a processed output, or null when the player
+     * can play the output as it is. Players that only lack the audio channels get the video
+     * stream copied.
+     * @param {Object} output - { videoCodec, height, audioChannels } of the processed MP4
+     * @param {Object} profile - Player profile
+     * @returns {Object|null} { key, copyVideo, height, audioChannels }
+     */
+    getVariantSpec(output, profile) {
+        const playsVideo = this.playsVideo(output, profile);
+        if (playsVideo && output.audioChannels <= profile.audioChannels) {
+            return null;
+        }
+        
+        const audioChannels = Math.min(output.audioChannels || 2, profile.audioChannels);
+        if (playsVideo) {
+            return { key: `copy-${audioChannels}ch`, copyVideo: true, height: output.height, audioChannels };
+        }
+        
+        const height = Math.min(output.height || profile.maxHeight, profile.maxHeight, profile.videoCodecs.h264 || 1080);
+        
+        return {
+            key: `h264-${height}p-${audioChannels}ch`,
+            copyVideo: false,
+            height,
+            audioChannels
+        };
+    }
+    
+    /**
+     * Variant specs for all active profiles, for the preprocessor to produce along with a video
+     * @param {Object} output - Processed output description
+     * @param {boolean} hasHls - Whether the video gets an HLS package, which covers some profiles
+     */
+    getVariantSpecs(output, hasHls = false) {
+        if (!this.getProfilesConfig().enabled) {
+            return [];
+        }
+        
+        const specs = new Map();
+        for (const profile of this.getActiveProfiles()) {
+            const spec = this.getVariantSpec(output, profile);
+            if (spec && !this.canUseHls(output, profile, hasHls)) {
+                specs.set(spec.key, spec);
+            }
+        }
+        
+        return [...specs.values()];
+    }
+    
+    playsVideo(output, profile) {
+        const maxHeight = profile.videoCodecs[output.videoCodec] || 0;
+        
+        return !!maxHeight && (output.height || 0) <= Math.min(maxHeight, profile.maxHeight);
+    }
+    
+    /**
+     * The HLS ladder is H.264 with the processed audio, so it suits players that decode H.264
+     * and output all of the audio channels
+     */
+    canUseHls(output, profile, hls = true) {
+        return !!hls && profile.hls && !!profile.videoCodecs.h264 && output.audioChannels <= profile.audioChannels;
+    }
+    
+    /**
+     * Decides how a player gets a video
+     * @param {Object} output - Processed output description, see getOutput()
+     * @param {string|null} clientId - Requesting player
+     * @param {Object} available - { hls: package or null, hasVariant(key) }
+     * @returns {Object} { type: 'mp4' | 'hls' | 'variant' | 'auto', profile, variant, maxHeight, missingVariant }
+     */
+    choose(output, clientId, available) {
+        const profile = this.getProfilesConfig().enabled ? this.getProfile(clientId) : null;
+        
+        // Players that did not report capabilities pick between MP4 and HLS themselves
+        if (!profile) {
+            return { type: 'auto', profile: null };
+        }
+        
+        const spec = this.getVariantSpec(output, profile);
+        if (!spec) {
+            return { type: 'mp4', profile: profile.name };
+        }
+        
+        if (this.canUseHls(output, profile, available.hls)) {
+            return { type: 'hls', profile: profile.name, maxHeight: profile.maxHeight };
+        }
+        
+        if (available.hasVariant(spec.key)) {
+            return { type: 'variant', profile: profile.name, variant: spec.key };
+        }
+        
+        // Best effort until the variant exists: the ladder if the player has HLS, the MP4 otherwise
+        return {
+            type: available.hls && profile.hls ? 'hls' : 'mp4',
+            profile: profile.name,
+            maxHeight: profile.maxHeight,
+            missingVariant: spec
+        };
+    }
+    
+    /**
+     * Description of a processed video's output for profile decisions, from its metadata.
+     * Outputs processed before outputs were recorded are assumed to have the default 5.1 audio.
+     */
+    static getOutput(video) {
+        const metadata = video.metadata || {};
+        
+        return metadata.output || {
+            videoCodec: metadata.videoCodec || null,
+            height: metadata.height || null,
+            audioChannels: 6
+        };
+    }
+    
+    getClients() {
+        return [...this.clients.values()].map(client => ({
+            clientId: client.clientId,
+            clientType: client.clientType,
+            session: client.session,
+            profile: client.profile,
+            reportedAt: new Date(client.reportedAt).toISOString(),
+            lastSeen: new Date(client.lastSeen).toISOString()
+        }));
+    }
+}
+
+module.exports = ClientProfiles;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtils = require('../utils/fileUtils');
+
+class DirectoryWatcher {
+    constructor(logger, configManager, videoIndex) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.videoIndex = videoIndex;
+        this.watchers = new Map(); // Map<directory, fs.FSWatcher>
+        this.pendingPaths = new Set();
+        this.debounceTimer = null;
+        this.isFlushing = false;
+        this.onChange = null;
+    }
+    
+    /**
+     * Starts watching all configured regular and seasonal directories
+     * @param {Function} onChange - Called with { added, updated, removed } after changes are applied to the index
+     */
+    async start(onChange) {
+        this.stop();
+        
+        if (this.configManager.get('system.enableFileWatcher', true) === false) {
+            this.logger.log('Directory file watcher disabled in config');
+            return;
+        }
+        
+        this.onChange = onChange;
+        
+        const directories = new Set(this.configManager.getDirectoryPaths());
+        for (const seasonalConfig of this.configManager.config.seasonalDirectories || []) {
+            if (seasonalConfig.directory) {
+                directories.add(seasonalConfig.directory);
+            }
+        }
+        
+        for (const directory of directories) {
+            await this.watchDirectory(directory);
+        }
+        
+        this.logger.log(`Directory watcher started: watching ${this.watchers.size}/${directories.size} directories`);
+    }
+    
+    async watchDirectory(directory) {
+        if (!(await FileUtils.exists(directory))) {
+            this.logger.log(`Not watching missing directory: ${directory}`);
+            return;
+        }
+        
+        try {
+            const watcher = fs.watch(directory, { recursive: true, persistent: false }, (eventType, filename) => {
+                // Some platforms don't report the filename - rescan the whole directory instead
+                const changedPath = filename ? path.join(directory, filename.toString()) : directory;
+                this.queuePath(changedPath);
+            });
+            
+            watcher.on('error', (error) => {
+                this.logger.error(`Directory watcher error: ${directory}`, error);
+                watcher.close();
+                this.watchers.delete(directory);
+            });
+            
+            this.watchers.set(directory, watcher);
+        } catch (error) {
+            this.logger.error(`Failed to watch directory: ${directory}`, error);
+        }
+    }
+    
+    queuePath(changedPath) {
+        this.pendingPaths.add(changedPath);
+        this.scheduleFlush();
+    }
+    
+    scheduleFlush() {
+        // Debounce bursts (e.g. a folder copy) into a single index update
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+        
+        const debounceDelay = this.configManager.getTimeout('fileWatcherDebounce', 2000);
+        this.debounceTimer = setTimeout(() => this.flush(), debounceDelay);
+    }
+    
+    async flush() {
+        this.debounceTimer = null;
+        
+        if (this.pendingPaths.size === 0) {
+            return;
+        }
+        
+        // A full scan or a previous flush is running - try again once it has finished
+        if (this.isFlushing || this.videoIndex.isBuilding) {
+            this.scheduleFlush();
+            return;
+        }
+        
+        const changedPaths = [...this.pendingPaths];
+        this.pendingPaths.clear();
+        this.isFlushing = true;
+        
+        try {
+            this.logger.log(`Directory watcher: applying ${changedPaths.length} changed paths`);
+            const changes = await this.videoIndex.applyFileChanges(changedPaths);
+            
+            const changeCount = changes.added.length + changes.updated.length + changes.removed.length;
+            if (changeCount > 0 && this.onChange) {
+                await this.onChange(changes);
+            }
+        } catch (error) {
+            this.logger.error('Failed to apply directory changes', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+    
+    stop() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+        
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        
+        this.watchers.clear();
+        this.pendingPaths.clear();
+    }
+}
+
+module.exports = DirectoryWatcher;
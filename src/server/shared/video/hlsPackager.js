@@ -0,0 +1,299 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+const ffprobeStatic = require('ffprobe-static');
+const FileUtils = require('../utils/fileUtils');
+const VideoMetadata = require('./videoMetadata');
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
+
+const DEFAULT_RENDITIONS = [
+    { name: '1080p', height: 1080, videoBitrate: 5000 },
+    { name: '720p', height: 720, videoBitrate: 2800 },
+    { name: '480p', height: 480, videoBitrate: 1200 }
+];
+
+// Names end up in paths and URLs
+const NAME_PATTERN = /^[\w-]+$/;
+
+class HlsPackager {
+    /**
+     * Packages processed MP4s as HLS with a ladder of H.264 renditions, so remote players can
+     * pick a resolution their decoder and connection handle. Packages are kept in cache/hls/<id>,
+     * where the id is the processed file's name without extension.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the video.hls settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.outputDir = path.join(process.cwd(), 'cache', 'hls');
+    }
+    
+    /**
+     * Gets HLS settings from config with defaults
+     * @returns {Object} HLS configuration
+     */
+    getHlsConfig() {
+        const hls = this.configManager?.config?.video?.hls || {};
+        const renditions = (Array.isArray(hls.renditions) && hls.renditions.length > 0 ? hls.renditions : DEFAULT_RENDITIONS)
+            .filter(rendition => rendition.height > 0 && rendition.videoBitrate > 0)
+            .map(rendition => ({
+                name: NAME_PATTERN.test(rendition.name || '') ? rendition.name : `${rendition.height}p`,
+                height: Math.round(rendition.height / 2) * 2,
+                videoBitrate: rendition.videoBitrate
+            }));
+        
+        return {
+            enabled: hls.enabled === true,
+            segmentDuration: hls.segmentDuration || 4,
+            preset: hls.preset || 'veryfast',
+            renditions: renditions.sort((a, b) => b.height - a.height)
+        };
+    }
+    
+    isEnabled() {
+        return this.getHlsConfig().enabled;
+    }
+    
+    getId(processedPath) {
+        return path.basename(processedPath, path.extname(processedPath));
+    }
+    
+    getPackageDir(id) {
+        return path.join(this.outputDir, id);
+    }
+    
+    /**
+     * Path of a playlist or segment inside a package, or null for names that could leave it
+     * @param {string} id - Package id
+     * @param {string[]} parts - Rendition directory and/or file name
+     */
+    resolveFile(id, ...parts) {
+        const valid = [id, ...parts].every(part => typeof part === 'string' && /^[\w-]+(\.(m3u8|ts))?$/.test(part));
+        return valid ? path.join(this.getPackageDir(id), ...parts) : null;
+    }
+    
+    /**
+     * Renditions of the configured ladder the source fills, each scaled to fit its 16:9 box (so
+     * wide sources keep their width); sources smaller than every rendition get the smallest one
+     * at their own size
+     */
+    selectRenditions(metadata) {
+        const { renditions } = this.getHlsConfig();
+        const sourceHeight = metadata?.height || renditions[0].height;
+        const sourceWidth = metadata?.width || Math.round(sourceHeight * 16 / 9);
+        const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+        
+        const fitted = renditions.map(rendition => {
+            const boxWidth = rendition.height * 16 / 9;
+            const scale = Math.min(1, boxWidth / sourceWidth, rendition.height / sourceHeight);
+            return {
+                ...rendition,
+                width: even(sourceWidth * scale),
+                height: even(sourceHeight * scale),
+                fills: sourceWidth >= boxWidth || sourceHeight >= rendition.height
+            };
+        });
+        
+        const selected = fitted.filter(rendition => rendition.fills);
+        return (selected.length > 0 ? selected : fitted.slice(-1)).map(({ fills, ...rendition }) => rendition);
+    }
+    
+    /**
+     * Hash of the settings a package was made with, so config changes repackage
+     */
+    getConfigHash() {
+        const { segmentDuration, preset, renditions } = this.getHlsConfig();
+        return crypto.createHash('md5').update(JSON.stringify({ segmentDuration, preset, renditions })).digest('hex');
+    }
+    
+    /**
+     * Returns the package of a processed file, creating it when missing or made with other settings
+     * @param {string} processedPath - Processed MP4
+     * @param {Object} options - { signal, threads }
+     * @returns {Promise<Object>} { id, renditions: [{ name, width, height, bandwidth }] }
+     */
+    async ensurePackage(processedPath, options = {}) {
+        const id = this.getId(processedPath);
+        const info = await FileUtils.readJSON(path.join(this.getPackageDir(id), 'package.json'));
+        
+        if (info && info.configHash === this.getConfigHash() && await FileUtils.exists(path.join(this.getPackageDir(id), 'master.m3u8'))) {
+            return { id, renditions: info.renditions };
+        }
+        
+        return this.createPackage(processedPath, options);
+    }
+    
+    async createPackage(processedPath, { signal, threads } = {}) {
+        const id = this.getId(processedPath);
+        const { segmentDuration } = this.getHlsConfig();
+        const metadata = await VideoMetadata.extract(processedPath, this.logger);
+        
+        if (!metadata) {
+            throw new Error(`Failed to read processed file for HLS: ${processedPath}`);
+        }
+        
+        // Build next to the final directory and swap it in when complete
+        const workDir = path.join(this.outputDir, `.${id}-${crypto.randomBytes(4).toString('hex')}`);
+        const renditions = [];
+        
+        try {
+            for (const rendition of this.selectRenditions(metadata)) {
+                await FileUtils.ensureDirectory(path.join(workDir, rendition.name));
+                await this.encodeRendition(processedPath, workDir, rendition, { signal, threads });
+                
+                renditions.push({
+                    name: rendition.name,
+                    width: rendition.width,
+                    height: rendition.height,
+                    bandwidth: Math.round(rendition.videoBitrate * 1.1 * 1000) + (metadata.audioBitrate || 384000),
+                    codecs: [this.getVideoCodecString(rendition.height), metadata.hasAudio ? 'mp4a.40.2' : null].filter(Boolean).join(',')
+                });
+            }
+            
+            await fs.writeFile(path.join(workDir, 'master.m3u8'), this.createMasterPlaylist(renditions), 'utf8');
+            await FileUtils.writeJSON(path.join(workDir, 'package.json'), {
+                configHash: this.getConfigHash(),
+                segmentDuration,
+                renditions,
+                createdAt: new Date().toISOString()
+            });
+            
+            await this.remove(id);
+            await fs.rename(workDir, this.getPackageDir(id));
+        } catch (error) {
+            await fs.rm(workDir, { recursive: true, force: true });
+            throw error;
+        }
+        
+        this.logger.log(`    📺 HLS package ready: ${renditions.map(rendition => rendition.name).join(', ')}`);
+        return { id, renditions };
+    }
+    
+    /**
+     * Encodes one rendition as H.264 with keyframes on segment boundaries, so every rendition
+     * switches cleanly. Audio is the processed track, copied.
+     */
+    encodeRendition(processedPath, workDir, rendition, { signal, threads } = {}) {
+        const { segmentDuration, preset } = this.getHlsConfig();
+        const playlistPath = path.join(workDir, rendition.name, 'index.m3u8');
+        
+        return new Promise((resolve, reject) => {
+            let cancelled = false;
+            
+            const command = ffmpeg(processedPath)
+                .outputOptions([
+                    '-map', '0:v:0',
+                    '-map', '0:a:0?',
+                    '-vf', `scale=${rendition.width}:${rendition.height}`,
+                    '-c:v', 'libx264',
+                    '-preset', preset,
+                    '-profile:v', 'high',
+                    '-level:v', rendition.height > 1080 ? '5.1' : '4.2',
+                    '-pix_fmt', 'yuv420p',
+                    '-b:v', `${rendition.videoBitrate}k`,
+                    '-maxrate', `${Math.round(rendition.videoBitrate * 1.1)}k`,
+                    '-bufsize', `${rendition.videoBitrate * 2}k`,
+                    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+                    '-sc_threshold', '0',
+                    '-c:a', 'copy',
+                    '-threads', String(threads || 2),
+                    '-f', 'hls',
+                    '-hls_time', String(segmentDuration),
+                    '-hls_playlist_type', 'vod',
+                    '-hls_segment_filename', path.join(workDir, rendition.name, 'segment_%05d.ts')
+                ]);
+            
+            const onAbort = () => {
+                cancelled = true;
+                command.kill('SIGKILL');
+            };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            const settle = (error) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                
+                if (cancelled) {
+                    const cancelError = new Error(`HLS packaging cancelled: ${path.basename(processedPath)}`);
+                    cancelError.cancelled = true;
+                    return reject(cancelError);
+                }
+                
+                error ? reject(new Error(`HLS rendition ${rendition.name} failed: ${error.message}`)) : resolve();
+            };
+            
+            command
+                .on('start', () => {
+                    this.logger.log(`    📺 Encoding HLS rendition ${rendition.name} (${rendition.width}x${rendition.height}, ${rendition.videoBitrate} kbit/s)`);
+                })
+                .on('error', (error) => settle(error))
+                .on('end', () => settle(null))
+                .save(playlistPath);
+        });
+    }
+    
+    /**
+     * RFC 6381 codec string for the H.264 High profile level used for a rendition height
+     */
+    getVideoCodecString(height) {
+        return height > 1080 ? 'avc1.640033' : 'avc1.64002a';
+    }
+    
+    createMasterPlaylist(renditions) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+        
+        for (const rendition of renditions) {
+            lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="${rendition.codecs}"`);
+            lines.push(`${rendition.name}/index.m3u8`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    async remove(id) {
+        try {
+            await fs.rm(this.getPackageDir(id), { recursive: true, force: true });
+        } catch (error) {
+            this.logger.error(`Failed to remove HLS package: ${id}`, error);
+        }
+    }
+    
+    /**
+     * Removes packages whose processed file is gone, and work directories of interrupted runs
+     * @param {Function} isLive - async (id) => whether the processed file still exists
+     */
+    async removeOrphans(isLive) {
+        let entries;
+        try {
+            entries = await fs.readdir(this.outputDir);
+        } catch {
+            return;
+        }
+        
+        let removedCount = 0;
+        for (const entry of entries) {
+            if (entry.startsWith('.') || !(await isLive(entry))) {
+                await fs.rm(path.join(this.outputDir, entry), { recursive: true, force: true });
+                removedCount++;
+            }
+        }
+        
+        if (removedCount > 0) {
+            this.logger.log(`HLS cleanup: removed ${removedCount} orphaned packages`);
+        }
+    }
+}
+
+module.exports = HlsPackager;
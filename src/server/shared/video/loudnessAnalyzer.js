@@ -0,0 +1,84 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+
+// Set FFmpeg path
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+class LoudnessAnalyzer {
+    /**
+     * Runs the loudnorm analysis pass over a file's audio and returns the measured values
+     * @param {string} filePath - Path to the video file
+     * @param {Object} normConfig - Normalization config (targetLUFS, truePeak, LRA, dualMono)
+     * @param {Object} logger - Logger instance
+     * @returns {Promise<Object|null>} Measurement object or null if analysis fails
+     */
+    static async measure(filePath, normConfig, logger) {
+        return new Promise((resolve) => {
+            const analysisFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}${normConfig.dualMono ? ':dual_mono=true' : ''}:print_format=json`;
+            
+            ffmpeg(filePath)
+                .noVideo()
+                .audioFilters(analysisFilter)
+                .format('null')
+                .on('error', (err) => {
+                    logger.error(`Loudness analysis failed for: ${filePath}`, err);
+                    resolve(null);
+                })
+                .on('end', (stdout, stderr) => {
+                    const measurement = this.parseOutput(stderr);
+                    
+                    if (!measurement) {
+                        logger.error(`Loudness analysis produced no measurement for: ${filePath}`);
+                        resolve(null);
+                        return;
+                    }
+                    
+                    resolve({
+                        ...measurement,
+                        dualMono: !!normConfig.dualMono,
+                        measuredAt: new Date().toISOString()
+                    });
+                })
+                .save(process.platform === 'win32' ? 'NUL' : '/dev/null');
+        });
+    }
+    
+    /**
+     * Extracts the JSON block printed by loudnorm from ffmpeg's stderr
+     * @param {string} stderr - FFmpeg standard error output
+     * @returns {Object|null} Parsed measurement or null
+     */
+    static parseOutput(stderr) {
+        if (!stderr) {
+            return null;
+        }
+        
+        const jsonStart = stderr.lastIndexOf('{');
+        const jsonEnd = stderr.lastIndexOf('}');
+        if (jsonStart === -1 || jsonEnd <= jsonStart) {
+            return null;
+        }
+        
+        try {
+            const data = JSON.parse(stderr.slice(jsonStart, jsonEnd + 1));
+            
+            const measurement = {
+                measuredI: parseFloat(data.input_i),
+                measuredTP: parseFloat(data.input_tp),
+                measuredLRA: parseFloat(data.input_lra),
+                measuredThresh: parseFloat(data.input_thresh)
+            };
+            
+            // Silent or very short audio reports -inf, which loudnorm can't use as linear input
+            if (!Object.values(measurement).every(Number.isFinite)) {
+                return null;
+            }
+            
+            return measurement;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = LoudnessAnalyzer;
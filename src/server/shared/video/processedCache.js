@@ -0,0 +1,271 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const FileUtils = require('../utils/fileUtils');
+
+class ProcessedCache {
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.cacheDir = path.join(process.cwd(), 'cache');
+        this.outputDir = path.join(this.cacheDir, 'processed');
+        this.manifestPath = path.join(this.cacheDir, 'processed-cache.json');
+        this.entries = new Map(); // Map<key, entry>
+        this.isLoaded = false;
+        this.hits = 0;
+        this.misses = 0;
+        this.removeListeners = [];
+    }
+    
+    /**
+     * Gets cache settings from config with defaults
+     * @returns {Object} Cache configuration
+     */
+    getCacheConfig() {
+        const cacheConfig = this.configManager?.config?.system?.processedCache || {};
+        
+        return {
+            enabled: cacheConfig.enabled !== false,
+            maxSizeBytes: (cacheConfig.maxSizeMB || 20480) * 1024 * 1024,
+            // Entries used more recently than this are never evicted, they may still be queued or playing
+            minAgeMs: (cacheConfig.minAgeMinutes ?? 60) * 60000
+        };
+    }
+    
+    isEnabled() {
+        return this.getCacheConfig().enabled;
+    }
+    
+    async load() {
+        if (this.isLoaded) {
+            return;
+        }
+        
+        try {
+            await FileUtils.ensureDirectory(this.outputDir);
+            
+            const manifest = await FileUtils.readJSON(this.manifestPath);
+            if (manifest && manifest.entries) {
+                for (const entry of Object.values(manifest.entries)) {
+                    if (entry && entry.key && entry.filename) {
+                        this.entries.set(entry.key, entry);
+                    }
+                }
+            }
+            
+            // Drop entries whose output file was removed behind our back
+            for (const [key, entry] of this.entries) {
+                if (!(await FileUtils.exists(this.getOutputPath(entry.filename)))) {
+                    this.entries.delete(key);
+                }
+            }
+            
+            this.isLoaded = true;
+            this.logger.log(`Processed cache loaded: ${this.entries.size} entries, ${(this.getTotalSize() / 1024 / 1024).toFixed(1)} MB`);
+            
+        } catch (error) {
+            this.logger.error('Failed to load processed cache manifest', error);
+            this.entries.clear();
+            this.isLoaded = true;
+        }
+    }
+    
+    async save() {
+        try {
+            await FileUtils.ensureDirectory(this.cacheDir);
+            
+            await FileUtils.writeJSON(this.manifestPath, {
+                savedAt: new Date().toISOString(),
+                entries: Object.fromEntries(this.entries)
+            });
+            
+        } catch (error) {
+            this.logger.error('Failed to save processed cache manifest', error);
+        }
+    }
+    
+    /**
+     * Builds the cache key for a source file: path, size, mtime and the processing config hash
+     * @param {string} originalPath - Source video path
+     * @param {Object} processingConfig - Config values that affect the processed output
+     * @returns {Promise<string|null>} Hex key, or null if the source can't be read
+     */
+    async getKey(originalPath, processingConfig) {
+        const stats = await FileUtils.getStats(originalPath);
+        if (!stats) {
+            return null;
+        }
+        
+        const configHash = crypto.createHash('md5').update(JSON.stringify(processingConfig || {})).digest('hex');
+        
+        return crypto.createHash('sha256').update(JSON.stringify({
+            path: path.resolve(originalPath),
+            size: stats.size,
+            mtime: stats.mtimeMs,
+            config: configHash
+        })).digest('hex');
+    }
+    
+    getOutputPath(filename) {
+        return path.join(this.outputDir, filename);
+    }
+    
+    /**
+     * True if the given processed file is managed by the cache and must not be deleted by queue cleanup
+     */
+    owns(processedPath) {
+        if (!processedPath) {
+            return false;
+        }
+        
+        return path.dirname(path.resolve(processedPath)) === path.resolve(this.outputDir);
+    }
+    
+    async lookup(key) {
+        if (!key) {
+            return null;
+        }
+        
+        await this.load();
+        
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+        
+        const outputPath = this.getOutputPath(entry.filename);
+        if (!(await FileUtils.exists(outputPath))) {
+            this.entries.delete(key);
+            this.misses++;
+            setImmediate(() => this.save());
+            return null;
+        }
+        
+        entry.lastAccessedAt = new Date().toISOString();
+        this.hits++;
+        setImmediate(() => this.save());
+        
+        return {
+            ...entry,
+            processedPath: outputPath
+        };
+    }
+    
+    /**
+     * Moves a freshly processed file into the cache and records it
+     * @param {string} key - Cache key from getKey()
+     * @param {string} tempPath - Path of the processed output
+     * @param {Object} data - Data to keep with the entry (metadata etc.)
+     * @returns {Promise<string>} Final path of the cached output
+     */
+    async store(key, tempPath, data = {}) {
+        await this.load();
+        
+        const filename = `${key}.mp4`;
+        const outputPath = this.getOutputPath(filename);
+        
+        try {
+            await fs.rename(tempPath, outputPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            // Temp and cache live on different devices
+            await fs.copyFile(tempPath, outputPath);
+            await fs.unlink(tempPath);
+        }
+        
+        const stats = await FileUtils.getStats(outputPath);
+        const now = new Date().toISOString();
+        
+        this.entries.set(key, {
+            ...data,
+            key,
+            filename,
+            size: stats ? stats.size : 0,
+            createdAt: now,
+            lastAccessedAt: now
+        });
+        
+        await this.enforceBudget();
+        await this.save();
+        
+        return outputPath;
+    }
+    
+    async remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+        
+        this.entries.delete(key);
+        await FileUtils.deleteFile(this.getOutputPath(entry.filename));
+        
+        for (const listener of this.removeListeners) {
+            await listener(entry);
+        }
+    }
+    
+    /**
+     * Registers a callback for evicted entries, for outputs derived from the cached file
+     * @param {Function} listener - async (entry) => void
+     */
+    onRemove(listener) {
+        this.removeListeners.push(listener);
+    }
+    
+    /**
+     * Evicts least recently used entries until the cache fits its disk budget
+     */
+    async enforceBudget() {
+        const { maxSizeBytes, minAgeMs } = this.getCacheConfig();
+        let totalSize = this.getTotalSize();
+        
+        if (totalSize <= maxSizeBytes) {
+            return;
+        }
+        
+        const now = Date.now();
+        const candidates = [...this.entries.values()]
+            .filter(entry => now - new Date(entry.lastAccessedAt).getTime() > minAgeMs)
+            .sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+        
+        let evictedCount = 0;
+        for (const entry of candidates) {
+            if (totalSize <= maxSizeBytes) {
+                break;
+            }
+            
+            await this.remove(entry.key);
+            totalSize -= entry.size || 0;
+            evictedCount++;
+        }
+        
+        this.logger.log(`Processed cache over budget: evicted ${evictedCount} entries, now ${(totalSize / 1024 / 1024).toFixed(1)} MB`);
+    }
+    
+    getTotalSize() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.size || 0;
+        }
+        return total;
+    }
+    
+    getStats() {
+        const { enabled, maxSizeBytes } = this.getCacheConfig();
+        
+        return {
+            enabled,
+            entries: this.entries.size,
+            totalSizeBytes: this.getTotalSize(),
+            maxSizeBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = ProcessedCache;
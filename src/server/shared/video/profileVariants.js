@@ -0,0 +1,203 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+const ffprobeStatic = require('ffprobe-static');
+const FileUtils = require('../utils/fileUtils');
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
+
+const SEPARATOR = '__';
+
+class ProfileVariants {
+    /**
+     * Transcoded copies of processed videos for client profiles that cannot play the processed
+     * file (H.264 at a capped height, AAC with the profile's channel count). Variants are kept in
+     * cache/variants as <processed id>__<variant key>.mp4 and live as long as the processed file.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the video.profiles settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+        this.outputDir = path.join(process.cwd(), 'cache', 'variants');
+        this.pending = new Map(); // Map<filename, Promise> for variants being encoded
+    }
+    
+    getId(processedPath) {
+        return path.basename(processedPath, path.extname(processedPath));
+    }
+    
+    getFilename(id, key) {
+        return `${id}${SEPARATOR}${key}.mp4`;
+    }
+    
+    getPath(id, key) {
+        return path.join(this.outputDir, this.getFilename(id, key));
+    }
+    
+    exists(processedPath, key) {
+        return existsSync(this.getPath(this.getId(processedPath), key));
+    }
+    
+    /**
+     * Path of a variant file named in a /videos request, or null for other names
+     */
+    resolveFilename(filename) {
+        return /^[\w-]+__[\w-]+\.mp4$/.test(filename) ? path.join(this.outputDir, filename) : null;
+    }
+    
+    /**
+     * Creates a variant unless it exists or is being encoded
+     * @param {string} processedPath - Processed MP4
+     * @param {Object} spec - { key, copyVideo, height, audioChannels } from ClientProfiles.getVariantSpec()
+     * @param {Object} options - { signal, threads }
+     * @returns {Promise<string>} Path of the variant
+     */
+    async ensureVariant(processedPath, spec, options = {}) {
+        const filename = this.getFilename(this.getId(processedPath), spec.key);
+        const outputPath = path.join(this.outputDir, filename);
+        
+        if (await FileUtils.exists(outputPath)) {
+            return outputPath;
+        }
+        
+        if (!this.pending.has(filename)) {
+            const encoding = this.encode(processedPath, outputPath, spec, options)
+                .finally(() => this.pending.delete(filename));
+            this.pending.set(filename, encoding);
+        }
+        
+        return this.pending.get(filename);
+    }
+    
+    encode(processedPath, outputPath, spec, { signal, threads } = {}) {
+        const preset = this.configManager?.config?.video?.profiles?.preset || 'veryfast';
+        const workPath = path.join(this.outputDir, `.${crypto.randomBytes(4).toString('hex')}.mp4`);
+        
+        return new Promise((resolve, reject) => {
+            let cancelled = false;
+            
+            const videoOptions = spec.copyVideo ? ['-c:v', 'copy'] : [
+                // Never upscale, keep the aspect ratio
+                '-vf', `scale=-2:'min(${spec.height},ih)'`,
+                '-c:v', 'libx264',
+                '-preset', preset,
+                '-profile:v', 'high',
+                '-pix_fmt', 'yuv420p',
+                '-crf', '21'
+            ];
+            
+            const command = ffmpeg(processedPath)
+                .outputOptions([
+                    '-map', '0:v:0',
+                    '-map', '0:a:0?',
+                    ...videoOptions,
+                    '-c:a', 'aac',
+                    '-ac', String(spec.audioChannels),
+                    '-b:a', spec.audioChannels > 2 ? '384k' : '192k',
+                    '-movflags', 'faststart',
+                    '-threads', String(threads || 2)
+                ])
+                .format('mp4');
+            
+            const onAbort = () => {
+                cancelled = true;
+                command.kill('SIGKILL');
+            };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            const settle = async (error) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                
+                if (cancelled || error) {
+                    await FileUtils.deleteFile(workPath);
+                }
+                
+                if (cancelled) {
+                    const cancelError = new Error(`Variant encoding cancelled: ${path.basename(outputPath)}`);
+                    cancelError.cancelled = true;
+                    return reject(cancelError);
+                }
+                
+                if (error) {
+                    return reject(new Error(`Variant ${spec.key} failed: ${error.message}`));
+                }
+                
+                try {
+                    await fs.rename(workPath, outputPath);
+                    this.logger.log(`    🎯 Variant ready: ${path.basename(outputPath)}`);
+                    resolve(outputPath);
+                } catch (renameError) {
+                    reject(renameError);
+                }
+            };
+            
+            FileUtils.ensureDirectory(this.outputDir).then(() => {
+                command
+                    .on('start', () => {
+                        this.logger.log(`    🎯 Encoding variant ${spec.key}: ${path.basename(processedPath)}`);
+                    })
+                    .on('error', (error) => settle(error))
+                    .on('end', () => settle(null))
+                    .save(workPath);
+            }, reject);
+        });
+    }
+    
+    /**
+     * Removes all variants of a processed file
+     * @param {string} id - Processed file name without extension
+     */
+    async remove(id) {
+        let entries;
+        try {
+            entries = await fs.readdir(this.outputDir);
+        } catch {
+            return;
+        }
+        
+        for (const entry of entries.filter(name => name.startsWith(`${id}${SEPARATOR}`))) {
+            await FileUtils.deleteFile(path.join(this.outputDir, entry));
+        }
+    }
+    
+    /**
+     * Removes variants whose processed file is gone, and partial files of interrupted runs
+     * @param {Function} isLive - async (id) => whether the processed file still exists
+     */
+    async removeOrphans(isLive) {
+        let entries;
+        try {
+            entries = await fs.readdir(this.outputDir);
+        } catch {
+            return;
+        }
+        
+        let removedCount = 0;
+        for (const entry of entries) {
+            const id = entry.split(SEPARATOR)[0];
+            if (entry.startsWith('.') || !(await isLive(id))) {
+                await FileUtils.deleteFile(path.join(this.outputDir, entry));
+                removedCount++;
+            }
+        }
+        
+        if (removedCount > 0) {
+            this.logger.log(`Variant cleanup: removed ${removedCount} orphaned variants`);
+        }
+    }
+}
+
+module.exports = ProfileVariants;
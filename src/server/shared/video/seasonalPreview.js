@@ -0,0 +1,291 @@
+const SeededRandom = require('../utils/seededRandom');
+
+const MAX_RANGE_STEPS = 10000;
+const MAX_SIMULATED_PICKS = 100000;
+const MINUTE_MS = 60000;
+
+class SeasonalPreview {
+    /**
+     * Evaluates seasonalDirectories at arbitrary times without waiting for them
+     * @param {Object} logger - Logger instance
+     * @param {VideoIndex} videoIndex - Provides rule evaluation, selection logic and video counts
+     */
+    constructor(logger, videoIndex) {
+        this.logger = logger;
+        this.videoIndex = videoIndex;
+    }
+    
+    /**
+     * Parses preview options from query parameters or CLI flags
+     * @param {Object} params - { at, from, to, step, simulate, seed } as strings
+     * @returns {Object} { at, from, to, stepMinutes, picks, seed }
+     * @throws {Error} For invalid timestamps or numbers
+     */
+    static parseOptions(params = {}) {
+        const parseTime = (name) => {
+            if (params[name] === undefined || params[name] === '') {
+                return null;
+            }
+            
+            const time = new Date(params[name]);
+            if (isNaN(time.getTime())) {
+                throw new Error(`Invalid ${name} timestamp: ${params[name]}`);
+            }
+            return time;
+        };
+        
+        const parseCount = (name, defaultValue, min, max) => {
+            if (params[name] === undefined || params[name] === '') {
+                return defaultValue;
+            }
+            
+            const value = Number(params[name]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`Invalid ${name}: expected an integer from ${min} to ${max}`);
+            }
+            return value;
+        };
+        
+        const options = {
+            at: parseTime('at'),
+            from: parseTime('from'),
+            to: parseTime('to'),
+            stepMinutes: parseCount('step', 60, 1, 525600),
+            picks: parseCount('simulate', 0, 0, MAX_SIMULATED_PICKS),
+            seed: params.seed === undefined || params.seed === '' ? null : params.seed
+        };
+        
+        if (!!options.from !== !!options.to) {
+            throw new Error('A range needs both from and to');
+        }
+        
+        if (options.from && options.to <= options.from) {
+            throw new Error('Range end must be after its start');
+        }
+        
+        return options;
+    }
+    
+    /**
+     * Runs a preview for a single timestamp (options.at, default now) or a range (options.from/to)
+     * @param {Object} options - Result of parseOptions()
+     * @returns {Object} Preview result
+     */
+    run(options) {
+        if (options.from && options.to) {
+            return this.evaluateRange(options.from, options.to, options.stepMinutes, options.picks, options.seed);
+        }
+        
+        const time = options.at || this.videoIndex.timeEvaluator.now();
+        const result = this.evaluateAt(time);
+        
+        if (options.picks > 0) {
+            result.simulation = this.simulate([{ time, active: result.rules.filter(rule => rule.active) }], options.picks, options.seed);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Evaluates every seasonal rule at one point in time
+     * @param {Date} time - Point in time
+     * @returns {Object} { time, clock, seasonalMode, rules, probabilities }
+     */
+    evaluateAt(time) {
+        const rules = this.videoIndex.evaluateSeasonalDirectories(time).map(rule => ({
+            ...rule,
+            videoCount: this.getVideoCount(rule.directory)
+        }));
+        
+        return {
+            time: time.toISOString(),
+            clock: this.videoIndex.timeEvaluator.getDebugInfo(time),
+            seasonalMode: this.videoIndex.getSelectionConfig().seasonalMode,
+            rules,
+            probabilities: this.getProbabilities(rules.filter(rule => rule.active))
+        };
+    }
+    
+    /**
+     * Evaluates a time range in fixed steps and merges consecutive steps with the same outcome
+     * @param {Date} from - Range start
+     * @param {Date} to - Range end (exclusive)
+     * @param {number} stepMinutes - Evaluation interval
+     * @param {number} picks - Simulated picks spread evenly over the range (0 to skip)
+     * @param {string|number|null} seed - Simulation seed
+     * @returns {Object} { from, to, stepMinutes, seasonalMode, segments, simulation }
+     */
+    evaluateRange(from, to, stepMinutes, picks = 0, seed = null) {
+        const stepMs = stepMinutes * MINUTE_MS;
+        const steps = Math.ceil((to - from) / stepMs);
+        
+        if (steps > MAX_RANGE_STEPS) {
+            throw new Error(`Range needs ${steps} steps, the limit is ${MAX_RANGE_STEPS}; use a larger step`);
+        }
+        
+        const evaluations = [];
+        const segments = [];
+        let current = null;
+        
+        for (let i = 0; i < steps; i++) {
+            const time = new Date(from.getTime() + i * stepMs);
+            const active = this.videoIndex.getActiveSeasonalDirectories(time);
+            const probabilities = this.getProbabilities(active.map(rule => ({
+                ...rule,
+                videoCount: this.getVideoCount(rule.directory)
+            })));
+            const key = JSON.stringify(probabilities);
+            
+            evaluations.push({ time, active });
+            
+            if (current && current.key === key) {
+                continue;
+            }
+            
+            if (current) {
+                current.segment.to = time.toISOString();
+            }
+            
+            current = {
+                key,
+                segment: {
+                    from: time.toISOString(),
+                    to: null,
+                    active: active.map(rule => rule.directory),
+                    probabilities
+                }
+            };
+            segments.push(current.segment);
+        }
+        
+        current.segment.to = to.toISOString();
+        
+        const result = {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            stepMinutes,
+            seasonalMode: this.videoIndex.getSelectionConfig().seasonalMode,
+            segments
+        };
+        
+        if (picks > 0) {
+            result.simulation = this.simulate(evaluations, picks, seed);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Selection probabilities for the active rules, following VideoIndex.getSeasonalCandidates().
+     * Directories known to have no videos are skipped the same way selection falls through them.
+     * Probabilities are rounded to 4 decimals.
+     * @param {Array} active - Active rules with videoCount
+     * @returns {Object} { directories: { [directory]: p }, regular, none }
+     */
+    getProbabilities(active) {
+        const available = active.filter(rule => this.isAvailable(rule));
+        const directories = {};
+        let regular = 0;
+        let none = 0;
+        
+        const exclusive = available.filter(rule => rule.exclusive);
+        
+        if (active.some(rule => rule.exclusive)) {
+            // Exclusive blocks share by likelihood, or equally when every likelihood is 0
+            const useEqualWeights = exclusive.every(rule => rule.likelihood === 0);
+            const weights = exclusive.map(rule => useEqualWeights ? 1 : rule.likelihood);
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            
+            exclusive.forEach((rule, i) => {
+                directories[rule.directory] = (directories[rule.directory] || 0) + weights[i] / total;
+            });
+            none = total > 0 ? 0 : 1;
+        } else if (this.videoIndex.getSelectionConfig().seasonalMode === 'normalized') {
+            const chance = Math.min(1, active.reduce((sum, rule) => sum + rule.likelihood, 0));
+            const availableTotal = available.reduce((sum, rule) => sum + rule.likelihood, 0);
+            
+            for (const rule of available) {
+                if (rule.likelihood > 0) {
+                    directories[rule.directory] = (directories[rule.directory] || 0) + chance * rule.likelihood / availableTotal;
+                }
+            }
+            regular = availableTotal > 0 ? 1 - chance : 1;
+        } else {
+            let remaining = 1;
+            
+            for (const rule of available) {
+                directories[rule.directory] = (directories[rule.directory] || 0) + remaining * rule.likelihood;
+                remaining *= 1 - rule.likelihood;
+            }
+            regular = remaining;
+        }
+        
+        if (regular > 0 && this.videoIndex.videos.length === 0 && this.hasIndex()) {
+            none += regular;
+            regular = 0;
+        }
+        
+        const round = value => Math.round(value * 10000) / 10000;
+        
+        return {
+            directories: Object.fromEntries(Object.entries(directories).map(([directory, p]) => [directory, round(p)])),
+            regular: round(regular),
+            none: round(none)
+        };
+    }
+    
+    /**
+     * Samples picks through the same rolls selection uses. Picks are spread evenly over the
+     * evaluated times, so a range is weighted by how long each rule is active.
+     * @param {Array} evaluations - [{ time, active }]
+     * @param {number} picks - Number of simulated picks
+     * @param {string|number|null} seed - Seed for a reproducible simulation
+     * @returns {Object} { picks, seed, counts: { [directory]: n }, regular, none }
+     */
+    simulate(evaluations, picks, seed = null) {
+        const random = new SeededRandom(seed);
+        const counts = {};
+        let regular = 0;
+        let none = 0;
+        
+        for (let i = 0; i < picks; i++) {
+            const { active } = evaluations[Math.floor(i * evaluations.length / picks)];
+            const candidates = this.videoIndex.getSeasonalCandidates(active, random);
+            const selected = candidates.find(rule => this.isAvailable(rule));
+            
+            if (selected) {
+                counts[selected.directory] = (counts[selected.directory] || 0) + 1;
+            } else if (active.some(rule => rule.exclusive) || (this.videoIndex.videos.length === 0 && this.hasIndex())) {
+                none++;
+            } else {
+                regular++;
+            }
+        }
+        
+        return { picks, seed, counts, regular, none };
+    }
+    
+    /**
+     * Indexed video count of a seasonal directory, or null when no index is loaded
+     */
+    getVideoCount(directory) {
+        if (!this.hasIndex()) {
+            return null;
+        }
+        return (this.videoIndex.seasonalVideos.get(directory) || []).length;
+    }
+    
+    hasIndex() {
+        return this.videoIndex.videos.length > 0 || this.videoIndex.seasonalVideos.size > 0;
+    }
+    
+    /**
+     * Without a loaded index every directory is assumed to have videos
+     */
+    isAvailable(rule) {
+        const videoCount = rule.videoCount !== undefined ? rule.videoCount : this.getVideoCount(rule.directory);
+        return videoCount === null || videoCount > 0;
+    }
+}
+
+module.exports = SeasonalPreview;
@@ -0,0 +1,121 @@
+class ShuffleBag {
+    constructor(logger) {
+        this.logger = logger;
+        this.remaining = []; // Paths still to play this cycle, in play order
+        this.drawn = []; // Paths already played this cycle
+        this.cycle = 0;
+        this.cycleStartedAt = null;
+    }
+    
+    /**
+     * Starts a new cycle with a fresh permutation of all paths
+     * @param {string[]} paths - All selectable paths
+     * @param {SeededRandom} random - Random source
+     */
+    refill(paths, random) {
+        this.remaining = this.shuffle([...paths], random);
+        this.drawn = [];
+        this.cycle++;
+        this.cycleStartedAt = new Date().toISOString();
+        
+        this.logger.log(`Shuffle bag refilled: cycle ${this.cycle}, ${this.remaining.length} videos`);
+    }
+    
+    /**
+     * Merges index changes into the bag: removed paths are dropped and new paths are inserted
+     * at random positions in the remaining part, so they play within the current cycle.
+     * @param {string[]} paths - All selectable paths
+     * @param {SeededRandom} random - Random source
+     * @returns {Object} { added, removed } counts
+     */
+    sync(paths, random) {
+        const current = new Set(paths);
+        const sizeBefore = this.remaining.length + this.drawn.length;
+        
+        this.remaining = this.remaining.filter(videoPath => current.has(videoPath));
+        this.drawn = this.drawn.filter(videoPath => current.has(videoPath));
+        
+        const removed = sizeBefore - this.remaining.length - this.drawn.length;
+        
+        const known = new Set([...this.remaining, ...this.drawn]);
+        let added = 0;
+        
+        for (const videoPath of paths) {
+            if (known.has(videoPath)) {
+                continue;
+            }
+            
+            const position = random.nextInt(this.remaining.length + 1);
+            this.remaining.splice(position, 0, videoPath);
+            known.add(videoPath);
+            added++;
+        }
+        
+        if (added > 0 || removed > 0) {
+            this.logger.log(`Shuffle bag synced with index: +${added} added, -${removed} removed, ${this.remaining.length} remaining`);
+        }
+        
+        return { added, removed };
+    }
+    
+    /**
+     * Takes the next eligible path from the bag
+     * @param {Function} isEligible - Predicate for paths that may be played now
+     * @returns {string|null} Path, or null if no remaining path is eligible
+     */
+    draw(isEligible) {
+        const index = this.remaining.findIndex(isEligible);
+        if (index === -1) {
+            return null;
+        }
+        
+        const [selectedPath] = this.remaining.splice(index, 1);
+        this.drawn.push(selectedPath);
+        return selectedPath;
+    }
+    
+    shuffle(items, random) {
+        // Fisher-Yates
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+    
+    getState() {
+        return {
+            remaining: this.remaining,
+            drawn: this.drawn,
+            cycle: this.cycle,
+            cycleStartedAt: this.cycleStartedAt
+        };
+    }
+    
+    setState(state) {
+        if (!state || !Array.isArray(state.remaining) || !Array.isArray(state.drawn)) {
+            return false;
+        }
+        
+        this.remaining = state.remaining.filter(videoPath => typeof videoPath === 'string');
+        this.drawn = state.drawn.filter(videoPath => typeof videoPath === 'string');
+        this.cycle = state.cycle || 0;
+        this.cycleStartedAt = state.cycleStartedAt || null;
+        return true;
+    }
+    
+    getStats() {
+        const total = this.remaining.length + this.drawn.length;
+        
+        return {
+            cycle: this.cycle,
+            cycleStartedAt: this.cycleStartedAt,
+            played: this.drawn.length,
+            remaining: this.remaining.length,
+            total: total,
+            percent: total > 0 ? Math.round((this.drawn.length / total) * 1000) / 10 : 0
+        };
+    }
+}
+
+module.exports = ShuffleBag;
@@ -0,0 +1,234 @@
+// Rule conditions on lists of values, compared with the metadata field of the same name
+const LIST_CONDITIONS = ['videoCodec', 'container', 'pixelFormat', 'profile'];
+
+// Rule conditions on numbers: [metadata field, minimum or maximum]
+const RANGE_CONDITIONS = {
+    minWidth: ['width', 'min'],
+    maxWidth: ['width', 'max'],
+    minHeight: ['height', 'min'],
+    maxHeight: ['height', 'max'],
+    minFps: ['fps', 'min'],
+    maxFps: ['fps', 'max']
+};
+
+// Settings a rule's "then" may change
+const RULE_SETTINGS = ['action', 'deinterlace', 'maxWidth', 'maxHeight', 'preset', 'crf'];
+
+class TranscodeRules {
+    /**
+     * Decides per file whether preprocessing copies the video stream or re-encodes it as H.264.
+     * Streams are copied when their codec and pixel format are on the allowlists, they are
+     * progressive and they fit the size caps; the first rule whose conditions match the file's
+     * metadata can change these settings or force an action.
+     * @param {Object} logger - Logger instance
+     * @param {ConfigManager} configManager - Provides the video.transcode settings
+     */
+    constructor(logger, configManager) {
+        this.logger = logger;
+        this.configManager = configManager;
+    }
+    
+    /**
+     * Gets transcode settings from config with defaults
+     * @returns {Object} Transcode configuration
+     */
+    getTranscodeConfig() {
+        const transcode = this.configManager?.config?.video?.transcode || {};
+        
+        return {
+            enabled: transcode.enabled === true,
+            copyCodecs: Array.isArray(transcode.copyCodecs) ? transcode.copyCodecs : ['h264'],
+            copyPixelFormats: Array.isArray(transcode.copyPixelFormats) ? transcode.copyPixelFormats : ['yuv420p', 'yuvj420p'],
+            deinterlace: transcode.deinterlace || 'auto',
+            maxWidth: transcode.maxWidth || null,
+            maxHeight: transcode.maxHeight || null,
+            preset: transcode.preset || 'veryfast',
+            crf: transcode.crf || 20,
+            rules: Array.isArray(transcode.rules) ? transcode.rules : []
+        };
+    }
+    
+    /**
+     * Decision for a file
+     * @param {Object} metadata - Output of VideoMetadata.extract()
+     * @returns {Object} { action: 'copy' | 'transcode', reasons, rule, deinterlace, width, height, scaled, videoCodec, preset, crf }
+     */
+    decide(metadata) {
+        const config = this.getTranscodeConfig();
+        const copy = {
+            action: 'copy',
+            reasons: [],
+            rule: null,
+            deinterlace: false,
+            width: metadata.width,
+            height: metadata.height,
+            videoCodec: metadata.videoCodec
+        };
+        
+        if (!config.enabled || !metadata.videoCodec) {
+            return copy;
+        }
+        
+        const index = config.rules.findIndex(rule => this.matches(rule.when, metadata));
+        const rule = index === -1 ? null : config.rules[index];
+        const settings = { ...config, action: null };
+        
+        for (const key of RULE_SETTINGS) {
+            if (rule?.then?.[key] !== undefined) {
+                settings[key] = rule.then[key];
+            }
+        }
+        
+        const ruleName = rule ? rule.name || `#${index + 1}` : null;
+        if (settings.action === 'copy') {
+            return { ...copy, rule: ruleName, reasons: [`rule ${ruleName}`] };
+        }
+        
+        const reasons = [];
+        const pixelFormat = metadata.streams?.video?.pixelFormat;
+        
+        if (!settings.copyCodecs.includes(metadata.videoCodec)) {
+            reasons.push(`codec ${metadata.videoCodec}`);
+        }
+        if (pixelFormat && !settings.copyPixelFormats.includes(pixelFormat)) {
+            reasons.push(`pixel format ${pixelFormat}`);
+        }
+        
+        const deinterlace = settings.deinterlace === 'always' || (settings.deinterlace === 'auto' && metadata.interlaced === true);
+        if (deinterlace) {
+            reasons.push(metadata.interlaced ? 'interlaced' : 'deinterlace always');
+        }
+        
+        const size = this.fitSize(metadata.width, metadata.height, settings.maxWidth, settings.maxHeight);
+        if (size.scaled) {
+            reasons.push(`${metadata.width}x${metadata.height} above ${settings.maxWidth || '-'}x${settings.maxHeight || '-'}`);
+        }
+        
+        if (settings.action === 'transcode' && ruleName) {
+            reasons.push(`rule ${ruleName}`);
+        }
+        
+        if (reasons.length === 0) {
+            return { ...copy, rule: ruleName };
+        }
+        
+        return {
+            action: 'transcode',
+            reasons,
+            rule: ruleName,
+            deinterlace,
+            deinterlaceAll: settings.deinterlace === 'always',
+            width: size.width,
+            height: size.height,
+            scaled: size.scaled,
+            videoCodec: 'h264',
+            preset: settings.preset,
+            crf: settings.crf
+        };
+    }
+    
+    /**
+     * Whether a rule's conditions all hold for a file; a rule without conditions matches every file
+     */
+    matches(when, metadata) {
+        if (!when || typeof when !== 'object') {
+            return true;
+        }
+        
+        const values = {
+            videoCodec: metadata.videoCodec,
+            container: metadata.container,
+            pixelFormat: metadata.streams?.video?.pixelFormat,
+            profile: metadata.streams?.video?.profile,
+            width: metadata.width,
+            height: metadata.height,
+            fps: metadata.fps
+        };
+        
+        for (const key of LIST_CONDITIONS) {
+            if (when[key] === undefined) {
+                continue;
+            }
+            
+            const allowed = Array.isArray(when[key]) ? when[key] : [when[key]];
+            // ffprobe reports containers as lists such as "mov,mp4,m4a,3gp,3g2,mj2"
+            const actual = key === 'container' ? String(values.container || '').split(',') : [values[key]];
+            if (!actual.some(value => allowed.includes(value))) {
+                return false;
+            }
+        }
+        
+        for (const [key, [field, bound]] of Object.entries(RANGE_CONDITIONS)) {
+            if (when[key] === undefined) {
+                continue;
+            }
+            
+            const value = values[field];
+            if (typeof value !== 'number' || (bound === 'min' ? value < when[key] : value > when[key])) {
+                return false;
+            }
+        }
+        
+        if (when.interlaced !== undefined && (metadata.interlaced === true) !== when.interlaced) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Scales a size down to fit the caps, keeping the aspect ratio and even dimensions
+     * @returns {Object} { width, height, scaled }
+     */
+    fitSize(width, height, maxWidth, maxHeight) {
+        if (!width || !height) {
+            return { width, height, scaled: false };
+        }
+        
+        const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+        if (scale === 1) {
+            return { width, height, scaled: false };
+        }
+        
+        return {
+            width: Math.max(2, Math.round(width * scale / 2) * 2),
+            height: Math.max(2, Math.round(height * scale / 2) * 2),
+            scaled: true
+        };
+    }
+    
+    /**
+     * Applies a decision's video settings to an ffmpeg command
+     * @param {Object} ffmpegCommand - Fluent-ffmpeg command object
+     * @param {Object} decision - Result of decide()
+     * @returns {Object} The command
+     */
+    apply(ffmpegCommand, decision) {
+        if (decision.action !== 'transcode') {
+            return ffmpegCommand.videoCodec('copy');
+        }
+        
+        const filters = [];
+        if (decision.deinterlace) {
+            filters.push(`yadif=mode=send_frame:deint=${decision.deinterlaceAll ? 'all' : 'interlaced'}`);
+        }
+        if (decision.scaled) {
+            filters.push(`scale=${decision.width}:${decision.height}`);
+        }
+        
+        if (filters.length > 0) {
+            ffmpegCommand = ffmpegCommand.videoFilters(filters);
+        }
+        
+        return ffmpegCommand
+            .videoCodec('libx264')
+            .outputOptions([
+                '-preset', decision.preset,
+                '-crf', String(decision.crf),
+                '-profile:v', 'high',
+                '-pix_fmt', 'yuv420p'
+            ]);
+    }
+}
+
+module.exports = TranscodeRules;
@@ -2,6 +2,10 @@ const path = require('path');
 const { glob } = require('glob');
 const FileUtils = require('../utils/fileUtils');
 const TimeConditionEvaluator = require('../utils/timeConditionEvaluator');
+const SeededRandom = require('../utils/seededRandom');
+const ShuffleBag = require('./shuffleBag');
+
+const DAY_MS = 86400000;
 
 class VideoIndex {
     constructor(logger, configManager) {
@@ -12,7 +16,41 @@ class VideoIndex {
         this.seasonalIndexPath = path.join(this.cacheDir, 'seasonal-video-index.json');
         this.videos = [];
         this.seasonalVideos = new Map(); // Map<directory, videos[]>
-        this.timeEvaluator = new TimeConditionEvaluator(logger);
+        this.lastScanSummary = null;
+        this.isBuilding = false;
+        this.saveTimer = null;
+        this.timeEvaluator = new TimeConditionEvaluator(logger, configManager);
+        this.historyManager = null;
+        this.playlistScheduler = null;
+        this.ratings = null;
+        this.random = null;
+        this.randomSeedConfig = null;
+        this.directoryRoots = new Map(); // Map<entry directory, configured directory>
+        this.directoryRootsKey = null;
+        this.shuffleBag = new ShuffleBag(logger);
+        this.indexVersion = 0; // Bumped whenever the regular index changes
+        this.shuffleBagVersion = -1; // Index version the shuffle bag was last merged with
+    }
+    
+    /**
+     * Gives selection access to the persisted play history for the no-repeat window
+     */
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+    }
+    
+    /**
+     * Lets programmed playlist blocks take over selection while they run
+     */
+    setPlaylistScheduler(playlistScheduler) {
+        this.playlistScheduler = playlistScheduler;
+    }
+    
+    /**
+     * Lets ratings and skip counts weight selection; banned videos are never selected
+     */
+    setRatings(ratings) {
+        this.ratings = ratings;
     }
     
     async initialize() {
@@ -77,6 +115,8 @@ class VideoIndex {
                 this.logger.log('No seasonal video index found in cache');
             }
             
+            this.indexVersion++;
+            
             return regularLoaded || seasonalLoaded;
             
         } catch (error) {
@@ -117,45 +157,384 @@ class VideoIndex {
         }
     }
     
+    /**
+     * Coalesces frequent small updates (e.g. per-file measurements) into a single save
+     */
+    scheduleSave(delay = 5000) {
+        if (this.saveTimer) {
+            return;
+        }
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, delay);
+    }
+    
+    /**
+     * Returns every index entry (regular and seasonal) for a source path
+     */
+    findEntries(originalPath) {
+        const resolvedPath = path.resolve(originalPath);
+        const entries = this.videos.filter(video => path.resolve(video.originalPath) === resolvedPath);
+        
+        for (const videos of this.seasonalVideos.values()) {
+            entries.push(...videos.filter(video => path.resolve(video.originalPath) === resolvedPath));
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Entry to play a file by its path: the regular index entry, else a seasonal one without its
+     * seasonal directory (so it never counts toward a seasonal block)
+     * @returns {Object|null} Entry, or null when the file is not in the index
+     */
+    getEntryForPath(originalPath) {
+        const entries = this.findEntries(originalPath);
+        const indexed = entries.find(entry => !entry.seasonalDirectory) || entries[0];
+        if (!indexed) {
+            return null;
+        }
+        
+        const { seasonalDirectory, ...entry } = indexed;
+        return entry;
+    }
+    
+    /**
+     * Resolved source paths of every indexed video, regular and seasonal
+     * @returns {Set<string>}
+     */
+    getIndexedPaths() {
+        const paths = new Set(this.videos.map(video => path.resolve(video.originalPath)));
+        
+        for (const videos of this.seasonalVideos.values()) {
+            videos.forEach(video => paths.add(path.resolve(video.originalPath)));
+        }
+        
+        return paths;
+    }
+    
+    /**
+     * True if the file is inside a configured regular or seasonal directory
+     */
+    isInVideoDirectories(filePath) {
+        const directories = [
+            ...this.configManager.getDirectoryPaths(),
+            ...(this.configManager.config.seasonalDirectories || []).map(entry => entry.directory)
+        ];
+        
+        return directories.some(directory => directory && this.isPathWithin(filePath, directory));
+    }
+    
+    getLoudness(originalPath) {
+        const entry = this.findEntries(originalPath).find(video => video.loudness);
+        return entry ? entry.loudness : null;
+    }
+    
+    /**
+     * Stores a loudness measurement on the index entries for a file. Modified files get a fresh
+     * entry on the next scan, which drops the stale measurement.
+     */
+    setLoudness(originalPath, loudness) {
+        const entries = this.findEntries(originalPath);
+        if (entries.length === 0) {
+            return;
+        }
+        
+        for (const entry of entries) {
+            entry.loudness = loudness;
+        }
+        
+        this.scheduleSave();
+    }
+    
+    getMediaInfo(originalPath) {
+        const entry = this.findEntries(originalPath).find(video => video.media);
+        return entry ? entry.media : null;
+    }
+    
+    /**
+     * Stores probed media info (duration, resolution, codecs, audio layout) on the index entries
+     * for a file, for the library. Like loudness, it is dropped when the file is modified.
+     * @param {string} originalPath - Source path
+     * @param {Object} media - Summary from VideoMetadata.summarize()
+     * @param {Object[]} entries - The file's entries, when the caller already has them
+     * @param {number} saveDelay - How long the index save may wait (library-wide probes batch theirs)
+     */
+    setMediaInfo(originalPath, media, entries = this.findEntries(originalPath), saveDelay = 5000) {
+        if (entries.length === 0) {
+            return;
+        }
+        
+        for (const entry of entries) {
+            entry.media = media;
+        }
+        
+        this.scheduleSave(saveDelay);
+    }
+    
     async build(progressCallback) {
-        this.logger.log('Building video index...');
+        this.logger.log('Building video index (incremental scan)...');
+        
+        const summary = { added: 0, removed: 0, updated: 0, unchanged: 0 };
+        this.isBuilding = true;
         
         try {
             const foundVideos = await this.scanDirectories(progressCallback);
             
-            // Build regular index (even if empty)
-            this.videos = foundVideos.map(videoPath => ({
-                originalPath: videoPath,
-                filename: path.basename(videoPath),
-                directory: path.dirname(videoPath),
-                addedAt: new Date().toISOString()
-            }));
+            // Diff regular index against the cached entries (even if empty)
+            const previousByPath = new Map(this.videos.map(video => [video.originalPath, video]));
+            this.videos = await this.mergeScanResults(previousByPath, foundVideos, summary, {}, (checked) => {
+                if (progressCallback) {
+                    progressCallback({
+                        percent: 50 + (checked / Math.max(foundVideos.length, 1)) * 40,
+                        message: `Checking files: ${checked}/${foundVideos.length} (+${summary.added} new, ${summary.unchanged} unchanged)`,
+                        ...summary
+                    });
+                }
+            });
+            summary.removed += previousByPath.size;
             
             this.logger.log(`Regular video index built: ${this.videos.length} files`);
             
             // Always build seasonal index
-            await this.buildSeasonalIndex();
+            await this.buildSeasonalIndex(summary);
             
             // Save both indexes
             await this.save();
             
+            this.lastScanSummary = {
+                ...summary,
+                completedAt: new Date().toISOString()
+            };
+            
+            this.logger.log(`Index scan complete: ${summary.added} added, ${summary.removed} removed, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+            
+            if (progressCallback) {
+                progressCallback({
+                    percent: 100,
+                    message: `Index updated: +${summary.added} added, -${summary.removed} removed, ${summary.unchanged} unchanged`,
+                    ...summary
+                });
+            }
+            
         } catch (error) {
             this.logger.error('Failed to build video index', error);
             this.videos = [];
             this.seasonalVideos.clear();
+        } finally {
+            this.isBuilding = false;
+            this.indexVersion++;
+        }
+    }
+    
+    /**
+     * Diffs scanned file paths against previously indexed entries by path, size and mtime.
+     * Matched entries are removed from previousByPath, so whatever remains afterwards was deleted.
+     * @param {Map<string, Object>} previousByPath - Cached index entries keyed by originalPath
+     * @param {string[]} files - File paths found by the scan
+     * @param {Object} summary - Counters for added/updated/unchanged entries, updated in place
+     * @param {Object} extraFields - Fields merged into every resulting entry (e.g. seasonalDirectory)
+     * @param {Function} onChecked - Optional callback receiving the number of files checked so far
+     * @returns {Promise<Array>} Index entries for the scanned files
+     */
+    async mergeScanResults(previousByPath, files, summary, extraFields = {}, onChecked = null) {
+        const entries = [];
+        const batchSize = 64;
+        const now = new Date().toISOString();
+        
+        for (let i = 0; i < files.length; i += batchSize) {
+            const batch = files.slice(i, i + batchSize);
+            const batchStats = await Promise.all(batch.map(file => FileUtils.getStats(file)));
+            
+            for (let j = 0; j < batch.length; j++) {
+                const file = batch[j];
+                const stats = batchStats[j];
+                
+                // File vanished between glob and stat
+                if (!stats) {
+                    continue;
+                }
+                
+                const previous = previousByPath.get(file);
+                previousByPath.delete(file);
+                
+                if (previous && previous.size === stats.size && previous.mtime === stats.mtimeMs) {
+                    entries.push({ ...previous, ...extraFields });
+                    summary.unchanged++;
+                    continue;
+                }
+                
+                // New or modified file - modified files keep their original addedAt
+                // but drop any other cached per-file data
+                entries.push({
+                    originalPath: file,
+                    filename: path.basename(file),
+                    directory: path.dirname(file),
+                    addedAt: previous ? previous.addedAt : now,
+                    size: stats.size,
+                    mtime: stats.mtimeMs,
+                    ...extraFields
+                });
+                
+                if (previous) {
+                    summary.updated++;
+                } else {
+                    summary.added++;
+                }
+            }
+            
+            if (onChecked) {
+                onChecked(Math.min(i + batchSize, files.length));
+            }
         }
+        
+        return entries;
     }
     
-    async buildSeasonalIndex() {
+    /**
+     * Applies filesystem change notifications to the regular and seasonal indexes without a full scan.
+     * Each path is re-checked on disk: missing paths are evicted (including everything below a
+     * removed directory), existing directories are rescanned and video files are added or updated.
+     * @param {string[]} changedPaths - Paths reported by the directory watcher
+     * @returns {Promise<Object>} Lists of added, updated and removed index entries
+     */
+    async applyFileChanges(changedPaths) {
+        const changes = { added: [], updated: [], removed: [] };
+        
+        for (const changedPath of changedPaths) {
+            try {
+                const stats = await FileUtils.getStats(changedPath);
+                
+                if (!stats) {
+                    this.removeEntriesUnder(changedPath, changes);
+                    continue;
+                }
+                
+                if (stats.isDirectory()) {
+                    const pattern = path.join(changedPath, '**', '*').replace(/\\/g, '/');
+                    const files = (await glob(pattern, { nodir: true }))
+                        .filter(file => FileUtils.isVideoFile(file, this.configManager));
+                    
+                    // Drop entries below this directory that are no longer on disk
+                    const present = new Set(files.map(file => path.resolve(file)));
+                    this.removeEntriesUnder(changedPath, changes, entry => !present.has(path.resolve(entry.originalPath)));
+                    
+                    for (const file of files) {
+                        const fileStats = await FileUtils.getStats(file);
+                        if (fileStats) {
+                            this.upsertEntry(file, fileStats, changes);
+                        }
+                    }
+                } else if (FileUtils.isVideoFile(changedPath, this.configManager)) {
+                    this.upsertEntry(changedPath, stats, changes);
+                }
+            } catch (error) {
+                this.logger.error(`Failed to apply file change: ${changedPath}`, error);
+            }
+        }
+        
+        const changeCount = changes.added.length + changes.updated.length + changes.removed.length;
+        if (changeCount > 0) {
+            this.logger.log(`Index hot update: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+            this.indexVersion++;
+            await this.save();
+        }
+        
+        return changes;
+    }
+    
+    upsertEntry(filePath, stats, changes) {
+        const directories = this.configManager.getDirectoryPaths();
+        const seasonalDirectories = this.configManager.config.seasonalDirectories || [];
+        
+        if (directories.some(directory => this.isPathWithin(filePath, directory))) {
+            this.upsertEntryInList(this.videos, filePath, stats, {}, changes);
+        }
+        
+        for (const seasonalConfig of seasonalDirectories) {
+            const directory = seasonalConfig.directory;
+            if (!this.isPathWithin(filePath, directory)) {
+                continue;
+            }
+            
+            if (!this.seasonalVideos.has(directory)) {
+                this.seasonalVideos.set(directory, []);
+            }
+            this.upsertEntryInList(this.seasonalVideos.get(directory), filePath, stats, { seasonalDirectory: directory }, changes);
+        }
+    }
+    
+    upsertEntryInList(list, filePath, stats, extraFields, changes) {
+        const resolvedPath = path.resolve(filePath);
+        const existingIndex = list.findIndex(video => path.resolve(video.originalPath) === resolvedPath);
+        const existing = existingIndex >= 0 ? list[existingIndex] : null;
+        
+        if (existing && existing.size === stats.size && existing.mtime === stats.mtimeMs) {
+            return;
+        }
+        
+        const entry = {
+            originalPath: existing ? existing.originalPath : filePath,
+            filename: path.basename(filePath),
+            directory: path.dirname(existing ? existing.originalPath : filePath),
+            addedAt: existing ? existing.addedAt : new Date().toISOString(),
+            size: stats.size,
+            mtime: stats.mtimeMs,
+            ...extraFields
+        };
+        
+        if (existing) {
+            list[existingIndex] = entry;
+            changes.updated.push(entry);
+        } else {
+            list.push(entry);
+            changes.added.push(entry);
+        }
+    }
+    
+    removeEntriesUnder(targetPath, changes, shouldRemove = () => true) {
+        const matches = (entry) => this.isPathWithin(entry.originalPath, targetPath, true) && shouldRemove(entry);
+        
+        const keepVideo = (entry) => {
+            if (matches(entry)) {
+                changes.removed.push(entry);
+                return false;
+            }
+            return true;
+        };
+        
+        this.videos = this.videos.filter(keepVideo);
+        
+        for (const [directory, videos] of this.seasonalVideos.entries()) {
+            this.seasonalVideos.set(directory, videos.filter(keepVideo));
+        }
+    }
+    
+    isPathWithin(filePath, directory, allowEqual = false) {
+        const relative = path.relative(path.resolve(directory), path.resolve(filePath));
+        
+        if (relative === '') {
+            return allowEqual;
+        }
+        
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+    
+    async buildSeasonalIndex(summary = { added: 0, removed: 0, updated: 0, unchanged: 0 }) {
         this.logger.log('=== BUILDING SEASONAL VIDEO INDEX ===');
         
         const seasonalDirectories = this.configManager.config.seasonalDirectories || [];
         this.logger.log(`Found ${seasonalDirectories.length} seasonal directory configurations`);
         
+        // Keep the cached entries around so unchanged files retain their data
+        const previousSeasonalVideos = new Map(this.seasonalVideos);
         this.seasonalVideos.clear();
         
         if (seasonalDirectories.length === 0) {
             this.logger.log('No seasonal directories configured');
+            summary.removed += this.countVideos(previousSeasonalVideos);
             return;
         }
         
@@ -185,20 +564,14 @@ class VideoIndex {
                 const files = await glob(pattern, { nodir: true });
                 this.logger.log(`Found ${files.length} total files in directory`);
                 
-                const videos = [];
+                const videoFiles = [];
                 let videoFileCount = 0;
                 let nonVideoFileCount = 0;
                 
                 for (const file of files) {
                     const isVideo = FileUtils.isVideoFile(file, this.configManager);
                     if (isVideo) {
-                        videos.push({
-                            originalPath: file,
-                            filename: path.basename(file),
-                            directory: path.dirname(file),
-                            addedAt: new Date().toISOString(),
-                            seasonalDirectory: directory
-                        });
+                        videoFiles.push(file);
                         videoFileCount++;
                         this.logger.log(`✓ Video file: ${path.basename(file)}`);
                     } else {
@@ -207,6 +580,15 @@ class VideoIndex {
                     }
                 }
                 
+                const previousVideos = previousSeasonalVideos.get(directory) || [];
+                previousSeasonalVideos.delete(directory);
+                
+                const previousByPath = new Map(previousVideos.map(video => [video.originalPath, video]));
+                const videos = await this.mergeScanResults(previousByPath, videoFiles, summary, {
+                    seasonalDirectory: directory
+                });
+                summary.removed += previousByPath.size;
+                
                 this.logger.log(`Video files found: ${videoFileCount}, Non-video files: ${nonVideoFileCount}`);
                 
                 if (videos.length > 0) {
@@ -231,6 +613,9 @@ class VideoIndex {
             }
         }
         
+        // Directories that were removed from config or could not be scanned
+        summary.removed += this.countVideos(previousSeasonalVideos);
+        
         const totalSeasonalVideos = this.getTotalSeasonalVideos();
         this.logger.log(`=== SEASONAL INDEX COMPLETE ===`);
         this.logger.log(`Total seasonal directories: ${this.seasonalVideos.size}`);
@@ -243,8 +628,12 @@ class VideoIndex {
     }
     
     getTotalSeasonalVideos() {
+        return this.countVideos(this.seasonalVideos);
+    }
+    
+    countVideos(videosByDirectory) {
         let total = 0;
-        for (const videos of this.seasonalVideos.values()) {
+        for (const videos of videosByDirectory.values()) {
             total += videos.length;
         }
         return total;
@@ -252,7 +641,7 @@ class VideoIndex {
     
     async scanDirectories(progressCallback) {
         const foundVideos = [];
-        const directories = this.configManager.config.directories || [];
+        const directories = this.configManager.getDirectoryPaths();
         
         if (directories.length === 0) {
             this.logger.error('No directories configured');
@@ -265,7 +654,7 @@ class VideoIndex {
             try {
                 if (progressCallback) {
                     progressCallback({
-                        percent: (i / directories.length) * 100,
+                        percent: (i / directories.length) * 50,
                         message: `Scanning: ${path.basename(directory)}`
                     });
                 }
@@ -329,16 +718,298 @@ class VideoIndex {
         return false;
     }
     
+    /**
+     * Gets selection settings from config with defaults
+     * @returns {Object} Selection configuration
+     */
+    getSelectionConfig() {
+        const selection = this.configManager.config.video?.selection || {};
+        
+        return {
+            mode: selection.mode === 'shuffleBag' ? 'shuffleBag' : 'random',
+            seasonalMode: selection.seasonalMode === 'normalized' ? 'normalized' : 'independent',
+            seed: selection.seed ?? null,
+            noRepeatPlays: selection.noRepeat?.plays || 0,
+            noRepeatHours: selection.noRepeat?.hours || 0
+        };
+    }
+    
+    /**
+     * Returns the random source for selection, recreated when the configured seed changes
+     */
+    getRandom() {
+        const { seed } = this.getSelectionConfig();
+        
+        if (!this.random || this.randomSeedConfig !== seed) {
+            this.random = new SeededRandom(seed);
+            this.randomSeedConfig = seed;
+            
+            if (seed !== null) {
+                this.logger.log(`Video selection seeded with: ${seed}`);
+            }
+        }
+        
+        return this.random;
+    }
+    
+    /**
+     * Reseeds selection, e.g. for reproducible tests. Pass null to go back to Math.random.
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        this.randomSeedConfig = this.getSelectionConfig().seed;
+    }
+    
+    /**
+     * Paths played within the configured no-repeat window (last N plays and/or last N hours)
+     * @returns {Set<string>} Recently played original paths
+     */
+    getRecentlyPlayedPaths() {
+        const { noRepeatPlays, noRepeatHours } = this.getSelectionConfig();
+        const recentPaths = new Set();
+        
+        if (!this.historyManager || (noRepeatPlays <= 0 && noRepeatHours <= 0)) {
+            return recentPaths;
+        }
+        
+        const cutoff = Date.now() - noRepeatHours * 3600000;
+        const history = this.historyManager.persistedHistory || [];
+        
+        // Persisted history is newest first
+        for (let i = 0; i < history.length; i++) {
+            const entry = history[i];
+            const withinPlays = i < noRepeatPlays;
+            const withinHours = noRepeatHours > 0 && new Date(entry.addedToHistoryAt).getTime() >= cutoff;
+            
+            if (!withinPlays && !withinHours) {
+                break;
+            }
+            
+            recentPaths.add(entry.originalPath);
+        }
+        
+        return recentPaths;
+    }
+    
+    /**
+     * Finds the configured directory an entry was indexed from (the deepest one for nested directories)
+     * @returns {string|null} Configured directory path
+     */
+    getDirectoryRoot(video) {
+        const directories = this.configManager.getDirectoryPaths();
+        const key = JSON.stringify(directories);
+        
+        if (this.directoryRootsKey !== key) {
+            this.directoryRoots.clear();
+            this.directoryRootsKey = key;
+        }
+        
+        if (!this.directoryRoots.has(video.directory)) {
+            const root = directories
+                .filter(directory => this.isPathWithin(video.originalPath, directory))
+                .sort((a, b) => b.length - a.length)[0] || null;
+            this.directoryRoots.set(video.directory, root);
+        }
+        
+        return this.directoryRoots.get(video.directory);
+    }
+    
+    /**
+     * Picks a video from the candidates. With plain string directories every video is equally
+     * likely; once any directory uses the { path, weight } form, a directory is chosen first in
+     * proportion to its weight and then a video uniformly within it.
+     * @param {Array} candidates - Videos eligible for selection
+     * @returns {Object|null} Selected video
+     */
+    selectWeighted(candidates) {
+        const random = this.getRandom();
+        
+        if (!this.configManager.hasDirectoryWeights()) {
+            return this.pickVideo(candidates);
+        }
+        
+        const weights = new Map(this.configManager.getDirectories().map(entry => [entry.path, entry.weight]));
+        const groups = new Map(); // Map<configured directory, videos[]>
+        
+        for (const video of candidates) {
+            const root = this.getDirectoryRoot(video);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(video);
+        }
+        
+        const weightedGroups = [];
+        let totalWeight = 0;
+        
+        for (const [root, videos] of groups) {
+            const weight = weights.get(root) ?? 1;
+            if (weight > 0) {
+                weightedGroups.push({ root, videos, weight });
+                totalWeight += weight;
+            }
+        }
+        
+        if (totalWeight === 0) {
+            this.logger.log('All candidate directories have weight 0');
+            return null;
+        }
+        
+        let roll = random.next() * totalWeight;
+        let selectedGroup = weightedGroups[weightedGroups.length - 1];
+        
+        for (const group of weightedGroups) {
+            roll -= group.weight;
+            if (roll < 0) {
+                selectedGroup = group;
+                break;
+            }
+        }
+        
+        this.logger.log(`Selected directory: ${selectedGroup.root} (weight ${selectedGroup.weight}/${totalWeight}, ${selectedGroup.videos.length} videos)`);
+        
+        return this.pickVideo(selectedGroup.videos);
+    }
+    
+    /**
+     * Picks one of the videos, in proportion to their rating weights (see VideoRatings.getWeight());
+     * uniformly when none of them is rated or skipped
+     */
+    pickVideo(videos) {
+        const random = this.getRandom();
+        const weights = this.ratings ? videos.map(video => this.ratings.getWeight(video.originalPath)) : null;
+        
+        if (!weights || weights.every(weight => weight === 1)) {
+            return videos[random.nextInt(videos.length)];
+        }
+        
+        let roll = random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < videos.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) {
+                return videos[i];
+            }
+        }
+        
+        return videos[videos.length - 1];
+    }
+    
+    /**
+     * Draws the next video from the shuffle bag, which plays every regular video once per cycle
+     * in a persisted random order. Index changes are merged into the remaining bag first.
+     * @param {Set<string>} excludeSet - Paths that must not be selected (already queued)
+     * @param {Set<string>} recentSet - Paths inside the no-repeat window
+     * @returns {Object|null} Selected video
+     */
+    selectFromShuffleBag(excludeSet, recentSet) {
+        const random = this.getRandom();
+        const videosByPath = new Map(this.videos.map(video => [video.originalPath, video]));
+        
+        if (this.shuffleBag.cycle === 0) {
+            this.shuffleBag.refill([...videosByPath.keys()], random);
+            this.shuffleBagVersion = this.indexVersion;
+        } else if (this.shuffleBagVersion !== this.indexVersion) {
+            this.shuffleBag.sync([...videosByPath.keys()], random);
+            this.shuffleBagVersion = this.indexVersion;
+        }
+        
+        const isAvailable = videoPath => !excludeSet.has(videoPath);
+        const isEligible = videoPath => isAvailable(videoPath) && !recentSet.has(videoPath);
+        
+        let selectedPath = this.shuffleBag.draw(isEligible) || this.shuffleBag.draw(isAvailable);
+        
+        if (!selectedPath) {
+            // Bag exhausted (or only queued videos left) - start the next cycle
+            this.shuffleBag.refill([...videosByPath.keys()], random);
+            selectedPath = this.shuffleBag.draw(isEligible) || this.shuffleBag.draw(isAvailable);
+        }
+        
+        if (!selectedPath) {
+            return null;
+        }
+        
+        const stats = this.shuffleBag.getStats();
+        this.logger.log(`Shuffle bag: ${stats.played}/${stats.total} played in cycle ${stats.cycle}`);
+        
+        return videosByPath.get(selectedPath);
+    }
+    
+    getShuffleBagState() {
+        return this.shuffleBag.getState();
+    }
+    
+    /**
+     * Restores a persisted shuffle bag. It is merged with the current index on the next draw.
+     */
+    restoreShuffleBagState(state) {
+        if (this.shuffleBag.setState(state)) {
+            this.shuffleBagVersion = -1;
+            const stats = this.shuffleBag.getStats();
+            this.logger.log(`Restored shuffle bag: cycle ${stats.cycle}, ${stats.played}/${stats.total} played`);
+        }
+    }
+    
+    getSelectionStats() {
+        const { mode, seasonalMode, seed, noRepeatPlays, noRepeatHours } = this.getSelectionConfig();
+        
+        return {
+            mode,
+            seasonalMode,
+            seeded: seed !== null,
+            noRepeat: {
+                plays: noRepeatPlays,
+                hours: noRepeatHours
+            },
+            weightedDirectories: this.configManager.hasDirectoryWeights(),
+            shuffleBag: mode === 'shuffleBag' ? this.shuffleBag.getStats() : null
+        };
+    }
+    
+    /**
+     * @param {Set<string>|string[]} excludePaths - Paths that must not be selected; a Set is used
+     *                                              as is, so callers picking repeatedly need not copy it
+     * @returns {Object|null} The selected video
+     */
     getRandomVideo(excludePaths = []) {
-        const excludeSet = new Set(excludePaths);
+        const excluded = excludePaths instanceof Set ? excludePaths : new Set(excludePaths);
+        const banned = this.ratings?.getBannedPaths();
+        // Banned videos are left out everywhere, playlists included
+        const excludeSet = banned?.size ? { has: (originalPath) => excluded.has(originalPath) || banned.has(originalPath) } : excluded;
+        const recentSet = this.getRecentlyPlayedPaths();
+        const now = this.timeEvaluator.now();
+        
+        // A running playlist block plays its videos in its own order, ignoring the no-repeat window
+        const programmedVideo = this.playlistScheduler?.getNextVideo(excludeSet, now);
+        if (programmedVideo) {
+            this.logger.log(`Selected playlist video: ${programmedVideo.filename} from ${programmedVideo.playlist}`);
+            return programmedVideo;
+        }
         
-        // First, check seasonal directories
-        const seasonalVideo = this.getSeasonalVideo(excludeSet);
+        const activeSeasonal = this.getActiveSeasonalDirectories(now);
+        
+        // Then check seasonal directories
+        const seasonalVideo = this.getSeasonalVideo(excludeSet, recentSet, activeSeasonal, now);
         if (seasonalVideo) {
             this.logger.log(`Selected seasonal video: ${seasonalVideo.filename} from ${seasonalVideo.seasonalDirectory}`);
             return seasonalVideo;
         }
         
+        // An exclusive seasonal block replaces the regular pool while it is active
+        if (activeSeasonal.some(entry => entry.exclusive)) {
+            this.logger.log('Exclusive seasonal block has no available videos, not falling back to regular videos');
+            return null;
+        }
+        
+        if (this.getSelectionConfig().mode === 'shuffleBag') {
+            const bagVideo = this.selectFromShuffleBag(excludeSet, recentSet);
+            if (bagVideo) {
+                this.logger.log(`Selected regular video: ${bagVideo.filename}`);
+            } else {
+                this.logger.log('No available videos (regular or seasonal)');
+            }
+            return bagVideo;
+        }
+        
         // Fall back to regular video selection
         const availableVideos = this.videos.filter(video => !excludeSet.has(video.originalPath));
         
@@ -347,14 +1018,265 @@ class VideoIndex {
             return null;
         }
         
-        const randomIndex = Math.floor(Math.random() * availableVideos.length);
-        const selectedVideo = availableVideos[randomIndex];
+        // Skip recently played videos unless that would leave nothing to play
+        let candidates = availableVideos.filter(video => !recentSet.has(video.originalPath));
+        if (candidates.length === 0) {
+            this.logger.log(`All ${availableVideos.length} available videos were played recently, ignoring no-repeat window`);
+            candidates = availableVideos;
+        }
+        
+        const selectedVideo = this.selectWeighted(candidates);
+        
+        if (!selectedVideo) {
+            this.logger.log('No video selected (no directory with a positive weight)');
+            return null;
+        }
         
         this.logger.log(`Selected regular video: ${selectedVideo.filename}`);
         return selectedVideo;
     }
     
-    getSeasonalVideo(excludeSet) {
+    /**
+     * Evaluates every seasonal directory at a point in time
+     * @param {Date} now - Point in time to evaluate
+     * @returns {Array} One entry per configured directory:
+     *                  { index, directory, conditionsMatch, active, baseLikelihood, rampFactor, likelihood, exclusive }
+     */
+    evaluateSeasonalDirectories(now = this.timeEvaluator.now()) {
+        const seasonalDirectories = this.configManager.config.seasonalDirectories || [];
+        
+        return seasonalDirectories.map((seasonalConfig, index) => {
+            const { directory, likelihood = 0, conditions, ramp, exclusive = false } = seasonalConfig;
+            const entry = {
+                index,
+                directory,
+                conditionsMatch: false,
+                active: false,
+                baseLikelihood: likelihood,
+                rampFactor: 0,
+                likelihood: 0,
+                exclusive: !!exclusive
+            };
+            
+            try {
+                entry.conditionsMatch = this.timeEvaluator.evaluate(conditions, now);
+                if (!entry.conditionsMatch) {
+                    return entry;
+                }
+                
+                entry.rampFactor = ramp ? this.getRampFactor(ramp, now, conditions?.timezone) : 1;
+                entry.likelihood = Math.max(0, Math.min(1, likelihood * entry.rampFactor));
+                
+                // An exclusive block is only active while its ramp is
+                entry.active = !(exclusive && entry.rampFactor === 0);
+            } catch (error) {
+                this.logger.error(`Error evaluating seasonal directory: ${directory}`, error);
+            }
+            
+            return entry;
+        });
+    }
+    
+    /**
+     * Seasonal directories whose conditions match at a point in time
+     */
+    getActiveSeasonalDirectories(now = this.timeEvaluator.now()) {
+        return this.evaluateSeasonalDirectories(now).filter(entry => entry.active);
+    }
+    
+    /**
+     * Seasonal directories whose exclusive block is currently active
+     * @returns {Set<string>} Directory paths
+     */
+    getActiveExclusiveDirectories(now = this.timeEvaluator.now()) {
+        return new Set(this.getActiveSeasonalDirectories(now)
+            .filter(entry => entry.exclusive)
+            .map(entry => entry.directory));
+    }
+    
+    /**
+     * Scales a seasonal likelihood along a date window: 0 at `start`, rising linearly to 1 at `peak`,
+     * holding until `peakEnd` (defaults to `peak`) and falling back to 0 at `end`. Dates are
+     * "MM-DD" (every year, may wrap the year end) or "YYYY-MM-DD", each meaning midnight of that day.
+     * @param {Object} ramp - { start, peak, peakEnd, end }
+     * @param {Date} now - Point in time
+     * @param {string|null} timezone - Timezone of the rule's conditions
+     * @returns {number} Factor between 0 and 1, 0 outside the window
+     */
+    getRampFactor(ramp, now, timezone = null) {
+        const keys = ['start', 'peak', 'peakEnd', 'end'];
+        const values = keys.map(key => key === 'peakEnd' ? (ramp.peakEnd || ramp.peak) : ramp[key]);
+        
+        if (values.some(value => typeof value !== 'string')) {
+            this.logger.error(`Invalid seasonal ramp (requires start, peak and end): ${JSON.stringify(ramp)}`);
+            return 0;
+        }
+        
+        const date = this.timeEvaluator.getDateParts(now, timezone);
+        const today = Date.UTC(date.year, date.month - 1, date.dayOfMonth) / DAY_MS + (date.hour * 60 + date.minute) / 1440;
+        
+        // A yearly window that is active now started either this year or last year
+        for (const anchorYear of [date.year, date.year - 1]) {
+            let year = anchorYear;
+            let previous = -Infinity;
+            
+            const points = values.map(value => {
+                const parts = value.split('-').map(Number);
+                if (parts.length === 3) {
+                    previous = Date.UTC(parts[0], parts[1] - 1, parts[2]) / DAY_MS;
+                    return previous;
+                }
+                
+                let day = Date.UTC(year, parts[0] - 1, parts[1]) / DAY_MS;
+                if (day < previous) {
+                    year++;
+                    day = Date.UTC(year, parts[0] - 1, parts[1]) / DAY_MS;
+                }
+                previous = day;
+                return day;
+            });
+            
+            const [start, peak, peakEnd, end] = points;
+            if (points.some(Number.isNaN) || today < start || today >= end) {
+                continue;
+            }
+            
+            if (today < peak) {
+                return (today - start) / (peak - start);
+            }
+            if (today <= peakEnd) {
+                return 1;
+            }
+            return (end - today) / (end - peakEnd);
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Orders entries by repeated weighted draws, so earlier entries are more likely the higher
+     * their likelihood. Entries that are all 0 are treated as equal.
+     */
+    orderByLikelihood(entries, random) {
+        const useEqualWeights = entries.every(entry => entry.likelihood === 0);
+        const remaining = entries.filter(entry => useEqualWeights || entry.likelihood > 0);
+        const ordered = [];
+        
+        while (remaining.length > 0) {
+            const weight = entry => useEqualWeights ? 1 : entry.likelihood;
+            let roll = random.next() * remaining.reduce((sum, entry) => sum + weight(entry), 0);
+            let selectedIndex = remaining.length - 1;
+            
+            for (let i = 0; i < remaining.length; i++) {
+                roll -= weight(remaining[i]);
+                if (roll < 0) {
+                    selectedIndex = i;
+                    break;
+                }
+            }
+            
+            ordered.push(remaining.splice(selectedIndex, 1)[0]);
+        }
+        
+        return ordered;
+    }
+    
+    /**
+     * Picks a video from one seasonal directory
+     * @returns {Object|null} Selected video, or null if the directory has nothing available
+     */
+    pickSeasonalVideo(directory, excludeSet, recentSet) {
+        this.logger.log(`Selecting video from seasonal directory: ${directory}`);
+        
+        // Get videos from this seasonal directory
+        const seasonalVideos = this.seasonalVideos.get(directory) || [];
+        this.logger.log(`Videos available in seasonal directory: ${seasonalVideos.length}`);
+        
+        if (seasonalVideos.length === 0) {
+            this.logger.error(`No videos loaded for seasonal directory: ${directory}`);
+            this.logger.error(`This suggests the directory wasn't properly scanned during buildSeasonalIndex()`);
+            return null;
+        }
+        
+        let availableSeasonalVideos = seasonalVideos.filter(video => !excludeSet.has(video.originalPath));
+        this.logger.log(`Videos available after excluding already-used: ${availableSeasonalVideos.length}`);
+        
+        if (availableSeasonalVideos.length === 0) {
+            this.logger.log(`No available videos in seasonal directory after exclusions: ${directory}`);
+            return null;
+        }
+        
+        // Skip recently played videos unless the whole directory was played recently
+        const notRecentVideos = availableSeasonalVideos.filter(video => !recentSet.has(video.originalPath));
+        if (notRecentVideos.length > 0) {
+            availableSeasonalVideos = notRecentVideos;
+        } else {
+            this.logger.log(`All videos in seasonal directory were played recently, ignoring no-repeat window`);
+        }
+        
+        // Select random video from this seasonal directory
+        const selectedVideo = this.pickVideo(availableSeasonalVideos);
+        
+        this.logger.log(`✓ SELECTED SEASONAL VIDEO: ${selectedVideo.filename}`);
+        this.logger.log(`   From directory: ${directory}`);
+        this.logger.log(`   Original path: ${selectedVideo.originalPath}`);
+        
+        return selectedVideo;
+    }
+    
+    /**
+     * Rolls the probability dice for the active seasonal directories and returns the ones to try,
+     * in order. Later entries are fallbacks for when earlier directories have no available videos.
+     * - exclusive: an active exclusive directory always wins, shared by likelihood between exclusive ones
+     * - independent (default): one roll per directory, passing directories are tried in config order
+     * - normalized: one roll against the summed likelihoods (capped at 1), then directories are
+     *   ordered in proportion to their likelihood, so active directories share instead of shadowing
+     * @param {Array} active - Result of getActiveSeasonalDirectories()
+     * @param {SeededRandom} random - Random source
+     * @param {Function} log - Receives a message per roll
+     * @returns {Array} Entries to try
+     */
+    getSeasonalCandidates(active, random, log = () => {}) {
+        const exclusiveDirectories = active.filter(entry => entry.exclusive);
+        if (exclusiveDirectories.length > 0) {
+            log(`Exclusive seasonal block active, regular selection is suspended`);
+            return this.orderByLikelihood(exclusiveDirectories, random);
+        }
+        
+        if (this.getSelectionConfig().seasonalMode === 'normalized') {
+            const totalLikelihood = active.reduce((sum, entry) => sum + entry.likelihood, 0);
+            const chance = Math.min(1, totalLikelihood);
+            
+            // Roll probability dice once for all active directories
+            const roll = random.next();
+            log(`Random roll: ${roll}, Required: < ${chance} (normalized over ${active.length} directories)`);
+            
+            if (roll >= chance) {
+                log(`✗ Probability check failed`);
+                return [];
+            }
+            
+            return this.orderByLikelihood(active, random);
+        }
+        
+        return active.filter(entry => {
+            // Roll probability dice
+            const roll = random.next();
+            const passed = roll < entry.likelihood;
+            log(`${passed ? '✓' : '✗'} Random roll for ${entry.directory}: ${roll}, Required: < ${entry.likelihood}`);
+            return passed;
+        });
+    }
+    
+    /**
+     * Selects a video from the active seasonal directories (see getSeasonalCandidates())
+     * @param {Set<string>} excludeSet - Paths that must not be selected (already queued)
+     * @param {Set<string>} recentSet - Paths inside the no-repeat window
+     * @param {Array} active - Result of getActiveSeasonalDirectories()
+     * @param {Date} now - Selection time
+     * @returns {Object|null} Selected video
+     */
+    getSeasonalVideo(excludeSet, recentSet = new Set(), active = null, now = this.timeEvaluator.now()) {
         const seasonalDirectories = this.configManager.config.seasonalDirectories || [];
         
         if (seasonalDirectories.length === 0) {
@@ -363,7 +1285,7 @@ class VideoIndex {
         }
         
         // Debug current time conditions
-        const debugInfo = this.timeEvaluator.getDebugInfo();
+        const debugInfo = this.timeEvaluator.getDebugInfo(now);
         this.logger.log(`=== SEASONAL VIDEO SELECTION ===`);
         this.logger.log(`Current time: ${debugInfo.currentTime}`);
         this.logger.log(`Day of week: ${debugInfo.dayOfWeek} (0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat)`);
@@ -371,69 +1293,24 @@ class VideoIndex {
         this.logger.log(`Day of month: ${debugInfo.dayOfMonth}, Month: ${debugInfo.month}, Year: ${debugInfo.year}`);
         this.logger.log(`Minute parity: ${debugInfo.minuteParity}`);
         
-        for (let i = 0; i < seasonalDirectories.length; i++) {
-            const seasonalConfig = seasonalDirectories[i];
-            const { directory, likelihood = 0, conditions } = seasonalConfig;
-            
-            this.logger.log(`--- Checking seasonal directory ${i + 1}/${seasonalDirectories.length} ---`);
-            this.logger.log(`Directory: ${directory}`);
-            this.logger.log(`Likelihood: ${likelihood}`);
-            this.logger.log(`Conditions: ${JSON.stringify(conditions, null, 2)}`);
-            
-            try {
-                // Check if this seasonal directory is currently active
-                const conditionsMatch = this.timeEvaluator.evaluate(conditions);
-                this.logger.log(`Conditions match: ${conditionsMatch}`);
-                
-                if (!conditionsMatch) {
-                    this.logger.log(`✗ Conditions do not match, skipping directory`);
-                    continue;
-                }
-                
-                this.logger.log(`✓ Conditions match! Checking probability...`);
-                
-                // Roll probability dice
-                const random = Math.random();
-                this.logger.log(`Random roll: ${random}, Required: < ${likelihood}`);
-                
-                if (random >= likelihood) {
-                    this.logger.log(`✗ Probability check failed: ${random} >= ${likelihood}`);
-                    continue;
-                }
-                
-                this.logger.log(`✓ Probability check passed: ${random} < ${likelihood}`);
-                this.logger.log(`Selecting video from seasonal directory: ${directory}`);
-                
-                // Get videos from this seasonal directory
-                const seasonalVideos = this.seasonalVideos.get(directory) || [];
-                this.logger.log(`Videos available in seasonal directory: ${seasonalVideos.length}`);
-                
-                if (seasonalVideos.length === 0) {
-                    this.logger.error(`No videos loaded for seasonal directory: ${directory}`);
-                    this.logger.error(`This suggests the directory wasn't properly scanned during buildSeasonalIndex()`);
-                    continue;
-                }
-                
-                const availableSeasonalVideos = seasonalVideos.filter(video => !excludeSet.has(video.originalPath));
-                this.logger.log(`Videos available after excluding already-used: ${availableSeasonalVideos.length}`);
-                
-                if (availableSeasonalVideos.length === 0) {
-                    this.logger.log(`No available videos in seasonal directory after exclusions: ${directory}`);
-                    continue;
-                }
-                
-                // Select random video from this seasonal directory
-                const randomIndex = Math.floor(Math.random() * availableSeasonalVideos.length);
-                const selectedVideo = availableSeasonalVideos[randomIndex];
-                
-                this.logger.log(`✓ SELECTED SEASONAL VIDEO: ${selectedVideo.filename}`);
-                this.logger.log(`   From directory: ${directory}`);
-                this.logger.log(`   Original path: ${selectedVideo.originalPath}`);
-                
-                return selectedVideo;
-                
-            } catch (error) {
-                this.logger.error(`Error processing seasonal directory: ${seasonalConfig.directory}`, error);
+        const activeDirectories = active || this.getActiveSeasonalDirectories(now);
+        
+        for (const entry of activeDirectories) {
+            const ramp = entry.rampFactor < 1 ? ` (${entry.baseLikelihood} ramped by ${entry.rampFactor.toFixed(3)})` : '';
+            this.logger.log(`✓ Active seasonal directory ${entry.index + 1}/${seasonalDirectories.length}: ${entry.directory}, likelihood ${entry.likelihood}${ramp}${entry.exclusive ? ', exclusive' : ''}`);
+        }
+        
+        if (activeDirectories.length === 0) {
+            this.logger.log(`No seasonal directory conditions match, falling back to regular selection`);
+            return null;
+        }
+        
+        const candidates = this.getSeasonalCandidates(activeDirectories, this.getRandom(), message => this.logger.log(message));
+        
+        for (const entry of candidates) {
+            const video = this.pickSeasonalVideo(entry.directory, excludeSet, recentSet);
+            if (video) {
+                return video;
             }
         }
         
@@ -444,6 +1321,13 @@ class VideoIndex {
     getCount() {
         return this.videos.length + this.getTotalSeasonalVideos();
     }
+    
+    /**
+     * Every indexed video, regular and seasonal
+     */
+    getAllVideos() {
+        return [...this.videos, ...[...this.seasonalVideos.values()].flat()];
+    }
 }
 
 module.exports = VideoIndex;
\ No newline at end of file
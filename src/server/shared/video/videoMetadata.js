@@ -64,6 +64,7 @@ class VideoMetadata {
                         height: videoStream?.height || null,
                         fps: videoStream?.r_frame_rate ? eval(videoStream.r_frame_rate) : null,
                         videoCodec: videoStream?.codec_name || null,
+                        interlaced: ['tt', 'bb', 'tb', 'bt'].includes(videoStream?.field_order),
                         
                         // Audio information
                         hasAudio: !!audioStream,
@@ -90,7 +91,8 @@ class VideoMetadata {
                                 level: videoStream.level,
                                 pixelFormat: videoStream.pix_fmt,
                                 colorSpace: videoStream.color_space,
-                                colorRange: videoStream.color_range
+                                colorRange: videoStream.color_range,
+                                fieldOrder: videoStream.field_order || null
                             } : null,
                             audio: audioStream ? {
                                 codec: audioStream.codec_name,
@@ -113,6 +115,26 @@ class VideoMetadata {
         });
     }
     
+    /**
+     * The parts of the metadata the video library lists and filters on, kept on index entries
+     * @param {Object} metadata - Result of extract()
+     * @returns {Object} Media summary
+     */
+    static summarize(metadata) {
+        return {
+            duration: metadata.duration,
+            width: metadata.width,
+            height: metadata.height,
+            fps: metadata.fps,
+            videoCodec: metadata.videoCodec,
+            audioCodec: metadata.audioCodec,
+            audioChannels: metadata.audioChannels,
+            channelLayout: metadata.channelLayout,
+            audioProfile: metadata.audioProfile,
+            probedAt: new Date().toISOString()
+        };
+    }
+    
     /**
      * Derives channel layout when not provided by ffprobe (common with OPUS and other codecs)
      * @param {number} channels - Number of audio channels
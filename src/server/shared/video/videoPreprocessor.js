@@ -5,15 +5,54 @@ const ffmpegStatic = require('ffmpeg-static');
 const ffprobeStatic = require('ffprobe-static');
 const FileUtils = require('../utils/fileUtils');
 const VideoMetadata = require('./videoMetadata');
+const LoudnessAnalyzer = require('./loudnessAnalyzer');
+const TranscodeRules = require('./transcodeRules');
+const VideoLibrary = require('../library/videoLibrary');
 
 ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 class VideoPreprocessor {
-    constructor(logger, tempDir, configManager = null) {
+    constructor(logger, tempDir, configManager = null, processedCache = null, videoIndex = null, hlsPackager = null, profileVariants = null) {
         this.logger = logger;
         this.tempDir = tempDir;
         this.configManager = configManager;
+        this.processedCache = processedCache;
+        this.videoIndex = videoIndex;
+        this.hlsPackager = hlsPackager;
+        this.profileVariants = profileVariants;
+        this.transcodeRules = new TranscodeRules(logger, configManager);
+    }
+    
+    /**
+     * Gets the config values that affect processed output, used to key the processed cache
+     * @returns {Object} Processing-relevant configuration
+     */
+    getProcessingConfig() {
+        const audio = this.configManager?.config?.audio || {};
+        const transcode = this.configManager?.config?.video?.transcode || {};
+        
+        // Transcode settings only shape the output when transcoding is on, so without it the
+        // outputs cached before transcoding existed keep their keys
+        return transcode.enabled === true ? { audio, transcode } : { audio };
+    }
+    
+    /**
+     * Computes the processed cache key for a video, or null when caching is unavailable
+     * @param {Object} videoData - Video data object with originalPath
+     * @returns {Promise<string|null>} Cache key
+     */
+    async getCacheKey(videoData) {
+        if (!this.processedCache || !this.processedCache.isEnabled()) {
+            return null;
+        }
+        
+        try {
+            return await this.processedCache.getKey(videoData.originalPath, this.getProcessingConfig());
+        } catch (error) {
+            this.logger.error(`Failed to compute cache key for: ${videoData.filename}`, error);
+            return null;
+        }
     }
     
     /**
@@ -34,7 +73,8 @@ class VideoPreprocessor {
             targetLUFS: -16,
             truePeak: -1.5,
             LRA: 11,
-            dualMono: true
+            dualMono: true,
+            mode: 'dynamic'
         };
         
         // Apply preset if specified
@@ -63,19 +103,79 @@ class VideoPreprocessor {
         if (normConfig.dualMono !== undefined) {
             config.dualMono = normConfig.dualMono;
         }
+        if (normConfig.mode === 'twoPass') {
+            config.mode = 'twoPass';
+        }
         
-        this.logger.log(`    🎚️ Normalization config: I=${config.targetLUFS} LUFS, TP=${config.truePeak} dB, LRA=${config.LRA} LU`);
+        this.logger.log(`    🎚️ Normalization config: I=${config.targetLUFS} LUFS, TP=${config.truePeak} dB, LRA=${config.LRA} LU, mode=${config.mode}`);
         
         return config;
     }
+    
+    /**
+     * Builds a loudnorm filter string, switching to linear mode when a first-pass measurement is available
+     * @param {Object} normConfig - Normalization configuration
+     * @param {string} extraOptions - Additional loudnorm options (e.g. ':dual_mono=true')
+     * @param {Object|null} loudness - Measurement from LoudnessAnalyzer
+     * @returns {string} Filter string
+     */
+    getLoudnormFilter(normConfig, extraOptions = '', loudness = null) {
+        let filter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}${extraOptions}`;
+        
+        if (loudness) {
+            filter += `:measured_I=${loudness.measuredI}:measured_TP=${loudness.measuredTP}` +
+                `:measured_LRA=${loudness.measuredLRA}:measured_thresh=${loudness.measuredThresh}:linear=true`;
+        }
+        
+        return filter;
+    }
+    
+    /**
+     * Gets the first-pass loudness measurement for a video when two-pass normalization is enabled.
+     * Measurements are kept on the index entry so later re-encodes skip the analysis pass.
+     * @param {Object} videoData - Video data object with originalPath
+     * @param {Object} metadata - Metadata from VideoMetadata.extract()
+     * @returns {Promise<Object|null>} Measurement, or null to use single-pass dynamic normalization
+     */
+    async getLoudnessMeasurement(videoData, metadata) {
+        const normConfig = this.getNormalizationConfig();
+        if (!normConfig || normConfig.mode !== 'twoPass' || !metadata.hasAudio) {
+            return null;
+        }
+        
+        const stored = this.videoIndex ? this.videoIndex.getLoudness(videoData.originalPath) : videoData.loudness;
+        
+        // dual_mono changes the measurement of mono sources, so only reuse values taken with the same setting
+        if (stored && stored.dualMono === normConfig.dualMono) {
+            this.logger.log(`    📏 Using stored loudness: ${stored.measuredI} LUFS, TP ${stored.measuredTP} dB, LRA ${stored.measuredLRA} LU`);
+            return stored;
+        }
+        
+        this.logger.log(`    📏 Measuring loudness (analysis pass): ${videoData.filename}`);
+        const measurement = await LoudnessAnalyzer.measure(videoData.originalPath, normConfig, this.logger);
+        
+        if (!measurement) {
+            this.logger.log(`    ⚠️  No loudness measurement, falling back to dynamic normalization`);
+            return null;
+        }
+        
+        this.logger.log(`    📏 Measured loudness: ${measurement.measuredI} LUFS, TP ${measurement.measuredTP} dB, LRA ${measurement.measuredLRA} LU`);
+        
+        if (this.videoIndex) {
+            this.videoIndex.setLoudness(videoData.originalPath, measurement);
+        }
+        
+        return measurement;
+    }
 
     /**
      * Creates appropriate audio filter chain based on source channel count and config
      * @param {number} channels - Number of input audio channels
      * @param {string} channelLayout - Input channel layout (e.g., 'stereo', '5.1', 'mono')
+     * @param {Object|null} loudness - First-pass loudness measurement for linear normalization
      * @returns {Array} Array of audio filter strings
      */
-    createAudioFilters(channels, channelLayout) {
+    createAudioFilters(channels, channelLayout, loudness = null) {
         const filters = [];
         const audioConfig = this.configManager?.config?.audio || {};
         
@@ -95,7 +195,7 @@ class VideoPreprocessor {
             
             // Apply normalization first if enabled
             if (normConfig) {
-                const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}${normConfig.dualMono ? ':dual_mono=true' : ''}`;
+                const normFilter = this.getLoudnormFilter(normConfig, normConfig.dualMono ? ':dual_mono=true' : '', loudness);
                 filters.push(normFilter);
                 this.logger.log(`    🎚️ Applying mono normalization: I=${normConfig.targetLUFS} LUFS`);
             } else {
@@ -120,7 +220,7 @@ class VideoPreprocessor {
             
             // Apply normalization if enabled
             if (normConfig) {
-                const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}${normConfig.dualMono ? ':dual_mono=true' : ''}`;
+                const normFilter = this.getLoudnormFilter(normConfig, normConfig.dualMono ? ':dual_mono=true' : '', loudness);
                 filters.push(normFilter);
                 this.logger.log(`    🎚️ Applying stereo normalization: I=${normConfig.targetLUFS} LUFS`);
             } else {
@@ -145,7 +245,7 @@ class VideoPreprocessor {
             
             // Normalize first if enabled
             if (normConfig) {
-                const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}`;
+                const normFilter = this.getLoudnormFilter(normConfig, '', loudness);
                 filters.push(normFilter);
                 this.logger.log(`    🎚️ Applying ${channels}-channel normalization: I=${normConfig.targetLUFS} LUFS`);
             }
@@ -172,7 +272,7 @@ class VideoPreprocessor {
                 this.logger.log(`    🔊 Preserving original ${channels}-channel ${channelLayout} audio`);
                 // Light normalization only if enabled
                 if (normConfig) {
-                    const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}:dual_mono=${normConfig.dualMono}`;
+                    const normFilter = this.getLoudnormFilter(normConfig, `:dual_mono=${normConfig.dualMono}`, loudness);
                     filters.push(normFilter);
                     this.logger.log(`    🎚️ Applying light multichannel normalization: I=${normConfig.targetLUFS} LUFS`);
                 }
@@ -180,7 +280,7 @@ class VideoPreprocessor {
                 this.logger.log(`    🔊 Processing ${channels}-channel audio with normalization`);
                 // Use multichannel-aware loudnorm if enabled
                 if (normConfig) {
-                    const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}:dual_mono=${normConfig.dualMono}`;
+                    const normFilter = this.getLoudnormFilter(normConfig, `:dual_mono=${normConfig.dualMono}`, loudness);
                     filters.push(normFilter);
                     this.logger.log(`    🎚️ Applying multichannel normalization: I=${normConfig.targetLUFS} LUFS`);
                 }
@@ -190,7 +290,7 @@ class VideoPreprocessor {
             // Fallback for unusual channel counts or no audio
             this.logger.log(`    ⚠️  Fallback processing for ${channels}-channel audio`);
             if (normConfig && channels > 0) {
-                const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}`;
+                const normFilter = this.getLoudnormFilter(normConfig, '', loudness);
                 filters.push(normFilter);
                 this.logger.log(`    🎚️ Applying fallback normalization: I=${normConfig.targetLUFS} LUFS`);
             }
@@ -329,12 +429,49 @@ class VideoPreprocessor {
         }
     }
     
+    /**
+     * Throws if the job's AbortSignal has fired
+     * @param {AbortSignal} signal - Signal from the job's AbortController
+     * @param {Object} videoData - Video being processed
+     */
+    throwIfCancelled(signal, videoData) {
+        if (signal?.aborted) {
+            const error = new Error(`Preprocessing cancelled: ${videoData.filename}`);
+            error.cancelled = true;
+            throw error;
+        }
+    }
+    
     /**
      * Main preprocessing function with enhanced error handling and performance controls
      * @param {Object} videoData - Video data object with originalPath and filename
+     * @param {Object} options - Optional job controls
+     * @param {AbortSignal} options.signal - Aborts the job and kills a running ffmpeg process
+     * @param {Function} options.onProgress - Called with the ffmpeg progress percent (0-100)
+     * @param {Function} options.getVariantSpecs - (output, hasHls) => variants to transcode for client profiles
      * @returns {Promise<Object>} Processed video data with metadata
      */
-    async preprocess(videoData) {
+    async preprocess(videoData, options = {}) {
+        const { signal, onProgress, getVariantSpecs } = options;
+        
+        this.throwIfCancelled(signal, videoData);
+        
+        // Reuse a cached output if this exact source was already processed with the current config
+        const cacheKey = await this.getCacheKey(videoData);
+        if (cacheKey) {
+            const cached = await this.processedCache.lookup(cacheKey);
+            if (cached) {
+                this.logger.log(`♻️ Using cached output: ${videoData.filename}`);
+                return this.finishOutputs({
+                    ...videoData,
+                    metadata: cached.metadata,
+                    processedPath: cached.processedPath,
+                    processedAt: cached.createdAt,
+                    cacheHit: true
+                }, signal, getVariantSpecs);
+            }
+        }
+        
         const videoId = crypto.randomUUID();
         const outputPath = path.join(this.tempDir, `processed_${videoId}.mp4`);
         
@@ -343,6 +480,7 @@ class VideoPreprocessor {
         // Apply CPU throttling delay before starting
         const performanceConfig = this.getPerformanceConfig();
         await this.addProcessingDelay(performanceConfig.processingDelay);
+        this.throwIfCancelled(signal, videoData);
         
         // Get metadata during preprocessing with enhanced logging
         const metadata = await VideoMetadata.extract(videoData.originalPath, this.logger);
@@ -351,11 +489,31 @@ class VideoPreprocessor {
             throw new Error(`Failed to get metadata for: ${videoData.filename}`);
         }
         
+        if (this.videoIndex) {
+            this.videoIndex.setMediaInfo(videoData.originalPath, VideoMetadata.summarize(metadata));
+        }
+        
         // Special logging for problematic audio formats
         if (metadata.audioCodec === 'opus' && metadata.audioChannels === 1) {
             this.logger.log(`    🔍 OPUS mono detected - using enhanced processing pipeline`);
         }
         
+        // Analysis pass for two-pass normalization - exposed to clients with the rest of the metadata
+        const loudness = await this.getLoudnessMeasurement(videoData, metadata);
+        if (loudness) {
+            metadata.loudness = loudness;
+        }
+        
+        this.throwIfCancelled(signal, videoData);
+        
+        // Copy or re-encode the video stream, recorded for clients and the processed cache
+        const transcode = this.transcodeRules.decide(metadata);
+        metadata.transcode = transcode;
+        
+        if (transcode.action === 'transcode') {
+            this.logger.log(`    🎞️ Transcoding video to H.264 ${transcode.width}x${transcode.height}: ${transcode.reasons.join(', ')}`);
+        }
+        
         // Add metadata to video data
         const videoWithMetadata = {
             ...videoData,
@@ -363,9 +521,38 @@ class VideoPreprocessor {
         };
         
         return new Promise((resolve, reject) => {
+            let ffmpegCommand = null;
+            let cancelled = false;
+            
+            const onAbort = () => {
+                cancelled = true;
+                this.logger.log(`    🛑 Cancelling preprocessing: ${videoData.filename}`);
+                if (ffmpegCommand) {
+                    ffmpegCommand.kill('SIGKILL');
+                }
+            };
+            
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            const settle = (callback, value) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                callback(value);
+            };
+            
+            const rejectCancelled = async () => {
+                await FileUtils.deleteFile(outputPath);
+                const error = new Error(`Preprocessing cancelled: ${videoData.filename}`);
+                error.cancelled = true;
+                settle(reject, error);
+            };
+            
             try {
                 const attemptProcessing = (useCompatibilityMode = false) => {
-                    let ffmpegCommand = ffmpeg(videoData.originalPath);
+                    ffmpegCommand = ffmpeg(videoData.originalPath);
                     
                     // Apply performance settings first
                     ffmpegCommand = this.applyPerformanceSettings(ffmpegCommand);
@@ -375,6 +562,19 @@ class VideoPreprocessor {
                     const enabled51Processing = audioConfig.enabled51Processing !== false;
                     const forceOutputChannels = audioConfig.forceOutputChannels || 6;
                     
+                    // Video stream: copied, or re-encoded when the transcode rules ask for it
+                    ffmpegCommand = this.transcodeRules.apply(ffmpegCommand, transcode);
+                    
+                    // What players receive, for client profile decisions
+                    metadata.output = {
+                        videoCodec: transcode.videoCodec,
+                        width: transcode.width,
+                        height: transcode.height,
+                        audioCodec: metadata.hasAudio ? 'aac' : null,
+                        audioChannels: !metadata.hasAudio ? 0 :
+                            (!enabled51Processing || useCompatibilityMode ? 2 : forceOutputChannels)
+                    };
+                    
                     // Skip 5.1 processing if disabled or in compatibility mode
                     if (!enabled51Processing || useCompatibilityMode) {
                         const modeReason = !enabled51Processing ? 
@@ -386,13 +586,12 @@ class VideoPreprocessor {
                         
                         const stereoFilters = [];
                         if (normConfig) {
-                            const normFilter = `loudnorm=I=${normConfig.targetLUFS}:TP=${normConfig.truePeak}:LRA=${normConfig.LRA}${normConfig.dualMono ? ':dual_mono=true' : ''}`;
+                            const normFilter = this.getLoudnormFilter(normConfig, normConfig.dualMono ? ':dual_mono=true' : '', loudness);
                             stereoFilters.push(normFilter);
                         }
                         
                         ffmpegCommand = ffmpegCommand
                             .audioFilters(stereoFilters.length > 0 ? stereoFilters : [])
-                            .videoCodec('copy')
                             .audioCodec('aac')
                             .audioBitrate('256k')
                             .format('mp4')
@@ -404,12 +603,11 @@ class VideoPreprocessor {
                         // Full 5.1 processing mode
                         this.logger.log(`    🔊 Using 5.1 surround processing`);
                         
-                        const audioFilters = this.createAudioFilters(metadata.audioChannels, metadata.channelLayout);
+                        const audioFilters = this.createAudioFilters(metadata.audioChannels, metadata.channelLayout, loudness);
                         const outputCodec = this.getAudioCodec(forceOutputChannels);
                         
                         ffmpegCommand = ffmpegCommand
                             .audioFilters(audioFilters.length > 0 ? audioFilters : [])
-                            .videoCodec('copy')
                             .audioCodec(outputCodec.codec)
                             .audioBitrate(Math.floor(outputCodec.bitrate / 1000) + 'k')
                             .audioChannels(forceOutputChannels)
@@ -426,11 +624,19 @@ class VideoPreprocessor {
                             this.logger.log(`    🔧 Performance settings applied: ${performanceConfig.maxThreads} threads, ${performanceConfig.threadQueueSize} queue size`);
                         })
                         .on('progress', (progress) => {
+                            if (onProgress && progress.percent) {
+                                onProgress(Math.min(100, Math.max(0, progress.percent)));
+                            }
+                            
                             if (progress.percent && Number.isInteger(progress.percent) && progress.percent % 25 === 0) {
                                 this.logger.log(`    ⚡ Progress: ${progress.percent}% - ${videoData.filename}`);
                             }
                         })
                         .on('error', (err) => {
+                            if (cancelled) {
+                                return rejectCancelled();
+                            }
+                            
                             this.logger.error(`    ❌ FFmpeg error for ${videoData.filename}:`, err);
                             
                             // Check if this is an audio-related error and retry with compatibility mode
@@ -445,9 +651,13 @@ class VideoPreprocessor {
                                 return attemptProcessing(true);
                             }
                             
-                            reject(new Error(`FFmpeg processing failed: ${err.message}`));
+                            settle(reject, new Error(`FFmpeg processing failed: ${err.message}`));
                         })
                         .on('end', async () => {
+                            if (cancelled) {
+                                return rejectCancelled();
+                            }
+                            
                             this.logger.log(`    ✅ Preprocessed: ${videoData.filename}`);
                             
                             // Verify output file exists and has reasonable size
@@ -456,21 +666,38 @@ class VideoPreprocessor {
                                 if (stats.size > 1024) { // At least 1KB
                                     this.logger.log(`    📁 Output size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
                                     
+                                    // Move the output into the processed cache so it survives temp cleanup
+                                    let finalPath = outputPath;
+                                    if (cacheKey) {
+                                        try {
+                                            finalPath = await this.processedCache.store(cacheKey, outputPath, {
+                                                originalPath: videoData.originalPath,
+                                                metadata: metadata
+                                            });
+                                        } catch (cacheError) {
+                                            this.logger.error(`    ⚠️ Failed to store output in processed cache: ${videoData.filename}`, cacheError);
+                                        }
+                                    }
+                                    
                                     // Create properly structured processed video data
                                     const processedVideoData = {
                                         ...videoWithMetadata,
-                                        processedPath: outputPath,
+                                        processedPath: finalPath,
                                         processedAt: new Date().toISOString()
                                     };
                                     
-                                    resolve(processedVideoData);
+                                    try {
+                                        settle(resolve, await this.finishOutputs(processedVideoData, signal, getVariantSpecs));
+                                    } catch (hlsError) {
+                                        settle(reject, hlsError);
+                                    }
                                 } else {
                                     this.logger.error(`    ❌ Output file too small: ${stats.size} bytes`);
-                                    reject(new Error(`Output file is suspiciously small: ${stats.size} bytes`));
+                                    settle(reject, new Error(`Output file is suspiciously small: ${stats.size} bytes`));
                                 }
                             } else {
                                 this.logger.error(`    ❌ Output file not created: ${outputPath}`);
-                                reject(new Error(`Output file was not created: ${outputPath}`));
+                                settle(reject, new Error(`Output file was not created: ${outputPath}`));
                             }
                         })
                         .save(outputPath);
@@ -481,11 +708,88 @@ class VideoPreprocessor {
                 
             } catch (setupError) {
                 this.logger.error(`Failed to set up preprocessing for ${videoData.filename}:`, setupError);
-                reject(setupError);
+                settle(reject, setupError);
             }
         });
     }
     
+    /**
+     * Creates the outputs derived from a processed video: its HLS package and the transcoded
+     * variants client profiles need
+     */
+    async finishOutputs(processedVideoData, signal, getVariantSpecs = null) {
+        // Players match index updates by library id, not by the server's paths
+        const video = await this.attachHls({
+            ...processedVideoData,
+            libraryId: VideoLibrary.getId(processedVideoData.originalPath)
+        }, signal);
+        
+        if (getVariantSpecs && this.profileVariants) {
+            const output = video.metadata?.output;
+            const specs = output ? getVariantSpecs(output, !!video.hls) : [];
+            
+            for (const spec of specs) {
+                this.throwIfCancelled(signal, video);
+                await this.createVariant(video, spec, signal);
+            }
+        }
+        
+        return video;
+    }
+    
+    /**
+     * Transcodes a variant of a processed video for a client profile. Failures are logged,
+     * the player then gets the best output there is.
+     * @param {Object} processedVideoData - Video with processedPath
+     * @param {Object} spec - { key, height, audioChannels }
+     * @param {AbortSignal} signal - Aborts encoding
+     * @returns {Promise<boolean>} True if the variant exists
+     */
+    async createVariant(processedVideoData, spec, signal = null) {
+        try {
+            await this.profileVariants.ensureVariant(processedVideoData.processedPath, spec, {
+                signal,
+                threads: this.getPerformanceConfig().maxThreads
+            });
+            return true;
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            
+            this.logger.error(`    ⚠️ Variant ${spec.key} failed: ${processedVideoData.filename}`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Adds the HLS package of a processed video when HLS output is enabled. Packaging failures
+     * only cost the HLS variant, players fall back to the MP4.
+     * @param {Object} processedVideoData - Video with processedPath
+     * @param {AbortSignal} signal - Aborts packaging
+     * @returns {Promise<Object>} Video data with hls: { id, renditions } when packaged
+     */
+    async attachHls(processedVideoData, signal) {
+        if (!this.hlsPackager || !this.hlsPackager.isEnabled()) {
+            return processedVideoData;
+        }
+        
+        try {
+            const hls = await this.hlsPackager.ensurePackage(processedVideoData.processedPath, {
+                signal,
+                threads: this.getPerformanceConfig().maxThreads
+            });
+            return { ...processedVideoData, hls };
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            
+            this.logger.error(`    ⚠️ HLS packaging failed, serving MP4 only: ${processedVideoData.filename}`, error);
+            return processedVideoData;
+        }
+    }
+    
     calculateCrossfadeTiming(duration) {
         if (!duration || duration < 10) {
             return null;
@@ -1,6 +1,8 @@
 const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
 
@@ -9,14 +11,54 @@ const VideoIndex = require('../shared/video/videoIndex');
 const PreprocessedQueue = require('../shared/queue/preprocessedQueue');
 const QueuePersistence = require('../shared/queue/queuePersistence');
 const ReprocessHandler = require('../shared/queue/reprocessHandler');
+const EnqueueHandler = require('../shared/queue/enqueueHandler');
+const { createEnqueueRouter } = require('../shared/queue/enqueueRoutes');
+const UpcomingQueue = require('../shared/queue/upcomingQueue');
+const { createUpcomingRouter } = require('../shared/queue/upcomingRoutes');
 const HistoryManager = require('../shared/queue/historyManager');
+const DirectoryWatcher = require('../shared/video/directoryWatcher');
+const SessionManager = require('../shared/session/sessionManager');
+const SyncGroup = require('../shared/session/syncGroup');
+const SeasonalPreview = require('../shared/video/seasonalPreview');
+const ClientProfiles = require('../shared/video/clientProfiles');
+const VideoLibrary = require('../shared/library/videoLibrary');
+const { createLibraryRouter } = require('../shared/library/libraryRoutes');
+const PlaylistManager = require('../shared/playlist/playlistManager');
+const PlaylistScheduler = require('../shared/playlist/playlistScheduler');
+const { createPlaylistRouter } = require('../shared/playlist/playlistRoutes');
+const VideoRatings = require('../shared/ratings/videoRatings');
+const { createRatingRouter } = require('../shared/ratings/ratingRoutes');
+const ScheduleGuide = require('../shared/schedule/scheduleGuide');
+const { createScheduleRouter } = require('../shared/schedule/scheduleRoutes');
+const ControlHub = require('../shared/control/controlHub');
+const { createControlRouter } = require('../shared/control/controlRoutes');
+const NowPlaying = require('../shared/control/nowPlaying');
+const { createNowPlayingRouter } = require('../shared/control/nowPlayingRoutes');
+const AuthManager = require('../shared/auth/authManager');
+const { createAuthRouter } = require('../shared/auth/authRoutes');
 const Logger = require('../shared/utils/logger');
+const SelfSignedCertificate = require('../shared/utils/selfSignedCertificate');
+
+// GET routes that players use to take videos or commands, which need the control scope like other player calls
+const PLAYER_GET_ROUTES = ['/api/next-video', '/api/previous-video', '/api/control/commands'];
+
+// Routes that work without signing in
+const PUBLIC_API_ROUTES = ['/api/auth/status', '/api/auth/login', '/api/auth/logout'];
+
+// Pages and client files that load without signing in; any other path needs at least the read scope
+const PUBLIC_PATHS = ['/', '/login', '/health'];
+const PUBLIC_PATH_PATTERN = /^\/((client|shared)\/[\w./-]+|[\w.-]+\.(js|html|css))$/;
+
+// WebSocket messages that only read state; everything else is a player message and needs the control scope
+const READ_MESSAGES = ['subscribe', 'sync-ping'];
 
 class VideoPlayerWebServer {
     constructor() {
         this.logger = new Logger('WEB-SERVER');
         this.app = express();
         this.server = null;
+        this.redirectServer = null;
+        this.protocol = 'http';
         this.wss = null;
         this.clients = new Set();
         
@@ -26,7 +68,27 @@ class VideoPlayerWebServer {
         this.preprocessedQueue = null;
         this.queuePersistence = null;
         this.reprocessHandler = null;
+        this.enqueueHandler = null;
+        this.enqueueRouter = null;
+        this.upcomingQueue = null;
+        this.upcomingRouter = null;
         this.historyManager = null;
+        this.directoryWatcher = null;
+        this.sessionManager = null;
+        this.seasonalPreview = null;
+        this.controlHub = null;
+        this.nowPlaying = null;
+        this.authManager = null;
+        this.clientProfiles = null;
+        this.library = null;
+        this.libraryRouter = null;
+        this.playlistManager = null;
+        this.playlistScheduler = null;
+        this.playlistRouter = null;
+        this.videoRatings = null;
+        this.ratingRouter = null;
+        this.scheduleGuide = null;
+        this.scheduleRouter = null;
         
         this.initializationState = {
             stage: 'not_started',
@@ -55,19 +117,32 @@ class VideoPlayerWebServer {
             this.configManager = new ConfigManager(this.logger);
             await this.configManager.load();
             
+            this.authManager = new AuthManager(this.logger, this.configManager);
+            await this.authManager.load();
+            
+            this.clientProfiles = new ClientProfiles(this.logger, this.configManager);
+            this.controlHub = new ControlHub(this.logger, this.configManager);
+            this.nowPlaying = new NowPlaying(this.logger, this.configManager);
+            this.nowPlaying.onChange((snapshot, change) => this.publish('now-playing', { ...snapshot, change }));
+            this.nowPlaying.start();
+            
             const serverConfig = this.configManager.config.network?.server || {};
             const port = serverConfig.port || 3123;
             const host = serverConfig.host || 'localhost';
             const autoOpenBrowser = serverConfig.autoOpenBrowser !== false; // Default to true
             
+            if (host !== 'localhost' && host !== '127.0.0.1' && !this.authManager.isEnabled()) {
+                this.logger.log(`WARNING: listening on ${host} without authentication - anyone on the network can control VideoJuke (see auth in config.json)`);
+            }
+            
             // Setup Express middleware
             this.setupMiddleware();
             
             // Setup routes
             this.setupRoutes();
             
-            // Create HTTP server
-            this.server = http.createServer(this.app);
+            // Create HTTP or HTTPS server (WebSockets share it, as ws:// or wss://)
+            this.server = await this.createHttpServer(serverConfig);
             
             // Setup WebSocket server
             this.setupWebSocket();
@@ -77,20 +152,24 @@ class VideoPlayerWebServer {
             
             // Start server
             this.server.listen(port, host, () => {
-                this.logger.log(`VideoJuke web server running on http://${host}:${port}`);
+                this.logger.log(`VideoJuke web server running on ${this.protocol}://${host}:${port}`);
                 this.logger.log('WebSocket server ready for real-time communication');
                 
                 if (autoOpenBrowser) {
                     this.logger.log('Auto-opening browser (configured in config.json)');
                     this.openBrowser(host, port);
                 } else {
-                    this.logger.log(`Auto-open disabled. Open http://${host}:${port} in your browser to use VideoJuke`);
+                    this.logger.log(`Auto-open disabled. Open ${this.protocol}://${host}:${port} in your browser to use VideoJuke`);
                 }
                 
                 // Start initialization
                 this.performInitialization();
             });
             
+            if (this.protocol === 'https' && serverConfig.tls.redirectHttpPort) {
+                this.startRedirectListener(serverConfig.tls.redirectHttpPort, host, port);
+            }
+            
         } catch (error) {
             this.logger.error('Failed to start server', error);
             process.exit(1);
@@ -105,7 +184,7 @@ class VideoPlayerWebServer {
             
             // Construct URL - use localhost if host is 0.0.0.0 (since 0.0.0.0 doesn't work in browsers)
             const browserHost = host === '0.0.0.0' ? 'localhost' : host;
-            const url = `http://${browserHost}:${port}`;
+            const url = `${this.protocol}://${browserHost}:${port}`;
             
             // Add a small delay to ensure server is fully ready
             const openDelay = this.configManager.getTimeout('browserOpenDelay', 1000);
@@ -124,10 +203,68 @@ class VideoPlayerWebServer {
         } catch (importError) {
             this.logger.error('Failed to import open module for browser launch', importError);
             const browserHost = host === '0.0.0.0' ? 'localhost' : host;
-            this.logger.log(`Please manually open: http://${browserHost}:${port}`);
+            this.logger.log(`Please manually open: ${this.protocol}://${browserHost}:${port}`);
         }
     }
     
+    /**
+     * Plain HTTP, or HTTPS when network.server.tls.enabled is set
+     */
+    async createHttpServer(serverConfig) {
+        const tls = serverConfig.tls || {};
+        if (!tls.enabled) {
+            return http.createServer(this.app);
+        }
+        
+        const credentials = await this.loadTlsCredentials(tls, serverConfig.host || 'localhost');
+        this.protocol = 'https';
+        
+        return https.createServer(credentials, this.app);
+    }
+    
+    /**
+     * Reads the configured certificate and key, or loads (creating it on first run) a self-signed
+     * certificate for this machine's names and addresses
+     */
+    async loadTlsCredentials(tls, host) {
+        if (tls.cert && tls.key) {
+            this.logger.log(`Using TLS certificate ${tls.cert}`);
+            
+            return {
+                cert: await fs.promises.readFile(path.resolve(tls.cert)),
+                key: await fs.promises.readFile(path.resolve(tls.key)),
+                ca: tls.ca ? await fs.promises.readFile(path.resolve(tls.ca)) : undefined,
+                passphrase: tls.passphrase || undefined
+            };
+        }
+        
+        if (tls.selfSigned === false) {
+            throw new Error('network.server.tls is enabled without cert and key - set both, or enable selfSigned');
+        }
+        
+        const hostnames = SelfSignedCertificate.getLocalHostnames([host, ...(tls.hostnames || [])]);
+        return SelfSignedCertificate.loadOrCreate(path.join(process.cwd(), 'cache', 'tls'), hostnames, this.logger);
+    }
+    
+    /**
+     * Plain HTTP listener that sends every request to the same path over HTTPS
+     */
+    startRedirectListener(redirectPort, host, httpsPort) {
+        this.redirectServer = http.createServer((req, res) => {
+            const hostname = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+            res.writeHead(301, { Location: `https://${hostname}:${httpsPort}${req.url}` });
+            res.end();
+        });
+        
+        this.redirectServer.on('error', (error) => {
+            this.logger.error(`HTTP redirect listener failed on port ${redirectPort}`, error);
+        });
+        
+        this.redirectServer.listen(redirectPort, host, () => {
+            this.logger.log(`Redirecting http://${host}:${redirectPort} to HTTPS`);
+        });
+    }
+    
     setupMiddleware() {
         // CORS for cross-origin requests
         this.app.use(cors());
@@ -135,12 +272,19 @@ class VideoPlayerWebServer {
         // JSON parsing
         this.app.use(express.json());
         
-        // Request logging
+        // Request logging (players without WebSocket poll for remote commands every second,
+        // report their playback position every few seconds and poll their sync group's clock and timeline)
+        const quietPaths = /^\/api\/(control\/commands|sync\/time|sync\/[^/]+\/join)$/;
         this.app.use((req, res, next) => {
-            this.logger.log(`${req.method} ${req.path}`);
+            if (!quietPaths.test(req.path) && !(req.method === 'POST' && req.path === '/api/now-playing')) {
+                this.logger.log(`${req.method} ${req.path}`);
+            }
             next();
         });
         
+        // Authentication (when auth.enabled): API routes, videos and the WebSocket need a session or token
+        this.app.use(this.authManager.middleware((req) => this.getRequiredScope(req)));
+        
         // Serve static client files with proper MIME types
         this.app.use('/client', express.static(path.join(__dirname, '../../client/web'), {
             setHeaders: (res, filePath) => {
@@ -162,9 +306,9 @@ class VideoPlayerWebServer {
         // Serve individual client files at root level
         this.app.get('/*.js', (req, res, next) => {
             const filename = req.params[0] + '.js';
-            const filePath = path.join(__dirname, '../../client/web', filename);
             res.setHeader('Content-Type', 'application/javascript');
-            res.sendFile(filePath, (err) => {
+            // Relative to the client directory, so '..' cannot reach other files
+            res.sendFile(filename, { root: path.join(__dirname, '../../client/web') }, (err) => {
                 if (err) {
                     next();
                 }
@@ -178,12 +322,20 @@ class VideoPlayerWebServer {
             res.json({ status: 'ok', timestamp: new Date().toISOString() });
         });
         
-        // Configuration
+        // Configuration, without credentials
         this.app.get('/api/config', (req, res) => {
             this.logger.log('Client requested configuration');
-            res.json(this.configManager.config);
+            
+            const { auth, ...config } = this.configManager.config;
+            if (config.sync?.token) {
+                config.sync = { ...config.sync, token: null };
+            }
+            res.json(config);
         });
         
+        // Sign in and out, API tokens
+        this.app.use(createAuthRouter(this.authManager, this.logger));
+        
         // Initialization status
         this.app.get('/api/initialization-status', (req, res) => {
             res.json(this.initializationState);
@@ -203,7 +355,12 @@ class VideoPlayerWebServer {
         });
         
         // Detailed statistics
-        this.app.get('/api/detailed-stats', (req, res) => {
+        this.app.get('/api/detailed-stats', async (req, res) => {
+            const session = await this.getRequestSession(req, res, false);
+            if (!session) {
+                return;
+            }
+            
             const now = new Date();
             const lastUpdateDate = this.stats.lastIndexUpdate ? new Date(this.stats.lastIndexUpdate) : null;
             const nextUpdateTime = lastUpdateDate ? 
@@ -211,12 +368,7 @@ class VideoPlayerWebServer {
             
             const timeUntilNextUpdate = nextUpdateTime ? Math.max(0, nextUpdateTime - now) : null;
             
-            const historyInfo = this.historyManager ? this.historyManager.getDebugInfo() : {
-                playbackHistory: [],
-                persistedHistoryCount: 0,
-                playbackHistorySize: 0,
-                persistedHistorySize: 0
-            };
+            const historyInfo = session.historyManager.getDebugInfo();
             
             res.json({
                 preprocessedQueueSize: this.preprocessedQueue.size(),
@@ -237,14 +389,152 @@ class VideoPlayerWebServer {
                 preprocessedVideos: this.stats.preprocessedVideos,
                 preprocessingErrors: this.stats.preprocessingErrors,
                 isPreprocessing: this.preprocessedQueue.isProcessing,
+                processedCache: this.preprocessedQueue.processedCache.getStats(),
+                selection: this.videoIndex.getSelectionStats(),
                 playbackHistoryCount: historyInfo.playbackHistory.length,
-                persistedHistoryCount: historyInfo.persistedHistoryCount
+                persistedHistoryCount: historyInfo.persistedHistoryCount,
+                session: {
+                    ...session.getInfo(this.sessionManager.getSessionsConfig().idleTimeout),
+                    queuedForSession: this.preprocessedQueue.getAvailableFor(session).length
+                }
+            });
+        });
+        
+        // Remote control: /api/control/* transport commands, pushed to connected players
+        this.app.use(createControlRouter(this.controlHub, this.logger));
+        
+        // Now playing: GET for the current title and position, POST for player event reports
+        this.app.use(createNowPlayingRouter(this.nowPlaying, this.logger));
+        
+        // Library: paged list and search of the indexed videos
+        this.mountWhenReady('/api/library', () => this.libraryRouter);
+        // Play next: videos picked from the library go into the players' queues
+        this.mountWhenReady('/api/enqueue', () => this.enqueueRouter);
+        // Upcoming: the preprocessed queue and the players' queues, with edits
+        this.mountWhenReady('/api/upcoming', () => this.upcomingRouter);
+        // Playlists: stored lists, M3U import and programmed blocks
+        this.mountWhenReady('/api/playlists', () => this.playlistRouter);
+        // Ratings, favorites and bans that weight video selection
+        this.mountWhenReady('/api/ratings', () => this.ratingRouter);
+        // Broadcast schedule: programme guide, what is on air and XMLTV export
+        this.mountWhenReady('/api/schedule', () => this.scheduleRouter);
+        
+        // Client sessions (screens) sharing the preprocessed queue
+        this.app.get('/api/sessions', (req, res) => {
+            if (!this.sessionManager) {
+                return res.status(503).json({ error: 'Server is still initializing' });
+            }
+            
+            res.json({
+                sessions: this.sessionManager.getSessionsInfo().map(info => ({
+                    ...info,
+                    queuedForSession: this.preprocessedQueue.getAvailableFor(this.sessionManager.sessions.get(info.name)).length
+                })),
+                preprocessedQueueSize: this.preprocessedQueue.size()
+            });
+        });
+        
+        // Sync groups: sessions played in lockstep on several players. Players without a WebSocket
+        // use these routes for the clock and the timeline.
+        this.app.get('/api/sync/time', (req, res) => {
+            res.json({ id: req.query.id ?? null, serverTime: Date.now() });
+        });
+        
+        this.app.get('/api/sync/:group', async (req, res) => {
+            const syncGroup = await this.getRequestSyncGroup(req, res);
+            if (syncGroup) {
+                res.json({ ...syncGroup.getState(req.query.clientId || null), ...syncGroup.getInfo() });
+            }
+        });
+        
+        this.app.post('/api/sync/:group/join', async (req, res) => {
+            const { clientId, clientType, report } = req.body || {};
+            if (!clientId) {
+                return res.status(400).json({ error: 'Missing clientId' });
+            }
+            
+            const syncGroup = await this.getRequestSyncGroup(req, res);
+            if (!syncGroup) {
+                return;
+            }
+            
+            try {
+                res.json(await syncGroup.join(clientId, clientType, null, report));
+            } catch (error) {
+                this.sendSyncError(res, error, 'Failed to join sync group');
+            }
+        });
+        
+        this.app.post('/api/sync/:group/leave', async (req, res) => {
+            const syncGroup = await this.getRequestSyncGroup(req, res);
+            if (syncGroup) {
+                syncGroup.leave(req.body?.clientId);
+                res.json({ success: true });
+            }
+        });
+        
+        this.app.post('/api/sync/:group/skip', async (req, res) => {
+            const syncGroup = await this.getRequestSyncGroup(req, res);
+            if (!syncGroup) {
+                return;
+            }
+            
+            try {
+                res.json(await syncGroup.skip(req.body?.clientId || null));
+            } catch (error) {
+                this.sendSyncError(res, error, 'Failed to skip in sync group');
+            }
+        });
+        
+        // Client capabilities: players report what they decode and output, and get videos in a
+        // form their profile plays
+        this.app.post('/api/capabilities', (req, res) => {
+            const { clientId, clientType, capabilities } = req.body || {};
+            
+            try {
+                const profile = this.clientProfiles.report(clientId, {
+                    clientType,
+                    session: req.query.session || null,
+                    capabilities
+                });
+                res.json({ clientId, profile, enabled: this.clientProfiles.getProfilesConfig().enabled });
+            } catch (error) {
+                if (error.code !== 'INVALID_CAPABILITIES') {
+                    this.logger.error('Failed to store client capabilities', error);
+                }
+                res.status(error.code === 'INVALID_CAPABILITIES' ? 400 : 500).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/api/capabilities', (req, res) => {
+            res.json({
+                enabled: this.clientProfiles.getProfilesConfig().enabled,
+                clients: this.clientProfiles.getClients()
             });
         });
         
+        // Seasonal schedule preview: ?at=<ISO> or ?from=<ISO>&to=<ISO>&step=<minutes>, plus &simulate=<picks>&seed=<seed>
+        this.app.get('/api/seasonal/preview', (req, res) => {
+            if (!this.seasonalPreview) {
+                return res.status(503).json({ error: 'Server is still initializing' });
+            }
+            
+            try {
+                const options = SeasonalPreview.parseOptions(req.query);
+                res.json(this.seasonalPreview.run(options));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
         // Video operations
-        this.app.get('/api/next-video', (req, res) => {
-            const video = this.preprocessedQueue.getNext();
+        this.app.get('/api/next-video', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
+            let video = this.preprocessedQueue.getNext(session);
             if (video) {
                 // Validate that the processed file still exists
                 const fs = require('fs');
@@ -260,7 +550,7 @@ class VideoPlayerWebServer {
                     let validVideo = null;
                     
                     while (attempts < 5 && !validVideo) {
-                        const nextVideo = this.preprocessedQueue.getNext();
+                        const nextVideo = this.preprocessedQueue.getNext(session);
                         if (!nextVideo) {
                             break;
                         }
@@ -292,78 +582,102 @@ class VideoPlayerWebServer {
                 
                 this.logger.log(`Sending video: ${video.filename}`);
                 this.stats.videosPlayedThisSession++;
+                session.stats.videosPlayed++;
                 
                 // Convert file path to HTTP URL with proper encoding
-                const processedPath = video.processedPath;
-                const filename = path.basename(processedPath);
-                
-                // Use query parameter for filename to avoid route parameter encoding issues
-                const encodedFilename = encodeURIComponent(filename);
-                video.serverUrl = `/videos?filename=${encodedFilename}`;
+                this.setMediaUrls(video, req.query.clientId);
                 
-                this.logger.log(`Video filename: ${filename}`);
-                this.logger.log(`Encoded filename: ${encodedFilename}`);
+                this.logger.log(`Video filename: ${path.basename(video.processedPath)}`);
                 this.logger.log(`Video URL: ${video.serverUrl}`);
             }
             res.json(video);
         });
         
-        this.app.post('/api/video-ended', (req, res) => {
+        this.app.post('/api/video-ended', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
             const videoData = req.body;
-            if (videoData && this.historyManager) {
-                this.historyManager.addToHistory(videoData);
+            if (videoData) {
+                session.historyManager.addToHistory(videoData);
                 this.logger.log(`Video ended and added to history: ${videoData.filename}`);
             }
             res.json({ success: true });
         });
         
-        this.app.post('/api/video-error', (req, res) => {
+        this.app.post('/api/video-error', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
             const { errorMessage } = req.body;
-            this.logger.error(`Client error: ${errorMessage}`);
+            this.logger.error(`Client error (session ${session.name}): ${errorMessage}`);
             this.stats.videosSkippedErrors++;
+            session.stats.videosSkippedErrors++;
             res.json({ success: true });
         });
         
-        this.app.post('/api/video-skipped-manual', (req, res) => {
+        this.app.post('/api/video-skipped-manual', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
             this.stats.videosSkippedManual++;
+            session.stats.videosSkippedManual++;
+            this.videoRatings.recordSkip(req.body?.originalPath);
             res.json({ success: true });
         });
         
-        this.app.post('/api/video-returned-to-previous', (req, res) => {
+        this.app.post('/api/video-returned-to-previous', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
             this.stats.videosReturnedToPrevious++;
+            session.stats.videosReturnedToPrevious++;
             res.json({ success: true });
         });
         
         // History operations
-        this.app.get('/api/previous-video', (req, res) => {
-            if (this.historyManager) {
-                const previous = this.historyManager.getPreviousVideo();
-                if (previous) {
-                    this.logger.log(`Sending previous video: ${previous.filename}`);
-                    
-                    // Convert file path to HTTP URL with proper encoding
-                    if (previous.processedPath) {
-                        const filename = path.basename(previous.processedPath);
-                        const encodedFilename = encodeURIComponent(filename);
-                        previous.serverUrl = `/videos?filename=${encodedFilename}`;
-                        
-                        this.logger.log(`Previous video filename: ${filename}`);
-                        this.logger.log(`Encoded filename: ${encodedFilename}`);
-                        this.logger.log(`Previous video URL: ${previous.serverUrl}`);
-                    }
+        this.app.get('/api/previous-video', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
+            const previous = session.historyManager.getPreviousVideo();
+            if (previous) {
+                this.logger.log(`Sending previous video: ${previous.filename}`);
+                
+                // Convert file path to HTTP URL with proper encoding
+                if (previous.processedPath) {
+                    this.setMediaUrls(previous, req.query.clientId);
                     
-                    res.json(previous);
-                    return;
+                    this.logger.log(`Previous video filename: ${path.basename(previous.processedPath)}`);
+                    this.logger.log(`Previous video URL: ${previous.serverUrl}`);
                 }
+                
+                res.json(previous);
+                return;
             }
             this.logger.log('No previous video available');
             res.json(null);
         });
         
-        this.app.post('/api/add-to-history', (req, res) => {
+        this.app.post('/api/add-to-history', async (req, res) => {
+            const session = await this.getRequestSession(req, res);
+            if (!session) {
+                return;
+            }
+            
             const videoData = req.body;
-            if (videoData && this.historyManager) {
-                this.historyManager.addToHistory(videoData);
+            if (videoData) {
+                session.historyManager.addToHistory(videoData);
                 this.logger.log(`Manually added to history: ${videoData.filename}`);
             }
             res.json({ success: true });
@@ -374,12 +688,9 @@ class VideoPlayerWebServer {
                 const videoData = req.body;
                 const processedVideo = await this.reprocessHandler.ensureVideoProcessed(videoData);
                 if (processedVideo && processedVideo.processedPath) {
-                    const filename = path.basename(processedVideo.processedPath);
-                    const encodedFilename = encodeURIComponent(filename);
-                    processedVideo.serverUrl = `/videos?filename=${encodedFilename}`;
+                    this.setMediaUrls(processedVideo, req.query.clientId);
                     
-                    this.logger.log(`Reprocessed video filename: ${filename}`);
-                    this.logger.log(`Encoded filename: ${encodedFilename}`);
+                    this.logger.log(`Reprocessed video filename: ${path.basename(processedVideo.processedPath)}`);
                     this.logger.log(`Reprocessed video URL: ${processedVideo.serverUrl}`);
                 }
                 res.json(processedVideo);
@@ -403,10 +714,28 @@ class VideoPlayerWebServer {
                 
                 this.logger.log(`Video request - encoded: ${encodedFilename}, decoded: ${decodedFilename}`);
                 
-                const videoPath = path.join(process.cwd(), 'temp', decodedFilename);
+                // Only processed files are served: a plain file name, never a path
+                if (path.basename(decodedFilename) !== decodedFilename || decodedFilename.startsWith('.')) {
+                    this.logger.error(`Rejected video filename: ${decodedFilename}`);
+                    return res.status(400).json({ error: 'Invalid filename parameter' });
+                }
                 
-                // Check if file exists
                 const fs = require('fs');
+                
+                // Processed files live in temp/ or, when cached, in the processed cache directory;
+                // variants for client profiles in their own directory
+                let videoPath = this.preprocessedQueue?.profileVariants.resolveFilename(decodedFilename) ||
+                    path.join(process.cwd(), 'temp', decodedFilename);
+                if (!fs.existsSync(videoPath) && this.preprocessedQueue?.processedCache) {
+                    videoPath = this.preprocessedQueue.processedCache.getOutputPath(decodedFilename);
+                }
+                
+                if (!this.isServedVideoPath(videoPath)) {
+                    this.logger.error(`Rejected video path outside the video directories: ${videoPath}`);
+                    return res.status(400).json({ error: 'Invalid filename parameter' });
+                }
+                
+                // Check if file exists
                 if (!fs.existsSync(videoPath)) {
                     this.logger.error(`Video file not found: ${decodedFilename}`);
                     return res.status(404).json({ error: 'Video file not found' });
@@ -466,12 +795,69 @@ class VideoPlayerWebServer {
             }
         });
         
-        // Serve the client application
+        // HLS packages: playlists carry the request's signature or token on to the files they list
+        const serveHls = async (req, res) => {
+            const { id, rendition, file } = req.params;
+            const hlsPackager = this.preprocessedQueue?.hlsPackager;
+            const filePath = hlsPackager && (rendition ? hlsPackager.resolveFile(id, rendition, file) : hlsPackager.resolveFile(id, file));
+            
+            if (!filePath || !fs.existsSync(filePath)) {
+                return res.status(404).json({ error: 'HLS file not found' });
+            }
+            
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            
+            if (file.endsWith('.ts')) {
+                res.setHeader('Content-Type', 'video/mp2t');
+                return res.sendFile(filePath);
+            }
+            
+            try {
+                const credentials = new URLSearchParams();
+                for (const name of ['expires', 'signature', 'token']) {
+                    if (typeof req.query[name] === 'string') {
+                        credentials.set(name, req.query[name]);
+                    }
+                }
+                
+                let playlist = await fs.promises.readFile(filePath, 'utf8');
+                
+                // Players whose profile caps the height only see the renditions up to it
+                const maxHeight = parseInt(req.query.maxHeight, 10);
+                if (!rendition && maxHeight > 0) {
+                    playlist = this.filterMasterPlaylist(playlist, maxHeight);
+                }
+                
+                if (credentials.toString()) {
+                    playlist = playlist.replace(/^(?!#)(\S+)$/gm, `$1?${credentials}`);
+                }
+                
+                res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.send(playlist);
+            } catch (error) {
+                this.logger.error(`Failed to serve HLS playlist: ${filePath}`, error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        };
+        
+        this.app.get('/hls/:id/:file', serveHls);
+        this.app.get('/hls/:id/:rendition/:file', serveHls);
+        
+        // Serve the client application, or the login page when auth is on and the browser is not signed in
         this.app.get('/', (req, res) => {
+            if (this.authManager.isEnabled() && !this.authManager.authenticate(req)) {
+                return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            
             const htmlPath = path.join(__dirname, '../../client/web/index.html');
             res.sendFile(htmlPath);
         });
         
+        this.app.get('/login', (req, res) => {
+            res.sendFile(path.join(__dirname, '../../client/web/login.html'));
+        });
+        
         // Serve any other static files from client directory
         this.app.use(express.static(path.join(__dirname, '../../client/web'), {
             setHeaders: (res, filePath) => {
@@ -483,20 +869,42 @@ class VideoPlayerWebServer {
     }
     
     setupWebSocket() {
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            // Browsers send the session cookie with the handshake; other clients pass ?token=
+            verifyClient: (info, done) => {
+                if (!this.authManager.isEnabled()) {
+                    return done(true);
+                }
+                
+                info.req.auth = this.authManager.authenticate(info.req, { allowQueryToken: true });
+                if (!info.req.auth) {
+                    this.logger.log('Rejected unauthenticated WebSocket connection');
+                    return done(false, 401, 'Authentication required');
+                }
+                done(true);
+            }
+        });
         
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
             this.logger.log('Client connected via WebSocket');
             this.clients.add(ws);
+            ws.auth = req.auth || null;
+            
+            ws.on('message', (data) => this.handleClientMessage(ws, data));
             
             ws.on('close', () => {
                 this.logger.log('Client disconnected from WebSocket');
                 this.clients.delete(ws);
+                this.unregisterControlClient(ws);
+                this.leaveSyncGroup(ws);
             });
             
             ws.on('error', (error) => {
                 this.logger.error('WebSocket error', error);
                 this.clients.delete(ws);
+                this.unregisterControlClient(ws);
+                this.leaveSyncGroup(ws);
             });
             
             // Send current initialization state to new client
@@ -527,6 +935,345 @@ class VideoPlayerWebServer {
         });
     }
     
+    /**
+     * Handles messages sent by players over the WebSocket
+     */
+    handleClientMessage(ws, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.logger.error('Invalid WebSocket message from client', error);
+            return;
+        }
+        
+        const { type, data: payload } = message || {};
+        
+        const requiredScope = READ_MESSAGES.includes(type) ? 'read' : 'control';
+        if (this.authManager.isEnabled() && !AuthManager.hasScope(ws.auth?.scope, requiredScope)) {
+            ws.send(JSON.stringify({ type: 'auth-error', data: { type, error: `This requires the ${requiredScope} scope` } }));
+            return;
+        }
+        
+        switch (type) {
+            case 'register':
+                if (!payload?.clientId) {
+                    return;
+                }
+                
+                ws.clientId = payload.clientId;
+                ws.clientType = payload.clientType;
+                ws.controlSend = (command) => {
+                    if (ws.readyState !== WebSocket.OPEN) {
+                        throw new Error('WebSocket is not open');
+                    }
+                    ws.send(JSON.stringify({ type: 'control-command', data: command }));
+                };
+                this.controlHub.registerClient(payload.clientId, payload.clientType, ws.controlSend);
+                break;
+            
+            case 'control-ack':
+                if (ws.clientId) {
+                    this.controlHub.handleAck(ws.clientId, payload);
+                }
+                break;
+            
+            case 'now-playing':
+                if (ws.clientId) {
+                    try {
+                        this.nowPlaying.handleEvent(ws.clientId, ws.clientType, payload);
+                    } catch (error) {
+                        this.logger.log(`Rejected now-playing report from ${ws.clientId}: ${error.message}`);
+                    }
+                }
+                break;
+            
+            case 'subscribe':
+                // Dashboards subscribe to topics instead of receiving every player message
+                ws.topics = new Set(Array.isArray(payload?.topics) ? payload.topics : []);
+                if (ws.topics.has('now-playing')) {
+                    ws.send(JSON.stringify({
+                        type: 'now-playing',
+                        data: { ...this.nowPlaying.getSnapshot(), change: null }
+                    }));
+                }
+                break;
+            
+            case 'sync-ping':
+                // Clock sample for sync group members, answered right away to keep the round trip short
+                ws.send(JSON.stringify({ type: 'sync-pong', data: { id: payload?.id ?? null, serverTime: Date.now() } }));
+                break;
+            
+            case 'sync-join':
+            case 'sync-leave':
+            case 'sync-skip':
+                this.handleSyncMessage(ws, type, payload || {});
+                break;
+            
+            default:
+                this.logger.log(`Unknown WebSocket message type from client: ${type}`);
+        }
+    }
+    
+    async handleSyncMessage(ws, type, payload) {
+        try {
+            const syncGroup = await this.getSyncGroup(payload.group);
+            const clientId = payload.clientId || ws.clientId;
+            
+            if (type === 'sync-join') {
+                if (!clientId) {
+                    throw new Error('Missing clientId');
+                }
+                
+                ws.syncGroup = syncGroup;
+                ws.syncClientId = clientId;
+                ws.syncSend = ws.syncSend || ((messageType, data) => {
+                    if (ws.readyState !== WebSocket.OPEN) {
+                        throw new Error('WebSocket is not open');
+                    }
+                    ws.send(JSON.stringify({ type: messageType, data }));
+                });
+                
+                const state = await syncGroup.join(clientId, payload.clientType || ws.clientType, ws.syncSend, payload.report);
+                ws.syncSend('sync-state', state);
+            } else if (type === 'sync-leave') {
+                syncGroup.leave(clientId);
+                ws.syncGroup = null;
+            } else {
+                await syncGroup.skip(clientId);
+            }
+        } catch (error) {
+            if (!error.code) {
+                this.logger.error(`Sync group message failed: ${type}`, error);
+            }
+            
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'sync-error', data: { group: payload.group, error: error.message } }));
+            }
+        }
+    }
+    
+    leaveSyncGroup(ws) {
+        if (ws.syncGroup) {
+            ws.syncGroup.leave(ws.syncClientId);
+            ws.syncGroup = null;
+        }
+    }
+    
+    /**
+     * Looks up the sync group of a session, creating it when the first player joins
+     * @throws {Error} With code 'INVALID_SESSION' or 'NOT_SYNC_GROUP'
+     */
+    async getSyncGroup(name) {
+        if (!this.sessionManager) {
+            throw new Error('Server is still initializing');
+        }
+        
+        const session = await this.sessionManager.getSession(name || null);
+        if (!session.sync) {
+            const error = new Error(`Session ${session.name} is not a sync group (set "sync": true in its definition)`);
+            error.code = 'NOT_SYNC_GROUP';
+            throw error;
+        }
+        
+        if (!session.syncGroup) {
+            session.syncGroup = new SyncGroup(session, this.logger, this.configManager, this.preprocessedQueue,
+                (video, clientId) => this.setMediaUrls(video, clientId), session.schedule ? this.scheduleGuide : null);
+            session.syncGroup.onVideoSkipped(video => this.videoRatings.recordSkip(video.originalPath));
+        }
+        
+        return session.syncGroup;
+    }
+    
+    /**
+     * Routes requests under a path prefix to a router that is created once the server has
+     * initialized; until then they get 503
+     * @param {string} prefix - Path the router's routes start with, e.g. '/api/library'
+     * @param {Function} getRouter - Returns the router, or null while it does not exist yet
+     */
+    mountWhenReady(prefix, getRouter) {
+        this.app.use((req, res, next) => {
+            const pathname = req.path.toLowerCase();
+            if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+                return next();
+            }
+            
+            const router = getRouter();
+            if (!router) {
+                return res.status(503).json({ error: 'Server is still initializing' });
+            }
+            router(req, res, next);
+        });
+    }
+    
+    async getRequestSyncGroup(req, res) {
+        try {
+            return await this.getSyncGroup(req.params.group);
+        } catch (error) {
+            if (!error.code) {
+                this.logger.error('Failed to resolve sync group', error);
+            }
+            res.status(error.code ? 400 : 503).json({ error: error.message });
+            return null;
+        }
+    }
+    
+    sendSyncError(res, error, message) {
+        if (!error.code) {
+            this.logger.error(message, error);
+        }
+        res.status(error.code ? 400 : 500).json({ error: error.message });
+    }
+    
+    /**
+     * Whether a file lies in one of the directories /videos serves from: temp/, the processed
+     * cache and the profile variants
+     */
+    isServedVideoPath(videoPath) {
+        const directories = [
+            path.join(process.cwd(), 'temp'),
+            this.preprocessedQueue?.processedCache?.outputDir,
+            this.preprocessedQueue?.profileVariants?.outputDir
+        ].filter(Boolean);
+        
+        const resolved = path.resolve(videoPath);
+        return directories.some(directory => path.dirname(resolved) === path.resolve(directory));
+    }
+    
+    /**
+     * Scope a request needs when auth is enabled, or null for public routes (client files, login).
+     * Express matches routes case-insensitively and with a trailing slash, so paths are compared
+     * lowercased and without one.
+     */
+    getRequiredScope(req) {
+        const pathname = req.path.toLowerCase().replace(/\/+$/, '') || '/';
+        
+        if (pathname === '/videos' || pathname.startsWith('/hls/')) {
+            return 'read';
+        }
+        if (PUBLIC_API_ROUTES.includes(pathname)) {
+            return null;
+        }
+        if (pathname.startsWith('/api/auth/')) {
+            return 'admin';
+        }
+        if (PLAYER_GET_ROUTES.includes(pathname)) {
+            return 'control';
+        }
+        if (pathname !== '/api' && !pathname.startsWith('/api/')) {
+            return PUBLIC_PATHS.includes(pathname) || (PUBLIC_PATH_PATTERN.test(pathname) && !pathname.includes('..')) ? null : 'read';
+        }
+        
+        return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'control';
+    }
+    
+    /**
+     * HTTP URL of a processed video (signed when auth is enabled, so players need no credentials for it)
+     */
+    getVideoUrl(processedPath) {
+        // Use query parameter for filename to avoid route parameter encoding issues
+        return this.authManager.signMediaUrl(`/videos?filename=${encodeURIComponent(path.basename(processedPath))}`);
+    }
+    
+    /**
+     * Sets the URLs a player loads a processed video from. Players that reported capabilities get
+     * the output their profile plays (serverUrl for the MP4 or a variant, hlsUrl for the HLS
+     * package); others get serverUrl and, when the video has an HLS package, hlsUrl to pick from.
+     * The choice is recorded in video.delivery.
+     * @param {Object} video - Processed video, changed in place
+     * @param {string|null} clientId - Requesting player
+     * @returns {Object} The video
+     */
+    setMediaUrls(video, clientId = null) {
+        const { hlsPackager, profileVariants } = this.preprocessedQueue;
+        const hls = video.hls && hlsPackager.isEnabled() ? video.hls : null;
+        const delivery = this.clientProfiles.choose(ClientProfiles.getOutput(video), clientId || null, {
+            hls,
+            hasVariant: (key) => profileVariants.exists(video.processedPath, key)
+        });
+        
+        video.serverUrl = delivery.type === 'variant' ?
+            this.getVideoUrl(profileVariants.getPath(profileVariants.getId(video.processedPath), delivery.variant)) :
+            this.getVideoUrl(video.processedPath);
+        
+        if (hls && (delivery.type === 'auto' || delivery.type === 'hls')) {
+            const maxHeight = delivery.type === 'hls' ? `?maxHeight=${delivery.maxHeight}` : '';
+            video.hlsUrl = this.authManager.signMediaUrl(`/hls/${hls.id}/master.m3u8${maxHeight}`);
+        } else {
+            delete video.hlsUrl;
+        }
+        
+        if (delivery.missingVariant) {
+            this.preprocessedQueue.requestVariant(video, delivery.missingVariant);
+        }
+        
+        const { missingVariant, ...recorded } = delivery;
+        video.delivery = recorded;
+        
+        return video;
+    }
+    
+    /**
+     * Drops the renditions above maxHeight from a master playlist, keeping at least the smallest
+     */
+    filterMasterPlaylist(playlist, maxHeight) {
+        const lines = playlist.split('\n');
+        const header = lines.filter(line => line.startsWith('#') && !line.startsWith('#EXT-X-STREAM-INF'));
+        const variants = [];
+        
+        lines.forEach((line, index) => {
+            if (line.startsWith('#EXT-X-STREAM-INF')) {
+                const height = parseInt(line.match(/RESOLUTION=\d+x(\d+)/)?.[1], 10) || 0;
+                variants.push({ height, lines: [line, lines[index + 1]] });
+            }
+        });
+        
+        const fitting = variants.filter(variant => variant.height <= maxHeight);
+        const kept = fitting.length > 0 ? fitting : variants.slice(-1);
+        
+        return [...header, ...kept.flatMap(variant => variant.lines)].join('\n') + '\n';
+    }
+    
+    /**
+     * Resolves the client session named by the session query parameter (the default session without one).
+     * Responds with an error and returns null when there is no such session.
+     * @param {boolean} touch - Whether the request counts as session activity
+     */
+    async getRequestSession(req, res, touch = true) {
+        if (!this.sessionManager) {
+            res.status(503).json({ error: 'Server is still initializing' });
+            return null;
+        }
+        
+        try {
+            return await this.sessionManager.getSession(req.query.session || null, touch);
+        } catch (error) {
+            if (error.code !== 'INVALID_SESSION') {
+                this.logger.error('Failed to resolve session', error);
+            }
+            res.status(error.code === 'INVALID_SESSION' ? 400 : 500).json({ error: error.message });
+            return null;
+        }
+    }
+    
+    unregisterControlClient(ws) {
+        if (ws.clientId) {
+            this.controlHub.unregisterClient(ws.clientId, ws.controlSend);
+        }
+    }
+    
+    /**
+     * Sends a message to the WebSocket clients subscribed to a topic
+     */
+    publish(topic, data) {
+        const message = JSON.stringify({ type: topic, data });
+        this.clients.forEach((ws) => {
+            if (ws.readyState === WebSocket.OPEN && ws.topics?.has(topic)) {
+                ws.send(message);
+            }
+        });
+    }
+    
     broadcast(type, data) {
         const message = JSON.stringify({ type, data });
         this.clients.forEach((ws) => {
@@ -538,17 +1285,60 @@ class VideoPlayerWebServer {
     
     async initializeComponents() {
         this.videoIndex = new VideoIndex(this.logger, this.configManager);
+        this.videoRatings = new VideoRatings(this.logger, this.configManager);
+        await this.videoRatings.load();
+        this.videoIndex.setRatings(this.videoRatings);
+        this.seasonalPreview = new SeasonalPreview(this.logger, this.videoIndex);
+        this.library = new VideoLibrary(this.logger, this.configManager, this.videoIndex);
+        this.libraryRouter = createLibraryRouter(this.library, this.logger);
+        this.ratingRouter = createRatingRouter(this.videoRatings, this.library, this.logger);
+        this.library.start();
         this.preprocessedQueue = new PreprocessedQueue(this.logger, this.configManager, this.videoIndex, this.stats);
         
         await this.preprocessedQueue.initTempDir();
         this.logger.log('Preprocessed queue ready');
         
         this.historyManager = new HistoryManager(this.logger, this.configManager);
+        this.videoIndex.setHistoryManager(this.historyManager);
         this.queuePersistence = new QueuePersistence(this.logger, this.configManager, this.preprocessedQueue, this.historyManager);
         this.reprocessHandler = new ReprocessHandler(this.logger, this.preprocessedQueue, this.videoIndex);
+        this.enqueueHandler = new EnqueueHandler(this.logger, this.library, this.reprocessHandler, this.controlHub);
+        this.enqueueRouter = createEnqueueRouter(this.enqueueHandler, this.logger);
+        this.directoryWatcher = new DirectoryWatcher(this.logger, this.configManager, this.videoIndex);
         
         await this.historyManager.load();
         
+        // Every screen gets a session; all of them draw from the shared preprocessed queue
+        this.sessionManager = new SessionManager(this.logger, this.configManager, this.historyManager);
+        await this.sessionManager.load();
+        // Scheduled sessions play the schedule guide's videos, not the queue
+        this.preprocessedQueue.setConsumerProvider(() => this.sessionManager.getActiveSessions().filter(session => !session.schedule));
+        this.preprocessedQueue.setVariantProvider((output, hasHls) => this.clientProfiles.getVariantSpecs(output, hasHls));
+        this.queuePersistence.setSessionManager(this.sessionManager);
+        
+        // The server list is shown and edited as the ?session= (default) session sees it
+        this.upcomingQueue = new UpcomingQueue(this.logger, this.preprocessedQueue, this.controlHub, this.stats, this.videoRatings);
+        this.upcomingRouter = createUpcomingRouter(this.upcomingQueue, this.logger,
+            (req) => this.sessionManager.getSession(req.query.session || null, false));
+        // Banned videos leave the queues right away
+        this.videoRatings.onBanned(originalPath => {
+            this.upcomingQueue.removeVideo(originalPath)
+                .catch(error => this.logger.error('Failed to remove banned video from the queues', error));
+        });
+        
+        // Playlist blocks take over selection while they run; their first video is prepared right away
+        this.playlistManager = new PlaylistManager(this.logger, this.configManager, this.videoIndex);
+        this.playlistScheduler = new PlaylistScheduler(this.logger, this.configManager, this.playlistManager, this.videoIndex);
+        await this.playlistManager.load();
+        await this.playlistScheduler.load();
+        this.playlistScheduler.onBlockStart(() => this.preprocessedQueue.prepareExtra());
+        this.videoIndex.setPlaylistScheduler(this.playlistScheduler);
+        this.playlistRouter = createPlaylistRouter(this.playlistManager, this.playlistScheduler, this.logger);
+        
+        // The weekly programming grid, played by sessions defined with "schedule": true
+        this.scheduleGuide = new ScheduleGuide(this.logger, this.configManager, this.videoIndex, this.playlistManager, this.reprocessHandler);
+        this.scheduleRouter = createScheduleRouter(this.scheduleGuide, this.logger);
+        
         try {
             await this.queuePersistence.cleanupTempDirectory();
         } catch (error) {
@@ -595,6 +1385,8 @@ class VideoPlayerWebServer {
                 
                 this.logger.log(`Found ${this.stats.totalVideos} videos in index`);
                 
+                await this.startDirectoryWatcher();
+                
                 this.updateInitializationState('filling_queue', 65, 'Loading queue state...');
                 const queueLoaded = await this.queuePersistence.load();
                 
@@ -604,6 +1396,7 @@ class VideoPlayerWebServer {
                 
                 this.startBackgroundUpdates();
                 this.preprocessedQueue.startMonitoring();
+                this.playlistScheduler.start();
                 
                 if (this.preprocessedQueue.size() < 1) {
                     await this.fillPreprocessedQueue(1);
@@ -668,10 +1461,12 @@ class VideoPlayerWebServer {
         this.updateInitializationState('filling_queue', 70, 'Preprocessing videos...');
         
         try {
-            await this.preprocessedQueue.fill(targetSize, (progress) => {
+            await this.preprocessedQueue.fill(targetSize, (progress, workers = []) => {
                 const currentProgress = 70 + (progress * 0.25);
+                const workerSummary = workers.map(worker => `${worker.filename} ${worker.percent}%`).join(', ');
                 this.updateInitializationState('filling_queue', currentProgress, 
-                    `Preprocessing: ${this.preprocessedQueue.size()}/${targetSize}`);
+                    `Preprocessing: ${this.preprocessedQueue.size()}/${targetSize}${workerSummary ? ` (${workerSummary})` : ''}`,
+                    null, workers);
             });
             
             const actualSize = this.preprocessedQueue.size();
@@ -721,7 +1516,44 @@ class VideoPlayerWebServer {
             this.logger.log('Directories changed, rebuilding index...');
             await this.queuePersistence.clear();
             await this.buildVideoIndex();
+            await this.startDirectoryWatcher();
+        }
+    }
+    
+    async startDirectoryWatcher() {
+        await this.directoryWatcher.start(async (changes) => {
+            await this.handleIndexChanges(changes);
+        });
+    }
+    
+    async handleIndexChanges(changes) {
+        const removedPaths = changes.removed.map(video => video.originalPath);
+        const updatedPaths = changes.updated.map(video => video.originalPath);
+        
+        // Processed copies of deleted or modified sources are stale
+        await this.preprocessedQueue.evict([...removedPaths, ...updatedPaths]);
+        
+        if (removedPaths.length > 0 && this.sessionManager) {
+            this.sessionManager.removeVideos(removedPaths);
         }
+        
+        this.stats.totalVideos = this.videoIndex.getCount();
+        this.stats.lastIndexUpdate = new Date().toISOString();
+        
+        // Players get library ids; server paths are not sent to them
+        const summarize = (video) => ({
+            id: VideoLibrary.getId(video.originalPath),
+            filename: video.filename,
+            seasonalDirectory: video.seasonalDirectory || null
+        });
+        
+        this.broadcast('index-updated', {
+            added: changes.added.map(summarize),
+            updated: changes.updated.map(summarize),
+            removed: changes.removed.map(summarize),
+            totalVideos: this.stats.totalVideos,
+            timestamp: this.stats.lastIndexUpdate
+        });
     }
     
     startBackgroundUpdates() {
@@ -758,17 +1590,21 @@ class VideoPlayerWebServer {
             try {
                 await this.queuePersistence.save(null);
                 await this.historyManager.save();
+                await this.sessionManager.save();
+                await this.playlistScheduler.save();
+                await this.videoRatings.save();
             } catch (error) {
                 this.logger.error('Periodic save failed', error);
             }
         }, saveInterval);
     }
     
-    updateInitializationState(stage, progress, message, error = null) {
+    updateInitializationState(stage, progress, message, error = null, workers = null) {
         this.initializationState.stage = stage;
         this.initializationState.progress = progress;
         this.initializationState.message = message;
         this.initializationState.error = error;
+        this.initializationState.workers = workers;
         
         // Broadcast to connected clients
         this.broadcast('initialization-update', this.initializationState);
@@ -791,6 +1627,27 @@ if (require.main === module) {
                 });
             }
             
+            if (server.directoryWatcher) {
+                server.directoryWatcher.stop();
+            }
+            
+            if (server.library) {
+                server.library.stop();
+            }
+            
+            if (server.nowPlaying) {
+                server.nowPlaying.stop();
+            }
+            
+            if (server.playlistScheduler) {
+                server.playlistScheduler.stop();
+                await server.playlistScheduler.save();
+            }
+            
+            if (server.videoRatings) {
+                await server.videoRatings.save();
+            }
+            
             // Save state
             if (server.queuePersistence) {
                 await server.queuePersistence.save(null);
@@ -798,11 +1655,20 @@ if (require.main === module) {
             if (server.historyManager) {
                 await server.historyManager.save();
             }
+            if (server.sessionManager) {
+                for (const session of server.sessionManager.sessions.values()) {
+                    session.syncGroup?.stop();
+                }
+                await server.sessionManager.save();
+            }
             if (server.preprocessedQueue) {
                 await server.preprocessedQueue.clear();
             }
             
             // Close HTTP server
+            if (server.redirectServer) {
+                server.redirectServer.close();
+            }
             if (server.server) {
                 server.server.close(() => {
                     server.logger.log('HTTP server closed');